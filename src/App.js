@@ -1,7 +1,133 @@
 // App.jsx (Cleaned and Enhanced CAD Editor)
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import * as THREE from "three";
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls.js";
+import { TransformControls } from "three/examples/jsm/controls/TransformControls.js";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import {
+  BOOLEAN_OPERATIONS,
+  DEFAULT_EDGE_ANGLE,
+  DEFAULT_PARAMS,
+  EDGE_TREATMENTS,
+  PATTERN_TYPES,
+  SCENE_FORMAT_VERSION,
+  buildObject,
+  buildScene,
+  createBooleanParams,
+  createGeometry,
+  createGroup,
+  createMeshParams,
+  createMeshWithEdges,
+  createPatternParams,
+  getPatternMatrices,
+  applyReferenceLook,
+  getPrism,
+  getShapeContainers,
+  getShapeOpacity,
+  isHiddenBySuppression,
+  isReferenceBody,
+  isSceneObject,
+  serializeObject,
+  serializeScene,
+  transformProfile
+} from "./sceneFormat";
+import {
+  findFeatureNode,
+  getFeatureSwap,
+  getNextFeatureSeq,
+  listFeatures,
+  rollbackNodes,
+  setFeatureSuppressed,
+  stampFeatures,
+  swapFeatures,
+  updateFeature
+} from "./featureTree";
+import { formatSceneErrors, parseSceneFile } from "./sceneSchema";
+import { createCommandHistory } from "./commandHistory";
+import NumericField from "./NumericField";
+import {
+  createFaceGeometry,
+  findClosestEdge,
+  findFaceAtPoint,
+  findPlanarFace,
+  getFeatureEdges,
+  toWorldEdge,
+  toWorldFace
+} from "./subObjects";
+import { applyPushPull, getPushPullTarget, openProfile } from "./pushPull";
+import { findPrismEdge } from "./featureGeometry";
+import { collectMeshes, toAsciiSTL, toBinarySTL, toOBJ } from "./meshExport";
+import { createExportScene, gltfToNodes } from "./gltfScene";
+import { readMeshFile } from "./meshImport";
+import { SHEET_SIZES, createDrawingSheet, sheetToPDF, sheetToSVG } from "./drawing";
+import { DXF_UNITS, addDrawingToSketch, getSectionDrawing, parseDXF, sketchToDrawing, writeDXF } from "./dxf";
+import {
+  SKETCH_PLANES,
+  createSketchPlane,
+  fromSketchCoords,
+  getExtrusionQuaternion,
+  getPlaneQuaternion,
+  getPresetPlane,
+  offsetSketchPlane,
+  planeFromFace,
+  snapToSketchGrid,
+  toSketchCoords,
+  toThreePlane
+} from "./sketchPlane";
+import {
+  CONSTRAINT_TYPES,
+  addArcThroughPoints,
+  addCircle,
+  addConstraint,
+  addPolyline,
+  addRegularPolygon,
+  addSlot,
+  addSpline,
+  addTangentArc,
+  buildConstraints,
+  createSketch,
+  deleteSketchItems,
+  describeSketchItem,
+  getApplicableConstraints,
+  getSketchLoops,
+  getSketchPaths,
+  getSketchRegions,
+  indexSketch,
+  insertPointOnLine,
+  isSketchEmpty,
+  moveSketchPoint,
+  pickSketchItem,
+  removeConstraint,
+  setConstraintValue,
+  tessellateEntity
+} from "./sketchModel";
+import { analyzeSketch, solveSketch } from "./sketchSolver";
+import { drawSketch } from "./sketchView";
+import {
+  applyTransform,
+  captureTransform,
+  createAddCommand,
+  createDeleteCommand,
+  createFeatureCommand,
+  createParamsCommand,
+  createGroupCommand,
+  createRecolorCommand,
+  createReferenceCommand,
+  createReplaceSceneCommand,
+  createReplaceCommand,
+  createReshapeCommand,
+  createTransformCommand,
+  createUngroupCommand,
+  setContainerColor,
+  setContainerFeature,
+  setContainerParams
+} from "./sceneCommands";
+
+// Snap steps for moving, rotating and scaling
+const GRID_SNAP = 0.5;
+const ROTATION_SNAP = THREE.MathUtils.degToRad(15);
+const SCALE_SNAP = 0.1;
 
 export default function App() {
   const mountRef = useRef(null);
@@ -11,35 +137,117 @@ export default function App() {
   const [selectedEntities, setSelectedEntities] = useState([]);
   const [mode, setMode] = useState("select");
   const [sketchPoints, setSketchPoints] = useState([]);
+  const [sketch, setSketch] = useState(createSketch);
+  const [sketchSelection, setSketchSelection] = useState([]);
+  const [sketchHistory, setSketchHistory] = useState({ past: [], future: [] });
+  // Clicks of an arc, slot or spline still being drawn: { clicks, anchor? }
+  const [curveDraft, setCurveDraft] = useState(null);
+  const [polygonSides, setPolygonSides] = useState(6);
   const [isDrawing, setIsDrawing] = useState(false);
   const [extrusionHeight, setExtrusionHeight] = useState(1.0);
+  // The rest of the extrude settings (see getExtrudeExtent and
+  // createExtrudeGeometry); a bevel of 0 means none
+  const [extrudeOptions, setExtrudeOptions] = useState({
+    direction: "one-side",
+    reverse: false,
+    depth2: 1,
+    taper: 0,
+    bevelSize: 0,
+    bevelSegments: 1,
+    cut: false
+  });
+  // What the sketch panel turns the sketch into, and each feature's settings
+  const [sketchFeature, setSketchFeature] = useState("extrude");
+  const [revolveAngle, setRevolveAngle] = useState(360);
+  const [revolveAxis, setRevolveAxis] = useState("v");
+  const [sweepTwist, setSweepTwist] = useState(0);
+  // Profiles captured for a loft, each on its own plane: [{ plane, points }]
+  const [loftSections, setLoftSections] = useState([]);
   const [sceneBackground, setSceneBackground] = useState("#e5e5e8");
-  const [history, setHistory] = useState([]);
-  const [historyIndex, setHistoryIndex] = useState(-1);
+  const [historyVersion, setHistoryVersion] = useState(0);
   const [selectionMode, setSelectionMode] = useState("shape");
+  const [selectedSubObject, setSelectedSubObject] = useState(null);
+  const [selectedEdges, setSelectedEdges] = useState([]);
+  const [edgeTreatment, setEdgeTreatment] = useState({ mode: "fillet", radius: 0.1, distance: 0.1, angle: null });
+  const [meshExport, setMeshExport] = useState({ units: "mm", selectionOnly: false });
+  const [meshImport, setMeshImport] = useState({ units: "mm", edgeAngle: 20, reference: false });
+  // $INSUNITS code for DXF exports and for imports that don't say
+  const [dxfUnits, setDxfUnits] = useState(4);
+  const [drawingOptions, setDrawingOptions] = useState({ title: "", size: "A3", hiddenLines: true });
+  const [patternOptions, setPatternOptions] = useState({
+    kind: "linear",
+    axis: "x",
+    count: 3,
+    spacing: 1,
+    axis2: null,
+    count2: 2,
+    spacing2: 1,
+    center: [0, 0, 0],
+    angle: 360,
+    plane: "yz",
+    face: null
+  });
+  const [gizmoMode, setGizmoMode] = useState("translate");
+  const [gizmoSpace, setGizmoSpace] = useState("world");
+  const [gizmoSnap, setGizmoSnap] = useState(false);
+  const [pullReadout, setPullReadout] = useState(null);
+  const [sketchPlaneSource, setSketchPlaneSource] = useState("xz");
+  const [sketchPlaneOffset, setSketchPlaneOffset] = useState(0);
+  const [faceSketchPlane, setFaceSketchPlane] = useState(null);
+  // The body whose face the sketch is on, for cut-extrude
+  const [faceSketchBody, setFaceSketchBody] = useState(null);
+  // Feature tree: the seq the scene is rolled back to (null for none), the
+  // row whose parameters are open, and the sketch feature being re-edited
+  const [rollbackSeq, setRollbackSeq] = useState(null);
+  const [editingFeature, setEditingFeature] = useState(null);
+  const [editingSketch, setEditingSketch] = useState(null);
 
   // Three refs
   const sceneRef = useRef(null);
   const cameraRef = useRef(null);
   const rendererRef = useRef(null);
   const controlsRef = useRef(null);
+  const gizmoRef = useRef(null);
+  const gizmoTargetsRef = useRef({ entities: [], pivot: null, start: null });
   const raycasterRef = useRef(null);
   const sketchLineRef = useRef(null);
+  const sketchPlaneMeshRef = useRef(null);
+  const sketchViewRef = useRef(null);
+  const loftViewRef = useRef(null);
+  const featureSeqRef = useRef(1);
   const objectsRef = useRef([]);
   const groupsRef = useRef([]);
   const edgeHandlesRef = useRef([]);
   const lastPointerPointRef = useRef(null);
   const currentPreviewRef = useRef(null);
+  const subObjectOverlayRef = useRef(null);
+  const historyRef = useRef(null);
+  const pointerHandlersRef = useRef(null);
+  const gizmoHandlersRef = useRef(null);
+  const initialBackgroundRef = useRef(sceneBackground);
+  if (!historyRef.current) historyRef.current = createCommandHistory();
 
   // Constants
-  const planeForSketch = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
-  const GRID_SNAP = 0.5;
+  // Edge picking tolerance as a fraction of the distance to the hit
+  const EDGE_PICK_TOLERANCE = 0.02;
+
+  // Sketches go on a preset plane or a captured face, shifted along its
+  // normal by the offset
+  const sketchPlane = useMemo(() => offsetSketchPlane(
+    sketchPlaneSource === "face" && faceSketchPlane ? faceSketchPlane : getPresetPlane(sketchPlaneSource),
+    sketchPlaneOffset
+  ), [sketchPlaneSource, sketchPlaneOffset, faceSketchPlane]);
 
   // ====== INITIALIZATION ======
+  // The viewport is created once. Pointer events go through
+  // pointerHandlersRef so they always see the current mode and state, and
+  // the background is applied to the live scene by its own effect.
   useEffect(() => {
+    const mount = mountRef.current;
+
     // Scene
     const scene = new THREE.Scene();
-    scene.background = new THREE.Color(sceneBackground);
+    scene.background = new THREE.Color(initialBackgroundRef.current);
     sceneRef.current = scene;
 
     // Camera
@@ -51,7 +259,7 @@ export default function App() {
     const renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.shadowMap.enabled = true;
-    mountRef.current.appendChild(renderer.domElement);
+    mount.appendChild(renderer.domElement);
     rendererRef.current = renderer;
 
     // Controls
@@ -59,6 +267,18 @@ export default function App() {
     controls.enableDamping = true;
     controlsRef.current = controls;
 
+    // Transform gizmo. Created after OrbitControls so its pointerdown runs
+    // later and can switch orbiting off for the rest of the drag.
+    const gizmo = new TransformControls(camera, renderer.domElement);
+    gizmo.addEventListener("dragging-changed", (event) => {
+      controls.enabled = !event.value;
+    });
+    gizmo.addEventListener("mouseDown", () => gizmoHandlersRef.current.onDragStart());
+    gizmo.addEventListener("objectChange", () => gizmoHandlersRef.current.onDrag());
+    gizmo.addEventListener("mouseUp", () => gizmoHandlersRef.current.onDragEnd());
+    scene.add(gizmo.getHelper());
+    gizmoRef.current = gizmo;
+
     // Raycaster
     raycasterRef.current = new THREE.Raycaster();
 
@@ -84,10 +304,9 @@ export default function App() {
       side: THREE.DoubleSide 
     });
     
-    const sketchPlane = new THREE.Mesh(planeGeo, planeMat);
-    sketchPlane.rotation.x = -Math.PI / 2;
-    sketchPlane.position.y = 0.001;
-    scene.add(sketchPlane);
+    const sketchPlaneMesh = new THREE.Mesh(planeGeo, planeMat);
+    scene.add(sketchPlaneMesh);
+    sketchPlaneMeshRef.current = sketchPlaneMesh;
 
     // Sketch line
     const sketchGeom = new THREE.BufferGeometry();
@@ -95,37 +314,30 @@ export default function App() {
       sketchGeom, 
       new THREE.LineBasicMaterial({ color: 0xff0000, linewidth: 2 })
     );
-    sketchLine.position.y = 0.01;
     scene.add(sketchLine);
     sketchLineRef.current = sketchLine;
 
-    // Event handlers
-    const onPointerDown = (ev) => {
-      if (mode === "select") {
-        handleSelection(ev);
-      } else if (mode === "sketch-rect") {
-        ev.preventDefault();
-        startRectangle(ev);
-      } else if (mode === "sketch-circle") {
-        ev.preventDefault();
-        startCircle(ev);
-      } else if (mode === "sketch-poly") {
-        ev.preventDefault();
-        if (ev.button === 0) {
-          handlePolygonClick(ev);
-        }
-      }
-    };
+    // Finished sketch entities, redrawn whenever the sketch changes
+    const sketchView = new THREE.Group();
+    scene.add(sketchView);
+    sketchViewRef.current = sketchView;
 
-    const onDoubleClick = (ev) => {
-      if (mode === "sketch-poly") {
-        ev.preventDefault();
-        finishPolygon();
-      }
-    };
+    // Captured loft sections
+    const loftView = new THREE.Group();
+    scene.add(loftView);
+    loftViewRef.current = loftView;
+
+    // Objects survive a remount (StrictMode, hot reload)
+    objectsRef.current.forEach(obj => scene.add(obj));
+
+    // Event handlers
+    const onPointerDown = (ev) => pointerHandlersRef.current.onPointerDown(ev);
+    const onDoubleClick = (ev) => pointerHandlersRef.current.onDoubleClick(ev);
+    const onPointerMove = (ev) => pointerHandlersRef.current.onPointerMove(ev);
 
     renderer.domElement.addEventListener("pointerdown", onPointerDown);
     renderer.domElement.addEventListener("dblclick", onDoubleClick);
+    renderer.domElement.addEventListener("pointermove", onPointerMove);
 
     // Animation loop
     let mounted = true;
@@ -150,15 +362,249 @@ export default function App() {
       window.removeEventListener("resize", onResize);
       renderer.domElement.removeEventListener("pointerdown", onPointerDown);
       renderer.domElement.removeEventListener("dblclick", onDoubleClick);
+      renderer.domElement.removeEventListener("pointermove", onPointerMove);
       
-      if (mountRef.current && renderer.domElement) {
-        mountRef.current.removeChild(renderer.domElement);
+      gizmo.detach();
+      gizmo.dispose();
+      controls.dispose();
+      renderer.dispose();
+      if (mount && renderer.domElement.parentNode === mount) {
+        mount.removeChild(renderer.domElement);
       }
     };
-  }, [mode, sceneBackground]);
+  }, []);
+
+  useEffect(() => {
+    if (sceneRef.current) {
+      sceneRef.current.background = new THREE.Color(sceneBackground);
+    }
+  }, [sceneBackground]);
+
+  useEffect(() => {
+    const mesh = sketchPlaneMeshRef.current;
+    if (!mesh) return;
+    mesh.quaternion.copy(getPlaneQuaternion(sketchPlane));
+    mesh.position.copy(sketchPlane.origin).addScaledVector(sketchPlane.normal, 0.001);
+  }, [sketchPlane]);
+
+  const sketchAnalysis = useMemo(() => analyzeSketch(sketch), [sketch]);
+  const sketchLoops = useMemo(() => getSketchLoops(sketch), [sketch]);
+  const sketchPaths = useMemo(() => getSketchPaths(sketch), [sketch]);
+  // Regions as extrusion would see them, or the problem that blocks it
+  const sketchRegions = useMemo(() => {
+    try {
+      return { regions: getSketchRegions(sketch, sketchLoops) };
+    } catch (error) {
+      return { error };
+    }
+  }, [sketch, sketchLoops]);
+
+  useEffect(() => {
+    const view = sketchViewRef.current;
+    if (!view) return;
+    drawSketch(view, sketch, {
+      constrained: sketchAnalysis.constrained,
+      selection: sketchSelection,
+      handles: mode === "sketch-edit"
+    });
+    view.quaternion.copy(getPlaneQuaternion(sketchPlane));
+    view.position.copy(sketchPlane.origin).addScaledVector(sketchPlane.normal, 0.01);
+  }, [sketch, sketchAnalysis, sketchSelection, sketchPlane, mode]);
+
+  useEffect(() => {
+    const view = loftViewRef.current;
+    if (!view) return;
+    view.children.forEach(child => {
+      child.geometry.dispose();
+      child.material.dispose();
+    });
+    view.clear();
+    loftSections.forEach(({ plane, points }) => view.add(new THREE.LineLoop(
+      new THREE.BufferGeometry().setFromPoints(points.map(([u, v]) => fromSketchCoords(plane, u, v))),
+      new THREE.LineBasicMaterial({ color: 0xff9800, depthTest: false })
+    )));
+  }, [loftSections]);
+
+  // While rolled back, the model is hidden behind a preview of it as it
+  // stood then (see rollbackNodes)
+  useEffect(() => {
+    const scene = sceneRef.current;
+    if (!scene || rollbackSeq === null) return;
+    const roots = [...objectsRef.current];
+    const view = new THREE.Group();
+    buildScene(rollbackNodes(serializeScene(roots), rollbackSeq)).forEach(root => view.add(root));
+    scene.add(view);
+    roots.forEach(root => {
+      root.visible = false;
+    });
+    return () => {
+      scene.remove(view);
+      view.traverse(obj => {
+        obj.geometry?.dispose();
+        obj.material?.dispose();
+      });
+      roots.forEach(root => {
+        root.visible = !isHiddenBySuppression({ type: root.userData.type, userData: root.userData });
+      });
+    };
+  }, [rollbackSeq]);
+
+  // Sketch tools drag with the left button, so orbiting is left to select
+  // mode; pan and zoom stay available everywhere.
+  useEffect(() => {
+    if (controlsRef.current) {
+      controlsRef.current.enableRotate = !mode.startsWith("sketch");
+    }
+  }, [mode]);
+
+  // ====== POINTER HANDLING ======
+  // Reassigned on every render so the viewport's listeners use fresh state
+  pointerHandlersRef.current = {
+    onPointerDown: (ev) => {
+      if (mode === "select") {
+        // The gizmo handled this press
+        if (gizmoRef.current?.dragging) return;
+        handleMultiSelect(ev);
+      } else if (mode === "sketch-rect") {
+        ev.preventDefault();
+        startRectangle(ev);
+      } else if (mode === "sketch-circle") {
+        ev.preventDefault();
+        startCircle(ev);
+      } else if (mode === "sketch-poly") {
+        ev.preventDefault();
+        if (ev.button === 0) {
+          handlePolygonClick(ev);
+        }
+      } else if (mode === "sketch-ngon") {
+        ev.preventDefault();
+        startRegularPolygon(ev);
+      } else if (CURVE_TOOLS.includes(mode)) {
+        ev.preventDefault();
+        if (ev.button === 0) {
+          handleCurveClick(ev);
+        }
+      } else if (mode === "sketch-edit") {
+        ev.preventDefault();
+        if (ev.button === 0) {
+          startSketchEdit(ev);
+        }
+      }
+    },
+    onPointerMove: (ev) => {
+      if (curveDraft && CURVE_TOOLS.includes(mode)) {
+        previewCurveDraft(ev);
+      }
+    },
+    onDoubleClick: (ev) => {
+      if (mode === "sketch-poly") {
+        ev.preventDefault();
+        finishPolygon();
+      } else if (mode === "sketch-spline") {
+        ev.preventDefault();
+        finishSpline();
+      } else if (mode === "sketch-edit") {
+        ev.preventDefault();
+        insertSketchVertex(ev);
+      }
+    }
+  };
+
+  // ====== TRANSFORM GIZMO ======
+  // A single selection is attached directly. A multi-selection is driven
+  // through a pivot at its centroid; each drag step applies the pivot's
+  // change since the drag started to every selected entity.
+  useEffect(() => {
+    const gizmo = gizmoRef.current;
+    const scene = sceneRef.current;
+    if (!gizmo || !scene) return;
+
+    const selection = selectedEntities.length > 1 ? selectedEntities : [selectedEntity].filter(Boolean);
+    // Reference bodies are locked
+    const entities = mode === "select" && !selection.some(isReferenceBody) ? selection : [];
+    const targets = gizmoTargetsRef.current;
+    if (targets.pivot) {
+      scene.remove(targets.pivot);
+      targets.pivot = null;
+    }
+    targets.entities = entities;
+
+    if (entities.length === 0) {
+      gizmo.detach();
+      return;
+    }
+
+    if (entities.length === 1) {
+      gizmo.attach(entities[0]);
+    } else {
+      const pivot = new THREE.Object3D();
+      const center = new THREE.Vector3();
+      entities.forEach(entity => center.add(entity.getWorldPosition(new THREE.Vector3())));
+      pivot.position.copy(center.divideScalar(entities.length));
+      scene.add(pivot);
+      targets.pivot = pivot;
+      gizmo.attach(pivot);
+    }
+  }, [selectedEntity, selectedEntities, mode, historyVersion]);
+
+  useEffect(() => {
+    const gizmo = gizmoRef.current;
+    if (!gizmo) return;
+    gizmo.setMode(gizmoMode);
+    gizmo.setSpace(gizmoSpace);
+    gizmo.setTranslationSnap(gizmoSnap ? GRID_SNAP : null);
+    gizmo.setRotationSnap(gizmoSnap ? ROTATION_SNAP : null);
+    gizmo.setScaleSnap(gizmoSnap ? SCALE_SNAP : null);
+  }, [gizmoMode, gizmoSpace, gizmoSnap]);
 
-  // ====== FIXED GRID LOCK FOR SKETCHING ======
-  const pointerToPlane = (event) => {
+  gizmoHandlersRef.current = {
+    onDragStart: () => {
+      const targets = gizmoTargetsRef.current;
+      targets.before = targets.entities.map(captureTransform);
+      if (targets.pivot) {
+        targets.pivot.updateMatrixWorld();
+        targets.start = {
+          pivotInverse: targets.pivot.matrixWorld.clone().invert(),
+          matrices: targets.entities.map(entity => {
+            entity.updateMatrix();
+            return entity.matrix.clone();
+          })
+        };
+      }
+    },
+    onDrag: () => {
+      const { pivot, start, entities } = gizmoTargetsRef.current;
+      if (!pivot || !start) return;
+
+      pivot.updateMatrixWorld();
+      const delta = new THREE.Matrix4().multiplyMatrices(pivot.matrixWorld, start.pivotInverse);
+      entities.forEach((entity, i) => {
+        const matrix = new THREE.Matrix4().multiplyMatrices(delta, start.matrices[i]);
+        matrix.decompose(entity.position, entity.quaternion, entity.scale);
+      });
+    },
+    onDragEnd: () => {
+      const targets = gizmoTargetsRef.current;
+      if (!targets.before) return;
+
+      // A click on a handle that moved nothing is not an undo step
+      const moved = targets.entities.map(captureTransform).some(({ position, quaternion, scale }, i) => {
+        const before = targets.before[i];
+        return !position.equals(before.position) || !quaternion.equals(before.quaternion) || !scale.equals(before.scale);
+      });
+      if (moved) {
+        pushCommand(createTransformCommand(targets.entities, targets.before, {
+          label: `Gizmo ${gizmoMode.charAt(0).toUpperCase() + gizmoMode.slice(1)}`,
+          selected: selectedEntity
+        }));
+      }
+      targets.before = null;
+      targets.start = null;
+    }
+  };
+
+  // ====== SKETCH PLANE ======
+  const pointerToPlane = (event, { snap = true } = {}) => {
     if (!rendererRef.current || !cameraRef.current || !raycasterRef.current) return null;
     
     const rect = rendererRef.current.domElement.getBoundingClientRect();
@@ -168,134 +614,93 @@ export default function App() {
     );
     
     raycasterRef.current.setFromCamera(mouse, cameraRef.current);
-    const worldPoint = new THREE.Vector3();
-    raycasterRef.current.ray.intersectPlane(planeForSketch, worldPoint);
-    
+    const worldPoint = raycasterRef.current.ray.intersectPlane(toThreePlane(sketchPlane), new THREE.Vector3());
     if (!worldPoint) return null;
-    
-    // Snap to grid - FIXED: No rotation issues
-    worldPoint.x = Math.round(worldPoint.x / GRID_SNAP) * GRID_SNAP;
-    worldPoint.z = Math.round(worldPoint.z / GRID_SNAP) * GRID_SNAP;
-    worldPoint.y = 0;
-    
-    return worldPoint;
+
+    return snap ? snapToSketchGrid(sketchPlane, worldPoint, GRID_SNAP) : worldPoint;
   };
 
-  // ====== HISTORY MANAGEMENT ======
-  const saveHistory = () => {
-    const sceneState = objectsRef.current.map(obj => ({
-      type: obj.userData?.type || 'unknown',
-      position: [obj.position.x, obj.position.y, obj.position.z],
-      rotation: [obj.rotation.x, obj.rotation.y, obj.rotation.z],
-      scale: [obj.scale.x, obj.scale.y, obj.scale.z],
-      color: obj.userData.originalColor || 0xffffff,
-      userData: { ...obj.userData }
-    }));
+  // Points already drawn belong to the old plane, so switching clears them
+  const chooseSketchPlane = (source) => {
+    if (source === "face") {
+      const face = activeSubObject?.type === "face" ? activeSubObject : null;
+      if (!face) {
+        alert("Select a planar face first (Face selection mode)");
+        return;
+      }
+      const mesh = face.container.children[0];
+      mesh.updateMatrixWorld();
+      const world = toWorldFace(mesh.geometry, face, mesh.matrixWorld);
+      const axes = [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)]
+        .map(axis => axis.transformDirection(mesh.matrixWorld));
+      setFaceSketchPlane(planeFromFace(world.normal, world.centroid, axes));
+      setFaceSketchBody(face.container);
+    }
+    setSketchPlaneSource(source);
+    setEditingSketch(null);
+    clearSketch();
+  };
 
-    // Clean userData for history
-    sceneState.forEach(obj => {
-      delete obj.userData.originalColor;
-      Object.keys(obj.userData).forEach(key => {
-        if (typeof obj.userData[key] === 'function' || 
-            obj.userData[key] instanceof THREE.Object3D) {
-          delete obj.userData[key];
-        }
+  // ====== HISTORY MANAGEMENT ======
+  // Top-level scene bookkeeping shared by every command
+  const sceneDoc = {
+    attachRoot: (object) => {
+      sceneRef.current.attach(object);
+      if (!objectsRef.current.includes(object)) objectsRef.current.push(object);
+      object.traverse(obj => {
+        if (obj.userData.isGroup && !groupsRef.current.includes(obj)) groupsRef.current.push(obj);
       });
-    });
-
-    const newHistory = history.slice(0, historyIndex + 1);
-    newHistory.push(sceneState);
-    setHistory(newHistory);
-    setHistoryIndex(newHistory.length - 1);
+    },
+    detachRoot: (object) => {
+      if (object.parent) object.parent.remove(object);
+      objectsRef.current = objectsRef.current.filter(obj => obj !== object);
+      const removedGroups = [];
+      object.traverse(obj => {
+        if (obj.userData.isGroup) removedGroups.push(obj);
+      });
+      groupsRef.current = groupsRef.current.filter(group => !removedGroups.includes(group));
+    }
   };
 
-  const undo = () => {
-    if (historyIndex <= 0) return;
-    const newIndex = historyIndex - 1;
-    setHistoryIndex(newIndex);
-    restoreScene(history[newIndex]);
+  // Any change to the model rolls the feature tree forward again
+  const pushCommand = (command) => {
+    historyRef.current.push(command);
+    setRollbackSeq(null);
+    setHistoryVersion(version => version + 1);
   };
 
-  const redo = () => {
-    if (historyIndex >= history.length - 1) return;
-    const newIndex = historyIndex + 1;
-    setHistoryIndex(newIndex);
-    restoreScene(history[newIndex]);
+  const applyHistorySelection = (entity) => {
+    setSelectedSubObject(null);
+    if (entity && objectsRef.current.includes(entity)) {
+      setSelectedEntity(entity);
+      setSelectedEntities([]);
+      highlightEntity(entity);
+    } else {
+      setSelectedEntity(null);
+      setSelectedEntities([]);
+      clearAllHighlights();
+    }
   };
 
-  const restoreScene = (sceneData) => {
-    clearAllObjects();
-    
-    sceneData.forEach(objData => {
-      let geometry;
-      switch (objData.type) {
-        case 'box':
-          geometry = new THREE.BoxGeometry(1, 1, 1);
-          break;
-        case 'sphere':
-          geometry = new THREE.SphereGeometry(0.5, 32, 32);
-          break;
-        case 'cylinder':
-          geometry = new THREE.CylinderGeometry(0.5, 0.5, 1, 32);
-          break;
-        case 'extruded':
-          geometry = new THREE.BoxGeometry(1, 1, 1);
-          break;
-        default:
-          geometry = new THREE.BoxGeometry(1, 1, 1);
-      }
-
-      const container = createMeshWithEdges(geometry, objData.color);
-      container.position.set(...objData.position);
-      container.rotation.set(...objData.rotation);
-      container.scale.set(...objData.scale);
-      container.userData = { 
-        ...objData.userData, 
-        originalColor: objData.color,
-        type: objData.type 
-      };
-
-      sceneRef.current.add(container);
-      objectsRef.current.push(container);
-    });
+  const undo = () => {
+    const command = historyRef.current.undo();
+    if (!command) return;
+    setRollbackSeq(null);
+    applyHistorySelection(command.selection?.undo);
+    setHistoryVersion(version => version + 1);
   };
 
-  // ====== ENHANCED MESH CREATION ======
-  const createMeshWithEdges = (geometry, color = Math.random() * 0xffffff) => {
-    const material = new THREE.MeshStandardMaterial({
-      color: color,
-      transparent: true,
-      opacity: 0.9,
-    });
-
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.userData.originalColor = color;
-    mesh.userData.type = geometry.type.toLowerCase().replace('geometry', '');
-    mesh.userData.isSelectable = true;
-
-    // Container group
-    const container = new THREE.Group();
-    container.add(mesh);
-    container.userData.isMainObject = true;
-    container.userData.type = mesh.userData.type;
-    container.userData.originalColor = color;
-
-    // Wireframe edges
-    const edges = new THREE.EdgesGeometry(geometry);
-    const edgeMaterial = new THREE.LineBasicMaterial({ 
-      color: 0x000000,
-      linewidth: 2
-    });
-    const wireframe = new THREE.LineSegments(edges, edgeMaterial);
-    wireframe.userData.isEdgeVisual = true;
-    mesh.add(wireframe);
-
-    return container;
+  const redo = () => {
+    const command = historyRef.current.redo();
+    if (!command) return;
+    setRollbackSeq(null);
+    applyHistorySelection(command.selection?.redo);
+    setHistoryVersion(version => version + 1);
   };
 
   // ====== ENHANCED SELECTION SYSTEM ======
   const clearAllHighlights = () => {
-    objectsRef.current.forEach(container => {
+    objectsRef.current.flatMap(getShapeContainers).forEach(container => {
       const mesh = container.children[0];
       if (mesh && mesh.material) {
         if (mesh.material.emissive) {
@@ -304,7 +709,7 @@ export default function App() {
         if (container.userData.originalColor) {
           mesh.material.color.setHex(container.userData.originalColor);
         }
-        mesh.material.opacity = 0.9;
+        mesh.material.opacity = getShapeOpacity(container);
       }
     });
     
@@ -315,68 +720,92 @@ export default function App() {
       }
     });
     edgeHandlesRef.current = [];
+
+    // Clear face/edge overlay
+    const overlay = subObjectOverlayRef.current;
+    if (overlay) {
+      overlay.parent?.remove(overlay);
+      overlay.geometry.dispose();
+      overlay.material.dispose();
+      subObjectOverlayRef.current = null;
+    }
   };
 
-  const highlightEntity = (entity, selectionType = "shape") => {
+  // Whole shapes glow yellow; a picked face or edge is drawn on its own on
+  // top of the mesh it belongs to, along with any edges picked with it.
+  const highlightEntity = (entity, selectionType = "shape", subObject = null, edges = [subObject]) => {
     clearAllHighlights();
+    if (!entity) return;
     
-    if (entity && entity.children && entity.children[0]) {
-      const mesh = entity.children[0];
-      
-      switch (selectionType) {
-        case "shape":
-          if (mesh.material && mesh.material.emissive) {
-            mesh.material.emissive.set(0x444400); // Yellow
-          }
-          break;
-        case "face":
-          if (mesh.material) {
-            mesh.material.emissive.set(0x004444); // Blue
-            mesh.material.opacity = 0.7;
-          }
-          break;
-        case "edge":
-          if (mesh.material) {
-            mesh.material.emissive.set(0x440044); // Purple
-            mesh.material.opacity = 0.7;
-          }
-          createEdgeHandles(entity);
-          break;
-      }
+    if (selectionType === "shape" || !subObject) {
+      getShapeContainers(entity).forEach(container => {
+        const mesh = container.children[0];
+        if (mesh && mesh.material && mesh.material.emissive) {
+          mesh.material.emissive.set(0x444400); // Yellow
+        }
+      });
+      return;
     }
+
+    const mesh = subObject.container.children[0];
+    let overlay;
+    if (subObject.type === "face") {
+      overlay = new THREE.Mesh(
+        createFaceGeometry(mesh.geometry, subObject.triangles),
+        new THREE.MeshBasicMaterial({
+          color: 0x00aaff, // Blue
+          transparent: true,
+          opacity: 0.6,
+          side: THREE.DoubleSide,
+          polygonOffset: true,
+          polygonOffsetFactor: -1,
+          polygonOffsetUnits: -1
+        })
+      );
+    } else {
+      overlay = new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints(edges.flatMap(edge => [edge.start, edge.end])),
+        new THREE.LineBasicMaterial({ color: 0xff00ff, depthTest: false }) // Purple
+      );
+      overlay.renderOrder = 1;
+    }
+    overlay.userData.isSubObjectOverlay = true;
+    mesh.add(overlay);
+    subObjectOverlayRef.current = overlay;
+    if (edges.length === 1) createPushPullHandle(subObject);
+  };
+
+  const highlightEntities = (entities) => {
+    clearAllHighlights();
+    entities.flatMap(getShapeContainers).forEach(container => {
+      const mesh = container.children[0];
+      if (mesh && mesh.material && mesh.material.emissive) {
+        mesh.material.emissive.set(0x444400);
+      }
+    });
   };
 
-  // ====== EDGE HANDLES FOR PULLING ======
-  const createEdgeHandles = (entity) => {
-    const mesh = entity.children[0];
-    if (!mesh || !mesh.geometry) return;
+  // ====== PUSH/PULL HANDLE ======
+  // One handle on the picked face or edge of a box or extrusion; dragging
+  // it moves that feature along its normal (see pushPull.js).
+  const createPushPullHandle = (subObject) => {
+    const { container } = subObject;
+    const mesh = container.children[0];
+    const target = getPushPullTarget(container.userData.type, mesh.geometry, subObject);
+    if (!target) return;
 
-    const geometry = mesh.geometry;
-    const edges = new THREE.EdgesGeometry(geometry);
-    const positions = edges.attributes.position.array;
+    const handle = new THREE.Mesh(
+      new THREE.SphereGeometry(0.1, 8, 8),
+      new THREE.MeshBasicMaterial({ color: 0xff0000, transparent: true, opacity: 0.8, depthTest: false })
+    );
+    handle.renderOrder = 2;
+    handle.position.copy(target.origin);
+    handle.userData.isEdgeHandle = true;
+    handle.userData.subObject = subObject;
+    handle.userData.target = target;
 
-    for (let i = 0; i < positions.length; i += 6) {
-      const start = new THREE.Vector3(positions[i], positions[i+1], positions[i+2]);
-      const end = new THREE.Vector3(positions[i+3], positions[i+4], positions[i+5]);
-      
-      const midPoint = new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5);
-      
-      const handleGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-      const handleMaterial = new THREE.MeshBasicMaterial({ 
-        color: 0xff0000,
-        transparent: true,
-        opacity: 0.8
-      });
-      
-      const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-      handle.position.copy(midPoint);
-      handle.userData.isEdgeHandle = true;
-      handle.userData.parentEntity = entity;
-      handle.userData.edgeIndex = i / 6;
-      
-      mesh.add(handle);
-      edgeHandlesRef.current.push(handle);
-    }
+    mesh.add(handle);
+    edgeHandlesRef.current.push(handle);
   };
 
   // ====== SELECTION HANDLING ======
@@ -394,67 +823,200 @@ export default function App() {
     // Check for edge handles first
     const handleIntersects = raycasterRef.current.intersectObjects(edgeHandlesRef.current, true);
     if (handleIntersects.length > 0) {
-      const handle = handleIntersects[0].object;
-      startEdgePull(handle);
+      startPushPull(handleIntersects[0].object, event);
       return;
     }
     
-    // Check main objects
+    // Check main objects; only solid meshes count, so the picked point is
+    // always on a surface
     const intersectableObjects = objectsRef.current.filter(obj => 
-      obj !== sketchLineRef.current && !obj.isGridHelper && obj.userData.isMainObject
+      obj !== sketchLineRef.current && !obj.isGridHelper && isSceneObject(obj)
     );
     
     const intersects = raycasterRef.current.intersectObjects(intersectableObjects, true);
+    const hit = intersects.find(intersect => intersect.object.userData.isSelectable && isShown(intersect.object));
+    const container = hit && findShapeContainer(hit.object);
     
-    if (intersects.length === 0) {
+    // Face and Edge modes only accept a face or edge under the cursor
+    let subObject = null;
+    if (hit && selectionMode === "face") {
+      subObject = pickFace(container, hit);
+    } else if (hit && selectionMode === "edge") {
+      subObject = pickEdge(container, hit);
+    }
+    
+    if (!hit || (selectionMode !== "shape" && !subObject)) {
       setSelectedEntity(null);
       setSelectedEntities([]);
+      setSelectedSubObject(null);
       clearAllHighlights();
       return;
     }
 
-    let selectedObj = intersects[0].object;
-    while (selectedObj.parent && !selectedObj.userData.isMainObject) {
-      selectedObj = selectedObj.parent;
+    const selectedObj = findTopLevelObject(hit.object);
+    setSelectedEntity(selectedObj);
+    setSelectedEntities([]);
+    setSelectedSubObject(subObject);
+    highlightEntity(selectedObj, selectionMode, subObject);
+  };
+
+  const pickFace = (container, hit) => {
+    const mesh = container.children[0];
+    const face = findPlanarFace(mesh.geometry, hit.faceIndex);
+    return face && { type: "face", container, ...face };
+  };
+
+  // The nearest feature edge wins if it is within a few pixels' worth of
+  // the cursor, measured at the hit distance.
+  const pickEdge = (container, hit) => {
+    const mesh = container.children[0];
+    const localPoint = mesh.worldToLocal(hit.point.clone());
+    const edge = findClosestEdge(getFeatureEdges(mesh.geometry), localPoint);
+    if (!edge) return null;
+
+    const world = toWorldEdge(edge, mesh.matrixWorld);
+    const closest = new THREE.Line3(world.start, world.end).closestPointToPoint(hit.point, true, new THREE.Vector3());
+    const tolerance = hit.distance * EDGE_PICK_TOLERANCE;
+    if (closest.distanceTo(hit.point) > tolerance) return null;
+
+    return { type: "edge", container, index: edge.index, start: edge.start, end: edge.end };
+  };
+
+  // Raycasts go through hidden objects: suppressed shapes and everything
+  // while the feature tree is rolled back
+  const isShown = (obj) => {
+    for (let current = obj; current; current = current.parent) {
+      if (!current.visible) return false;
     }
+    return true;
+  };
 
-    setSelectedEntity(selectedObj);
-    
-    // Determine selection type
-    const clickedObject = intersects[0].object;
-    let detectedSelectionMode = "shape";
-    
-    if (clickedObject.userData.isEdgeVisual) {
-      detectedSelectionMode = "edge";
-    } else if (clickedObject !== selectedObj.children[0]) {
-      detectedSelectionMode = "face";
+  const findShapeContainer = (obj) => {
+    while (obj.parent && !obj.userData.isMainObject) {
+      obj = obj.parent;
     }
-    
-    setSelectionMode(detectedSelectionMode);
-    highlightEntity(selectedObj, detectedSelectionMode);
+    return obj;
+  };
+
+  // Clicking any part of a group selects the outermost group so assemblies
+  // move as a unit; ungroup to get at the members.
+  const findTopLevelObject = (obj) => {
+    let selectable = obj;
+    while (obj.parent && obj !== sceneRef.current) {
+      if (isSceneObject(obj)) selectable = obj;
+      obj = obj.parent;
+    }
+    return selectable;
   };
 
-  // ====== EDGE PULLING ======
-  const startEdgePull = (handle) => {
-    if (!handle.userData.parentEntity) return;
+  // ====== PUSH/PULL ======
+  // The drag distance is measured along the handle's axis, snapped to
+  // GRID_SNAP, and each step is re-applied to the starting parameters. The
+  // whole drag becomes one undo entry.
+  const startPushPull = (handle, startEvent) => {
+    const { subObject, target } = handle.userData;
+    const container = subObject.container;
+    const mesh = container.children[0];
+    const type = container.userData.type;
+    const before = { params: container.userData.params, transform: captureTransform(container) };
+
+    mesh.updateMatrixWorld();
+    const meshMatrix = mesh.matrixWorld.clone();
+    const origin = target.origin.clone().applyMatrix4(meshMatrix);
+    const axis = target.axis.clone().applyMatrix3(new THREE.Matrix3().getNormalMatrix(meshMatrix)).normalize();
+    const toLocal = new THREE.Matrix3().setFromMatrix4(meshMatrix).invert();
+
+    // Position along the axis of the point closest to the pointer ray
+    const axisPosition = (event) => {
+      const rect = rendererRef.current.domElement.getBoundingClientRect();
+      const mouse = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      raycasterRef.current.setFromCamera(mouse, cameraRef.current);
+      const onAxis = new THREE.Vector3();
+      raycasterRef.current.ray.distanceSqToSegment(
+        origin.clone().addScaledVector(axis, -1000),
+        origin.clone().addScaledVector(axis, 1000),
+        null,
+        onAxis
+      );
+      return onAxis.sub(origin).dot(axis);
+    };
+
+    const grab = axisPosition(startEvent);
+    let applied = 0;
+    let error = null;
 
-    const parentEntity = handle.userData.parentEntity;
+    const apply = (distance) => {
+      const localMove = axis.clone().multiplyScalar(distance).applyMatrix3(toLocal);
+      const faces = target.faces.map(face => ({ ...face, distance: localMove.dot(face.normal) }));
+      const result = applyPushPull(type, before.params, faces);
+
+      applyTransform(container, before.transform);
+      setContainerParams(container, result.params);
+      container.position.add(result.shift.multiply(container.scale).applyQuaternion(container.quaternion));
+      container.updateMatrixWorld();
+      handle.position.copy(mesh.worldToLocal(origin.clone().addScaledVector(axis, distance)));
+    };
+
+    const showReadout = (event) => setPullReadout({
+      text: error || `${applied >= 0 ? '+' : ''}${applied.toFixed(3)} m`,
+      error: !!error,
+      x: event.clientX,
+      y: event.clientY
+    });
+
+    const overlay = subObjectOverlayRef.current;
+    if (overlay) overlay.visible = false;
+    controlsRef.current.enabled = false;
     setIsDrawing(true);
+    showReadout(startEvent);
 
     const onMove = (moveEvent) => {
-      const p = pointerToPlane(moveEvent);
-      if (!p) return;
-      
-      // Scale transformation based on edge pull
-      const scaleFactor = 1 + (p.x * 0.1);
-      parentEntity.scale.set(scaleFactor, scaleFactor, scaleFactor);
+      const distance = Math.round((axisPosition(moveEvent) - grab) / GRID_SNAP) * GRID_SNAP;
+      if (distance !== applied || error) {
+        try {
+          apply(distance);
+          applied = distance;
+          error = null;
+        } catch (err) {
+          // Keep the last valid shape and say why this one isn't
+          error = err.message;
+        }
+      }
+      showReadout(moveEvent);
     };
 
     const onUp = () => {
-      setIsDrawing(false);
       window.removeEventListener("pointermove", onMove);
       window.removeEventListener("pointerup", onUp);
-      saveHistory();
+      controlsRef.current.enabled = true;
+      setIsDrawing(false);
+      setPullReadout(null);
+
+      if (applied === 0) {
+        if (overlay) overlay.visible = true;
+        return;
+      }
+
+      apply(applied);
+      const after = { params: container.userData.params, transform: captureTransform(container) };
+      const selected = findTopLevelObject(container);
+      pushCommand(createReshapeCommand(container, before, after, { selected }));
+
+      // Find the moved face or edge again in the rebuilt geometry
+      const moved = mesh.worldToLocal(origin.clone().addScaledVector(axis, applied));
+      let picked = null;
+      if (subObject.type === "face") {
+        const face = findFaceAtPoint(mesh.geometry, moved, subObject.normal);
+        picked = face && { type: "face", container, ...face };
+      } else {
+        const edge = findClosestEdge(getFeatureEdges(mesh.geometry), moved);
+        picked = edge && { type: "edge", container, index: edge.index, start: edge.start, end: edge.end };
+      }
+      setSelectedSubObject(picked);
+      highlightEntity(selected, picked ? selectionMode : "shape", picked);
     };
 
     window.addEventListener("pointermove", onMove);
@@ -465,184 +1027,577 @@ export default function App() {
   const groupSelected = () => {
     if (selectedEntities.length < 2) return;
     
-    const group = new THREE.Group();
-    group.userData.isGroup = true;
-    group.userData.type = "group";
+    const group = createGroup();
+    const members = [...selectedEntities];
     
     // Calculate group center
     const center = new THREE.Vector3();
-    selectedEntities.forEach(entity => {
+    members.forEach(entity => {
       const worldPos = new THREE.Vector3();
       entity.getWorldPosition(worldPos);
       center.add(worldPos);
     });
-    center.divideScalar(selectedEntities.length);
-    
+    center.divideScalar(members.length);
     group.position.copy(center);
     
-    // Reparent entities
-    selectedEntities.forEach(entity => {
-      const localPos = new THREE.Vector3().copy(entity.position).sub(center);
-      entity.position.copy(localPos);
-      sceneRef.current.remove(entity);
-      group.add(entity);
-    });
-    
-    sceneRef.current.add(group);
-    objectsRef.current = objectsRef.current.filter(obj => !selectedEntities.includes(obj));
-    objectsRef.current.push(group);
-    groupsRef.current.push(group);
+    const command = createGroupCommand(sceneDoc, group, members);
+    command.redo();
+    pushCommand(command);
     
     setSelectedEntity(group);
+    setSelectedEntities([]);
     highlightEntity(group);
-    saveHistory();
   };
 
   const ungroupSelected = () => {
     if (!selectedEntity || !selectedEntity.userData.isGroup) return;
     
-    const children = [];
-    selectedEntity.children.forEach(child => {
-      if (child.userData.isMainObject) {
-        const worldPos = new THREE.Vector3();
-        child.getWorldPosition(worldPos);
-        child.position.copy(worldPos);
-        sceneRef.current.add(child);
-        children.push(child);
-      }
-    });
-    
-    sceneRef.current.remove(selectedEntity);
-    objectsRef.current = objectsRef.current.filter(obj => obj !== selectedEntity);
-    objectsRef.current.push(...children);
-    groupsRef.current = groupsRef.current.filter(group => group !== selectedEntity);
+    const members = selectedEntity.children.filter(isSceneObject);
+    const command = createUngroupCommand(sceneDoc, selectedEntity, members);
+    command.redo();
+    pushCommand(command);
     
     setSelectedEntity(null);
     clearAllHighlights();
-    saveHistory();
   };
 
-  // ====== MULTI-SELECT ======
-  const handleMultiSelect = (event) => {
-    if (!event.shiftKey) {
-      handleSelection(event);
+  // ====== BOOLEANS ======
+  // The result replaces its operands, which live on in its params: undo
+  // brings back the originals and Split rebuilds them from the params.
+  const combineSelected = (operation) => {
+    const operands = [...selectedEntities];
+    if (operands.length < 2) return;
+    const { label } = BOOLEAN_OPERATIONS[operation];
+    if (operands.some(entity => entity.userData.isGroup)) {
+      alert(`${label} works on shapes; ungroup the selection first`);
       return;
     }
-
-    if (!raycasterRef.current || !cameraRef.current || !rendererRef.current) return;
-
-    const rect = rendererRef.current.domElement.getBoundingClientRect();
-    const mouse = new THREE.Vector2(
-      ((event.clientX - rect.left) / rect.width) * 2 - 1,
-      -((event.clientY - rect.top) / rect.height) * 2 + 1
-    );
-    
-    raycasterRef.current.setFromCamera(mouse, cameraRef.current);
-    
-    const intersectableObjects = objectsRef.current.filter(obj => 
-      obj !== sketchLineRef.current && !obj.isGridHelper && obj.userData.isMainObject
-    );
-    
-    const intersects = raycasterRef.current.intersectObjects(intersectableObjects, true);
-    
-    if (intersects.length === 0) return;
-
-    let selectedObj = intersects[0].object;
-    while (selectedObj.parent && !selectedObj.userData.isMainObject) {
-      selectedObj = selectedObj.parent;
+    if (operands.some(isReferenceBody)) {
+      alert(`${label} can't change a reference body; unlock it first`);
+      return;
     }
 
-    if (selectedEntities.includes(selectedObj)) {
-      setSelectedEntities(prev => prev.filter(entity => entity !== selectedObj));
-      if (selectedEntity === selectedObj) {
-        setSelectedEntity(selectedEntities.length > 1 ? selectedEntities[1] : null);
+    try {
+      // The result sits unrotated at the centre of the operands
+      const center = operands
+        .reduce((box, entity) => box.expandByObject(entity), new THREE.Box3())
+        .getCenter(new THREE.Vector3());
+      const params = createBooleanParams(operation, operands, new THREE.Matrix4().makeTranslation(center));
+      const geometry = createGeometry("boolean", params);
+      if (geometry.attributes.position.count === 0) {
+        geometry.dispose();
+        throw new Error("The result is empty");
       }
-    } else {
-      setSelectedEntities(prev => [...prev, selectedObj]);
-      setSelectedEntity(selectedObj);
-    }
 
-    clearAllHighlights();
-    selectedEntities.forEach(entity => highlightEntity(entity, selectionMode));
-    if (selectedObj) highlightEntity(selectedObj, selectionMode);
-  };
+      const container = stampFeature(createMeshWithEdges(geometry, operands[0].userData.originalColor));
+      container.userData.type = "boolean";
+      container.userData.params = params;
+      container.position.copy(center);
 
-  // ====== OBJECT MANAGEMENT ======
-  const addShape = (type, position = null) => {
-    if (!sceneRef.current) return null;
+      const command = createReplaceCommand(sceneDoc, operands, [container], { label });
+      command.redo();
+      pushCommand(command);
+
+      setSelectedEntity(container);
+      setSelectedEntities([]);
+      clearAllHighlights();
+      highlightEntity(container);
+    } catch (error) {
+      console.error(`${label} failed:`, error);
+      alert(`${label} failed: ${error.message}`);
+    }
+  };
+
+  const splitBoolean = () => {
+    const result = selectedEntity;
+    if (result?.userData.type !== "boolean") return;
+
+    result.updateMatrixWorld();
+    const operands = result.userData.params.operands.map(node => {
+      const object = buildObject(node);
+      object.applyMatrix4(result.matrixWorld);
+      return object;
+    });
+    const command = createReplaceCommand(sceneDoc, [result], operands, { label: "Split Boolean" });
+    command.redo();
+    pushCommand(command);
+
+    const last = operands[operands.length - 1];
+    setSelectedEntity(last);
+    clearAllHighlights();
+    highlightEntity(last);
+  };
+
+  // ====== FILLETS & CHAMFERS ======
+  // The result replaces the shape, which lives on as its base (see
+  // createFilletGeometry), so undo brings back the original. The shape's
+  // scale goes into the base so the size is measured on the scaled shape.
+  const treatSelectedEdges = () => {
+    const container = activeEdges[0]?.container;
+    if (!container) return;
+    const { mode, angle } = edgeTreatment;
+    const { label, size } = EDGE_TREATMENTS[mode];
+    if (container.parent !== sceneRef.current) {
+      alert(`${label} works on shapes outside groups; ungroup the shape first`);
+      return;
+    }
+
+    try {
+      const base = { ...serializeObject(container), position: [0, 0, 0], rotation: [0, 0, 0] };
+      const prism = getPrism({ type: "filleted", params: { base } });
+      if (!prism) throw new Error("Fillets and chamfers work on boxes and straight extrusions");
+      const edges = [];
+      activeEdges.forEach(({ start, end }) => {
+        const edge = findPrismEdge(prism, start.clone().multiply(container.scale), end.clone().multiply(container.scale));
+        if (!edge) throw new Error("Only the straight edges of the original shape can be treated");
+        if (!edges.some(other => other.loop === edge.loop && other.vertex === edge.vertex && other.cap === edge.cap)) {
+          edges.push(edge);
+        }
+      });
+
+      const params = {
+        mode,
+        [size]: edgeTreatment[size],
+        ...(mode === "chamfer" && angle !== null && { angle }),
+        edges,
+        base
+      };
+      const result = stampFeature(createMeshWithEdges(createGeometry("filleted", params), container.userData.originalColor));
+      result.userData.type = "filleted";
+      result.userData.params = params;
+      result.position.copy(container.position);
+      result.quaternion.copy(container.quaternion);
+
+      const command = createReplaceCommand(sceneDoc, [container], [result], { label });
+      command.redo();
+      pushCommand(command);
+
+      setSelectedEntity(result);
+      setSelectedEntities([]);
+      setSelectedSubObject(null);
+      highlightEntity(result);
+    } catch (error) {
+      console.error(`${label} failed:`, error);
+      alert(`${label} failed: ${error.message}`);
+    }
+  };
+
+  // A render function, not a component, so its fields keep their text
+  const renderEdgeTreatment = () => {
+    const { mode, angle } = edgeTreatment;
+    const { label, size } = EDGE_TREATMENTS[mode];
+    const setOption = (key, value) => setEdgeTreatment(options => ({ ...options, [key]: value }));
+    return (
+      <div style={{ marginBottom: 15, padding: 10, background: 'rgba(255,255,255,0.1)', borderRadius: 6 }}>
+        <div style={{ display: 'flex', gap: 4, marginBottom: 6 }}>
+          {Object.entries(EDGE_TREATMENTS).map(([name, treatment]) => (
+            <button
+              key={name}
+              onClick={() => setOption("mode", name)}
+              style={{
+                padding: '6px 10px',
+                fontSize: '11px',
+                background: mode === name ? '#4CAF50' : '#555',
+                color: 'white',
+                border: 'none',
+                borderRadius: 4,
+                flex: 1
+              }}
+            >
+              {treatment.label}
+            </button>
+          ))}
+        </div>
+        <div style={{ display: 'grid', gridTemplateColumns: '90px 1fr', gap: 4, alignItems: 'center' }}>
+          <span style={{ fontSize: '11px', color: '#ccc' }}>{size === "radius" ? "Radius (m)" : "Distance (m)"}</span>
+          <NumericField
+            key={size}
+            value={edgeTreatment[size]}
+            kind="length"
+            title={size === "radius" ? "Radius of the rounded edges" : "Taken off the first face: the cap, or the wall before the corner"}
+            onCommit={(value) => {
+              if (value <= 0) throw new Error("Must be greater than 0");
+              setOption(size, value);
+            }}
+          />
+          {mode === "chamfer" && (
+            <>
+              <span style={{ fontSize: '11px', color: '#ccc' }}>Angle (°)</span>
+              <NumericField
+                value={angle ?? 0}
+                kind="angle"
+                digits={1}
+                title="Tilt from the first face; 0 takes the distance off both faces"
+                onCommit={(value) => {
+                  if (value < 0 || value >= 90) throw new Error("Must be from 0° up to 90°");
+                  setOption("angle", value || null);
+                }}
+              />
+            </>
+          )}
+        </div>
+        <button
+          onClick={treatSelectedEdges}
+          title="Shift+Click adds edges of the same shape"
+          style={{ marginTop: 6, padding: '6px 8px', fontSize: '11px', background: '#9C27B0', color: 'white', border: 'none', borderRadius: 4, width: '100%' }}
+        >
+          {label} {activeEdges.length} {activeEdges.length === 1 ? "Edge" : "Edges"}
+        </button>
+      </div>
+    );
+  };
+
+  // ====== PATTERNS ======
+  // Like a boolean, the pattern replaces its sources, which live on in its
+  // params, so editing a source in the feature tree updates every copy.
+  // Axes, the circular centre and the mirror planes are in world space.
+  const PATTERN_AXES = { x: [1, 0, 0], y: [0, 1, 0], z: [0, 0, 1] };
+  const MIRROR_PLANES = { yz: { label: "YZ", normal: [1, 0, 0] }, xz: { label: "XZ", normal: [0, 1, 0] }, xy: { label: "XY", normal: [0, 0, 1] } };
+
+  const getPatternSettings = (center) => {
+    const { kind, axis, count, spacing, axis2, count2, spacing2, angle, plane, face } = patternOptions;
+    const toFrame = (point) => new THREE.Vector3(...point).sub(center).toArray();
+    if (kind === "linear") {
+      return {
+        kind,
+        direction: PATTERN_AXES[axis],
+        count,
+        spacing,
+        ...(axis2 && { direction2: PATTERN_AXES[axis2], count2, spacing2 })
+      };
+    }
+    if (kind === "circular") {
+      return { kind, axis: PATTERN_AXES[axis], center: toFrame(patternOptions.center), count, angle };
+    }
+    if (plane === "face") return { kind, normal: face.normal, point: toFrame(face.point) };
+    return { kind, normal: MIRROR_PLANES[plane].normal, point: toFrame([0, 0, 0]) };
+  };
+
+  const patternSelected = () => {
+    const sources = selectedEntities.length > 0 ? [...selectedEntities] : [selectedEntity].filter(Boolean);
+    if (sources.length === 0) return;
+    const { label } = PATTERN_TYPES[patternOptions.kind];
+    if (sources.some(entity => entity.userData.isGroup)) {
+      alert(`${label} works on shapes; ungroup the selection first`);
+      return;
+    }
+    if (sources.some(isReferenceBody)) {
+      alert(`${label} can't change a reference body; unlock it first`);
+      return;
+    }
+
+    try {
+      // The result sits unrotated at the centre of the sources
+      const center = sources
+        .reduce((box, entity) => box.expandByObject(entity), new THREE.Box3())
+        .getCenter(new THREE.Vector3());
+      const params = createPatternParams(getPatternSettings(center), sources, new THREE.Matrix4().makeTranslation(center));
+      const container = stampFeature(createMeshWithEdges(createGeometry("pattern", params), sources[0].userData.originalColor));
+      container.userData.type = "pattern";
+      container.userData.params = params;
+      container.position.copy(center);
+
+      const command = createReplaceCommand(sceneDoc, sources, [container], { label });
+      command.redo();
+      pushCommand(command);
+
+      setSelectedEntity(container);
+      setSelectedEntities([]);
+      setSelectedSubObject(null);
+      clearAllHighlights();
+      highlightEntity(container);
+    } catch (error) {
+      console.error(`${label} failed:`, error);
+      alert(`${label} failed: ${error.message}`);
+    }
+  };
+
+  // Mirrors across the face picked in Face mode
+  const pickMirrorFace = () => {
+    if (activeSubObject?.type !== "face") {
+      alert("Pick a face in Face mode first");
+      return;
+    }
+    const mesh = activeSubObject.container.children[0];
+    mesh.updateMatrixWorld(true);
+    const face = toWorldFace(mesh.geometry, activeSubObject, mesh.matrixWorld);
+    setPatternOptions(options => ({
+      ...options,
+      plane: "face",
+      face: { normal: face.normal.toArray(), point: face.centroid.toArray() }
+    }));
+  };
+
+  // A render function, not a component, so its fields keep their text
+  const renderPatternPanel = () => {
+    const { kind, axis, axis2, plane, face } = patternOptions;
+    const setOption = (key, value) => setPatternOptions(options => ({ ...options, [key]: value }));
+    const sourceCount = selectedEntities.length || 1;
+    const buttonStyle = (active) => ({
+      padding: '6px 8px',
+      fontSize: '11px',
+      background: active ? '#4CAF50' : '#555',
+      color: 'white',
+      border: 'none',
+      borderRadius: 4,
+      flex: 1
+    });
+    const label = (text) => <span style={{ fontSize: '11px', color: '#ccc' }}>{text}</span>;
+    const countField = (key, min, title) => (
+      <NumericField
+        value={patternOptions[key]}
+        kind="number"
+        digits={0}
+        title={title}
+        onCommit={(value) => {
+          if (!Number.isInteger(value) || value < min || value > 50) throw new Error(`Must be a whole number from ${min} to 50`);
+          setOption(key, value);
+        }}
+      />
+    );
+    const spacingField = (key) => (
+      <NumericField
+        value={patternOptions[key]}
+        kind="length"
+        title="Distance from one instance to the next"
+        onCommit={(value) => {
+          if (value <= 0) throw new Error("Must be greater than 0");
+          setOption(key, value);
+        }}
+      />
+    );
+    const axisButtons = (key, value, withNone) => (
+      <div style={{ display: 'flex', gap: 4 }}>
+        {[...(withNone ? [null] : []), ...Object.keys(PATTERN_AXES)].map(name => (
+          <button key={name ?? "none"} onClick={() => setOption(key, name)} style={buttonStyle(value === name)}>
+            {name ? name.toUpperCase() : "None"}
+          </button>
+        ))}
+      </div>
+    );
+
+    return (
+      <div style={{ marginBottom: 15, padding: 10, background: 'rgba(255,255,255,0.1)', borderRadius: 6 }}>
+        <strong>Pattern:</strong>
+        <div style={{ display: 'flex', gap: 4, margin: '6px 0' }}>
+          {Object.entries(PATTERN_TYPES).map(([name, type]) => (
+            <button key={name} onClick={() => setOption("kind", name)} style={buttonStyle(kind === name)}>
+              {type.label.replace(" Pattern", "")}
+            </button>
+          ))}
+        </div>
+        <div style={{ display: 'grid', gridTemplateColumns: '90px 1fr', gap: 4, alignItems: 'center' }}>
+          {kind === "linear" && (
+            <>
+              {label("Direction")}
+              {axisButtons("axis", axis)}
+              {label("Count")}
+              {countField("count", 2, "Instances along the direction, the original included")}
+              {label("Spacing (m)")}
+              {spacingField("spacing")}
+              {label("2nd Direction")}
+              {axisButtons("axis2", axis2, true)}
+              {axis2 && (
+                <>
+                  {label("Count")}
+                  {countField("count2", 1, "Rows along the second direction, the first included")}
+                  {label("Spacing (m)")}
+                  {spacingField("spacing2")}
+                </>
+              )}
+            </>
+          )}
+          {kind === "circular" && (
+            <>
+              {label("Axis")}
+              {axisButtons("axis", axis)}
+              {label("Center (m)")}
+              <div style={{ display: 'flex', gap: 4 }}>
+                {[0, 1, 2].map(i => (
+                  <NumericField
+                    key={i}
+                    value={patternOptions.center[i]}
+                    kind="length"
+                    title={"XYZ"[i]}
+                    onCommit={(value) => setOption("center", patternOptions.center.map((c, j) => (j === i ? value : c)))}
+                  />
+                ))}
+              </div>
+              {label("Count")}
+              {countField("count", 2, "Instances round the axis, the original included")}
+              {label("Angle (°)")}
+              <NumericField
+                value={patternOptions.angle}
+                kind="angle"
+                digits={1}
+                title="Spread of the instances; 360 spaces them evenly round a full turn"
+                onCommit={(value) => {
+                  if (value <= 0 || value > 360) throw new Error("Must be above 0° and up to 360°");
+                  setOption("angle", value);
+                }}
+              />
+            </>
+          )}
+          {kind === "mirror" && (
+            <>
+              {label("Plane")}
+              <div style={{ display: 'flex', gap: 4 }}>
+                {Object.entries(MIRROR_PLANES).map(([name, { label: planeLabel }]) => (
+                  <button key={name} onClick={() => setOption("plane", name)} style={buttonStyle(plane === name)}>
+                    {planeLabel}
+                  </button>
+                ))}
+                <button
+                  onClick={pickMirrorFace}
+                  title="Mirror across the face picked in Face mode"
+                  style={buttonStyle(plane === "face")}
+                >
+                  Face
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+        <button
+          onClick={patternSelected}
+          disabled={kind === "mirror" && plane === "face" && !face}
+          style={{ marginTop: 6, padding: '6px 8px', fontSize: '11px', background: '#009688', color: 'white', border: 'none', borderRadius: 4, width: '100%' }}
+        >
+          {PATTERN_TYPES[kind].label} {sourceCount} {sourceCount === 1 ? "Shape" : "Shapes"}
+        </button>
+      </div>
+    );
+  };
+
+  // ====== MULTI-SELECT ======
+  const handleMultiSelect = (event) => {
+    if (!event.shiftKey) {
+      handleSelection(event);
+      return;
+    }
+
+    if (!raycasterRef.current || !cameraRef.current || !rendererRef.current) return;
+
+    const rect = rendererRef.current.domElement.getBoundingClientRect();
+    const mouse = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
     
-    let geometry;
-    switch (type) {
-      case "box":
-        geometry = new THREE.BoxGeometry(1, 1, 1);
-        break;
-      case "sphere":
-        geometry = new THREE.SphereGeometry(0.5, 32, 32);
-        break;
-      case "cylinder":
-        geometry = new THREE.CylinderGeometry(0.5, 0.5, 1, 32);
-        break;
-      default:
-        geometry = new THREE.BoxGeometry(1, 1, 1);
+    raycasterRef.current.setFromCamera(mouse, cameraRef.current);
+    
+    const intersectableObjects = objectsRef.current.filter(obj => 
+      obj !== sketchLineRef.current && !obj.isGridHelper && isSceneObject(obj)
+    );
+    
+    const intersects = raycasterRef.current.intersectObjects(intersectableObjects, true)
+      .filter(intersect => isShown(intersect.object));
+    
+    if (intersects.length === 0) return;
+
+    if (selectionMode === "edge") {
+      toggleEdge(event, intersects.find(intersect => intersect.object.userData.isSelectable));
+      return;
+    }
+
+    const selectedObj = findTopLevelObject(intersects[0].object);
+
+    // Shift+Click toggles whole objects in the multi-selection
+    const current = selectedEntities.length > 0
+      ? selectedEntities
+      : (selectedEntity ? [selectedEntity] : []);
+    const next = current.includes(selectedObj)
+      ? current.filter(entity => entity !== selectedObj)
+      : [...current, selectedObj];
+
+    setSelectedEntities(next);
+    setSelectedEntity(next.length > 0 ? next[next.length - 1] : null);
+    setSelectedSubObject(null);
+    highlightEntities(next);
+  };
+
+  // Shift+Click in Edge mode adds or removes edges of the picked edge's
+  // shape, e.g. to fillet them together
+  const toggleEdge = (event, hit) => {
+    const edge = hit && pickEdge(findShapeContainer(hit.object), hit);
+    if (!edge) return;
+    if (activeEdges.length === 0 || edge.container !== activeEdges[0].container) {
+      handleSelection(event);
+      return;
     }
 
-    const container = createMeshWithEdges(geometry);
+    const others = activeEdges.filter(other => other.index !== edge.index);
+    const next = others.length < activeEdges.length ? others : [...activeEdges, edge];
+    setSelectedEdges(next);
+    setSelectedSubObject(next[next.length - 1] ?? null);
+    highlightEntity(selectedEntity, "edge", next[next.length - 1], next);
+  };
+
+  // ====== OBJECT MANAGEMENT ======
+  const addShape = (type, position = null) => {
+    if (!sceneRef.current) return null;
+    
+    const params = { ...DEFAULT_PARAMS[type] };
+    const geometry = createGeometry(type, params);
+    const container = stampFeature(createMeshWithEdges(geometry));
+    container.userData.params = params;
     container.position.copy(position || new THREE.Vector3(0, 0.5, 0));
 
-    sceneRef.current.add(container);
-    objectsRef.current.push(container);
-    saveHistory();
+    const command = createAddCommand(sceneDoc, [container], { label: `Add ${type}` });
+    command.redo();
+    pushCommand(command);
     return container;
   };
 
   const deleteSelected = () => {
     if (!selectedEntity || !sceneRef.current) return;
     
-    if (selectedEntity.userData.isGroup) {
-      selectedEntity.children.forEach(child => {
-        if (child.userData.isMainObject) {
-          sceneRef.current.remove(child);
-          objectsRef.current = objectsRef.current.filter(obj => obj !== child);
-        }
-      });
-    }
-    
-    sceneRef.current.remove(selectedEntity);
-    objectsRef.current = objectsRef.current.filter(obj => obj !== selectedEntity);
+    const command = createDeleteCommand(sceneDoc, [selectedEntity]);
+    command.redo();
+    pushCommand(command);
     setSelectedEntity(null);
     setSelectedEntities([]);
-    saveHistory();
+    clearAllHighlights();
   };
 
-  const clearAllObjects = () => {
-    if (!sceneRef.current) return;
-    
-    objectsRef.current.forEach(obj => {
-      if (obj.children && obj.children[0]) {
-        const mesh = obj.children[0];
-        if (mesh.geometry) mesh.geometry.dispose();
-        if (mesh.material) {
-          if (Array.isArray(mesh.material)) {
-            mesh.material.forEach(material => material.dispose());
-          } else {
-            mesh.material.dispose();
-          }
-        }
-      }
-      sceneRef.current.remove(obj);
-    });
+  // Removes everything as one undoable step; meshes are kept alive so the
+  // step can be undone.
+  const clearScene = () => {
+    if (!sceneRef.current || objectsRef.current.length === 0) return;
     
-    objectsRef.current = [];
-    groupsRef.current = [];
+    const command = createReplaceSceneCommand(sceneDoc, [...objectsRef.current], [], { label: "Clear" });
+    command.redo();
+    pushCommand(command);
     setSelectedEntity(null);
     setSelectedEntities([]);
+    clearAllHighlights();
+  };
+
+  const recolorSelected = (color) => {
+    if (!selectedEntity) return;
+    
+    const containers = getShapeContainers(selectedEntity);
+    const before = containers.map(container => container.userData.originalColor);
+    containers.forEach(container => setContainerColor(container, color));
+    pushCommand(createRecolorCommand(containers, before, color, { selected: selectedEntity }));
+    highlightEntity(selectedEntity, selectionMode, activeSubObject, activeEdges);
+  };
+
+  const setSelectedReference = (reference) => {
+    if (selectedEntity?.userData.type !== "mesh") return;
+    const command = createReferenceCommand(selectedEntity, reference, { selected: selectedEntity });
+    command.redo();
+    pushCommand(command);
+    highlightEntity(selectedEntity, selectionMode, activeSubObject, activeEdges);
   };
 
   // ====== TRANSFORMATIONS ======
-  const transformSelected = (transformation) => {
+  const transformSelected = (transformation, { mergeKey } = {}) => {
     if (!selectedEntity) return;
 
     const entitiesToTransform = selectedEntities.length > 0 ? selectedEntities : [selectedEntity];
+    if (entitiesToTransform.some(isReferenceBody)) return;
+    const before = entitiesToTransform.map(captureTransform);
     
     entitiesToTransform.forEach(entity => {
       switch (transformation.type) {
@@ -660,46 +1615,183 @@ export default function App() {
       }
     });
     
-    saveHistory();
+    pushCommand(createTransformCommand(entitiesToTransform, before, {
+      label: transformation.type.charAt(0).toUpperCase() + transformation.type.slice(1),
+      mergeKey: mergeKey && `${mergeKey}:${entitiesToTransform.map(entity => entity.userData.id).join(',')}`,
+      selected: selectedEntity
+    }));
   };
 
   // ====== ENHANCED PROPERTIES ======
+  // A picked face/edge only counts while its shape is still selected
+  const activeSubObject = selectedSubObject && selectedEntity &&
+    getShapeContainers(selectedEntity).includes(selectedSubObject.container)
+    ? selectedSubObject
+    : null;
+
+  // Edges Shift-picked along with the picked one
+  const activeEdges = activeSubObject?.type === "edge"
+    ? (selectedEdges.includes(activeSubObject) ? selectedEdges : [activeSubObject])
+    : [];
+
+  const formatVector = (v, digits = 3) => `${v.x.toFixed(digits)}, ${v.y.toFixed(digits)}, ${v.z.toFixed(digits)}`;
+
+  const getSubObjectProperties = (subObject) => {
+    const mesh = subObject.container.children[0];
+    mesh.updateMatrixWorld(true);
+    
+    if (subObject.type === "face") {
+      const face = toWorldFace(mesh.geometry, subObject, mesh.matrixWorld);
+      return {
+        "Face Normal": formatVector(face.normal),
+        "Face Area": `${face.area.toFixed(3)} m²`,
+        "Face Center": formatVector(face.centroid),
+        "Triangles": `${subObject.triangles.length}`
+      };
+    }
+
+    const edge = toWorldEdge(subObject, mesh.matrixWorld);
+    return {
+      "Edge Length": `${edge.length.toFixed(3)} m`,
+      "Edge Direction": formatVector(edge.direction),
+      "Edge Start": formatVector(edge.start),
+      "Edge End": formatVector(edge.end)
+    };
+  };
+
   const getEntityProperties = () => {
     if (!selectedEntity) return null;
     
     const baseProps = {
       Type: selectedEntity.userData?.type ? selectedEntity.userData.type.toUpperCase() : "Unknown",
-      Position: `${selectedEntity.position.x.toFixed(3)}, ${selectedEntity.position.y.toFixed(3)}, ${selectedEntity.position.z.toFixed(3)}`,
-      Rotation: `${(selectedEntity.rotation.x * 180/Math.PI).toFixed(1)}°, ${(selectedEntity.rotation.y * 180/Math.PI).toFixed(1)}°, ${(selectedEntity.rotation.z * 180/Math.PI).toFixed(1)}°`,
-      Scale: `${selectedEntity.scale.x.toFixed(3)}, ${selectedEntity.scale.y.toFixed(3)}, ${selectedEntity.scale.z.toFixed(3)}`,
     };
+    if (selectedEntity.userData.name) baseProps.Name = selectedEntity.userData.name;
 
     // Enhanced geometric properties
-    if (selectedEntity.userData.type === 'box') {
-      baseProps.Volume = `${(selectedEntity.scale.x * selectedEntity.scale.y * selectedEntity.scale.z).toFixed(3)} m³`;
-      baseProps["Surface Area"] = `${(2 * (selectedEntity.scale.x * selectedEntity.scale.y + selectedEntity.scale.x * selectedEntity.scale.z + selectedEntity.scale.y * selectedEntity.scale.z)).toFixed(3)} m²`;
-    } else if (selectedEntity.userData.type === 'sphere') {
-      const radius = 0.5 * selectedEntity.scale.x;
+    const { type, params } = selectedEntity.userData;
+    const dims = { ...DEFAULT_PARAMS[type], ...params };
+    const { x: sx, y: sy, z: sz } = selectedEntity.scale;
+    if (type === 'box') {
+      const [w, h, d] = [dims.width * sx, dims.height * sy, dims.depth * sz];
+      baseProps.Volume = `${(w * h * d).toFixed(3)} m³`;
+      baseProps["Surface Area"] = `${(2 * (w * h + w * d + h * d)).toFixed(3)} m²`;
+    } else if (type === 'sphere') {
+      const radius = dims.radius * sx;
       baseProps.Volume = `${((4/3) * Math.PI * Math.pow(radius, 3)).toFixed(3)} m³`;
       baseProps["Surface Area"] = `${(4 * Math.PI * Math.pow(radius, 2)).toFixed(3)} m²`;
-      baseProps.Radius = `${radius.toFixed(3)} m`;
-    } else if (selectedEntity.userData.type === 'cylinder') {
-      const radius = 0.5 * selectedEntity.scale.x;
-      const height = 1 * selectedEntity.scale.y;
+    } else if (type === 'cylinder') {
+      const radius = dims.radius * sx;
+      const height = dims.height * sy;
       baseProps.Volume = `${(Math.PI * Math.pow(radius, 2) * height).toFixed(3)} m³`;
       baseProps["Surface Area"] = `${(2 * Math.PI * radius * (radius + height)).toFixed(3)} m²`;
+    } else if (type === 'boolean') {
+      baseProps.Operation = `${BOOLEAN_OPERATIONS[params.operation].label} of ${params.operands.length} shapes`;
+    } else if (type === 'revolved') {
+      baseProps.Angle = `${params.angle}°`;
+    } else if (type === 'swept') {
+      const length = params.path.reduce((sum, [u, v], i) =>
+        i === 0 ? 0 : sum + Math.hypot(u - params.path[i - 1][0], v - params.path[i - 1][1]), 0);
+      baseProps["Path Length"] = `${length.toFixed(3)} m`;
+      if (params.twist) baseProps.Twist = `${params.twist}°`;
+    } else if (type === 'lofted') {
+      baseProps.Sections = `${params.sections.length}`;
+    } else if (type === 'filleted') {
+      const { label, size } = EDGE_TREATMENTS[params.mode];
+      baseProps[label] = `${params[size]} m on ${params.edges.length} ${params.edges.length === 1 ? "edge" : "edges"}`;
+    } else if (type === 'mesh') {
+      const triangles = params.indices ? params.indices.length / 3 : params.positions.length / 9;
+      const mesh = selectedEntity.children[0];
+      mesh.geometry.computeBoundingBox();
+      const bounds = mesh.geometry.boundingBox.clone().applyMatrix4(mesh.matrixWorld);
+      baseProps.Triangles = `${triangles}`;
+      baseProps["Bounding Box"] = `${formatVector(bounds.getSize(new THREE.Vector3()))} m`;
+      baseProps["Box Center"] = formatVector(bounds.getCenter(new THREE.Vector3()));
+    } else if (type === 'pattern') {
+      const instances = getPatternMatrices(params).length;
+      const shapes = `${params.sources.length} ${params.sources.length === 1 ? "shape" : "shapes"}`;
+      baseProps[PATTERN_TYPES[params.kind].label] = `${instances} instances of ${shapes}`;
     }
 
     if (selectedEntity.userData.isGroup) {
       baseProps["Group Size"] = `${selectedEntity.children.length} objects`;
     }
 
+    if (activeSubObject) {
+      Object.assign(baseProps, getSubObjectProperties(activeSubObject));
+    }
+
     return baseProps;
   };
 
+  // ====== NUMERIC EDITING ======
+  const DIMENSION_FIELDS = {
+    box: [["width", "Width"], ["height", "Height"], ["depth", "Depth"]],
+    sphere: [["radius", "Radius"]],
+    cylinder: [["radius", "Radius"], ["height", "Height"]]
+  };
+
+  // Each commit is one undo step. Throwing rejects the value and the field
+  // shows the message.
+  const setTransformValue = (property, axis, value, target = selectedEntity) => {
+    if (!target) return;
+    if (isReferenceBody(target)) {
+      throw new Error("Reference bodies are locked");
+    }
+    if (property === "scale" && value === 0) {
+      throw new Error("Scale cannot be 0");
+    }
+
+    const before = [captureTransform(target)];
+    if (property === "rotation") {
+      target.rotation[axis] = THREE.MathUtils.degToRad(value);
+    } else {
+      target[property][axis] = value;
+    }
+
+    pushCommand(createTransformCommand([target], before, {
+      label: `Set ${property.charAt(0).toUpperCase() + property.slice(1)}`,
+      selected: selectedEntity
+    }));
+  };
+
+  const setDimension = (key, value) => {
+    if (!selectedEntity) return;
+    if (value <= 0) {
+      throw new Error("Must be greater than 0");
+    }
+
+    const { type, params } = selectedEntity.userData;
+    const before = { ...DEFAULT_PARAMS[type], ...params };
+    const after = { ...before, [key]: value };
+    setContainerParams(selectedEntity, after);
+    pushCommand(createParamsCommand(selectedEntity, before, after, { selected: selectedEntity }));
+    setSelectedSubObject(null);
+    highlightEntity(selectedEntity);
+  };
+
+  const renderVectorRow = (label, property, kind, toDisplay = (v) => v, target = selectedEntity) => (
+    <div key={property} style={{ fontSize: '12px', marginBottom: 4, display: 'flex', alignItems: 'center', gap: 4 }}>
+      <span style={{ color: '#aaa', minWidth: '100px' }}>{label}:</span>
+      {["x", "y", "z"].map(axis => (
+        <NumericField
+          key={`${target.userData.id}-${property}-${axis}`}
+          value={toDisplay(target[property][axis])}
+          kind={kind}
+          digits={kind === "angle" ? 2 : 3}
+          title={axis.toUpperCase()}
+          onCommit={(value) => setTransformValue(property, axis, value, target)}
+        />
+      ))}
+    </div>
+  );
+
   // ====== SKETCHING FUNCTIONS (from working file) ======
   const clearSketch = () => {
     setSketchPoints([]);
+    setSketch(createSketch());
+    setSketchSelection([]);
+    setSketchHistory({ past: [], future: [] });
+    setCurveDraft(null);
     updateSketchLine([]);
     
     if (currentPreviewRef.current) {
@@ -709,20 +1801,26 @@ export default function App() {
     }
   };
 
+  // Sketch coordinates of the polygon being drawn, without the repeats a
+  // double-click or a click back on the first point leaves behind
+  const getPolygonCoords = (points) => {
+    const coords = points
+      .map(point => toSketchCoords(sketchPlane, point))
+      .filter((point, i, all) => i === 0 || point.distanceTo(all[i - 1]) > 1e-9)
+      .map(point => [point.x, point.y]);
+    return coords.length > 1 ? openProfile(coords) : coords;
+  };
+
   const finishPolygon = () => {
-    if (sketchPoints.length < 3) {
+    const coords = getPolygonCoords(sketchPoints);
+    if (coords.length < 3) {
       alert("Need at least 3 points to create a polygon");
       return;
     }
-    
-    const first = sketchPoints[0];
-    const last = sketchPoints[sketchPoints.length - 1];
-    
-    if (first.distanceTo(last) > 0.1) {
-      const closed = [...sketchPoints, first.clone()];
-      setSketchPoints(closed);
-      updateSketchLine(closed);
-    }
+
+    updateSketch(addPolyline(sketch, coords, { closed: true }));
+    setSketchPoints([]);
+    updateSketchLine([]);
   };
 
   const startRectangle = (startEvent) => {
@@ -747,32 +1845,32 @@ export default function App() {
     });
     
     const preview = new THREE.Mesh(previewGeom, previewMat);
-    preview.rotation.x = -Math.PI / 2;
-    preview.position.y = 0.05;
+    preview.quaternion.copy(getPlaneQuaternion(sketchPlane));
     sceneRef.current.add(preview);
     currentPreviewRef.current = preview;
 
+    const start = toSketchCoords(sketchPlane, startPoint);
+    const rectangleCorners = (end) => {
+      const corner = toSketchCoords(sketchPlane, end);
+      return [
+        [start.x, start.y], [corner.x, start.y], [corner.x, corner.y], [start.x, corner.y], [start.x, start.y]
+      ].map(([u, v]) => fromSketchCoords(sketchPlane, u, v));
+    };
+
     const onMove = (moveEvent) => {
       const p = pointerToPlane(moveEvent);
       if (!p) return;
       
       lastPointerPointRef.current = p.clone();
-      const width = Math.abs(p.x - startPoint.x);
-      const height = Math.abs(p.z - startPoint.z);
-      const centerX = (p.x + startPoint.x) / 2;
-      const centerZ = (p.z + startPoint.z) / 2;
+      const end = toSketchCoords(sketchPlane, p);
+      const width = Math.abs(end.x - start.x);
+      const height = Math.abs(end.y - start.y);
 
       preview.scale.set(Math.max(width, 0.001), Math.max(height, 0.001), 1);
-      preview.position.set(centerX, 0.05, centerZ);
-
-      const previewPoints = [
-        new THREE.Vector3(startPoint.x, 0, startPoint.z),
-        new THREE.Vector3(p.x, 0, startPoint.z),
-        new THREE.Vector3(p.x, 0, p.z),
-        new THREE.Vector3(startPoint.x, 0, p.z),
-        new THREE.Vector3(startPoint.x, 0, startPoint.z)
-      ];
-      updateSketchLine(previewPoints);
+      preview.position.copy(fromSketchCoords(sketchPlane, (end.x + start.x) / 2, (end.y + start.y) / 2))
+        .addScaledVector(sketchPlane.normal, 0.05);
+
+      updateSketchLine(rectangleCorners(p));
     };
 
     const onUp = () => {
@@ -788,16 +1886,13 @@ export default function App() {
         currentPreviewRef.current = null;
       }
 
-      const points = [
-        new THREE.Vector3(startPoint.x, 0, startPoint.z),
-        new THREE.Vector3(endPoint.x, 0, startPoint.z),
-        new THREE.Vector3(endPoint.x, 0, endPoint.z),
-        new THREE.Vector3(startPoint.x, 0, endPoint.z),
-        new THREE.Vector3(startPoint.x, 0, startPoint.z)
-      ];
-      
-      setSketchPoints(points);
-      updateSketchLine(points);
+      updateSketchLine([]);
+      const end = toSketchCoords(sketchPlane, endPoint);
+      if (Math.abs(end.x - start.x) < 1e-9 || Math.abs(end.y - start.y) < 1e-9) return;
+
+      // Edges start out horizontal/vertical; delete those constraints to skew it
+      const corners = [[start.x, start.y], [end.x, start.y], [end.x, end.y], [start.x, end.y]];
+      updateSketch(addPolyline(sketch, corners, { closed: true, axisAligned: true }));
     };
 
     window.addEventListener("pointermove", onMove);
@@ -825,21 +1920,23 @@ export default function App() {
     sceneRef.current.add(preview);
     currentPreviewRef.current = preview;
 
+    const center2D = toSketchCoords(sketchPlane, center);
+    const circlePoints = (radius) => Array.from({ length: circleSegments + 1 }, (_, i) => {
+      const angle = (i / circleSegments) * Math.PI * 2;
+      return fromSketchCoords(
+        sketchPlane,
+        center2D.x + Math.cos(angle) * radius,
+        center2D.y + Math.sin(angle) * radius
+      );
+    });
+
     const onMove = (moveEvent) => {
       const p = pointerToPlane(moveEvent);
       if (!p) return;
       
       lastPointerPointRef.current = p.clone();
-      const radius = center.distanceTo(p);
-      
-      const pts = Array.from({ length: circleSegments + 1 }, (_, i) => {
-        const angle = (i / circleSegments) * Math.PI * 2;
-        return new THREE.Vector3(
-          center.x + Math.cos(angle) * radius,
-          0.01,
-          center.z + Math.sin(angle) * radius
-        );
-      });
+      const pts = circlePoints(center.distanceTo(p))
+        .map(point => point.addScaledVector(sketchPlane.normal, 0.01));
       
       preview.geometry.dispose();
       preview.geometry = new THREE.BufferGeometry().setFromPoints(pts);
@@ -854,23 +1951,16 @@ export default function App() {
       const p = lastPointerPointRef.current || center;
       const radius = center.distanceTo(p);
 
-      const pts = Array.from({ length: circleSegments + 1 }, (_, i) => {
-        const angle = (i / circleSegments) * Math.PI * 2;
-        return new THREE.Vector3(
-          center.x + Math.cos(angle) * radius,
-          0,
-          center.z + Math.sin(angle) * radius
-        );
-      });
-
       if (currentPreviewRef.current) {
         sceneRef.current.remove(currentPreviewRef.current);
         currentPreviewRef.current.geometry?.dispose();
         currentPreviewRef.current = null;
       }
 
-      setSketchPoints(pts);
-      updateSketchLine(pts);
+      updateSketchLine([]);
+      if (radius > 0) {
+        updateSketch(addCircle(sketch, [center2D.x, center2D.y], radius));
+      }
     };
 
     window.addEventListener("pointermove", onMove);
@@ -888,178 +1978,1321 @@ export default function App() {
     });
   };
 
-  const updateSketchLine = (pointsArray) => {
-    if (!sketchLineRef.current) return;
-    
-    const pts = pointsArray.map(p => new THREE.Vector3(p.x, 0.01, p.z));
-    const geom = new THREE.BufferGeometry().setFromPoints(pts);
-    
-    sketchLineRef.current.geometry.dispose();
-    sketchLineRef.current.geometry = geom;
+  // ====== CURVE TOOLS ======
+  // Arcs, tangent arcs, slots and splines are drawn click by click. The
+  // draft keeps the clicks in sketch coordinates; the pointer stands in for
+  // the next click in the preview.
+  const CURVE_TOOLS = ["sketch-arc", "sketch-tangent-arc", "sketch-slot", "sketch-spline"];
+  const MAX_POLYGON_SIDES = 64;
+  const CURVE_TOOL_HINTS = {
+    "sketch-arc": "• Click the start, the end, then a point on the arc",
+    "sketch-tangent-arc": "• Click the free end of a line or arc, then where the arc ends",
+    "sketch-spline": "• Click to add points • Double-click to finish • End on the first point to close it",
+    "sketch-slot": "• Click both centres, then the half width",
+    "sketch-ngon": "• Drag from the centre to a corner"
   };
 
-  const extrudeSketch = () => {
-    if (!sceneRef.current || sketchPoints.length < 3) {
-      alert("Need at least 3 points to extrude");
-      return;
+  const pointerToSketch = (event) => {
+    const p = pointerToPlane(event);
+    if (!p) return null;
+    const coords = toSketchCoords(sketchPlane, p);
+    return [coords.x, coords.y];
+  };
+
+  const distanceToLine = ([px, py], [ax, ay], [bx, by]) =>
+    Math.abs((bx - ax) * (py - ay) - (by - ay) * (px - ax)) / Math.hypot(bx - ax, by - ay);
+
+  // The sketch with the drafted curve added, once there are enough clicks
+  const buildCurve = (base, clicks, anchor) => {
+    switch (mode) {
+      case "sketch-arc":
+        // Start, end, then a point the arc passes through
+        return clicks.length === 3 ? addArcThroughPoints(base, clicks[0], clicks[2], clicks[1]) : null;
+      case "sketch-tangent-arc":
+        return clicks.length === 1 ? addTangentArc(base, anchor.entityId, anchor.pointId, clicks[0]) : null;
+      case "sketch-slot":
+        // Both centres, then a point at the slot's half width
+        return clicks.length === 3 ? addSlot(base, clicks[0], clicks[1], distanceToLine(clicks[2], clicks[0], clicks[1])) : null;
+      default:
+        return clicks.length >= 2 ? addSpline(base, clicks) : null;
     }
+  };
+
+  const previewCurveDraft = (event) => {
+    const pointer = pointerToSketch(event);
+    if (!pointer) return;
+    const clicks = [...curveDraft.clicks, pointer];
 
+    // Too few clicks (or an impossible curve) previews the clicks themselves
+    let outline = clicks;
     try {
-      const shape = new THREE.Shape();
-      shape.moveTo(sketchPoints[0].x, sketchPoints[0].z);
-      
-      for (let i = 1; i < sketchPoints.length; i++) {
-        shape.lineTo(sketchPoints[i].x, sketchPoints[i].z);
+      const preview = buildCurve(sketch, clicks, curveDraft.anchor);
+      if (preview) {
+        const index = indexSketch(preview);
+        outline = preview.entities.slice(sketch.entities.length).flatMap(entity => tessellateEntity(index, entity));
       }
+    } catch (error) {
+      // Keep the straight preview until the pointer moves somewhere valid
+    }
+    if (curveDraft.anchor) {
+      const start = sketch.points.find(point => point.id === curveDraft.anchor.pointId);
+      if (outline === clicks) outline = [[start.x, start.y], ...clicks];
+    }
+    updateSketchLine(outline.map(([u, v]) => fromSketchCoords(sketchPlane, u, v)));
+  };
+
+  const cancelCurveDraft = () => {
+    setCurveDraft(null);
+    updateSketchLine(sketchPoints);
+  };
+
+  // The free end of a line or arc under the pointer, for tangent arcs
+  const pickOpenEnd = (event) => {
+    const picked = pickSketchAt(event);
+    const pointId = picked?.id;
+    if (!sketch.points.some(point => point.id === pointId)) return null;
+    const users = sketch.entities.filter(entity =>
+      (entity.type === "line" && (entity.p1 === pointId || entity.p2 === pointId)) ||
+      (entity.type === "arc" && (entity.start === pointId || entity.end === pointId)));
+    return users.length === 1 ? { entityId: users[0].id, pointId } : null;
+  };
 
-      const first = sketchPoints[0];
-      const last = sketchPoints[sketchPoints.length - 1];
-      if (first.distanceTo(last) > 0.1) {
-        shape.lineTo(first.x, first.z);
+  const handleCurveClick = (event) => {
+    if (mode === "sketch-tangent-arc" && !curveDraft) {
+      const anchor = pickOpenEnd(event);
+      if (!anchor) {
+        alert("Start a tangent arc on the free end of a line or arc");
+        return;
       }
+      setCurveDraft({ clicks: [], anchor });
+      return;
+    }
 
-      const extrudeSettings = { 
-        depth: extrusionHeight, 
-        bevelEnabled: false, 
-        steps: 1 
-      };
-      
-      const geometry = new THREE.ExtrudeGeometry(shape, extrudeSettings);
-      geometry.rotateX(-Math.PI / 2);
+    const pointer = pointerToSketch(event);
+    if (!pointer) return;
+    const clicks = [...(curveDraft?.clicks || []), pointer];
+    if (mode === "sketch-spline") {
+      setCurveDraft({ clicks });
+      return;
+    }
 
-      const container = createMeshWithEdges(geometry);
-      container.userData.type = "extruded";
+    let next;
+    try {
+      next = buildCurve(sketch, clicks, curveDraft?.anchor);
+    } catch (error) {
+      alert(error.message);
+      cancelCurveDraft();
+      return;
+    }
+    if (next) {
+      updateSketch(next);
+      cancelCurveDraft();
+    } else {
+      setCurveDraft({ ...curveDraft, clicks });
+    }
+  };
 
-      const center = new THREE.Vector3();
-      sketchPoints.forEach(point => center.add(point));
-      center.divideScalar(sketchPoints.length);
-      container.position.copy(center);
-      container.position.y = extrusionHeight / 2;
+  // A double-click also lands as clicks, so repeats are dropped. Ending on
+  // the first point closes the spline.
+  const finishSpline = () => {
+    const coords = (curveDraft?.clicks || [])
+      .filter((point, i, all) => i === 0 || Math.hypot(point[0] - all[i - 1][0], point[1] - all[i - 1][1]) > 1e-9);
+    const [fx, fy] = coords[0] || [];
+    const closed = coords.length > 3 && Math.hypot(coords[coords.length - 1][0] - fx, coords[coords.length - 1][1] - fy) < 1e-9;
+    if (coords.length < 2) {
+      alert("Need at least 2 points to create a spline");
+      return;
+    }
 
-      sceneRef.current.add(container);
-      objectsRef.current.push(container);
+    updateSketch(addSpline(sketch, closed ? coords.slice(0, -1) : coords, { closed }));
+    cancelCurveDraft();
+  };
 
-      setSelectedEntity(container);
-      clearAllHighlights();
-      highlightEntity(container);
+  const startRegularPolygon = (startEvent) => {
+    const center = pointerToSketch(startEvent);
+    if (!center) return;
+    let corner = center;
+
+    const onMove = (moveEvent) => {
+      const p = pointerToSketch(moveEvent);
+      if (!p || Math.hypot(p[0] - center[0], p[1] - center[1]) < 1e-9) return;
+      corner = p;
+      const preview = addRegularPolygon(createSketch(), center, corner, polygonSides);
+      const [first] = preview.points;
+      updateSketchLine([...preview.points, first].map(point => fromSketchCoords(sketchPlane, point.x, point.y)));
+    };
+
+    const onUp = () => {
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      updateSketchLine([]);
+      if (corner !== center) {
+        updateSketch(addRegularPolygon(sketch, center, corner, polygonSides));
+      }
+    };
+
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+  };
+
+  const setSides = (value) => {
+    if (!Number.isInteger(value) || value < 3 || value > MAX_POLYGON_SIDES) {
+      throw new Error(`Must be a whole number from 3 to ${MAX_POLYGON_SIDES}`);
+    }
+    setPolygonSides(value);
+  };
+
+  const changeMode = (modeName) => {
+    if (curveDraft) cancelCurveDraft();
+    if (!modeName.startsWith("sketch")) setEditingSketch(null);
+    setMode(modeName);
+  };
+
+  // ====== SKETCH HISTORY ======
+  // Sketch edits have their own undo stack while sketching; undo first
+  // drops an unfinished curve, then points of a polygon still being drawn.
+  const SKETCH_HISTORY_LIMIT = 100;
+
+  const updateSketch = (next, previous = sketch) => {
+    setSketchHistory(history => ({
+      past: [...history.past, previous].slice(-SKETCH_HISTORY_LIMIT),
+      future: []
+    }));
+    setSketch(next);
+  };
+
+  const removeLastPolygonPoint = () => {
+    const remaining = sketchPoints.slice(0, -1);
+    setSketchPoints(remaining);
+    updateSketchLine(remaining);
+  };
+
+  const undoSketch = () => {
+    if (curveDraft) {
+      cancelCurveDraft();
+      return;
+    }
+    if (sketchPoints.length > 0) {
+      removeLastPolygonPoint();
+      return;
+    }
+    const { past, future } = sketchHistory;
+    if (past.length === 0) return;
+    setSketchHistory({ past: past.slice(0, -1), future: [sketch, ...future] });
+    setSketch(past[past.length - 1]);
+    setSketchSelection([]);
+  };
+
+  const redoSketch = () => {
+    const { past, future } = sketchHistory;
+    if (future.length === 0) return;
+    setSketchHistory({ past: [...past, sketch], future: future.slice(1) });
+    setSketch(future[0]);
+    setSketchSelection([]);
+  };
+
+  // ====== SKETCH EDITING ======
+  // Sketch Edit picks points and curves (Shift adds to the selection) for
+  // constraints, drags vertices, inserts a vertex where a line is
+  // double-clicked, and deletes the selection with Delete.
+  const pickSketchAt = (event) => {
+    const hit = pointerToPlane(event, { snap: false });
+    if (!hit) return null;
+
+    const coords = toSketchCoords(sketchPlane, hit);
+    const tolerance = hit.distanceTo(cameraRef.current.position) * EDGE_PICK_TOLERANCE;
+    return { id: pickSketchItem(sketch, [coords.x, coords.y], tolerance), coords };
+  };
+
+  const startSketchEdit = (event) => {
+    const picked = pickSketchAt(event);
+    const id = picked ? picked.id : null;
+    if (event.shiftKey) {
+      if (id !== null) {
+        setSketchSelection(prev => prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]);
+      }
+      return;
+    }
+
+    setSketchSelection(id === null ? [] : [id]);
+    if (id === null || !sketch.points.some(point => point.id === id)) return;
+
+    // Each step re-solves the starting sketch with the vertex pinned to the
+    // snapped pointer; positions the constraints can't reach are skipped
+    const before = sketch;
+    let current = before;
+    let last = null;
+
+    const onMove = (moveEvent) => {
+      const p = pointerToPlane(moveEvent);
+      if (!p) return;
+      const coords = toSketchCoords(sketchPlane, p);
+      if (last && coords.distanceTo(last) < 1e-9) return;
+      last = coords;
+
+      const target = [coords.x, coords.y];
+      const pinned = addConstraint(moveSketchPoint(before, id, target), { type: "fixed", refs: [id], value: target });
+      const { sketch: solved, converged } = solveSketch(pinned);
+      if (!converged) return;
+      current = { ...solved, constraints: before.constraints, nextId: before.nextId };
+      setSketch(current);
+    };
+
+    const onUp = () => {
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      if (current !== before) updateSketch(current, before);
+    };
+
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+  };
+
+  const insertSketchVertex = (event) => {
+    const picked = pickSketchAt(event);
+    const line = picked && sketch.entities.find(entity => entity.id === picked.id && entity.type === "line");
+    if (!line) return;
+
+    // On the line itself, so nothing else moves
+    const [a, b] = [line.p1, line.p2].map(id => sketch.points.find(point => point.id === id));
+    const segment = new THREE.Line3(new THREE.Vector3(a.x, a.y, 0), new THREE.Vector3(b.x, b.y, 0));
+    const onLine = segment.closestPointToPoint(new THREE.Vector3(picked.coords.x, picked.coords.y, 0), true, new THREE.Vector3());
+    const { sketch: next, pointId } = insertPointOnLine(sketch, line.id, [onLine.x, onLine.y]);
+    updateSketch(next);
+    setSketchSelection([pointId]);
+  };
+
+  const deleteSketchSelection = () => {
+    if (sketchSelection.length === 0) {
+      if (sketchPoints.length > 0) removeLastPolygonPoint();
+      return;
+    }
+    updateSketch(deleteSketchItems(sketch, sketchSelection));
+    setSketchSelection([]);
+  };
+
+  // ====== SKETCH CONSTRAINTS ======
+  // Edits that the solver can't satisfy are rejected with `failure`
+  const commitSketch = (next, failure) => {
+    const { sketch: solved, converged } = solveSketch(next);
+    if (!converged) throw new Error(failure);
+    updateSketch(solved);
+  };
+
+  const applyConstraint = (type) => {
+    try {
+      const next = buildConstraints(sketch, type, sketchSelection).reduce(addConstraint, sketch);
+      commitSketch(next, `${CONSTRAINT_TYPES[type].label} conflicts with the existing constraints`);
+      setSketchSelection([]);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  // Thrown errors are shown by the dimension's field
+  const editSketchDimension = (constraint, value) => {
+    if (CONSTRAINT_TYPES[constraint.type].dimension === "length" && value <= 0) {
+      throw new Error("Must be greater than 0");
+    }
+    commitSketch(setConstraintValue(sketch, constraint.id, value), "The sketch can't reach that value");
+  };
+
+  const deleteConstraint = (id) => updateSketch(removeConstraint(sketch, id));
+
+  const updateSketchLine = (pointsArray) => {
+    if (!sketchLineRef.current) return;
+    
+    // Lifted off the plane so it isn't hidden by the surface it's drawn on
+    const pts = pointsArray.map(p => p.clone().addScaledVector(sketchPlane.normal, 0.01));
+    const geom = new THREE.BufferGeometry().setFromPoints(pts);
+    
+    sketchLineRef.current.geometry.dispose();
+    sketchLineRef.current.geometry = geom;
+  };
+
+  // Closed loops of the sketch, plus the polygon still being drawn
+  const getExtrudableLoops = () => {
+    const pending = getPolygonCoords(sketchPoints);
+    return pending.length >= 3 ? [...sketchLoops, { entities: [], points: pending, profile: pending }] : sketchLoops;
+  };
+
+  // Profile params of a region ({ profile, curves?, holes? }) with every
+  // point mapped by `move`
+  const getRegionParams = ({ outer, holes }, move) => {
+    const toParams = (loop) => transformProfile(loop.profile, loop.curves?.some(Boolean) ? loop.curves : undefined, move);
+    return { ...toParams(outer), ...(holes.length > 0 && { holes: holes.map(toParams) }) };
+  };
+
+  // The sketch with the polygon still being drawn added to it
+  const getSketchModel = () => {
+    const pending = getPolygonCoords(sketchPoints);
+    return pending.length >= 3 ? addPolyline(sketch, pending, { closed: true }) : sketch;
+  };
+
+  // Extrusions and revolves keep the sketch they were made from (see
+  // featureTree.js); `source` is shared by every region's shape
+  const withSketchSource = (params, source, index, center) => ({
+    ...params,
+    sketch: { ...source, region: index, center: [center.x, center.y] }
+  });
+
+  const takeSketchSource = () => ({ seq: takeFeatureSeq(), model: getSketchModel() });
+
+  // Profile params of a region, relative to the centroid of its outer loop
+  const getRegionProfile = (region) => {
+    const center = region.outer.points.reduce((sum, [u, v]) => sum.add(new THREE.Vector2(u, v)), new THREE.Vector2())
+      .divideScalar(region.outer.points.length);
+    return { center, profile: getRegionParams(region, ([u, v]) => [u - center.x, v - center.y]) };
+  };
+
+  // Regions of the sketch (an outer loop with the loops nested in it as
+  // holes), or null once the user has been told what's wrong
+  const resolveSketchRegions = (action) => {
+    const loops = getExtrudableLoops();
+    if (!sceneRef.current || loops.length === 0) {
+      alert(`The sketch has no closed profile to ${action}`);
+      return null;
+    }
+
+    try {
+      return getSketchRegions(sketch, loops);
+    } catch (error) {
+      setSketchSelection(error.entities || []);
+      alert(error.message);
+      return null;
+    }
+  };
+
+  // Feature containers sit on the sketch plane, oriented so the profile's
+  // height runs along the plane normal (see getExtrusionQuaternion)
+  const createFeatureContainer = (type, params, plane, [u, v]) => {
+    const container = stampFeature(createMeshWithEdges(createGeometry(type, params)));
+    container.userData.type = type;
+    container.userData.params = params;
+    container.position.copy(fromSketchCoords(plane, u, v));
+    container.quaternion.copy(getExtrusionQuaternion(plane));
+    return container;
+  };
+
+  // Adds what `build` returns as one undo step and clears the sketch.
+  // Returns whether it worked.
+  const addFeatures = (label, build) => {
+    try {
+      const containers = build();
+      const command = createAddCommand(sceneDoc, containers, { label });
+      command.redo();
+      pushCommand(command);
+
+      const container = containers[containers.length - 1];
+      setSelectedEntity(container);
+      clearAllHighlights();
+      highlightEntity(container);
+      clearSketch();
+      return true;
+    } catch (error) {
+      console.error(`${label} failed:`, error);
+      alert(`${label} failed: ${error.message}`);
+      return false;
+    }
+  };
+
+  const EXTRUDE_DIRECTIONS = {
+    "one-side": "One Side",
+    symmetric: "Symmetric",
+    "two-sided": "Two Sides"
+  };
+
+  const setExtrudeOption = (key, value) => setExtrudeOptions(options => ({ ...options, [key]: value }));
+
+  const getExtrudeParams = (profile) => {
+    const { direction, reverse, depth2, taper, bevelSize, bevelSegments, cut } = extrudeOptions;
+    return {
+      ...profile,
+      depth: extrusionHeight,
+      ...(direction !== "one-side" && { direction }),
+      // Cuts go into the face they're sketched on unless reversed
+      ...(direction === "one-side" && reverse !== cut && { reverse: true }),
+      ...(direction === "two-sided" && { depth2 }),
+      ...(taper !== 0 && { taper }),
+      bevelEnabled: bevelSize > 0,
+      ...(bevelSize > 0 && { bevelSize, bevelSegments }),
+      steps: 1
+    };
+  };
+
+  // Every region becomes one extruded object, or one tool for a cut
+  const extrudeSketch = () => {
+    const regions = resolveSketchRegions("extrude");
+    if (!regions) return;
+
+    const build = () => {
+      const source = takeSketchSource();
+      return regions.map((region, i) => {
+        const { center, profile } = getRegionProfile(region);
+        const params = withSketchSource(getExtrudeParams(profile), source, i, center);
+        return createFeatureContainer("extruded", params, sketchPlane, [center.x, center.y]);
+      });
+    };
+    if (extrudeOptions.cut) {
+      cutWithTools(build);
+    } else {
+      addFeatures("Extrude", build);
+    }
+  };
+
+  // Subtracts the tools `build` makes from the solid the sketch starts on:
+  // the body of the face it was drawn on, or else every shape the tools
+  // overlap. Each cut shape becomes a subtract boolean in its place, so
+  // Split gets the original back.
+  const cutWithTools = (build) => {
+    let tools = [];
+    try {
+      tools = build();
+      const toolBox = tools.reduce((box, tool) => box.expandByObject(tool), new THREE.Box3());
+      // A face body that has since been replaced or deleted has no parent
+      const targets = sketchPlaneSource === "face" && faceSketchBody?.parent
+        ? [faceSketchBody]
+        : objectsRef.current.filter(obj => obj.userData.isMainObject && obj.visible && !isReferenceBody(obj) &&
+          new THREE.Box3().setFromObject(obj).intersectsBox(toolBox));
+      if (targets.length === 0) throw new Error("There is no solid under the sketch to cut");
+      if (targets.some(isReferenceBody)) throw new Error("Reference bodies can't be cut; unlock the body first");
+      if (targets.some(target => !objectsRef.current.includes(target))) {
+        throw new Error("Only top-level shapes can be cut; ungroup the body first");
+      }
+
+      const results = targets.map(target => {
+        target.updateMatrixWorld();
+        const params = createBooleanParams("subtract", [target, ...tools], target.matrixWorld);
+        const geometry = createGeometry("boolean", params);
+        if (geometry.attributes.position.count === 0) {
+          geometry.dispose();
+          throw new Error("The cut removes the whole solid");
+        }
+        const container = stampFeature(createMeshWithEdges(geometry, target.userData.originalColor));
+        container.userData.type = "boolean";
+        container.userData.params = params;
+        target.matrixWorld.decompose(container.position, container.quaternion, container.scale);
+        return container;
+      });
+
+      const command = createReplaceCommand(sceneDoc, targets, results, { label: "Cut" });
+      command.redo();
+      pushCommand(command);
+
+      const container = results[results.length - 1];
+      setSelectedEntity(container);
+      setSelectedEntities([]);
+      clearAllHighlights();
+      highlightEntity(container);
       clearSketch();
-      saveHistory();
+    } catch (error) {
+      console.error("Cut failed:", error);
+      alert(`Cut failed: ${error.message}`);
+    } finally {
+      // The tools only live on as operands in the results' params
+      tools.forEach(tool => tool.traverse(obj => {
+        obj.geometry?.dispose();
+        obj.material?.dispose();
+      }));
+    }
+  };
+
+  // ====== REVOLVE, SWEEP & LOFT ======
+  const REVOLVE_AXES = {
+    u: { label: "U Axis", title: "The sketch plane's horizontal axis" },
+    v: { label: "V Axis", title: "The sketch plane's vertical axis" },
+    line: { label: "Line", title: "The sketch line selected in Sketch Edit mode" }
+  };
+
+  // Two points on the revolve axis, in sketch coordinates
+  const getRevolveAxis = () => {
+    if (revolveAxis === "u") return [[0, 0], [1, 0]];
+    if (revolveAxis === "v") return [[0, 0], [0, 1]];
+    const line = sketch.entities.find(entity => entity.type === "line" && sketchSelection.includes(entity.id));
+    if (!line) throw new Error("Select the sketch line to revolve about in Sketch Edit mode");
+    const index = indexSketch(sketch);
+    return [line.p1, line.p2].map(id => [index.points.get(id).x, index.points.get(id).y]);
+  };
+
+  const revolveSketch = () => {
+    const regions = resolveSketchRegions("revolve");
+    if (!regions) return;
+
+    addFeatures("Revolve", () => {
+      const axis = getRevolveAxis();
+      const source = takeSketchSource();
+      return regions.map((region, i) => {
+        const { center, profile } = getRegionProfile(region);
+        const params = withSketchSource({
+          ...profile,
+          axis: axis.map(([u, v]) => [u - center.x, v - center.y]),
+          angle: revolveAngle
+        }, source, i, center);
+        return createFeatureContainer("revolved", params, sketchPlane, [center.x, center.y]);
+      });
+    });
+  };
+
+  // The profile stands up at the start of the path: what lies to the right
+  // of the path stays across it and what lies ahead becomes height
+  const sweepSketch = () => {
+    if (sketchPaths.length !== 1) {
+      alert(sketchPaths.length === 0
+        ? "Draw an open path (lines, arcs or a spline) for the profile to follow"
+        : "The sketch has more than one open path");
+      return;
+    }
+    const regions = resolveSketchRegions("sweep");
+    if (!regions) return;
+
+    const [{ points }] = sketchPaths;
+    const [u0, v0] = points[0];
+    const ahead = new THREE.Vector2(points[1][0] - u0, points[1][1] - v0).normalize();
+    const toProfile = ([u, v]) => [(u - u0) * ahead.y - (v - v0) * ahead.x, (u - u0) * ahead.x + (v - v0) * ahead.y];
+
+    addFeatures("Sweep", () => regions.map(region => {
+      const params = {
+        ...getRegionParams(region, toProfile),
+        path: points.map(([u, v]) => [u - u0, v - v0]),
+        twist: sweepTwist
+      };
+      return createFeatureContainer("swept", params, sketchPlane, [u0, v0]);
+    }));
+  };
+
+  // Takes the sketch's one profile as the next loft section and clears the
+  // sketch for the next one, usually at another offset
+  const addLoftSection = () => {
+    const regions = resolveSketchRegions("loft");
+    if (!regions) return;
+    if (regions.length !== 1 || regions[0].holes.length > 0) {
+      alert("A loft section must be a single profile without holes");
+      return;
+    }
+    if (loftSections.length > 0 && Math.abs(loftSections[0].plane.normal.dot(sketchPlane.normal)) < 0.9999) {
+      alert("Loft sections must be on parallel planes");
+      return;
+    }
+    setLoftSections([...loftSections, { plane: sketchPlane, points: regions[0].outer.points }]);
+    clearSketch();
+  };
+
+  // Sections are measured in the first one's plane, from the centroid of
+  // its profile
+  const loftSketch = () => {
+    if (loftSections.length < 2) {
+      alert("Add at least two sections to loft between");
+      return;
+    }
+
+    const added = addFeatures("Loft", () => {
+      const [{ plane }] = loftSections;
+      const outlines = loftSections.map(section =>
+        section.points.map(([u, v]) => fromSketchCoords(section.plane, u, v)));
+      const center = toSketchCoords(plane, outlines[0]
+        .reduce((sum, point) => sum.add(point), new THREE.Vector3())
+        .divideScalar(outlines[0].length));
+      const sections = outlines.map(outline => ({
+        profile: outline.map(point => {
+          const { x, y } = toSketchCoords(plane, point);
+          return [x - center.x, y - center.y];
+        }),
+        height: outline[0].clone().sub(plane.origin).dot(plane.normal)
+      }));
+      return [createFeatureContainer("lofted", { sections }, plane, [center.x, center.y])];
+    });
+    if (added) setLoftSections([]);
+  };
+
+  const SKETCH_FEATURES = {
+    extrude: { label: extrudeOptions.cut ? "Cut" : "Extrude", run: extrudeSketch, enabled: () => canExtrude },
+    revolve: { label: "Revolve", run: revolveSketch, enabled: () => canExtrude },
+    sweep: { label: "Sweep", run: sweepSketch, enabled: () => canExtrude && sketchPaths.length === 1 },
+    loft: { label: "Loft", run: loftSketch, enabled: () => loftSections.length >= 2 }
+  };
+
+  // ====== FEATURE TREE ======
+  // Every shape that isn't an operand tops a feature tree (see
+  // featureTree.js). Tree edits work on the shapes' serialized nodes and go
+  // back onto the shapes as one undo step.
+
+  // Seqs only grow, so a shape brought back by undo never shares one with a
+  // newer feature
+  const takeFeatureSeq = () => {
+    featureSeqRef.current = Math.max(featureSeqRef.current, getNextFeatureSeq(serializeScene(objectsRef.current)));
+    return featureSeqRef.current++;
+  };
+
+  const stampFeature = (container) => {
+    container.userData.feature = { seq: takeFeatureSeq() };
+    return container;
+  };
+
+  const getFeatureRoots = () => objectsRef.current.flatMap(getShapeContainers);
+
+  // A failed edit (a parameter the geometry can't take) is rolled back and
+  // rethrown, so a NumericField can show it
+  const editFeatures = (label, edit) => {
+    const containers = getFeatureRoots();
+    const nodes = containers.map(container => serializeObject(container));
+    const edited = edit(nodes);
+    const changedIndices = nodes.map((node, i) => i).filter(i => edited[i] !== nodes[i]);
+    if (changedIndices.length === 0) return;
+
+    const toState = (node) => ({ params: node.params, feature: node.userData.feature });
+    const changed = changedIndices.map(i => containers[i]);
+    const before = changedIndices.map(i => toState(nodes[i]));
+    const after = changedIndices.map(i => toState(edited[i]));
+    try {
+      changed.forEach((container, i) => setContainerFeature(container, after[i]));
+    } catch (error) {
+      changed.forEach((container, i) => setContainerFeature(container, before[i]));
+      throw error;
+    }
+    pushCommand(createFeatureCommand(changed, before, after, { label, selected: selectedEntity }));
+    if (selectedEntity) highlightEntity(selectedEntity);
+  };
+
+  // The shape holding a row's feature, with the feature's node and placement
+  // inside it
+  const findFeature = (row) => {
+    if (row.kind === "transform") {
+      const container = getFeatureRoots().find(root => root.userData.id === row.nodeId);
+      return container && { container, node: serializeObject(container), matrix: new THREE.Matrix4() };
+    }
+    for (const container of getFeatureRoots()) {
+      const found = findFeatureNode(serializeObject(container), row.seq);
+      if (found) return { container, ...found };
+    }
+    return null;
+  };
+
+  const selectFeature = (row) => {
+    const feature = findFeature(row);
+    if (!feature) return;
+    const entity = findTopLevelObject(feature.container);
+    setSelectedEntity(entity);
+    setSelectedEntities([]);
+    setSelectedSubObject(null);
+    highlightEntity(entity);
+  };
+
+  const openFeature = (row) => {
+    selectFeature(row);
+    setEditingFeature(row.key);
+  };
+
+  // Buttons have no field to show an error in
+  const runFeatureEdit = (label, action) => {
+    try {
+      action();
+    } catch (error) {
+      console.error(`${label} failed:`, error);
+      alert(`${label} failed: ${error.message}`);
+    }
+  };
+
+  const toggleSuppressed = (row) => {
+    const label = `${row.suppressed ? "Unsuppress" : "Suppress"} ${row.label}`;
+    runFeatureEdit(label, () => editFeatures(label, nodes => setFeatureSuppressed(nodes, row.seq, !row.suppressed)));
+  };
+
+  const moveFeature = (row, other) => {
+    const label = `Reorder ${row.label}`;
+    runFeatureEdit(label, () => editFeatures(label, nodes => swapFeatures(nodes, row.seq, other.seq)));
+  };
+
+  // Every node of the feature gets `change(params)`
+  const setFeatureParams = (row, change) => editFeatures(
+    `Edit ${row.label}`,
+    nodes => updateFeature(nodes, row.seq, node => ({ ...node, params: change(node.params) }))
+  );
+
+  // Extrude settings keep the shape getExtrudeParams gives them: defaults
+  // are left out
+  const setExtrudeParams = (row, changes) => setFeatureParams(row, params => {
+    const next = { ...params, ...changes };
+    if (next.direction === "one-side") delete next.direction;
+    if (next.direction !== "two-sided") delete next.depth2;
+    else if (next.depth2 === undefined) next.depth2 = next.depth;
+    if (next.direction || !next.reverse) delete next.reverse;
+    if (!next.taper) delete next.taper;
+    if (changes.bevelSize === 0) {
+      delete next.bevelSize;
+      delete next.bevelSegments;
+      next.bevelEnabled = false;
+    } else if (changes.bevelSize) {
+      next.bevelEnabled = true;
+      next.bevelSegments = next.bevelSegments ?? 1;
+    }
+    return next;
+  });
+
+  // Reopens a sketch on the plane it sits on now, since the shape made from
+  // it may have moved; Update rebuilds every shape made from it
+  const editFeatureSketch = (row) => {
+    const feature = findFeature(row);
+    if (!feature) return;
+    const { container, node, matrix } = feature;
+    container.updateMatrixWorld();
+    const frame = container.matrixWorld.clone().multiply(matrix);
+    if (new THREE.Vector3().setFromMatrixScale(frame).distanceTo(new THREE.Vector3(1, 1, 1)) > 1e-6) {
+      alert("Reset the scale of the shape made from this sketch before editing it");
+      return;
+    }
+
+    // Profiles sit at local (u, 0, -v) relative to the sketch point `center`
+    const { model, center: [cu, cv] } = node.params.sketch;
+    clearSketch();
+    setFaceSketchPlane(createSketchPlane(
+      new THREE.Vector3(-cu, 0, cv).applyMatrix4(frame),
+      new THREE.Vector3(0, 1, 0).transformDirection(frame),
+      new THREE.Vector3(1, 0, 0).transformDirection(frame)
+    ));
+    setFaceSketchBody(null);
+    setSketchPlaneSource("face");
+    setSketchPlaneOffset(0);
+    setSketch(model);
+    setEditingFeature(null);
+    changeMode("sketch-edit");
+    setEditingSketch(row.seq);
+  };
+
+  const finishSketchEdit = () => {
+    setEditingSketch(null);
+    clearSketch();
+    changeMode("select");
+  };
+
+  // Each shape takes the new outline of the region it was made from
+  const updateFeatureSketch = () => {
+    const regions = resolveSketchRegions("use");
+    if (!regions) return;
+
+    const model = getSketchModel();
+    try {
+      editFeatures(`Edit Sketch ${editingSketch}`, nodes => updateFeature(nodes, editingSketch, node => {
+        const { profile, curves, holes, ...rest } = node.params;
+        const { region, center: [cu, cv] } = rest.sketch;
+        if (!regions[region]) throw new Error("The sketch has fewer profiles than the features made from it use");
+        return {
+          ...node,
+          params: {
+            ...rest,
+            ...getRegionParams(regions[region], ([u, v]) => [u - cu, v - cv]),
+            sketch: { ...rest.sketch, model }
+          }
+        };
+      }));
+    } catch (error) {
+      console.error("Editing the sketch failed:", error);
+      alert(`Editing the sketch failed: ${error.message}`);
+      return;
+    }
+    finishSketchEdit();
+  };
+
+  const renderFeatureField = (key, label, value, onCommit, { kind = "length", digits, title } = {}) => (
+    <React.Fragment key={key}>
+      <span style={{ fontSize: '11px', color: '#ccc' }}>{label}</span>
+      <NumericField key={`${editingFeature}-${key}`} value={value} kind={kind} digits={digits} title={title} onCommit={onCommit} />
+    </React.Fragment>
+  );
+
+  const renderFeatureFields = (row, params) => {
+    const type = row.kind;
+    if (DIMENSION_FIELDS[type]) {
+      const dims = { ...DEFAULT_PARAMS[type], ...params };
+      return DIMENSION_FIELDS[type].map(([key, label]) => renderFeatureField(key, `${label} (m)`, dims[key], (value) => {
+        if (value <= 0) throw new Error("Must be greater than 0");
+        setFeatureParams(row, current => ({ ...DEFAULT_PARAMS[type], ...current, [key]: value }));
+      }));
+    }
+    if (type === "revolved") {
+      return renderFeatureField("angle", "Angle (°)", params.angle, (value) => {
+        if (value <= 0 || value > 360) throw new Error("Must be above 0° and up to 360°");
+        setFeatureParams(row, current => ({ ...current, angle: value }));
+      }, { kind: "angle", digits: 1 });
+    }
+    if (type === "swept") {
+      return renderFeatureField("twist", "Twist (°)", params.twist ?? 0, (value) => {
+        setFeatureParams(row, current => ({ ...current, twist: value }));
+      }, { kind: "angle", digits: 1 });
+    }
+    if (type === "lofted") {
+      return params.sections.map((section, i) => renderFeatureField(`height-${i}`, `Section ${i + 1} (m)`, section.height, (value) => {
+        setFeatureParams(row, current => ({
+          ...current,
+          sections: current.sections.map((other, j) => (j === i ? { ...other, height: value } : other))
+        }));
+      }, { title: "Height above the first section's plane" }));
+    }
+    if (type === "filleted") {
+      const { size } = EDGE_TREATMENTS[params.mode];
+      return [
+        renderFeatureField(size, size === "radius" ? "Radius (m)" : "Distance (m)", params[size], (value) => {
+          if (value <= 0) throw new Error("Must be greater than 0");
+          setFeatureParams(row, current => ({ ...current, [size]: value }));
+        }),
+        params.mode === "chamfer" && renderFeatureField("angle", "Angle (°)", params.angle ?? 0, (value) => {
+          if (value < 0 || value >= 90) throw new Error("Must be from 0° up to 90°");
+          setFeatureParams(row, ({ angle, ...current }) => ({ ...current, ...(value > 0 && { angle: value }) }));
+        }, { kind: "angle", digits: 1, title: "Tilt from the first face; 0 takes the distance off both faces" })
+      ];
+    }
+    if (type === "mesh") {
+      return renderFeatureField("edgeAngle", "Edge Angle (°)", params.edgeAngle ?? DEFAULT_EDGE_ANGLE, (value) => {
+        if (value < 0 || value >= 180) throw new Error("Must be from 0° up to 180°");
+        setFeatureParams(row, current => ({ ...current, edgeAngle: value }));
+      }, { kind: "angle", digits: 1, title: "Faces meeting at more than this angle show an edge" });
+    }
+    if (type === "pattern") {
+      const countField = (key, label, min) => renderFeatureField(key, label, params[key], (value) => {
+        if (!Number.isInteger(value) || value < min || value > 50) throw new Error(`Must be a whole number from ${min} to 50`);
+        setFeatureParams(row, current => ({ ...current, [key]: value }));
+      }, { kind: "number", digits: 0 });
+      const spacingField = (key, label) => renderFeatureField(key, label, params[key], (value) => {
+        if (value <= 0) throw new Error("Must be greater than 0");
+        setFeatureParams(row, current => ({ ...current, [key]: value }));
+      });
+      if (params.kind === "linear") {
+        return [
+          countField("count", "Count", 2),
+          spacingField("spacing", "Spacing (m)"),
+          params.count2 !== undefined && countField("count2", "2nd Count", 1),
+          params.count2 !== undefined && spacingField("spacing2", "2nd Spacing (m)")
+        ];
+      }
+      if (params.kind === "circular") {
+        return [
+          countField("count", "Count", 2),
+          renderFeatureField("angle", "Angle (°)", params.angle, (value) => {
+            if (value <= 0 || value > 360) throw new Error("Must be above 0° and up to 360°");
+            setFeatureParams(row, current => ({ ...current, angle: value }));
+          }, { kind: "angle", digits: 1 })
+        ];
+      }
+      return null;
+    }
+    if (type !== "extruded") return null;
+
+    const direction = params.direction ?? "one-side";
+    return [
+      renderFeatureField("depth", direction === "two-sided" ? "Front (m)" : "Depth (m)", params.depth, (value) => {
+        if (value <= 0) throw new Error("Must be greater than 0");
+        setExtrudeParams(row, { depth: value });
+      }),
+      direction === "two-sided" && renderFeatureField("depth2", "Back (m)", params.depth2 ?? 0, (value) => {
+        if (value < 0) throw new Error("Can't be negative");
+        setExtrudeParams(row, { depth2: value });
+      }),
+      renderFeatureField("taper", "Taper (°)", params.taper ?? 0, (value) => {
+        if (Math.abs(value) >= 89) throw new Error("Must be between -89° and 89°");
+        setExtrudeParams(row, { taper: value });
+      }, { kind: "angle", digits: 1 }),
+      renderFeatureField("bevel", "Bevel (m)", params.bevelEnabled ? params.bevelSize ?? 0.1 : 0, (value) => {
+        if (value < 0) throw new Error("Can't be negative");
+        setExtrudeParams(row, { bevelSize: value });
+      }),
+      params.bevelEnabled && renderFeatureField("bevelSegments", "Bevel Segments", params.bevelSegments ?? 1, (value) => {
+        if (!Number.isInteger(value) || value < 1 || value > 16) throw new Error("Must be a whole number from 1 to 16");
+        setExtrudeParams(row, { bevelSegments: value });
+      }, { kind: "number", digits: 0 })
+    ];
+  };
+
+  // The parameters of the row opened by double-clicking it
+  const renderFeatureEditor = (row) => {
+    const feature = findFeature(row);
+    if (!feature) return null;
+    const { container, node } = feature;
+    const { params } = node;
+    const buttonStyle = (active) => ({
+      padding: '6px 10px',
+      fontSize: '11px',
+      background: active ? '#4CAF50' : '#555',
+      color: 'white',
+      border: 'none',
+      borderRadius: 4,
+      flex: 1
+    });
+
+    return (
+      <div style={{ marginTop: 10, padding: 10, background: 'rgba(255,255,255,0.1)', borderRadius: 6 }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+          <strong style={{ color: '#4CAF50' }}>Edit {row.label}</strong>
+          <button onClick={() => setEditingFeature(null)} style={{ padding: '4px 8px', background: '#555', color: 'white', border: 'none', borderRadius: 4, fontSize: '11px' }}>
+            Close
+          </button>
+        </div>
+        {row.kind === "transform" && (
+          <>
+            {renderVectorRow("Position (m)", "position", "length", undefined, container)}
+            {renderVectorRow("Rotation (°)", "rotation", "angle", THREE.MathUtils.radToDeg, container)}
+            {renderVectorRow("Scale", "scale", "number", undefined, container)}
+          </>
+        )}
+        {row.kind === "sketch" && (
+          <>
+            <div style={{ fontSize: '11px', color: '#aaa', marginBottom: 6 }}>
+              Reopens the sketch on its plane; Update rebuilds every shape made from it
+            </div>
+            <button onClick={() => editFeatureSketch(row)} style={{ ...buttonStyle(false), background: '#FF9800', width: '100%' }}>
+              Edit Sketch
+            </button>
+          </>
+        )}
+        {row.kind === "boolean" && (
+          <div style={{ display: 'flex', gap: 4 }}>
+            {Object.entries(BOOLEAN_OPERATIONS).map(([operation, { label }]) => (
+              <button
+                key={operation}
+                onClick={() => runFeatureEdit(`Edit ${row.label}`, () =>
+                  setFeatureParams(row, current => ({ ...current, operation })))}
+                style={buttonStyle(params.operation === operation)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+        {row.kind === "extruded" && (
+          <div style={{ display: 'flex', gap: 4, marginBottom: 6 }}>
+            {Object.entries(EXTRUDE_DIRECTIONS).map(([name, label]) => (
+              <button
+                key={name}
+                onClick={() => runFeatureEdit(`Edit ${row.label}`, () => setExtrudeParams(row, { direction: name }))}
+                style={buttonStyle((params.direction ?? "one-side") === name)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+        <div style={{ display: 'grid', gridTemplateColumns: '90px 1fr', gap: 4, alignItems: 'center' }}>
+          {renderFeatureFields(row, params)}
+        </div>
+        {row.kind === "extruded" && !params.direction && (
+          <label title="Grow the other way along the plane normal" style={{ display: 'block', fontSize: '12px', marginTop: 6 }}>
+            <input
+              type="checkbox"
+              checked={!!params.reverse}
+              onChange={(e) => runFeatureEdit(`Edit ${row.label}`, () => setExtrudeParams(row, { reverse: e.target.checked }))}
+            /> Reverse
+          </label>
+        )}
+      </div>
+    );
+  };
+
+  // ====== EXPORT/IMPORT ======
+  const downloadFile = (data, type, filename) => {
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const exportScene = () => {
+    const sceneData = {
+      objects: serializeScene(objectsRef.current),
+      metadata: {
+        version: SCENE_FORMAT_VERSION,
+        exportDate: new Date().toISOString(),
+        objectCount: objectsRef.current.length
+      }
+    };
+
+    downloadFile(JSON.stringify(sceneData, null, 2), 'application/json', 'cad-scene.json');
+  };
+
+  // Meshes for printers and simulation (see meshExport.js): the whole model,
+  // or the selected shapes and groups
+  const MESH_UNITS = { mm: 1000, m: 1 };
+
+  const exportMesh = (format) => {
+    let targets = objectsRef.current;
+    if (meshExport.selectionOnly) {
+      targets = selectedEntities.length > 0 ? selectedEntities : [selectedEntity].filter(Boolean);
+      if (targets.length === 0) {
+        alert("Select the shapes to export first");
+        return;
+      }
+    }
+    const meshes = collectMeshes(targets, MESH_UNITS[meshExport.units]);
+    if (meshes.length === 0) {
+      alert("There are no shapes to export");
+      return;
+    }
+
+    if (format === "obj") {
+      downloadFile(toOBJ(meshes), 'text/plain', 'cad-model.obj');
+    } else if (format === "stl-ascii") {
+      downloadFile(toAsciiSTL(meshes), 'model/stl', 'cad-model.stl');
+    } else {
+      downloadFile(toBinarySTL(meshes), 'model/stl', 'cad-model.stl');
+    }
+  };
+
+  // Front, top, right and isometric views of the model on one sheet (see
+  // drawing.js)
+  const exportDrawing = (format) => {
+    const { title, size, hiddenLines } = drawingOptions;
+    const sheet = createDrawingSheet(objectsRef.current, {
+      size,
+      title: title.trim() || "Untitled",
+      date: new Date().toISOString().slice(0, 10),
+      hiddenLines
+    });
+    if (!sheet) {
+      alert("There are no shapes to draw");
+      return;
+    }
+    if (format === "pdf") {
+      downloadFile(sheetToPDF(sheet), 'application/pdf', 'cad-drawing.pdf');
+    } else {
+      downloadFile(sheetToSVG(sheet), 'image/svg+xml', 'cad-drawing.svg');
+    }
+  };
+
+  // glTF keeps groups, names, colours and, in extras, each shape's params
+  // (see gltfScene.js)
+  const exportGLTF = (binary) => {
+    new GLTFExporter().parse(
+      createExportScene(objectsRef.current),
+      (result) => {
+        if (binary) {
+          downloadFile(result, 'model/gltf-binary', 'cad-scene.glb');
+        } else {
+          downloadFile(JSON.stringify(result, null, 2), 'model/gltf+json', 'cad-scene.gltf');
+        }
+      },
+      (error) => {
+        console.error('glTF export failed:', error);
+        alert('Failed to export glTF: ' + error.message);
+      },
+      { binary, onlyVisible: false }
+    );
+  };
+
+  // Replaces the scene by `nodes` in one undo step. Everything is built
+  // before the current scene is touched, so a bad file never costs the user
+  // their work.
+  const openSceneNodes = (nodes) => {
+    let roots;
+    try {
+      roots = buildScene(stampFeatures(nodes));
+    } catch (error) {
+      console.error('Import failed:', error);
+      alert('Failed to import scene: ' + error.message);
+      return;
+    }
+
+    const command = createReplaceSceneCommand(sceneDoc, [...objectsRef.current], roots, { label: "Import" });
+    command.redo();
+    pushCommand(command);
+    setSelectedEntity(null);
+    setSelectedEntities([]);
+    clearAllHighlights();
+  };
+
+  // .gltf files must embed their buffers; nothing is fetched
+  const importGLTF = (file) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      new GLTFLoader().parse(
+        e.target.result,
+        '',
+        (gltf) => {
+          const nodes = gltfToNodes(gltf.scene);
+          if (nodes.length === 0) {
+            alert('Failed to import glTF: the file has no meshes');
+            return;
+          }
+          openSceneNodes(nodes);
+        },
+        (error) => {
+          console.error('Import failed:', error);
+          alert('Failed to import glTF: ' + error.message);
+        }
+      );
+    };
+    reader.readAsArrayBuffer(file);
+  };
 
-    } catch (error) {
-      console.error("Extrusion failed:", error);
-      alert("Extrusion failed: " + error.message);
+  const importScene = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = '';
+    if (/\.(gltf|glb)$/i.test(file.name)) {
+      importGLTF(file);
+      return;
     }
-  };
 
-  // ====== EXPORT/IMPORT ======
-  const exportScene = () => {
-    const sceneData = {
-      objects: objectsRef.current.map(obj => ({
-        type: obj.userData?.type || 'unknown',
-        position: [obj.position.x, obj.position.y, obj.position.z],
-        rotation: [obj.rotation.x, obj.rotation.y, obj.rotation.z],
-        scale: [obj.scale.x, obj.scale.y, obj.scale.z],
-        color: obj.userData.originalColor || 0xffffff,
-        userData: { ...obj.userData }
-      })),
-      metadata: {
-        version: '1.0',
-        exportDate: new Date().toISOString(),
-        objectCount: objectsRef.current.length
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const { scene, errors } = parseSceneFile(e.target.result);
+      if (errors) {
+        console.error('Import failed:', errors);
+        alert('Failed to import scene:\n' + formatSceneErrors(errors));
+        return;
       }
+      openSceneNodes(scene.objects);
     };
-
-    // Clean userData
-    sceneData.objects.forEach(obj => {
-      delete obj.userData.originalColor;
-      Object.keys(obj.userData).forEach(key => {
-        if (typeof obj.userData[key] === 'function' || 
-            obj.userData[key] instanceof THREE.Object3D) {
-          delete obj.userData[key];
-        }
-      });
-    });
-
-    const dataStr = JSON.stringify(sceneData, null, 2);
-    const blob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
     
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = 'cad-scene.json';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    reader.readAsText(file);
   };
 
-  const importScene = (event) => {
+  // STL and OBJ meshes join the scene as `mesh` shapes, optionally locked as
+  // see-through reference bodies to design around
+  const importMesh = (event) => {
     const file = event.target.files[0];
     if (!file) return;
+    event.target.value = '';
 
     const reader = new FileReader();
     reader.onload = (e) => {
+      const { units, edgeAngle, reference } = meshImport;
+      let container;
       try {
-        const sceneData = JSON.parse(e.target.result);
-        clearAllObjects();
-        
-        sceneData.objects.forEach(objData => {
-          let geometry;
-          switch (objData.type) {
-            case 'box':
-              geometry = new THREE.BoxGeometry(1, 1, 1);
-              break;
-            case 'sphere':
-              geometry = new THREE.SphereGeometry(0.5, 32, 32);
-              break;
-            case 'cylinder':
-              geometry = new THREE.CylinderGeometry(0.5, 0.5, 1, 32);
-              break;
-            case 'extruded':
-              geometry = new THREE.BoxGeometry(1, 1, 1);
-              break;
-            default:
-              geometry = new THREE.BoxGeometry(1, 1, 1);
-          }
+        const read = readMeshFile(file.name, e.target.result, 1 / MESH_UNITS[units]);
+        const params = { ...createMeshParams(read), edgeAngle };
+        read.dispose();
+        container = stampFeature(createMeshWithEdges(createGeometry("mesh", params), 0xb0bec5, edgeAngle));
+        container.userData.type = "mesh";
+        container.userData.params = params;
+        container.userData.name = file.name.replace(/\.[^.]+$/, "");
+        if (reference) container.userData.reference = true;
+        applyReferenceLook(container);
+      } catch (error) {
+        console.error('Mesh import failed:', error);
+        alert('Failed to import mesh: ' + error.message);
+        return;
+      }
 
-          const container = createMeshWithEdges(geometry, objData.color);
-          container.position.set(...objData.position);
-          container.rotation.set(...objData.rotation);
-          container.scale.set(...objData.scale);
-          container.userData = { 
-            ...objData.userData, 
-            originalColor: objData.color,
-            type: objData.type 
-          };
-
-          sceneRef.current.add(container);
-          objectsRef.current.push(container);
-        });
-
-        saveHistory();
-        
+      const command = createAddCommand(sceneDoc, [container], { label: "Import Mesh" });
+      command.redo();
+      pushCommand(command);
+      setSelectedEntity(container);
+      setSelectedEntities([]);
+      highlightEntity(container);
+    };
+    reader.readAsArrayBuffer(file);
+  };
+
+  // DXF drawings land on the current sketch plane as sketch curves; their
+  // layers go with them and back out on export
+  const importDXF = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    event.target.value = '';
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const { entities, skipped } = parseDXF(e.target.result, dxfUnits);
+        updateSketch(addDrawingToSketch(sketch, entities));
+        setSketchSelection([]);
+        const others = Object.entries(skipped).map(([type, count]) => `${count} ${type}`);
+        if (others.length > 0) alert(`Imported ${entities.length} curves; skipped ${others.join(", ")}`);
       } catch (error) {
-        console.error('Import failed:', error);
-        alert('Failed to import scene: ' + error.message);
+        console.error('DXF import failed:', error);
+        alert('Failed to import DXF: ' + error.message);
       }
     };
-    
     reader.readAsText(file);
-    event.target.value = '';
+  };
+
+  const exportSketchDXF = () => {
+    const entities = sketchToDrawing(getSketchModel());
+    if (entities.length === 0) {
+      alert("The sketch is empty");
+      return;
+    }
+    downloadFile(writeDXF(entities, dxfUnits), 'application/dxf', 'sketch.dxf');
+  };
+
+  // Where the sketch plane cuts the selection, or every shape when nothing
+  // is selected
+  const exportSectionDXF = () => {
+    const selection = selectedEntities.length > 0 ? selectedEntities : [selectedEntity].filter(Boolean);
+    const entities = getSectionDrawing(selection.length > 0 ? selection : objectsRef.current, sketchPlane);
+    if (entities.length === 0) {
+      alert("The sketch plane doesn't cut any solid");
+      return;
+    }
+    downloadFile(writeDXF(entities, dxfUnits), 'application/dxf', 'section.dxf');
   };
 
   // ====== KEYBOARD CONTROLS ======
   useEffect(() => {
     const handleKeyPress = (evt) => {
+      // Typing into a field must not move the selection
+      if (evt.target.closest?.("input, textarea, select")) return;
+
+      const key = evt.key.toLowerCase();
+
+      // While sketching, undo/redo and Delete act on the sketch
+      if (mode.startsWith("sketch")) {
+        if ((evt.ctrlKey || evt.metaKey) && (key === "z" || key === "y")) {
+          evt.preventDefault();
+          if (key === "y" || evt.shiftKey) redoSketch(); else undoSketch();
+          return;
+        }
+        if (key === "delete" || key === "backspace") {
+          evt.preventDefault();
+          deleteSketchSelection();
+          return;
+        }
+        if (key === "escape") {
+          setSketchSelection([]);
+          if (curveDraft) cancelCurveDraft();
+          return;
+        }
+      }
+
+      // Shortcuts with Ctrl/Cmd work with or without a selection
+      if (evt.ctrlKey || evt.metaKey) {
+        switch (key) {
+          case "z":
+            evt.preventDefault();
+            undo();
+            break;
+          case "y":
+            evt.preventDefault();
+            redo();
+            break;
+          case "g":
+            evt.preventDefault();
+            groupSelected();
+            break;
+          case "u":
+            evt.preventDefault();
+            ungroupSelected();
+            break;
+          default: break;
+        }
+        return;
+      }
+
       if (!selectedEntity) return;
       
-      switch (evt.key.toLowerCase()) {
-        case "w": transformSelected({ type: "translate", vector: new THREE.Vector3(0, 0, -GRID_SNAP) }); break;
-        case "s": transformSelected({ type: "translate", vector: new THREE.Vector3(0, 0, GRID_SNAP) }); break;
-        case "a": transformSelected({ type: "translate", vector: new THREE.Vector3(-GRID_SNAP, 0, 0) }); break;
-        case "d": transformSelected({ type: "translate", vector: new THREE.Vector3(GRID_SNAP, 0, 0) }); break;
-        case "q": transformSelected({ type: "translate", vector: new THREE.Vector3(0, GRID_SNAP, 0) }); break;
-        case "e": transformSelected({ type: "translate", vector: new THREE.Vector3(0, -GRID_SNAP, 0) }); break;
+      // Consecutive nudges of the same selection undo as one step
+      const nudge = (vector) => transformSelected({ type: "translate", vector }, { mergeKey: "nudge" });
+      
+      switch (key) {
+        case "w": nudge(new THREE.Vector3(0, 0, -GRID_SNAP)); break;
+        case "s": nudge(new THREE.Vector3(0, 0, GRID_SNAP)); break;
+        case "a": nudge(new THREE.Vector3(-GRID_SNAP, 0, 0)); break;
+        case "d": nudge(new THREE.Vector3(GRID_SNAP, 0, 0)); break;
+        case "q": nudge(new THREE.Vector3(0, GRID_SNAP, 0)); break;
+        case "e": nudge(new THREE.Vector3(0, -GRID_SNAP, 0)); break;
         case "r": transformSelected({ type: "rotate", axis: "y", angle: -0.2 }); break;
         case "f": transformSelected({ type: "rotate", axis: "y", angle: 0.2 }); break;
         case "t": transformSelected({ type: "scale", vector: new THREE.Vector3(1.2, 1.2, 1.2) }); break;
@@ -1072,37 +3305,13 @@ export default function App() {
           setSelectedEntities([]);
           clearAllHighlights();
           break;
-        case "z":
-          if (evt.ctrlKey || evt.metaKey) {
-            evt.preventDefault();
-            undo();
-          }
-          break;
-        case "y":
-          if (evt.ctrlKey || evt.metaKey) {
-            evt.preventDefault();
-            redo();
-          }
-          break;
-        case "g":
-          if (evt.ctrlKey || evt.metaKey) {
-            evt.preventDefault();
-            groupSelected();
-          }
-          break;
-        case "u":
-          if (evt.ctrlKey || evt.metaKey) {
-            evt.preventDefault();
-            ungroupSelected();
-          }
-          break;
         default: break;
       }
     };
 
     window.addEventListener("keydown", handleKeyPress);
     return () => window.removeEventListener("keydown", handleKeyPress);
-  }, [selectedEntity, selectedEntities]);
+  }, [selectedEntity, selectedEntities, mode, sketch, sketchSelection, sketchPoints, sketchHistory, curveDraft]);
 
   // ====== UI COMPONENTS ======
   const TransformationControls = () => {
@@ -1112,6 +3321,53 @@ export default function App() {
       <div style={{ marginBottom: 15, padding: 12, background: 'rgba(255,255,255,0.1)', borderRadius: 6 }}>
         <strong style={{ color: '#FFD700' }}>Transformation Controls</strong>
         
+        <div style={{ marginTop: 8 }}>
+          <strong>Gizmo:</strong>
+          <div style={{ display: 'flex', gap: 4, marginTop: 4 }}>
+            {[
+              { value: 'translate', label: 'Move' },
+              { value: 'rotate', label: 'Rotate' },
+              { value: 'scale', label: 'Scale' }
+            ].map(({ value, label }) => (
+              <button
+                key={value}
+                onClick={() => setGizmoMode(value)}
+                style={{ 
+                  padding: '6px 8px', 
+                  fontSize: '11px', 
+                  background: gizmoMode === value ? '#4CAF50' : '#555',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: 4,
+                  flex: 1
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: 4, marginTop: 4, alignItems: 'center' }}>
+            <button
+              onClick={() => setGizmoSpace(gizmoSpace === 'world' ? 'local' : 'world')}
+              style={{ 
+                padding: '6px 8px', 
+                fontSize: '11px', 
+                background: '#607D8B',
+                color: 'white',
+                border: 'none',
+                borderRadius: 4,
+                flex: 1
+              }}
+            >
+              Space: {gizmoSpace === 'world' ? 'World' : 'Local'}
+            </button>
+            <label style={{ fontSize: '11px', flex: 1, display: 'flex', alignItems: 'center', gap: 4 }}>
+              <input type="checkbox" checked={gizmoSnap} onChange={(e) => setGizmoSnap(e.target.checked)} />
+              Snap ({GRID_SNAP}m / 15°)
+            </label>
+          </div>
+        </div>
+
         <div style={{ marginTop: 8 }}>
           <strong>Move:</strong>
           <div style={{ display: 'flex', gap: 4, marginTop: 4 }}>
@@ -1223,6 +3479,46 @@ export default function App() {
             >
               Group Selected ({selectedEntities.length})
             </button>
+            <div style={{ display: 'flex', gap: 4, marginTop: 4 }}>
+              {Object.entries(BOOLEAN_OPERATIONS).map(([operation, { label }]) => (
+                <button
+                  key={operation}
+                  onClick={() => combineSelected(operation)}
+                  title={operation === "subtract" ? "Subtract the others from the first selected" : undefined}
+                  style={{
+                    padding: '6px 8px',
+                    fontSize: '11px',
+                    background: '#3F51B5',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: 4,
+                    flex: 1
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {selectedEntity?.userData.type === "boolean" && (
+          <div style={{ marginTop: 8 }}>
+            <button
+              onClick={splitBoolean}
+              title="Replace the result by its operands"
+              style={{
+                padding: '6px 8px',
+                fontSize: '11px',
+                background: '#795548',
+                color: 'white',
+                border: 'none',
+                borderRadius: 4,
+                width: '100%'
+              }}
+            >
+              Split {BOOLEAN_OPERATIONS[selectedEntity.userData.params.operation].label}
+            </button>
           </div>
         )}
 
@@ -1259,7 +3555,11 @@ export default function App() {
         ].map(({ mode, label, color }) => (
           <button
             key={mode}
-            onClick={() => setSelectionMode(mode)}
+            onClick={() => {
+              setSelectionMode(mode);
+              setSelectedSubObject(null);
+              if (selectedEntity) highlightEntity(selectedEntity);
+            }}
             style={{
               padding: '6px 8px',
               fontSize: '10px',
@@ -1277,8 +3577,77 @@ export default function App() {
     </div>
   );
 
+  // A render function, not a component, so dimension fields keep their
+  // text across re-renders
+  const renderSketchConstraints = () => {
+    const applicable = getApplicableConstraints(sketch, sketchSelection);
+    return (
+      <div style={{ marginTop: 10, paddingTop: 8, borderTop: '1px solid #555' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6 }}>
+          <strong>Constraints</strong>
+          <span style={{ fontSize: '11px', color: sketchAnalysis.dof === 0 ? '#4CAF50' : '#64B5F6' }}>
+            {sketchAnalysis.dof === 0 ? 'Fully constrained' : `${sketchAnalysis.dof} DOF left`}
+          </span>
+        </div>
+        {applicable.length > 0 ? (
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, marginBottom: 6 }}>
+            {applicable.map(type => (
+              <button
+                key={type}
+                onClick={() => applyConstraint(type)}
+                style={{ padding: '4px 8px', fontSize: '11px', background: CONSTRAINT_TYPES[type].dimension ? '#FF9800' : '#2196F3', color: 'white', border: 'none', borderRadius: 4 }}
+              >
+                {CONSTRAINT_TYPES[type].label}
+              </button>
+            ))}
+          </div>
+        ) : (
+          <div style={{ fontSize: '11px', color: '#aaa', marginBottom: 6 }}>
+            {mode === "sketch-edit"
+              ? "Click points or curves (Shift adds) to constrain them"
+              : "Use Sketch Edit to pick points and curves"}
+          </div>
+        )}
+        <div style={{ maxHeight: 160, overflowY: 'auto' }}>
+          {sketch.constraints.map(constraint => {
+            const info = CONSTRAINT_TYPES[constraint.type];
+            return (
+              <div key={constraint.id} style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: '11px', marginBottom: 2 }}>
+                <span style={{ color: '#ccc', minWidth: 130 }}>
+                  {info.label} {constraint.refs.map(id => describeSketchItem(sketch, id)).join(', ')}
+                </span>
+                {info.dimension && (
+                  <NumericField
+                    value={constraint.value}
+                    kind={info.dimension}
+                    digits={info.dimension === "angle" ? 2 : 3}
+                    title={info.dimension === "angle" ? "Degrees" : "Meters"}
+                    onCommit={(value) => editSketchDimension(constraint, value)}
+                  />
+                )}
+                <button onClick={() => deleteConstraint(constraint.id)} title="Delete constraint" style={{ marginLeft: 'auto', padding: '0 6px', background: 'transparent', color: '#f44336', border: 'none', cursor: 'pointer' }}>
+                  ✕
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  };
+
   // ====== MAIN RENDER ======
   const entityProperties = getEntityProperties();
+  const selectedColor = selectedEntity
+    ? '#' + new THREE.Color(getShapeContainers(selectedEntity)[0]?.userData.originalColor ?? 0xffffff).getHexString()
+    : '#ffffff';
+  const canExtrude = getExtrudableLoops().length > 0;
+  const canRunFeature = SKETCH_FEATURES[sketchFeature].enabled();
+  const canUndoSketch = sketchPoints.length > 0 || sketchHistory.past.length > 0;
+  const canUndo = historyRef.current.canUndo();
+  const canRedo = historyRef.current.canRedo();
+  const featureRows = listFeatures(getFeatureRoots().map(container => serializeObject(container)));
+  const editingRow = featureRows.find(row => row.key === editingFeature);
   const backgroundOptions = [
     { name: "Dark Blue", value: "#1a1a2e" },
     { name: "White", value: "#ffffff" },
@@ -1289,9 +3658,26 @@ export default function App() {
     <div>
       <div 
         ref={mountRef} 
-        style={{ width: "100vw", height: "100vh" }} 
-        onPointerDown={handleMultiSelect}
+        style={{ width: "100vw", height: "100vh" }}
       />
+
+      {/* Push/pull distance */}
+      {pullReadout && (
+        <div style={{
+          position: "absolute",
+          left: pullReadout.x + 16,
+          top: pullReadout.y + 16,
+          background: "rgba(0,0,0,0.8)",
+          color: pullReadout.error ? '#f44336' : 'white',
+          padding: '4px 8px',
+          borderRadius: 4,
+          fontFamily: 'monospace',
+          fontSize: '12px',
+          pointerEvents: 'none'
+        }}>
+          {pullReadout.text}
+        </div>
+      )}
       
       {/* UI Panel */}
       <div style={{ 
@@ -1314,10 +3700,10 @@ export default function App() {
         
         {/* History Controls */}
         <div style={{ marginBottom: 15, display: 'flex', gap: 8 }}>
-          <button onClick={undo} disabled={historyIndex <= 0} style={{ padding: '8px 12px', background: historyIndex <= 0 ? '#666' : '#2196F3', color: 'white', border: 'none', borderRadius: 6, flex: 1 }}>
+          <button onClick={undo} disabled={!canUndo} title={historyRef.current.undoLabel() || ''} style={{ padding: '8px 12px', background: !canUndo ? '#666' : '#2196F3', color: 'white', border: 'none', borderRadius: 6, flex: 1 }}>
             ⬅️ Undo
           </button>
-          <button onClick={redo} disabled={historyIndex >= history.length - 1} style={{ padding: '8px 12px', background: historyIndex >= history.length - 1 ? '#666' : '#2196F3', color: 'white', border: 'none', borderRadius: 6, flex: 1 }}>
+          <button onClick={redo} disabled={!canRedo} title={historyRef.current.redoLabel() || ''} style={{ padding: '8px 12px', background: !canRedo ? '#666' : '#2196F3', color: 'white', border: 'none', borderRadius: 6, flex: 1 }}>
             ➡️ Redo
           </button>
         </div>
@@ -1328,16 +3714,146 @@ export default function App() {
             Export
           </button>
           <label style={{ flex: 1 }}>
-            <input type="file" accept=".json" onChange={importScene} style={{ display: 'none' }} />
+            <input type="file" accept=".json,.gltf,.glb" onChange={importScene} style={{ display: 'none' }} />
             <div style={{ padding: '8px 12px', background: '#4CAF50', color: 'white', border: 'none', borderRadius: 6, textAlign: 'center', cursor: 'pointer' }}>
               Import
             </div>
           </label>
-          <button onClick={clearAllObjects} style={{ padding: '8px 12px', background: '#f44336', color: 'white', border: 'none', borderRadius: 6 }}>
+          <button onClick={clearScene} style={{ padding: '8px 12px', background: '#f44336', color: 'white', border: 'none', borderRadius: 6 }}>
             Clear
           </button>
         </div>
 
+        {/* Exchange Formats */}
+        <div style={{ marginBottom: 15 }}>
+          <div style={{ display: 'flex', gap: 4 }}>
+            <button
+              onClick={() => exportGLTF(false)}
+              title="Export the scene as glTF, with groups, names and colours"
+              style={{ padding: '6px 8px', fontSize: '11px', background: '#3F51B5', color: 'white', border: 'none', borderRadius: 4, flex: 1 }}
+            >
+              glTF
+            </button>
+            <button
+              onClick={() => exportGLTF(true)}
+              title="Export the scene as binary glTF, with groups, names and colours"
+              style={{ padding: '6px 8px', fontSize: '11px', background: '#3F51B5', color: 'white', border: 'none', borderRadius: 4, flex: 1 }}
+            >
+              GLB
+            </button>
+          </div>
+          <div style={{ display: 'flex', gap: 4, marginTop: 4 }}>
+            {[["stl", "STL"], ["stl-ascii", "STL (ASCII)"], ["obj", "OBJ"]].map(([format, label]) => (
+              <button
+                key={format}
+                onClick={() => exportMesh(format)}
+                title={`Export ${meshExport.selectionOnly ? "the selection" : "the model"} as ${label}`}
+                style={{ padding: '6px 8px', fontSize: '11px', background: '#2196F3', color: 'white', border: 'none', borderRadius: 4, flex: 1 }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: 4, alignItems: 'center', marginTop: 4, fontSize: '11px' }}>
+            {Object.keys(MESH_UNITS).map(units => (
+              <button
+                key={units}
+                onClick={() => setMeshExport(options => ({ ...options, units }))}
+                title="Units written to the file"
+                style={{ padding: '4px 8px', fontSize: '11px', background: meshExport.units === units ? '#4CAF50' : '#555', color: 'white', border: 'none', borderRadius: 4 }}
+              >
+                {units}
+              </button>
+            ))}
+            <label style={{ marginLeft: 'auto' }}>
+              <input
+                type="checkbox"
+                checked={meshExport.selectionOnly}
+                onChange={(e) => setMeshExport(options => ({ ...options, selectionOnly: e.target.checked }))}
+              /> Selection only
+            </label>
+          </div>
+          <div style={{ display: 'flex', gap: 4, alignItems: 'center', marginTop: 8 }}>
+            <input
+              type="text"
+              value={drawingOptions.title}
+              placeholder="Drawing title"
+              onChange={(e) => setDrawingOptions(options => ({ ...options, title: e.target.value }))}
+              style={{ flex: 1, minWidth: 0, padding: '3px 4px', fontSize: '11px', background: '#222', color: 'white', border: '1px solid #555', borderRadius: 3 }}
+            />
+            {Object.keys(SHEET_SIZES).map(size => (
+              <button
+                key={size}
+                onClick={() => setDrawingOptions(options => ({ ...options, size }))}
+                title="Sheet size, landscape"
+                style={{ padding: '4px 6px', fontSize: '11px', background: drawingOptions.size === size ? '#4CAF50' : '#555', color: 'white', border: 'none', borderRadius: 4 }}
+              >
+                {size}
+              </button>
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: 4, alignItems: 'center', marginTop: 4, fontSize: '11px' }}>
+            {[["svg", "Drawing SVG"], ["pdf", "Drawing PDF"]].map(([format, label]) => (
+              <button
+                key={format}
+                onClick={() => exportDrawing(format)}
+                title="Front, top, right and isometric views with overall dimensions and a title block"
+                style={{ padding: '6px 8px', fontSize: '11px', background: '#3F51B5', color: 'white', border: 'none', borderRadius: 4, flex: 1 }}
+              >
+                {label}
+              </button>
+            ))}
+            <label title="Draw edges hidden behind faces as dashed lines">
+              <input
+                type="checkbox"
+                checked={drawingOptions.hiddenLines}
+                onChange={(e) => setDrawingOptions(options => ({ ...options, hiddenLines: e.target.checked }))}
+              /> Hidden
+            </label>
+          </div>
+          <label style={{ display: 'block', marginTop: 8 }}>
+            <input type="file" accept=".stl,.obj" onChange={importMesh} style={{ display: 'none' }} />
+            <div
+              title="Add an STL or OBJ mesh to the scene"
+              style={{ padding: '6px 8px', fontSize: '11px', background: '#4CAF50', color: 'white', borderRadius: 4, textAlign: 'center', cursor: 'pointer' }}
+            >
+              Import STL/OBJ
+            </div>
+          </label>
+          <div style={{ display: 'flex', gap: 4, alignItems: 'center', marginTop: 4, fontSize: '11px' }}>
+            {Object.keys(MESH_UNITS).map(units => (
+              <button
+                key={units}
+                onClick={() => setMeshImport(options => ({ ...options, units }))}
+                title="Units the file is in"
+                style={{ padding: '4px 8px', fontSize: '11px', background: meshImport.units === units ? '#4CAF50' : '#555', color: 'white', border: 'none', borderRadius: 4 }}
+              >
+                {units}
+              </button>
+            ))}
+            <label style={{ marginLeft: 'auto' }} title="Import as a locked, see-through body that can be picked and snapped to but not edited">
+              <input
+                type="checkbox"
+                checked={meshImport.reference}
+                onChange={(e) => setMeshImport(options => ({ ...options, reference: e.target.checked }))}
+              /> Reference
+            </label>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '90px 1fr', gap: 4, alignItems: 'center', marginTop: 4 }}>
+            <span style={{ fontSize: '11px', color: '#ccc' }}>Edge Angle (°)</span>
+            <NumericField
+              value={meshImport.edgeAngle}
+              kind="angle"
+              digits={1}
+              title="Faces meeting at more than this angle show an edge"
+              onCommit={(value) => {
+                if (value < 0 || value >= 180) throw new Error("Must be from 0° up to 180°");
+                setMeshImport(options => ({ ...options, edgeAngle: value }));
+              }}
+            />
+          </div>
+        </div>
+
         {/* Background Selector */}
         <div style={{ marginBottom: 15 }}>
           <strong>Background:</strong>
@@ -1363,15 +3879,19 @@ export default function App() {
 
         {/* Selection Mode */}
         <SelectionModeControls />
+        {activeEdges.length > 0 && renderEdgeTreatment()}
 
         {/* Mode Selection */}
         <div style={{ marginBottom: 15 }}>
           <strong>Mode:</strong>
           <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, marginTop: 6 }}>
-            {["select", "sketch-rect", "sketch-circle", "sketch-poly"].map(modeName => (
+            {[
+              "select", "sketch-rect", "sketch-circle", "sketch-poly", "sketch-arc", "sketch-tangent-arc",
+              "sketch-spline", "sketch-slot", "sketch-ngon", "sketch-edit"
+            ].map(modeName => (
               <button
                 key={modeName}
-                onClick={() => setMode(modeName)}
+                onClick={() => changeMode(modeName)}
                 style={{ 
                   padding: '8px 12px',
                   background: mode === modeName ? '#4CAF50' : '#555',
@@ -1392,30 +3912,322 @@ export default function App() {
         {mode.startsWith("sketch") && (
           <div style={{ marginBottom: 15, padding: 12, background: 'rgba(255,255,255,0.1)', borderRadius: 6 }}>
             <div style={{ marginBottom: 10 }}>
-              <strong>Extrusion Height: {extrusionHeight}m</strong>
-              <input
-                type="range"
-                min="0.1"
-                max="5"
-                step="0.1"
-                value={extrusionHeight}
-                onChange={(e) => setExtrusionHeight(parseFloat(e.target.value))}
-                style={{ width: '100%', marginTop: 4 }}
-              />
+              <strong>Sketch Plane:</strong>
+              <div style={{ display: 'flex', gap: 4, marginTop: 4 }}>
+                {[...Object.keys(SKETCH_PLANES), "face"].map(source => (
+                  <button
+                    key={source}
+                    onClick={() => chooseSketchPlane(source)}
+                    title={source === "face" ? "Sketch on the selected planar face" : undefined}
+                    style={{
+                      padding: '6px 10px',
+                      fontSize: '11px',
+                      background: sketchPlaneSource === source ? '#4CAF50' : '#555',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: 4,
+                      flex: 1
+                    }}
+                  >
+                    {source === "face" ? "Face" : SKETCH_PLANES[source].label}
+                  </button>
+                ))}
+              </div>
+              <div style={{ display: 'grid', gridTemplateColumns: '60px 1fr', gap: 4, alignItems: 'center', marginTop: 6 }}>
+                <span style={{ fontSize: '11px', color: '#ccc' }}>Offset (m)</span>
+                <NumericField
+                  value={sketchPlaneOffset}
+                  kind="length"
+                  title="Distance along the plane normal"
+                  onCommit={(value) => {
+                    setSketchPlaneOffset(value);
+                    clearSketch();
+                  }}
+                />
+              </div>
             </div>
+            {editingSketch !== null && (
+              <div style={{ fontSize: '11px', color: '#FF9800', marginBottom: 8 }}>
+                Editing Sketch {editingSketch}: Update rebuilds the shapes made from it
+              </div>
+            )}
+            {editingSketch === null && (
+              <>
+                <div style={{ display: 'flex', gap: 4, marginBottom: 8 }}>
+                  {Object.entries(SKETCH_FEATURES).map(([name, { label }]) => (
+                    <button
+                      key={name}
+                      onClick={() => setSketchFeature(name)}
+                      style={{
+                        padding: '6px 10px',
+                        fontSize: '11px',
+                        background: sketchFeature === name ? '#4CAF50' : '#555',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: 4,
+                        flex: 1
+                      }}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {sketchFeature === "extrude" && (
+                  <div style={{ marginBottom: 10 }}>
+                    <div style={{ display: 'flex', gap: 4, marginBottom: 6 }}>
+                      {Object.entries(EXTRUDE_DIRECTIONS).map(([name, label]) => (
+                        <button
+                          key={name}
+                          onClick={() => setExtrudeOption("direction", name)}
+                          style={{
+                            padding: '6px 10px',
+                            fontSize: '11px',
+                            background: extrudeOptions.direction === name ? '#4CAF50' : '#555',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: 4,
+                            flex: 1
+                          }}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                    <div style={{ display: 'grid', gridTemplateColumns: '90px 1fr', gap: 4, alignItems: 'center' }}>
+                      <span style={{ fontSize: '11px', color: '#ccc' }}>
+                        {extrudeOptions.direction === "two-sided" ? "Front (m)" : "Depth (m)"}
+                      </span>
+                      <NumericField
+                        value={extrusionHeight}
+                        kind="length"
+                        title={extrudeOptions.direction === "symmetric" ? "Total depth, half on each side" : "Distance along the plane normal"}
+                        onCommit={(value) => {
+                          if (value <= 0) throw new Error("Must be greater than 0");
+                          setExtrusionHeight(value);
+                        }}
+                      />
+                      {extrudeOptions.direction === "two-sided" && (
+                        <>
+                          <span style={{ fontSize: '11px', color: '#ccc' }}>Back (m)</span>
+                          <NumericField
+                            value={extrudeOptions.depth2}
+                            kind="length"
+                            title="Distance behind the sketch plane"
+                            onCommit={(value) => {
+                              if (value < 0) throw new Error("Can't be negative");
+                              setExtrudeOption("depth2", value);
+                            }}
+                          />
+                        </>
+                      )}
+                      <span style={{ fontSize: '11px', color: '#ccc' }}>Taper (°)</span>
+                      <NumericField
+                        value={extrudeOptions.taper}
+                        kind="angle"
+                        digits={1}
+                        title="Draft angle; positive draws the walls in away from the sketch"
+                        onCommit={(value) => {
+                          if (Math.abs(value) >= 89) throw new Error("Must be between -89° and 89°");
+                          setExtrudeOption("taper", value);
+                        }}
+                      />
+                      <span style={{ fontSize: '11px', color: '#ccc' }}>Bevel (m)</span>
+                      <NumericField
+                        value={extrudeOptions.bevelSize}
+                        kind="length"
+                        title="Size of the bevel on the cap edges; 0 for none"
+                        onCommit={(value) => {
+                          if (value < 0) throw new Error("Can't be negative");
+                          setExtrudeOption("bevelSize", value);
+                        }}
+                      />
+                      {extrudeOptions.bevelSize > 0 && (
+                        <>
+                          <span style={{ fontSize: '11px', color: '#ccc' }}>Bevel Segments</span>
+                          <NumericField
+                            value={extrudeOptions.bevelSegments}
+                            digits={0}
+                            title="1 for a chamfer, more to round the edges"
+                            onCommit={(value) => {
+                              if (!Number.isInteger(value) || value < 1 || value > 16) throw new Error("Must be a whole number from 1 to 16");
+                              setExtrudeOption("bevelSegments", value);
+                            }}
+                          />
+                        </>
+                      )}
+                    </div>
+                    <div style={{ display: 'flex', gap: 12, marginTop: 6, fontSize: '12px' }}>
+                      {extrudeOptions.direction === "one-side" && (
+                        <label title="Grow the other way along the plane normal">
+                          <input type="checkbox" checked={extrudeOptions.reverse} onChange={(e) => setExtrudeOption("reverse", e.target.checked)} /> Reverse
+                        </label>
+                      )}
+                      <label title="Subtract the extrusion from the solid it starts on">
+                        <input type="checkbox" checked={extrudeOptions.cut} onChange={(e) => setExtrudeOption("cut", e.target.checked)} /> Cut
+                      </label>
+                    </div>
+                  </div>
+                )}
+                {sketchFeature === "revolve" && (
+                  <div style={{ marginBottom: 10 }}>
+                    <strong>Revolve Angle: {revolveAngle}°</strong>
+                    <input
+                      type="range"
+                      min="5"
+                      max="360"
+                      step="5"
+                      value={revolveAngle}
+                      onChange={(e) => setRevolveAngle(parseFloat(e.target.value))}
+                      style={{ width: '100%', marginTop: 4 }}
+                    />
+                    <div style={{ display: 'flex', gap: 4, marginTop: 4 }}>
+                      {Object.entries(REVOLVE_AXES).map(([name, { label, title }]) => (
+                        <button
+                          key={name}
+                          onClick={() => setRevolveAxis(name)}
+                          title={title}
+                          style={{
+                            padding: '6px 10px',
+                            fontSize: '11px',
+                            background: revolveAxis === name ? '#4CAF50' : '#555',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: 4,
+                            flex: 1
+                          }}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                {sketchFeature === "sweep" && (
+                  <div style={{ marginBottom: 10 }}>
+                    <strong>Twist: {sweepTwist}°</strong>
+                    <input
+                      type="range"
+                      min="-360"
+                      max="360"
+                      step="15"
+                      value={sweepTwist}
+                      onChange={(e) => setSweepTwist(parseFloat(e.target.value))}
+                      style={{ width: '100%', marginTop: 4 }}
+                    />
+                    <div style={{ fontSize: '11px', color: sketchPaths.length === 1 ? '#aaa' : '#f44336', marginTop: 4 }}>
+                      {sketchPaths.length === 1
+                        ? "The profile follows the open path from its first point"
+                        : "Draw one open path (lines, arcs or a spline) next to the profile"}
+                    </div>
+                  </div>
+                )}
+                {sketchFeature === "loft" && (
+                  <div style={{ marginBottom: 10 }}>
+                    <strong>Sections: {loftSections.length}</strong>
+                    <div style={{ display: 'flex', gap: 4, marginTop: 4 }}>
+                      <button onClick={addLoftSection} disabled={!canExtrude} title="Use the sketch's profile as the next section" style={{ padding: '6px 10px', fontSize: '11px', background: !canExtrude ? '#666' : '#2196F3', color: 'white', border: 'none', borderRadius: 4, flex: 1 }}>
+                        Add Section
+                      </button>
+                      <button onClick={() => setLoftSections([])} disabled={loftSections.length === 0} style={{ padding: '6px 10px', fontSize: '11px', background: loftSections.length === 0 ? '#666' : '#f44336', color: 'white', border: 'none', borderRadius: 4, flex: 1 }}>
+                        Clear Sections
+                      </button>
+                    </div>
+                    <div style={{ fontSize: '11px', color: '#aaa', marginTop: 4 }}>
+                      • Draw a profile and add it • Change the offset and repeat • Loft blends the sections in order of height
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
             <div style={{ display: 'flex', gap: 6, marginBottom: 8 }}>
-              <button onClick={extrudeSketch} disabled={sketchPoints.length < 3} style={{ padding: '8px 12px', background: sketchPoints.length < 3 ? '#666' : '#FF9800', color: 'white', border: 'none', borderRadius: 4, flex: 1 }}>
-                Extrude
-              </button>
+              {editingSketch !== null ? (
+                <>
+                  <button onClick={updateFeatureSketch} disabled={!canExtrude} style={{ padding: '8px 12px', background: !canExtrude ? '#666' : '#FF9800', color: 'white', border: 'none', borderRadius: 4, flex: 1 }}>
+                    Update
+                  </button>
+                  <button onClick={finishSketchEdit} title="Leave the sketch as it was" style={{ padding: '8px 12px', background: '#555', color: 'white', border: 'none', borderRadius: 4, flex: 1 }}>
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <button onClick={SKETCH_FEATURES[sketchFeature].run} disabled={!canRunFeature} style={{ padding: '8px 12px', background: !canRunFeature ? '#666' : '#FF9800', color: 'white', border: 'none', borderRadius: 4, flex: 1 }}>
+                  {SKETCH_FEATURES[sketchFeature].label}
+                </button>
+              )}
               <button onClick={clearSketch} style={{ padding: '8px 12px', background: '#f44336', color: 'white', border: 'none', borderRadius: 4, flex: 1 }}>
                 Clear
               </button>
+              <button onClick={undoSketch} disabled={!canUndoSketch} title="Undo sketch step (Ctrl+Z)" style={{ padding: '8px 10px', background: !canUndoSketch ? '#666' : '#2196F3', color: 'white', border: 'none', borderRadius: 4 }}>
+                ⬅️
+              </button>
+              <button onClick={redoSketch} disabled={sketchHistory.future.length === 0} title="Redo sketch step (Ctrl+Y)" style={{ padding: '8px 10px', background: sketchHistory.future.length === 0 ? '#666' : '#2196F3', color: 'white', border: 'none', borderRadius: 4 }}>
+                ➡️
+              </button>
+            </div>
+            <div style={{ display: 'flex', gap: 4, alignItems: 'center', marginBottom: 8 }}>
+              <label style={{ flex: 1 }}>
+                <input type="file" accept=".dxf" onChange={importDXF} style={{ display: 'none' }} />
+                <div
+                  title="Add the lines, polylines, arcs, circles and splines of a DXF drawing to the sketch"
+                  style={{ padding: '6px 8px', fontSize: '11px', background: '#4CAF50', color: 'white', borderRadius: 4, textAlign: 'center', cursor: 'pointer' }}
+                >
+                  Import DXF
+                </div>
+              </label>
+              <button
+                onClick={exportSketchDXF}
+                title="Export the sketch as DXF"
+                style={{ padding: '6px 8px', fontSize: '11px', background: '#2196F3', color: 'white', border: 'none', borderRadius: 4, flex: 1 }}
+              >
+                Export DXF
+              </button>
+              <button
+                onClick={exportSectionDXF}
+                title="Export where the sketch plane cuts the selection (or every shape) as DXF"
+                style={{ padding: '6px 8px', fontSize: '11px', background: '#2196F3', color: 'white', border: 'none', borderRadius: 4, flex: 1 }}
+              >
+                Section DXF
+              </button>
+              {[4, 6, 1].map(units => (
+                <button
+                  key={units}
+                  onClick={() => setDxfUnits(units)}
+                  title="Units written to DXF files, and read from files that don't say"
+                  style={{ padding: '4px 6px', fontSize: '11px', background: dxfUnits === units ? '#4CAF50' : '#555', color: 'white', border: 'none', borderRadius: 4 }}
+                >
+                  {DXF_UNITS[units].label}
+                </button>
+              ))}
             </div>
+            {sketchLoops.length > 0 && (
+              <div style={{ fontSize: '11px', color: sketchRegions.error ? '#f44336' : '#aaa', marginBottom: 6 }}>
+                {sketchRegions.error
+                  ? sketchRegions.error.message
+                  : `${sketchRegions.regions.length} profile(s), ${sketchRegions.regions.reduce((sum, region) => sum + region.holes.length, 0)} hole(s)`}
+              </div>
+            )}
             {mode === "sketch-poly" && (
               <div style={{ fontSize: '11px', color: '#aaa' }}>
-                • Click to add points • Double-click to finish
+                • Click to add points • Double-click to finish • Backspace removes the last point
               </div>
             )}
+            {mode === "sketch-ngon" && (
+              <div style={{ display: 'grid', gridTemplateColumns: '60px 1fr', gap: 4, alignItems: 'center', marginBottom: 4 }}>
+                <span style={{ fontSize: '11px', color: '#ccc' }}>Sides</span>
+                <NumericField value={polygonSides} digits={0} title="Number of sides" onCommit={setSides} />
+              </div>
+            )}
+            {CURVE_TOOL_HINTS[mode] && (
+              <div style={{ fontSize: '11px', color: '#aaa' }}>
+                {CURVE_TOOL_HINTS[mode]}
+              </div>
+            )}
+            {mode === "sketch-edit" && (
+              <div style={{ fontSize: '11px', color: '#aaa' }}>
+                • Drag a vertex to move it • Double-click a line to insert a vertex • Delete removes the selection
+              </div>
+            )}
+            {!isSketchEmpty(sketch) && renderSketchConstraints()}
           </div>
         )}
 
@@ -1444,6 +4256,7 @@ export default function App() {
 
         {/* Transformation Controls */}
         <TransformationControls />
+        {selectedEntity && renderPatternPanel()}
 
         {/* Selected Entity Properties */}
         {selectedEntity && entityProperties && (
@@ -1451,17 +4264,50 @@ export default function App() {
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
               <strong style={{ color: '#4CAF50' }}>
                 Selected: {selectedEntity.userData?.type?.toUpperCase() || "OBJECT"}
+                {activeSubObject && ` · ${activeSubObject.type.toUpperCase()}`}
               </strong>
               <button onClick={deleteSelected} style={{ padding: '4px 8px', background: '#f44336', color: 'white', border: 'none', borderRadius: 4, fontSize: '11px' }}>
                 Delete
               </button>
             </div>
+            {renderVectorRow("Position (m)", "position", "length")}
+            {renderVectorRow("Rotation (°)", "rotation", "angle", THREE.MathUtils.radToDeg)}
+            {renderVectorRow("Scale", "scale", "number")}
+            {selectedEntity.userData.type === "mesh" && (
+              <label title="A see-through body to design around: its faces and edges can be picked, but it can't be moved or changed" style={{ display: 'block', fontSize: '12px', marginBottom: 4 }}>
+                <input
+                  type="checkbox"
+                  checked={!!selectedEntity.userData.reference}
+                  onChange={(e) => setSelectedReference(e.target.checked)}
+                /> Reference (locked)
+              </label>
+            )}
+            {(DIMENSION_FIELDS[selectedEntity.userData.type] || []).map(([key, label]) => (
+              <div key={key} style={{ fontSize: '12px', marginBottom: 4, display: 'flex', alignItems: 'center', gap: 4 }}>
+                <span style={{ color: '#aaa', minWidth: '100px' }}>{label} (m):</span>
+                <NumericField
+                  key={`${selectedEntity.userData.id}-${key}`}
+                  value={{ ...DEFAULT_PARAMS[selectedEntity.userData.type], ...selectedEntity.userData.params }[key]}
+                  kind="length"
+                  onCommit={(value) => setDimension(key, value)}
+                />
+              </div>
+            ))}
             {Object.entries(entityProperties).map(([key, value]) => (
               <div key={key} style={{ fontSize: '12px', marginBottom: 4, display: 'flex' }}>
                 <span style={{ color: '#aaa', minWidth: '100px' }}>{key}:</span>
                 <span style={{ flex: 1 }}>{value}</span>
               </div>
             ))}
+            <div style={{ fontSize: '12px', marginTop: 6, display: 'flex', alignItems: 'center' }}>
+              <span style={{ color: '#aaa', minWidth: '100px' }}>Color:</span>
+              <input
+                type="color"
+                value={selectedColor}
+                onChange={(e) => recolorSelected(new THREE.Color(e.target.value).getHex())}
+                style={{ width: 40, height: 22, padding: 0, border: 'none', background: 'none' }}
+              />
+            </div>
           </div>
         )}
 
@@ -1469,6 +4315,7 @@ export default function App() {
         <div style={{ fontSize: '11px', color: '#aaa', lineHeight: '1.4', borderTop: '1px solid rgba(255,255,255,0.2)', paddingTop: 10 }}>
           <strong>Controls:</strong><br/>
           • Click: Select objects<br/>
+          • Drag gizmo: Move/rotate/scale selection<br/>
           • Shift+Click: Multi-select<br/>
           • WASD: Move selected<br/>
           • Q/E: Move up/down<br/>
@@ -1480,6 +4327,97 @@ export default function App() {
           • Ctrl+G/U: Group/Ungroup
         </div>
       </div>
+
+      {/* Feature Tree */}
+      <div style={{
+        position: "absolute",
+        top: 10,
+        right: 10,
+        background: "rgba(0,0,0,0.9)",
+        padding: 15,
+        borderRadius: 8,
+        color: "white",
+        width: 300,
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '13px',
+        border: '1px solid rgba(255,255,255,0.1)',
+        maxHeight: '95vh',
+        overflowY: 'auto'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+          <strong style={{ color: '#4CAF50' }}>Feature Tree</strong>
+          {rollbackSeq !== null && (
+            <button onClick={() => setRollbackSeq(null)} title="Show the whole model again" style={{ padding: '4px 8px', background: '#2196F3', color: 'white', border: 'none', borderRadius: 4, fontSize: '11px' }}>
+              Roll Forward
+            </button>
+          )}
+        </div>
+        {featureRows.length === 0 && (
+          <div style={{ fontSize: '11px', color: '#aaa' }}>Shapes and the sketches they came from show up here</div>
+        )}
+        {featureRows.map(row => {
+          const rolledBack = rollbackSeq !== null && row.seq > rollbackSeq;
+          const earlier = row.kind !== "transform" && getFeatureSwap(featureRows, row, -1);
+          const later = row.kind !== "transform" && getFeatureSwap(featureRows, row, 1);
+          const smallButton = (enabled) => ({
+            padding: '2px 6px',
+            fontSize: '11px',
+            background: enabled ? '#555' : '#333',
+            color: enabled ? 'white' : '#777',
+            border: 'none',
+            borderRadius: 3
+          });
+          return (
+            <div
+              key={row.key}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: 3,
+                padding: '3px 4px',
+                paddingLeft: row.kind === "transform" ? 18 : 4,
+                borderRadius: 4,
+                background: editingFeature === row.key ? 'rgba(76, 175, 80, 0.3)' : 'transparent',
+                opacity: rolledBack ? 0.4 : 1
+              }}
+            >
+              <span
+                onClick={() => selectFeature(row)}
+                onDoubleClick={() => openFeature(row)}
+                title={row.detail ? `${row.detail}. Double-click to edit` : "Double-click to edit"}
+                style={{
+                  flex: 1,
+                  fontSize: '12px',
+                  cursor: 'pointer',
+                  color: row.suppressed ? '#888' : 'white',
+                  textDecoration: row.suppressed ? 'line-through' : 'none'
+                }}
+              >
+                {row.label}
+              </span>
+              {row.kind !== "transform" && (
+                <>
+                  <button onClick={() => moveFeature(row, earlier)} disabled={!earlier} title="Move earlier in the history" style={smallButton(!!earlier)}>↑</button>
+                  <button onClick={() => moveFeature(row, later)} disabled={!later} title="Move later in the history" style={smallButton(!!later)}>↓</button>
+                  {row.kind !== "sketch" && (
+                    <button onClick={() => toggleSuppressed(row)} title={row.suppressed ? "Unsuppress" : "Suppress"} style={smallButton(true)}>
+                      {row.suppressed ? "Off" : "On"}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setRollbackSeq(row.seq === rollbackSeq ? null : row.seq)}
+                    title="Roll the model back to just after this feature"
+                    style={{ ...smallButton(true), background: row.seq === rollbackSeq ? '#2196F3' : '#555' }}
+                  >
+                    ⏮
+                  </button>
+                </>
+              )}
+            </div>
+          );
+        })}
+        {editingRow && renderFeatureEditor(editingRow)}
+      </div>
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,68 @@
+// NumericField.js - text field for exact values. Accepts unit suffixes and
+// arithmetic (see expression.js); commits on Enter or blur, Escape reverts.
+import React, { useState } from "react";
+import { evaluateExpression } from "./expression";
+
+export default function NumericField({ value, kind = "number", digits = 3, onCommit, title }) {
+  // null while not editing, so the field follows the live value
+  const [text, setText] = useState(null);
+  const [error, setError] = useState(null);
+
+  const formatted = Number.isFinite(value) ? value.toFixed(digits) : "";
+
+  const commit = () => {
+    if (text === null) return;
+    if (text.trim() === formatted) {
+      setText(null);
+      setError(null);
+      return;
+    }
+
+    try {
+      const result = evaluateExpression(text, kind);
+      onCommit(result);
+      setText(null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const cancel = () => {
+    setText(null);
+    setError(null);
+  };
+
+  return (
+    <input
+      type="text"
+      value={text ?? formatted}
+      title={error || title}
+      onFocus={(e) => {
+        if (text === null) setText(formatted);
+        e.target.select();
+      }}
+      onChange={(e) => setText(e.target.value)}
+      // An invalid entry stays in the field, outlined, until fixed or Escaped
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") {
+          commit();
+        } else if (e.key === "Escape") {
+          cancel();
+        }
+      }}
+      style={{
+        width: '100%',
+        minWidth: 0,
+        padding: '3px 4px',
+        fontSize: '11px',
+        background: '#222',
+        color: 'white',
+        border: error ? '1px solid #f44336' : '1px solid #555',
+        borderRadius: 3,
+        boxSizing: 'border-box'
+      }}
+    />
+  );
+}
@@ -0,0 +1,70 @@
+// commandHistory.js - bounded undo/redo stack of reversible commands.
+//
+// A command is { label, undo(), redo(), mergeKey?, merge?(next) }. Commands
+// are pushed after their change has been applied to the scene. When a new
+// command has the same mergeKey as the one just pushed, `merge` folds it
+// into that entry, so e.g. a run of keyboard nudges undoes in one step.
+
+export const DEFAULT_HISTORY_LIMIT = 100;
+
+export const createCommandHistory = ({ limit = DEFAULT_HISTORY_LIMIT } = {}) => {
+  let undoStack = [];
+  let redoStack = [];
+  // Only the most recently pushed command may absorb the next one; an undo
+  // or redo in between ends the run.
+  let mergeTarget = null;
+
+  const push = (command) => {
+    redoStack = [];
+
+    const top = undoStack[undoStack.length - 1];
+    if (top && top === mergeTarget && command.mergeKey &&
+        top.mergeKey === command.mergeKey && top.merge) {
+      undoStack[undoStack.length - 1] = top.merge(command);
+      mergeTarget = undoStack[undoStack.length - 1];
+      return;
+    }
+
+    undoStack.push(command);
+    if (undoStack.length > limit) {
+      undoStack = undoStack.slice(undoStack.length - limit);
+    }
+    mergeTarget = command;
+  };
+
+  const undo = () => {
+    const command = undoStack.pop();
+    if (!command) return null;
+    command.undo();
+    redoStack.push(command);
+    mergeTarget = null;
+    return command;
+  };
+
+  const redo = () => {
+    const command = redoStack.pop();
+    if (!command) return null;
+    command.redo();
+    undoStack.push(command);
+    mergeTarget = null;
+    return command;
+  };
+
+  const clear = () => {
+    undoStack = [];
+    redoStack = [];
+    mergeTarget = null;
+  };
+
+  return {
+    push,
+    undo,
+    redo,
+    clear,
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+    undoLabel: () => undoStack[undoStack.length - 1]?.label ?? null,
+    redoLabel: () => redoStack[redoStack.length - 1]?.label ?? null,
+    size: () => undoStack.length
+  };
+};
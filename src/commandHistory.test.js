@@ -0,0 +1,97 @@
+import * as THREE from 'three';
+import { createCommandHistory } from './commandHistory';
+import { captureTransform, createGroupCommand, createTransformCommand } from './sceneCommands';
+
+const counterCommand = (state, delta, mergeKey) => ({
+  label: 'Add',
+  delta,
+  mergeKey,
+  undo: () => { state.value -= delta; },
+  redo: () => { state.value += delta; },
+  merge: (next) => counterCommand(state, delta + next.delta, mergeKey)
+});
+
+test('undo and redo replay commands in order', () => {
+  const state = { value: 0 };
+  const history = createCommandHistory();
+  [1, 2, 3].forEach(delta => {
+    state.value += delta;
+    history.push(counterCommand(state, delta));
+  });
+
+  history.undo();
+  history.undo();
+  expect(state.value).toBe(1);
+  history.redo();
+  expect(state.value).toBe(3);
+  expect(history.canRedo()).toBe(true);
+
+  state.value += 10;
+  history.push(counterCommand(state, 10));
+  expect(history.canRedo()).toBe(false);
+});
+
+test('the stack is bounded', () => {
+  const state = { value: 0 };
+  const history = createCommandHistory({ limit: 3 });
+  for (let i = 0; i < 5; i++) history.push(counterCommand(state, 1));
+  expect(history.size()).toBe(3);
+});
+
+test('consecutive commands with the same merge key become one entry', () => {
+  const state = { value: 0 };
+  const history = createCommandHistory();
+  [1, 1, 1].forEach(delta => {
+    state.value += delta;
+    history.push(counterCommand(state, delta, 'nudge'));
+  });
+  expect(history.size()).toBe(1);
+
+  history.undo();
+  expect(state.value).toBe(0);
+
+  // A run is broken by undo/redo
+  history.redo();
+  state.value += 1;
+  history.push(counterCommand(state, 1, 'nudge'));
+  expect(history.size()).toBe(2);
+});
+
+test('merged transforms undo back to the first starting point', () => {
+  const object = new THREE.Object3D();
+  const history = createCommandHistory();
+  for (let i = 0; i < 3; i++) {
+    const before = [captureTransform(object)];
+    object.position.x += 0.5;
+    history.push(createTransformCommand([object], before, { mergeKey: 'nudge' }));
+  }
+
+  history.undo();
+  expect(object.position.x).toBe(0);
+  history.redo();
+  expect(object.position.x).toBe(1.5);
+});
+
+test('grouping keeps world transforms through undo and redo', () => {
+  const scene = new THREE.Scene();
+  const doc = {
+    attachRoot: (object) => scene.attach(object),
+    detachRoot: (object) => object.parent && object.parent.remove(object)
+  };
+  const member = new THREE.Object3D();
+  member.position.set(2, 0, 0);
+  scene.add(member);
+
+  const group = new THREE.Group();
+  group.position.set(1, 1, 1);
+  const command = createGroupCommand(doc, group, [member]);
+
+  command.redo();
+  expect(member.parent).toBe(group);
+  expect(member.position.toArray()).toEqual([1, -1, -1]);
+
+  command.undo();
+  expect(member.parent).toBe(scene);
+  expect(group.parent).toBeNull();
+  expect(member.position.toArray()).toEqual([2, 0, 0]);
+});
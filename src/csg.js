@@ -0,0 +1,337 @@
+// csg.js - constructive solid geometry (union, subtract, intersect) on
+// closed triangle meshes, with BSP trees.
+//
+// A port of Evan Wallace's csg.js (MIT, https://github.com/evanw/csg.js) to
+// THREE vectors. Polygons are convex and never mutated; tree walks use an
+// explicit stack since a BSP of a smooth mesh can be thousands of nodes deep.
+//
+//   polygon: { vertices: [{ position, normal }], plane: { normal, w } }
+//
+// Results go back to a BufferGeometry without T-junctions, so adjacent
+// faces share their edges and THREE.EdgesGeometry finds clean feature edges.
+import * as THREE from "three";
+
+const EPSILON = 1e-5;
+const COPLANAR = 0;
+const FRONT = 1;
+const BACK = 2;
+const SPANNING = 3;
+
+// ====== POLYGONS ======
+const planeFromPoints = (a, b, c) => {
+  const normal = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a)).normalize();
+  return { normal, w: normal.dot(a) };
+};
+
+const createPolygon = (vertices, plane) => ({
+  vertices,
+  plane: plane || planeFromPoints(vertices[0].position, vertices[1].position, vertices[2].position)
+});
+
+const flipPolygon = (polygon) => ({
+  vertices: polygon.vertices.slice().reverse().map(vertex => ({ position: vertex.position, normal: vertex.normal.clone().negate() })),
+  plane: { normal: polygon.plane.normal.clone().negate(), w: -polygon.plane.w }
+});
+
+const interpolateVertex = (a, b, t) => ({
+  position: a.position.clone().lerp(b.position, t),
+  normal: a.normal.clone().lerp(b.normal, t)
+});
+
+// Sorts `polygon` into the lists by which side of `plane` it lies on,
+// cutting it in two when it spans the plane.
+const splitPolygon = (plane, polygon, coplanarFront, coplanarBack, front, back) => {
+  let polygonType = 0;
+  const types = polygon.vertices.map(vertex => {
+    const t = plane.normal.dot(vertex.position) - plane.w;
+    const type = t < -EPSILON ? BACK : t > EPSILON ? FRONT : COPLANAR;
+    polygonType |= type;
+    return type;
+  });
+
+  switch (polygonType) {
+    case COPLANAR:
+      (plane.normal.dot(polygon.plane.normal) > 0 ? coplanarFront : coplanarBack).push(polygon);
+      break;
+    case FRONT:
+      front.push(polygon);
+      break;
+    case BACK:
+      back.push(polygon);
+      break;
+    default: {
+      const f = [];
+      const b = [];
+      const count = polygon.vertices.length;
+      for (let i = 0; i < count; i++) {
+        const j = (i + 1) % count;
+        const ti = types[i];
+        const tj = types[j];
+        const vi = polygon.vertices[i];
+        const vj = polygon.vertices[j];
+        if (ti !== BACK) f.push(vi);
+        if (ti !== FRONT) b.push(vi);
+        if ((ti | tj) === SPANNING) {
+          const t = (plane.w - plane.normal.dot(vi.position)) / plane.normal.dot(new THREE.Vector3().subVectors(vj.position, vi.position));
+          const v = interpolateVertex(vi, vj, t);
+          f.push(v);
+          b.push(v);
+        }
+      }
+      if (f.length >= 3) front.push(createPolygon(f, polygon.plane));
+      if (b.length >= 3) back.push(createPolygon(b, polygon.plane));
+    }
+  }
+};
+
+// ====== BSP TREES ======
+const createNode = () => ({ plane: null, front: null, back: null, polygons: [] });
+
+const buildNode = (root, polygons) => {
+  const stack = [[root, polygons]];
+  while (stack.length > 0) {
+    const [node, list] = stack.pop();
+    if (list.length === 0) continue;
+    if (!node.plane) node.plane = list[0].plane;
+    const front = [];
+    const back = [];
+    list.forEach(polygon => splitPolygon(node.plane, polygon, node.polygons, node.polygons, front, back));
+    if (front.length > 0) {
+      node.front = node.front || createNode();
+      stack.push([node.front, front]);
+    }
+    if (back.length > 0) {
+      node.back = node.back || createNode();
+      stack.push([node.back, back]);
+    }
+  }
+  return root;
+};
+
+const allNodes = (root) => {
+  const nodes = [];
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    nodes.push(node);
+    if (node.front) stack.push(node.front);
+    if (node.back) stack.push(node.back);
+  }
+  return nodes;
+};
+
+// Solid space and empty space swap
+const invertNode = (root) => {
+  allNodes(root).forEach(node => {
+    node.polygons = node.polygons.map(flipPolygon);
+    node.plane = node.plane && { normal: node.plane.normal.clone().negate(), w: -node.plane.w };
+    [node.front, node.back] = [node.back, node.front];
+  });
+};
+
+// The parts of `polygons` outside the solid the tree describes
+const clipPolygons = (root, polygons) => {
+  const result = [];
+  const stack = [[root, polygons]];
+  while (stack.length > 0) {
+    const [node, list] = stack.pop();
+    if (!node.plane) {
+      result.push(...list);
+      continue;
+    }
+    const front = [];
+    const back = [];
+    list.forEach(polygon => splitPolygon(node.plane, polygon, front, back, front, back));
+    if (node.front) stack.push([node.front, front]);
+    else result.push(...front);
+    if (node.back) stack.push([node.back, back]);
+  }
+  return result;
+};
+
+const clipTo = (root, other) => {
+  allNodes(root).forEach(node => {
+    node.polygons = clipPolygons(other, node.polygons);
+  });
+};
+
+const allPolygons = (root) => allNodes(root).flatMap(node => node.polygons);
+
+// ====== OPERATIONS ======
+export const union = (a, b) => {
+  const A = buildNode(createNode(), a);
+  const B = buildNode(createNode(), b);
+  clipTo(A, B);
+  clipTo(B, A);
+  invertNode(B);
+  clipTo(B, A);
+  invertNode(B);
+  buildNode(A, allPolygons(B));
+  return allPolygons(A);
+};
+
+export const subtract = (a, b) => {
+  const A = buildNode(createNode(), a);
+  const B = buildNode(createNode(), b);
+  invertNode(A);
+  clipTo(A, B);
+  clipTo(B, A);
+  invertNode(B);
+  clipTo(B, A);
+  invertNode(B);
+  buildNode(A, allPolygons(B));
+  invertNode(A);
+  return allPolygons(A);
+};
+
+export const intersect = (a, b) => {
+  const A = buildNode(createNode(), a);
+  const B = buildNode(createNode(), b);
+  invertNode(A);
+  clipTo(B, A);
+  invertNode(B);
+  clipTo(A, B);
+  clipTo(B, A);
+  buildNode(A, allPolygons(B));
+  invertNode(A);
+  return allPolygons(A);
+};
+
+// ====== CONVERSION ======
+// Triangles of `geometry`, transformed by `matrix`; degenerate ones are
+// dropped since they have no plane.
+export const geometryToPolygons = (geometry, matrix = new THREE.Matrix4()) => {
+  const source = geometry.index ? geometry.toNonIndexed() : geometry;
+  const position = source.attributes.position;
+  const normal = source.attributes.normal;
+  const normalMatrix = new THREE.Matrix3().getNormalMatrix(matrix);
+  // A mirroring matrix turns triangles inside out unless they are reversed
+  const order = matrix.determinant() < 0 ? [2, 1, 0] : [0, 1, 2];
+  const polygons = [];
+
+  for (let i = 0; i + 2 < position.count; i += 3) {
+    const vertices = order.map(k => ({
+      position: new THREE.Vector3().fromBufferAttribute(position, i + k).applyMatrix4(matrix),
+      normal: normal
+        ? new THREE.Vector3().fromBufferAttribute(normal, i + k).applyMatrix3(normalMatrix).normalize()
+        : new THREE.Vector3()
+    }));
+    const [a, b, c] = vertices.map(vertex => vertex.position);
+    const area = new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a)).length();
+    if (area < EPSILON * EPSILON) continue;
+    const polygon = createPolygon(vertices);
+    if (!normal) vertices.forEach(vertex => vertex.normal.copy(polygon.plane.normal));
+    polygons.push(polygon);
+  }
+
+  if (source !== geometry) source.dispose();
+  return polygons;
+};
+
+// Vertices of other polygons that lie inside an edge are added to it, so
+// neighbours always share whole edges. The points are bucketed in a grid of
+// cells a whole number of EPSILON steps wide (about the median edge
+// length), and each edge only looks at the cells around points along it.
+const insertEdgeVertices = (polygons) => {
+  const points = [];
+  const seen = new Set();
+  const edgeLengths = [];
+  polygons.forEach(polygon => polygon.vertices.forEach(({ position }, i) => {
+    edgeLengths.push(position.distanceTo(polygon.vertices[(i + 1) % polygon.vertices.length].position));
+    const key = position.toArray().map(c => Math.round(c / EPSILON)).join(",");
+    if (!seen.has(key)) {
+      seen.add(key);
+      points.push(position);
+    }
+  }));
+
+  edgeLengths.sort((a, b) => a - b);
+  const median = edgeLengths[edgeLengths.length >> 1] ?? 0;
+  // At least two EPSILON wide, so a point near an edge is always in a cell
+  // next to the cell of the nearest sample along it
+  const cellSize = EPSILON * Math.max(2, Math.ceil(median / EPSILON));
+  // Cells are hashed to one number; points from colliding cells are only
+  // more candidates for the distance test
+  const cell = (c) => Math.floor(c / cellSize);
+  const cellKey = (x, y, z) => (x * 73856093) ^ (y * 19349663) ^ (z * 83492791);
+  const grid = new Map();
+  points.forEach(point => {
+    const key = cellKey(cell(point.x), cell(point.y), cell(point.z));
+    if (grid.has(key)) grid.get(key).push(point);
+    else grid.set(key, [point]);
+  });
+  const sample = new THREE.Vector3();
+  const nearby = (a, b, length) => {
+    const found = new Set();
+    const samples = Math.ceil(length / cellSize);
+    for (let s = 0; s <= samples; s++) {
+      sample.lerpVectors(a, b, s / samples);
+      const [cx, cy, cz] = [cell(sample.x), cell(sample.y), cell(sample.z)];
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dz = -1; dz <= 1; dz++) {
+            grid.get(cellKey(cx + dx, cy + dy, cz + dz))?.forEach(point => found.add(point));
+          }
+        }
+      }
+    }
+    return found;
+  };
+
+  const edge = new THREE.Vector3();
+  const offset = new THREE.Vector3();
+  return polygons.map(polygon => {
+    const vertices = [];
+    const count = polygon.vertices.length;
+    polygon.vertices.forEach((a, i) => {
+      const b = polygon.vertices[(i + 1) % count];
+      vertices.push(a);
+      edge.subVectors(b.position, a.position);
+      const lengthSq = edge.lengthSq();
+      if (lengthSq < EPSILON * EPSILON) return;
+
+      [...nearby(a.position, b.position, Math.sqrt(lengthSq))]
+        .map(point => {
+          const t = offset.subVectors(point, a.position).dot(edge) / lengthSq;
+          const distanceSq = offset.addScaledVector(edge, -t).lengthSq();
+          return { point, t, distanceSq };
+        })
+        .filter(({ t, distanceSq }) => t > EPSILON && t < 1 - EPSILON && distanceSq < EPSILON * EPSILON)
+        .sort((p, q) => p.t - q.t)
+        .forEach(({ point, t }) => vertices.push({ position: point, normal: a.normal.clone().lerp(b.normal, t) }));
+    });
+    return { ...polygon, vertices };
+  });
+};
+
+// Convex polygons become triangle fans; ones that gained edge vertices fan
+// out from their centre so no triangle degenerates.
+export const polygonsToGeometry = (polygons) => {
+  const positions = [];
+  const normals = [];
+  const pushVertex = ({ position, normal }) => {
+    positions.push(position.x, position.y, position.z);
+    normals.push(normal.x, normal.y, normal.z);
+  };
+
+  insertEdgeVertices(polygons).forEach(({ vertices }) => {
+    if (vertices.length === 3) {
+      vertices.forEach(pushVertex);
+      return;
+    }
+    const center = {
+      position: vertices.reduce((sum, vertex) => sum.add(vertex.position), new THREE.Vector3()).divideScalar(vertices.length),
+      normal: vertices.reduce((sum, vertex) => sum.add(vertex.normal), new THREE.Vector3()).normalize()
+    };
+    vertices.forEach((vertex, i) => {
+      pushVertex(center);
+      pushVertex(vertex);
+      pushVertex(vertices[(i + 1) % vertices.length]);
+    });
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute("normal", new THREE.Float32BufferAttribute(normals, 3));
+  return geometry;
+};
@@ -0,0 +1,70 @@
+import * as THREE from 'three';
+import { geometryToPolygons, intersect, polygonsToGeometry, subtract, union } from './csg';
+
+const boxAt = (x, y, z, size = 1) =>
+  geometryToPolygons(new THREE.BoxGeometry(size, size, size), new THREE.Matrix4().makeTranslation(x, y, z));
+
+// Divergence theorem over the triangles of a closed mesh
+const volume = (geometry) => {
+  const position = geometry.attributes.position;
+  const [a, b, c] = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  let sum = 0;
+  for (let i = 0; i < position.count; i += 3) {
+    a.fromBufferAttribute(position, i);
+    b.fromBufferAttribute(position, i + 1);
+    c.fromBufferAttribute(position, i + 2);
+    sum += a.dot(b.clone().cross(c)) / 6;
+  }
+  return sum;
+};
+
+const edgeLength = (geometry) => {
+  const position = new THREE.EdgesGeometry(geometry).attributes.position;
+  let sum = 0;
+  for (let i = 0; i < position.count; i += 2) {
+    sum += new THREE.Vector3().fromBufferAttribute(position, i).distanceTo(new THREE.Vector3().fromBufferAttribute(position, i + 1));
+  }
+  return sum;
+};
+
+test('union, subtract and intersect of overlapping boxes have the right volume', () => {
+  const a = boxAt(0, 0, 0);
+  const b = boxAt(0.5, 0.5, 0);
+  expect(volume(polygonsToGeometry(union(a, b)))).toBeCloseTo(1.75);
+  expect(volume(polygonsToGeometry(subtract(a, b)))).toBeCloseTo(0.75);
+  expect(volume(polygonsToGeometry(intersect(a, b)))).toBeCloseTo(0.25);
+  expect(intersect(a, boxAt(5, 0, 0))).toHaveLength(0);
+});
+
+test('results share whole edges, so coplanar faces show no seams', () => {
+  // Two overlapping boxes make one 1.5 x 1 x 1 block: only its outline
+  const block = polygonsToGeometry(union(boxAt(0, 0, 0), boxAt(0.5, 0, 0)));
+  expect(edgeLength(block)).toBeCloseTo(4 * 1.5 + 8);
+
+  // A hole drilled through adds its 4 sides and the 8 edges at its ends
+  const hole = geometryToPolygons(new THREE.BoxGeometry(0.4, 2, 0.4));
+  const drilled = polygonsToGeometry(subtract(boxAt(0, 0, 0), hole));
+  expect(edgeLength(drilled)).toBeCloseTo(12 + 4 + 8 * 0.4);
+});
+
+test('finely tessellated operands come out watertight', () => {
+  const sphere = geometryToPolygons(new THREE.SphereGeometry(0.5, 64, 48), new THREE.Matrix4().makeTranslation(1, 1, 1));
+  const result = polygonsToGeometry(subtract(boxAt(0, 0, 0, 2), sphere));
+  expect(volume(result)).toBeCloseTo(8 - Math.PI / 48, 2);
+
+  // Every edge is met by a neighbour running the other way
+  const position = result.attributes.position;
+  const key = (i) => new THREE.Vector3().fromBufferAttribute(position, i).toArray().map(c => Math.round(c * 1e4)).join(',');
+  const edges = new Map();
+  for (let i = 0; i < position.count; i += 3) {
+    [0, 1, 2].forEach(k => {
+      const edge = `${key(i + k)}|${key(i + (k + 1) % 3)}`;
+      edges.set(edge, (edges.get(edge) ?? 0) + 1);
+    });
+  }
+  const open = [...edges].filter(([edge, count]) => {
+    const [from, to] = edge.split('|');
+    return (edges.get(`${to}|${from}`) ?? 0) !== count;
+  });
+  expect(open).toHaveLength(0);
+});
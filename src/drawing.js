@@ -0,0 +1,387 @@
+// drawing.js - orthographic drawing sheets of the model, for prints.
+//
+// Each view looks at the model through a THREE.OrthographicCamera and draws
+// the feature edges of every shape (the EdgesGeometry overlays), split into
+// visible and hidden runs by casting rays from points along them back
+// towards the camera. Views are laid out third-angle on an A4 or A3 sheet
+// at a standard scale, with overall dimensions and a title block, and the
+// sheet is written as SVG or PDF.
+//
+// Sheets are in millimetres with y running down the page:
+//
+//   { width, height, size, scale,
+//     lines: [{ from: [x, y], to: [x, y], width, dash? }],
+//     arrows: [{ points: [[x, y], ...] }],                        filled
+//     texts: [{ at: [x, y], text, size, anchor, angle? }] }       angle in degrees, counter-clockwise
+import * as THREE from "three";
+import { getShapeContainers, isHiddenBySuppression } from "./sceneFormat";
+
+// Each view's camera looks back along `direction`, with `up` at the top
+export const DRAWING_VIEWS = {
+  front: { label: "Front", direction: [0, 0, 1], up: [0, 1, 0] },
+  top: { label: "Top", direction: [0, 1, 0], up: [0, 0, -1] },
+  right: { label: "Right", direction: [1, 0, 0], up: [0, 1, 0] },
+  iso: { label: "Isometric", direction: [1, 1, 1], up: [0, 1, 0] }
+};
+
+export const SHEET_SIZES = { A4: [297, 210], A3: [420, 297] };
+
+// ====== PROJECTION ======
+// Sub-segments per edge at most, and their least length as a share of the
+// model's size
+const EDGE_SAMPLES = 16;
+const SAMPLE_SHARE = 1 / 40;
+
+const collectShapes = (objects) => [...new Set(objects.flatMap(getShapeContainers))]
+  .filter(({ userData }) => !isHiddenBySuppression({ type: userData.type, userData }))
+  .map(container => {
+    container.updateWorldMatrix(true, true);
+    const mesh = container.children[0];
+    return { mesh, edges: mesh.children.find(child => child.userData.isEdgeVisual) };
+  })
+  .filter(({ mesh, edges }) => mesh?.isMesh && edges);
+
+const getModelBox = (shapes) => shapes.reduce((box, { mesh }) => {
+  mesh.geometry.computeBoundingBox();
+  return box.union(mesh.geometry.boundingBox.clone().applyMatrix4(mesh.matrixWorld));
+}, new THREE.Box3());
+
+const createViewCamera = (view, box) => {
+  const center = box.getCenter(new THREE.Vector3());
+  const size = box.getSize(new THREE.Vector3()).length() || 1;
+  const camera = new THREE.OrthographicCamera(-size, size, size, -size, 0, size * 4);
+  camera.position.copy(center).addScaledVector(new THREE.Vector3(...view.direction).normalize(), size * 2);
+  camera.up.set(...view.up);
+  camera.lookAt(center);
+  camera.updateMatrixWorld();
+  return camera;
+};
+
+// The triangles of every shape in view space, bucketed in a grid by the
+// cells their outlines cover. Hidden-line rays run straight back to the
+// camera (along +z), so only the triangles in a point's own cell can hide
+// it. Faces block from either side, since a ray can leave its own solid
+// through the inside of a face.
+const createOccluders = (shapes, camera, near) => {
+  const total = shapes.reduce((sum, { mesh }) => sum + (mesh.geometry.index ?? mesh.geometry.attributes.position).count / 3, 0);
+  // x, y, z of each corner and the doubled signed area
+  const triangles = new Float64Array(Math.floor(total) * 10);
+  let count = 0;
+  const bounds = new THREE.Box2();
+  const corners = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  shapes.forEach(({ mesh }) => {
+    const matrix = new THREE.Matrix4().multiplyMatrices(camera.matrixWorldInverse, mesh.matrixWorld);
+    const { index, attributes: { position } } = mesh.geometry;
+    for (let i = 0; i + 2 < (index ?? position).count; i += 3) {
+      corners.forEach((corner, k) => corner.fromBufferAttribute(position, index ? index.getX(i + k) : i + k).applyMatrix4(matrix));
+      const [a, b, c] = corners;
+      const area = (b.y - c.y) * (a.x - c.x) + (c.x - b.x) * (a.y - c.y);
+      // Faces seen edge-on cover nothing
+      if (Math.abs(area) < near * near) continue;
+      triangles.set([a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z, area], count * 10);
+      corners.forEach(corner => bounds.expandByPoint(corner));
+      count++;
+    }
+  });
+
+  const side = Math.min(256, Math.max(1, Math.ceil(Math.sqrt(count))));
+  const cellSize = Math.max(bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y, near) / side;
+  const cellOf = (x, y) => [
+    Math.min(side - 1, Math.floor((x - bounds.min.x) / cellSize)),
+    Math.min(side - 1, Math.floor((y - bounds.min.y) / cellSize))
+  ];
+  const cells = new Map();
+  for (let t = 0; t < count; t++) {
+    const at = t * 10;
+    const xs = [triangles[at], triangles[at + 3], triangles[at + 6]];
+    const ys = [triangles[at + 1], triangles[at + 4], triangles[at + 7]];
+    const [fromX, fromY] = cellOf(Math.min(...xs), Math.min(...ys));
+    const [toX, toY] = cellOf(Math.max(...xs), Math.max(...ys));
+    for (let cx = fromX; cx <= toX; cx++) {
+      for (let cy = fromY; cy <= toY; cy++) {
+        const key = cy * side + cx;
+        if (cells.has(key)) cells.get(key).push(at);
+        else cells.set(key, [at]);
+      }
+    }
+  }
+
+  // Whether a face covers `point` (in view space) more than `near` closer
+  // to the camera
+  return ({ x, y, z }) => {
+    if (count === 0 || x < bounds.min.x || y < bounds.min.y || x > bounds.max.x || y > bounds.max.y) return false;
+    const [cx, cy] = cellOf(x, y);
+    return (cells.get(cy * side + cx) ?? []).some(at => {
+      const [ax, ay, az, bx, by, bz, px, py, pz, area] = triangles.subarray(at, at + 10);
+      const u = ((by - py) * (x - px) + (px - bx) * (y - py)) / area;
+      const v = ((py - ay) * (x - px) + (ax - px) * (y - py)) / area;
+      // A little slack, so points under a face's own border count as covered
+      if (u < -1e-9 || v < -1e-9 || u + v > 1 + 1e-9) return false;
+      return u * az + v * bz + (1 - u - v) * pz - z > near;
+    });
+  };
+};
+
+// The feature edges seen by `view`, as { visible, hidden } lists of [a, b]
+// segments in the view plane (metres, x right and y up, centred on the
+// model's bounding box)
+export const projectEdges = (objects, view) => {
+  const shapes = collectShapes(objects);
+  const box = getModelBox(shapes);
+  const result = { visible: [], hidden: [] };
+  if (box.isEmpty()) return result;
+
+  const camera = createViewCamera(view, box);
+  const size = box.getSize(new THREE.Vector3()).length();
+  // Rays start on the edge's own faces, so faces right at the start don't count
+  const isHidden = createOccluders(shapes, camera, size * 1e-5);
+
+  const [a, b] = [new THREE.Vector3(), new THREE.Vector3()];
+  const matrix = new THREE.Matrix4();
+  shapes.forEach(({ edges }) => {
+    matrix.multiplyMatrices(camera.matrixWorldInverse, edges.matrixWorld);
+    const { position } = edges.geometry.attributes;
+    for (let i = 0; i + 1 < position.count; i += 2) {
+      a.fromBufferAttribute(position, i).applyMatrix4(matrix);
+      b.fromBufferAttribute(position, i + 1).applyMatrix4(matrix);
+      // Edges running along the view direction are just a point
+      if (Math.hypot(b.x - a.x, b.y - a.y) < size * 1e-6) continue;
+
+      // Runs of sub-segments whose middles are equally visible
+      const at = (t) => a.clone().lerp(b, t);
+      const project = (t) => {
+        const { x, y } = at(t);
+        return [x, y];
+      };
+      const count = Math.min(EDGE_SAMPLES, Math.max(1, Math.ceil(a.distanceTo(b) / (size * SAMPLE_SHARE))));
+      let start = 0;
+      let hidden = isHidden(at(0.5 / count));
+      for (let k = 1; k <= count; k++) {
+        const next = k < count && isHidden(at((k + 0.5) / count));
+        if (k === count || next !== hidden) {
+          (hidden ? result.hidden : result.visible).push([project(start / count), project(k / count)]);
+          start = k;
+          hidden = next;
+        }
+      }
+    }
+  });
+  return result;
+};
+
+// ====== SHEET ======
+const STANDARD_SCALES = [10, 5, 2, 1, 1 / 2, 1 / 5, 1 / 10, 1 / 20, 1 / 50, 1 / 100, 1 / 200, 1 / 500, 1 / 1000];
+const MARGIN = 10;
+const TITLE_HEIGHT = 32;
+const TITLE_WIDTH = 170;
+// Least room around each view for its label and dimensions
+const VIEW_GAP = 18;
+const LINE_WIDTHS = { frame: 0.7, visible: 0.5, hidden: 0.25, thin: 0.18 };
+const HIDDEN_DASH = [3, 1.5];
+
+const formatScale = (scale) => (scale >= 1 ? `${scale}:1` : `1:${Math.round(1 / scale)}`);
+const formatLength = (metres) => String(+(metres * 1000).toFixed(2));
+
+const extentOf = ({ visible, hidden }) => {
+  const points = [...visible, ...hidden].flat();
+  if (points.length === 0) return null;
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+};
+
+// Third-angle layout: top above front, right beside it, the isometric
+// view in the remaining corner
+const LAYOUT = [["top", "iso"], ["front", "right"]];
+
+const addDimension = (sheet, from, to, offset, value) => {
+  const horizontal = from[1] === to[1];
+  // Perpendicular to the measured side, towards the dimension line
+  const normal = horizontal ? [0, Math.sign(offset)] : [Math.sign(offset), 0];
+  const along = horizontal ? [1, 0] : [0, 1];
+  const shift = ([x, y], distance) => [x + normal[0] * distance, y + normal[1] * distance];
+  const distance = Math.abs(offset);
+
+  [from, to].forEach(point => sheet.lines.push({ from: shift(point, 2), to: shift(point, distance + 2), width: LINE_WIDTHS.thin }));
+  const [start, end] = [shift(from, distance), shift(to, distance)];
+  sheet.lines.push({ from: start, to: end, width: LINE_WIDTHS.thin });
+  [[start, 1], [end, -1]].forEach(([tip, sign]) => {
+    const back = [tip[0] + along[0] * sign * 3, tip[1] + along[1] * sign * 3];
+    sheet.arrows.push({ points: [tip, shift(back, 0.9), shift(back, -0.9)] });
+  });
+
+  const middle = [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2];
+  sheet.texts.push(horizontal
+    ? { at: [middle[0], middle[1] - 1], text: value, size: 3.5, anchor: "middle" }
+    : { at: [middle[0] - 1, middle[1]], text: value, size: 3.5, anchor: "middle", angle: 90 });
+};
+
+const addTitleBlock = (sheet, { title, scale, size, date }) => {
+  const right = sheet.width - MARGIN;
+  const bottom = sheet.height - MARGIN;
+  const [left, top] = [right - TITLE_WIDTH, bottom - TITLE_HEIGHT];
+  const split = top + 14;
+  const line = (from, to) => sheet.lines.push({ from, to, width: LINE_WIDTHS.frame });
+  line([left, top], [right, top]);
+  line([left, top], [left, bottom]);
+  line([left, split], [right, split]);
+
+  sheet.texts.push(
+    { at: [left + 2, top + 4], text: "TITLE", size: 2.5, anchor: "start" },
+    { at: [left + 2, split - 2.5], text: title, size: 6, anchor: "start" }
+  );
+  const fields = [["SCALE", formatScale(scale)], ["UNITS", "mm"], ["PROJECTION", "Third angle"], ["SHEET", size], ["DATE", date]];
+  const width = TITLE_WIDTH / fields.length;
+  fields.forEach(([caption, value], i) => {
+    const x = left + i * width;
+    if (i > 0) sheet.lines.push({ from: [x, split], to: [x, bottom], width: LINE_WIDTHS.thin });
+    sheet.texts.push(
+      { at: [x + 2, split + 4], text: caption, size: 2.5, anchor: "start" },
+      { at: [x + 2, bottom - 4], text: value, size: 3.5, anchor: "start" }
+    );
+  });
+};
+
+// A sheet with the four views of `objects`, or null when there is nothing
+// to draw. `hiddenLines` false leaves hidden edges out.
+export const createDrawingSheet = (objects, { size = "A3", title = "Untitled", date = "", hiddenLines = true } = {}) => {
+  const views = Object.fromEntries(Object.keys(DRAWING_VIEWS).map(name => {
+    const edges = projectEdges(objects, DRAWING_VIEWS[name]);
+    return [name, { edges, extent: extentOf(edges) }];
+  }));
+  if (!views.front.extent) return null;
+
+  const [width, height] = SHEET_SIZES[size];
+  const sheet = { width, height, size, scale: 1, lines: [], arrows: [], texts: [] };
+
+  // Cell sizes in metres: columns as wide, and rows as tall, as their widest view
+  const spanX = (name) => views[name].extent.maxX - views[name].extent.minX;
+  const spanY = (name) => views[name].extent.maxY - views[name].extent.minY;
+  const columns = [0, 1].map(c => Math.max(...LAYOUT.map(row => spanX(row[c]))));
+  const rows = LAYOUT.map(row => Math.max(...row.map(spanY)));
+  const [areaWidth, areaHeight] = [width - 2 * MARGIN, height - 2 * MARGIN - TITLE_HEIGHT];
+  const fits = (scale) => {
+    const k = scale * 1000;
+    return (columns[0] + columns[1]) * k + 3 * VIEW_GAP <= areaWidth && (rows[0] + rows[1]) * k + 3 * VIEW_GAP <= areaHeight;
+  };
+  const scale = STANDARD_SCALES.find(fits) ?? STANDARD_SCALES[STANDARD_SCALES.length - 1];
+  const k = scale * 1000;
+  sheet.scale = scale;
+
+  // What's left over is shared equally around the views
+  const gapX = (areaWidth - (columns[0] + columns[1]) * k) / 3;
+  const gapY = (areaHeight - (rows[0] + rows[1]) * k) / 3;
+  const centersX = [MARGIN + gapX + columns[0] * k / 2, MARGIN + 2 * gapX + columns[0] * k + columns[1] * k / 2];
+  const centersY = [MARGIN + gapY + rows[0] * k / 2, MARGIN + 2 * gapY + rows[0] * k + rows[1] * k / 2];
+
+  LAYOUT.forEach((row, r) => row.forEach((name, c) => {
+    const { edges, extent } = views[name];
+    if (!extent) return;
+    // The principal views share the model's centre, so they line up;
+    // the isometric view is centred on its own outline
+    const origin = name === "iso"
+      ? [centersX[c] - (extent.minX + extent.maxX) / 2 * k, centersY[r] + (extent.minY + extent.maxY) / 2 * k]
+      : [centersX[c], centersY[r]];
+    const toSheet = ([x, y]) => [origin[0] + x * k, origin[1] - y * k];
+
+    if (hiddenLines) {
+      edges.hidden.forEach(([a, b]) => sheet.lines.push({ from: toSheet(a), to: toSheet(b), width: LINE_WIDTHS.hidden, dash: HIDDEN_DASH }));
+    }
+    edges.visible.forEach(([a, b]) => sheet.lines.push({ from: toSheet(a), to: toSheet(b), width: LINE_WIDTHS.visible }));
+
+    const [left, top] = toSheet([extent.minX, extent.maxY]);
+    const [right, bottom] = toSheet([extent.maxX, extent.minY]);
+    sheet.texts.push({ at: [(left + right) / 2, top - 4], text: DRAWING_VIEWS[name].label.toUpperCase(), size: 3.5, anchor: "middle" });
+    // Isometric lengths aren't true lengths, so that view has none
+    if (name === "iso") return;
+    addDimension(sheet, [left, bottom], [right, bottom], 8, formatLength(extent.maxX - extent.minX));
+    addDimension(sheet, [right, top], [right, bottom], 8, formatLength(extent.maxY - extent.minY));
+  }));
+
+  sheet.lines.push(...[
+    [[MARGIN, MARGIN], [width - MARGIN, MARGIN]],
+    [[width - MARGIN, MARGIN], [width - MARGIN, height - MARGIN]],
+    [[width - MARGIN, height - MARGIN], [MARGIN, height - MARGIN]],
+    [[MARGIN, height - MARGIN], [MARGIN, MARGIN]]
+  ].map(([from, to]) => ({ from, to, width: LINE_WIDTHS.frame })));
+  addTitleBlock(sheet, { title, scale, size, date });
+  return sheet;
+};
+
+// ====== SVG ======
+const number = (value) => String(+value.toFixed(3));
+
+const escapeXML = (text) => text.replace(/[<>&"']/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+
+export const sheetToSVG = (sheet) => {
+  const lines = sheet.lines.map(({ from, to, width, dash }) =>
+    `<line x1="${number(from[0])}" y1="${number(from[1])}" x2="${number(to[0])}" y2="${number(to[1])}" stroke-width="${width}"${dash ? ` stroke-dasharray="${dash.join(" ")}"` : ""}/>`);
+  const arrows = sheet.arrows.map(({ points }) => `<polygon points="${points.map(p => p.map(number).join(",")).join(" ")}"/>`);
+  const texts = sheet.texts.map(({ at: [x, y], text, size, anchor, angle }) =>
+    `<text x="${number(x)}" y="${number(y)}" font-size="${size}" text-anchor="${anchor}"${angle ? ` transform="rotate(${-angle} ${number(x)} ${number(y)})"` : ""}>${escapeXML(text)}</text>`);
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${sheet.width}mm" height="${sheet.height}mm" viewBox="0 0 ${sheet.width} ${sheet.height}">`,
+    `<rect width="${sheet.width}" height="${sheet.height}" fill="white"/>`,
+    `<g stroke="black" stroke-linecap="round" fill="none">`, ...lines, `</g>`,
+    `<g fill="black">`, ...arrows, `</g>`,
+    `<g font-family="Helvetica, Arial, sans-serif" fill="black">`, ...texts, `</g>`,
+    `</svg>`
+  ].join("\n") + "\n";
+};
+
+// ====== PDF ======
+// A one-page PDF drawn with the sheet's own millimetre, y-down coordinates
+// (the page transform scales and flips them). Text is in the standard
+// Helvetica font, so only Latin-1 characters print.
+const POINTS_PER_MM = 72 / 25.4;
+// Rough Helvetica advance width, for centring text
+const CHARACTER_WIDTH = 0.55;
+
+const escapePDF = (text) => Array.from(text, c => {
+  const code = c.charCodeAt(0);
+  if (c === "(" || c === ")" || c === "\\") return `\\${c}`;
+  if (code >= 32 && code < 127) return c;
+  return code < 256 ? `\\${code.toString(8).padStart(3, "0")}` : "?";
+}).join("");
+
+export const sheetToPDF = (sheet) => {
+  const [pageWidth, pageHeight] = [sheet.width * POINTS_PER_MM, sheet.height * POINTS_PER_MM];
+  const ops = [`${number(POINTS_PER_MM)} 0 0 ${number(-POINTS_PER_MM)} 0 ${number(pageHeight)} cm`, "1 J"];
+  let style = null;
+  sheet.lines.forEach(({ from, to, width, dash }) => {
+    const next = `${width} w [${(dash ?? []).join(" ")}] 0 d`;
+    if (next !== style) ops.push(style = next);
+    ops.push(`${number(from[0])} ${number(from[1])} m ${number(to[0])} ${number(to[1])} l S`);
+  });
+  sheet.arrows.forEach(({ points }) => {
+    ops.push(`${points.map(([x, y], i) => `${number(x)} ${number(y)} ${i === 0 ? "m" : "l"}`).join(" ")} h f`);
+  });
+  sheet.texts.forEach(({ at: [x, y], text, size, anchor, angle = 0 }) => {
+    const [cos, sin] = [Math.cos(THREE.MathUtils.degToRad(angle)), Math.sin(THREE.MathUtils.degToRad(angle))];
+    const back = anchor === "middle" ? (text.length * size * CHARACTER_WIDTH) / 2 : 0;
+    // Text space is flipped back upright against the page transform
+    const matrix = [cos, -sin, -sin, -cos, x - back * cos, y + back * sin].map(number).join(" ");
+    ops.push(`BT /F1 ${size} Tf ${matrix} Tm (${escapePDF(text)}) Tj ET`);
+  });
+  const content = ops.join("\n");
+
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(pageWidth)} ${number(pageHeight)}] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>`,
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"
+  ];
+  // Every character is ASCII, so string offsets are byte offsets
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return pdf;
+};
@@ -0,0 +1,82 @@
+import * as THREE from 'three';
+import { DRAWING_VIEWS, createDrawingSheet, projectEdges, sheetToPDF, sheetToSVG } from './drawing';
+import { createGeometry, createMeshWithEdges } from './sceneFormat';
+
+const box = (width, height, depth, [x, y, z]) => {
+  const container = createMeshWithEdges(createGeometry('box', { width, height, depth }), 0x888888);
+  container.userData.type = 'box';
+  container.position.set(x, y, z);
+  return container;
+};
+
+const length = ([[ax, ay], [bx, by]]) => Math.hypot(bx - ax, by - ay);
+const total = (segments) => segments.reduce((sum, segment) => sum + length(segment), 0);
+
+test('edges behind a solid, or behind faces of their own, are hidden', () => {
+  // A small block right behind a big one
+  const model = [box(2, 2, 1, [0, 0, 0]), box(1, 1, 1, [0, 0, -2])];
+  const inside = (segments, limit) => segments.filter(segment => segment.flat().every(c => Math.abs(c) <= limit + 1e-9));
+
+  const front = projectEdges(model, DRAWING_VIEWS.front);
+  expect(total(inside(front.visible, 0.5))).toBeCloseTo(0);
+  expect(total(inside(front.hidden, 0.5))).toBeCloseTo(8);
+  expect(total(front.visible)).toBeGreaterThanOrEqual(8 - 1e-9);
+
+  // From above both are in sight, with their bottom edges under their tops
+  const top = projectEdges(model, DRAWING_VIEWS.top);
+  expect(total(top.visible)).toBeCloseTo(10);
+  expect(total(top.hidden)).toBeCloseTo(10);
+
+  // The three edges meeting at the far corner of a box
+  const iso = projectEdges([box(1, 1, 1, [0, 0, 0])], DRAWING_VIEWS.iso);
+  expect(iso.hidden).toHaveLength(3);
+  expect(projectEdges([], DRAWING_VIEWS.iso)).toEqual({ visible: [], hidden: [] });
+});
+
+test('densely meshed shapes split into their near and far halves', () => {
+  // Every edge of a fine sphere is a feature edge at a small edge angle
+  const sphere = createMeshWithEdges(new THREE.SphereGeometry(1, 192, 96), 0x888888, 0.5);
+  sphere.userData.type = 'mesh';
+  const { visible, hidden } = projectEdges([sphere], DRAWING_VIEWS.front);
+
+  expect(visible.length + hidden.length).toBeGreaterThan(30000);
+  // The near half is in sight and the far half behind it
+  expect(total(visible) / total(hidden)).toBeCloseTo(1, 1);
+});
+
+test('the sheet lays the views out at a standard scale with dimensions and a title block', () => {
+  const model = [box(0.12, 0.04, 0.06, [0, 0.02, 0])];
+  const sheet = createDrawingSheet(model, { size: 'A3', title: 'Bracket (rev A)', date: '2026-10-19' });
+
+  expect(sheet.scale).toBe(1);
+  const texts = sheet.texts.map(text => text.text);
+  expect(texts).toEqual(expect.arrayContaining(['FRONT', 'TOP', 'RIGHT', 'ISOMETRIC', 'Bracket (rev A)', '1:1', 'mm', '2026-10-19']));
+  // Width and height under the front view, width and depth under the top, depth and height under the right
+  expect(texts.filter(text => /^\d/.test(text) && text !== '2026-10-19' && text !== '1:1').sort()).toEqual(['120', '120', '40', '40', '60', '60']);
+  expect(sheet.lines.every(({ from, to }) => [...from, ...to].every(c => c >= 0 && c <= 420))).toBe(true);
+  expect(sheet.lines.some(line => line.dash)).toBe(true);
+
+  const plain = createDrawingSheet(model, { hiddenLines: false });
+  expect(plain.lines.some(line => line.dash)).toBe(false);
+  expect(createDrawingSheet([])).toBeNull();
+  expect(createDrawingSheet([box(5, 1, 1, [0, 0, 0])], { size: 'A4' }).scale).toBe(1 / 50);
+});
+
+test('sheets are written as SVG and as a one-page PDF', () => {
+  const sheet = createDrawingSheet([box(0.1, 0.1, 0.1, [0, 0, 0])], { title: 'A & B <1>', date: '2026-10-19' });
+
+  const svg = sheetToSVG(sheet);
+  expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="420mm" height="297mm"')).toBe(true);
+  expect(svg).toContain('A &amp; B &lt;1&gt;');
+  expect(svg).toContain('transform="rotate(-90');
+
+  const pdf = sheetToPDF({ ...sheet, texts: [...sheet.texts, { at: [20, 20], text: 'Ø (1)', size: 3.5, anchor: 'start' }] });
+  expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+  expect(pdf.endsWith('%%EOF\n')).toBe(true);
+  expect(pdf).toContain('(\\330 \\(1\\)) Tj');
+  // The cross-reference table points at each object
+  const offsets = [...pdf.matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+  expect(offsets).toHaveLength(5);
+  offsets.forEach((offset, i) => expect(pdf.startsWith(`${i + 1} 0 obj`, offset)).toBe(true));
+  expect(pdf.startsWith('xref', Number(pdf.match(/startxref\n(\d+)/)[1]))).toBe(true);
+});
@@ -0,0 +1,433 @@
+// dxf.js - 2D drawings in AutoCAD's DXF format, for sketches.
+//
+// Drawings are read into, and written from, plain entities in metres on
+// the sketch plane, each on a named layer:
+//
+//   { type: "line", layer, start: [x, y], end: [x, y] }
+//   { type: "polyline", layer, points: [[x, y], ...], bulges?, closed }
+//   { type: "arc", layer, center, radius, startAngle, endAngle }  degrees, counter-clockwise
+//   { type: "circle", layer, center, radius }
+//   { type: "spline", layer, points: [[x, y], ...] }  the points the curve passes through
+//
+// `bulges[i]` rounds the polyline edge leaving points[i] into an arc:
+// tan(sweep / 4), positive counter-clockwise. Heights are dropped, so
+// everything lands flat on the plane. The units of a file come from its
+// $INSUNITS header; files that don't say use the caller's.
+import * as THREE from "three";
+import { collectMeshes } from "./meshExport";
+import {
+  addArc,
+  addCircle,
+  addPolyline,
+  addSpline,
+  getArcAngles,
+  getRadius,
+  indexSketch,
+  joinCurveEnds
+} from "./sketchModel";
+import { toSketchCoords } from "./sketchPlane";
+
+// $INSUNITS codes with their size in metres (0 is "unitless")
+export const DXF_UNITS = {
+  1: { label: "in", size: 0.0254 },
+  2: { label: "ft", size: 0.3048 },
+  4: { label: "mm", size: 0.001 },
+  5: { label: "cm", size: 0.01 },
+  6: { label: "m", size: 1 },
+  7: { label: "km", size: 1000 },
+  9: { label: "mil", size: 0.0000254 },
+  10: { label: "yd", size: 0.9144 },
+  13: { label: "µm", size: 0.000001 },
+  14: { label: "dm", size: 0.1 }
+};
+
+// Ends closer than this (in metres) are joined on import
+const JOIN_TOLERANCE = 1e-6;
+
+// ====== READING ======
+// A DXF file is a list of (group code, value) pairs on alternate lines
+const readPairs = (text) => {
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i], 10);
+    if (Number.isNaN(code)) throw new Error(`Line ${i + 1} should be a group code`);
+    pairs.push([code, lines[i + 1].trim()]);
+  }
+  return pairs;
+};
+
+// Sections as { name: pairs }, and each section's records (a 0 pair and
+// the pairs after it) as [type, pairs]
+const readSections = (pairs) => {
+  const sections = {};
+  let current = null;
+  pairs.forEach(([code, value], i) => {
+    if (code === 0 && value === "SECTION") current = pairs[i + 1]?.[1];
+    else if (code === 0 && value === "ENDSEC") current = null;
+    else if (current) (sections[current] = sections[current] ?? []).push([code, value]);
+  });
+  return sections;
+};
+
+const readRecords = (pairs = []) => pairs.reduce((records, [code, value]) => {
+  if (code === 0) records.push([value, []]);
+  else if (records.length > 0) records[records.length - 1][1].push([code, value]);
+  return records;
+}, []);
+
+const readUnits = (header = []) => {
+  const at = header.findIndex(([code, value]) => code === 9 && value === "$INSUNITS");
+  const units = at >= 0 ? parseInt(header[at + 1]?.[1], 10) : 0;
+  return DXF_UNITS[units] ? units : 0;
+};
+
+// A NURBS curve's point at `t` (de Boor's algorithm, in homogeneous
+// coordinates so rational splines come out right)
+const evaluateSpline = ({ degree, knots, controlPoints, weights }, t) => {
+  const last = controlPoints.length - 1;
+  let span = degree;
+  while (span < last && t >= knots[span + 1]) span++;
+
+  const d = Array.from({ length: degree + 1 }, (_, j) => {
+    const [x, y] = controlPoints[span - degree + j];
+    const w = weights[span - degree + j] ?? 1;
+    return [x * w, y * w, w];
+  });
+  for (let r = 1; r <= degree; r++) {
+    for (let j = degree; j >= r; j--) {
+      const i = span - degree + j;
+      const length = knots[i + degree - r + 1] - knots[i];
+      const alpha = length === 0 ? 0 : (t - knots[i]) / length;
+      d[j] = d[j].map((value, k) => (1 - alpha) * d[j - 1][k] + alpha * value);
+    }
+  }
+  const [x, y, w] = d[degree];
+  return [x / w, y / w];
+};
+
+// Points a sketch spline can pass through: the fit points when the file
+// has them, otherwise four samples per knot span
+const splineThroughPoints = (spline, layer) => {
+  if (spline.fitPoints.length >= 2) return spline.fitPoints;
+  const { degree, knots, controlPoints } = spline;
+  if (controlPoints.length <= degree || knots.length !== controlPoints.length + degree + 1) {
+    throw new Error(`A SPLINE on layer "${layer}" has the wrong number of knots or control points`);
+  }
+  const from = knots[degree];
+  const to = knots[controlPoints.length];
+  const spans = new Set(knots.slice(degree, controlPoints.length + 1)).size - 1;
+  const count = Math.max(4, spans * 4);
+  return Array.from({ length: count + 1 }, (_, i) => evaluateSpline(spline, from + (to - from) * (i / count)));
+};
+
+// Entities with a negative extrusion direction are drawn in a mirrored
+// frame (their "object coordinate system"), whose x runs the other way
+const readEntity = (type, pairs, scale) => {
+  const numbers = (code) => pairs.filter(([c]) => c === code).map(([, value]) => parseFloat(value));
+  const number = (code, fallback = 0) => numbers(code)[0] ?? fallback;
+  const layer = pairs.find(([code]) => code === 8)?.[1] || "0";
+  const mirrored = number(230, 1) < 0;
+  const point = (x, y) => [(mirrored ? -x : x) * scale, y * scale];
+  const points = (xCode, yCode) => {
+    const ys = numbers(yCode);
+    return numbers(xCode).map((x, i) => point(x, ys[i] ?? 0));
+  };
+
+  if (type === "LINE") {
+    // Lines are always in world coordinates
+    return { type: "line", layer, start: [number(10) * scale, number(20) * scale], end: [number(11) * scale, number(21) * scale] };
+  }
+  if (type === "CIRCLE") {
+    return { type: "circle", layer, center: point(number(10), number(20)), radius: number(40) * scale };
+  }
+  if (type === "ARC") {
+    const [start, end] = [number(50), number(51)];
+    return {
+      type: "arc",
+      layer,
+      center: point(number(10), number(20)),
+      radius: number(40) * scale,
+      // Mirroring turns the arc clockwise, so it runs between the mirrored ends the other way
+      ...(mirrored ? { startAngle: 180 - end, endAngle: 180 - start } : { startAngle: start, endAngle: end })
+    };
+  }
+  if (type === "LWPOLYLINE") {
+    // Each vertex is a 10/20 pair, followed by its bulge (42) if it has one
+    const vertices = [];
+    pairs.forEach(([code, value]) => {
+      if (code === 10) vertices.push({ x: parseFloat(value), y: 0, bulge: 0 });
+      else if (code === 20 && vertices.length > 0) vertices[vertices.length - 1].y = parseFloat(value);
+      else if (code === 42 && vertices.length > 0) vertices[vertices.length - 1].bulge = parseFloat(value);
+    });
+    return {
+      type: "polyline",
+      layer,
+      points: vertices.map(({ x, y }) => point(x, y)),
+      bulges: vertices.map(({ bulge }) => (mirrored ? -bulge : bulge)),
+      closed: (number(70) & 1) === 1
+    };
+  }
+  if (type === "SPLINE") {
+    const spline = {
+      degree: number(71, 3),
+      knots: numbers(40),
+      weights: numbers(41),
+      controlPoints: points(10, 20),
+      fitPoints: points(11, 21)
+    };
+    return { type: "spline", layer, points: splineThroughPoints(spline, layer) };
+  }
+  return null;
+};
+
+// { units, entities, skipped }: `units` is the $INSUNITS code used (the
+// file's, else `fallbackUnits`) and `skipped` counts the entities of other
+// types (text, blocks, hatches...) by type
+export const parseDXF = (text, fallbackUnits = 6) => {
+  const sections = readSections(readPairs(text));
+  if (!sections.ENTITIES) throw new Error("This is not a DXF file, or it has no ENTITIES section");
+
+  const units = readUnits(sections.HEADER) || fallbackUnits;
+  const scale = DXF_UNITS[units].size;
+  const entities = [];
+  const skipped = {};
+  readRecords(sections.ENTITIES).forEach(([type, pairs]) => {
+    const entity = readEntity(type, pairs, scale);
+    if (entity) entities.push(entity);
+    else skipped[type] = (skipped[type] ?? 0) + 1;
+  });
+  if (entities.length === 0) throw new Error("The drawing has no lines, polylines, arcs, circles or splines");
+  return { units, entities, skipped };
+};
+
+// ====== SKETCHES ======
+const degrees = THREE.MathUtils.radToDeg;
+const radians = THREE.MathUtils.degToRad;
+
+const onCircle = ([cx, cy], radius, angle) => [cx + Math.cos(radians(angle)) * radius, cy + Math.sin(radians(angle)) * radius];
+
+// The arc rounding the edge from `a` to `b` by `bulge`. Its centre is off
+// the chord's midpoint, to the left for a counter-clockwise arc of less
+// than half a turn.
+const addBulgeArc = (sketch, a, b, bulge) => {
+  const [dx, dy] = [b[0] - a[0], b[1] - a[1]];
+  const offset = (1 - bulge * bulge) / (4 * bulge);
+  const center = [(a[0] + b[0]) / 2 - dy * offset, (a[1] + b[1]) / 2 + dx * offset];
+  return bulge > 0 ? addArc(sketch, center, a, b) : addArc(sketch, center, b, a);
+};
+
+const addEntity = (sketch, entity) => {
+  if (entity.type === "line") return addPolyline(sketch, [entity.start, entity.end]);
+  if (entity.type === "circle") return addCircle(sketch, entity.center, entity.radius);
+  if (entity.type === "arc") {
+    const sweep = ((entity.endAngle - entity.startAngle) % 360 + 360) % 360;
+    if (sweep < 1e-9) return addCircle(sketch, entity.center, entity.radius);
+    const start = onCircle(entity.center, entity.radius, entity.startAngle);
+    return addArc(sketch, entity.center, start, onCircle(entity.center, entity.radius, entity.endAngle));
+  }
+  if (entity.type === "polyline") {
+    const { points, bulges = [], closed } = entity;
+    const count = closed ? points.length : points.length - 1;
+    let next = sketch;
+    for (let i = 0; i < count; i++) {
+      const [a, b] = [points[i], points[(i + 1) % points.length]];
+      next = Math.abs(bulges[i] ?? 0) < 1e-9 ? addPolyline(next, [a, b]) : addBulgeArc(next, a, b, bulges[i]);
+    }
+    return next;
+  }
+  // A spline ending where it starts is closed
+  const { points } = entity;
+  const [first, last] = [points[0], points[points.length - 1]];
+  const closed = points.length > 3 && Math.hypot(last[0] - first[0], last[1] - first[1]) < JOIN_TOLERANCE;
+  return addSpline(sketch, closed ? points.slice(0, -1) : points, { closed });
+};
+
+// Adds drawing entities to a sketch, each curve keeping its layer. Ends
+// that meet are joined, so outlines made of separate lines and arcs become
+// loops an extrusion can use.
+export const addDrawingToSketch = (sketch, entities) => {
+  const added = entities.reduce((current, entity) => {
+    const next = addEntity(current, entity);
+    const layer = entity.layer ?? "0";
+    return { ...next, entities: next.entities.map((e, i) => (i < current.entities.length ? e : { ...e, layer })) };
+  }, sketch);
+  return joinCurveEnds(added, JOIN_TOLERANCE);
+};
+
+// The sketch's curves as drawing entities; curves drawn here are on layer 0
+export const sketchToDrawing = (sketch) => {
+  const index = indexSketch(sketch);
+  const coords = (id) => {
+    const point = index.points.get(id);
+    return [point.x, point.y];
+  };
+  return sketch.entities.map(entity => {
+    const layer = entity.layer ?? "0";
+    if (entity.type === "line") return { type: "line", layer, start: coords(entity.p1), end: coords(entity.p2) };
+    if (entity.type === "circle") return { type: "circle", layer, center: coords(entity.center), radius: entity.radius };
+    if (entity.type === "arc") {
+      const { startAngle, sweep } = getArcAngles(index, entity);
+      return {
+        type: "arc",
+        layer,
+        center: coords(entity.center),
+        radius: getRadius(index, entity),
+        startAngle: degrees(startAngle),
+        endAngle: degrees(startAngle + sweep)
+      };
+    }
+    return { type: "spline", layer, points: entity.points.map(coords) };
+  });
+};
+
+// ====== SECTIONS ======
+const SECTION_PRECISION = 1e7;
+
+// Drops points in the middle of straight runs (the mesh's triangles cut
+// flat faces into many pieces)
+const simplifyOutline = (points, closed) => {
+  const isStraight = (a, b, c) => {
+    const [ux, uy, vx, vy] = [b[0] - a[0], b[1] - a[1], c[0] - b[0], c[1] - b[1]];
+    return Math.abs(ux * vy - uy * vx) <= 1e-6 * Math.hypot(ux, uy) * Math.hypot(vx, vy) && ux * vx + uy * vy > 0;
+  };
+  return points.filter((point, i) => {
+    const [before, after] = [points[i - 1], points[i + 1]];
+    if (closed) return !isStraight(points[(i - 1 + points.length) % points.length], point, points[(i + 1) % points.length]);
+    return !before || !after || !isStraight(before, point, after);
+  });
+};
+
+// Where `plane` (a sketch plane) cuts the shapes in `objects`, as polylines
+// on `layer` in the plane's (u, v) coordinates. Faces lying in the plane
+// aren't cut, so the outline of a face is taken just inside the solid.
+export const getSectionDrawing = (objects, plane, layer = "SECTION") => {
+  const segments = [];
+  const vertex = new THREE.Vector3();
+  collectMeshes(objects).forEach(({ positions }) => {
+    for (let t = 0; t < positions.length; t += 9) {
+      const corners = [0, 1, 2].map(k => vertex.fromArray(positions, t + k * 3).clone());
+      const distances = corners.map(corner => corner.clone().sub(plane.origin).dot(plane.normal));
+      const crossings = [[0, 1], [1, 2], [2, 0]]
+        .filter(([a, b]) => (distances[a] >= 0) !== (distances[b] >= 0))
+        // From the same end whichever triangle the edge is in, so both find the same point
+        .map(edge => (distances[edge[0]] < distances[edge[1]] ? edge : [edge[1], edge[0]]))
+        .map(([a, b]) => {
+          const point = corners[a].clone().lerp(corners[b], distances[a] / (distances[a] - distances[b]));
+          const { x, y } = toSketchCoords(plane, point);
+          return [x, y];
+        });
+      if (crossings.length === 2) segments.push(crossings);
+    }
+  });
+
+  // Segments meet where their ends round to the same point
+  const key = ([x, y]) => `${Math.round(x * SECTION_PRECISION)},${Math.round(y * SECTION_PRECISION)}`;
+  const live = segments.filter(([a, b]) => key(a) !== key(b));
+  const byEnd = new Map();
+  live.forEach(segment => segment.forEach(end => {
+    if (!byEnd.has(key(end))) byEnd.set(key(end), []);
+    byEnd.get(key(end)).push(segment);
+  }));
+
+  const used = new Set();
+  const walk = (segment, from) => {
+    const points = [from];
+    let current = segment;
+    let end = from;
+    while (current && !used.has(current)) {
+      used.add(current);
+      end = key(current[0]) === key(end) ? current[1] : current[0];
+      points.push(end);
+      current = byEnd.get(key(end)).find(other => !used.has(other));
+    }
+    return points;
+  };
+
+  // Open runs (where the mesh has holes) are walked from a free end
+  const outlines = [];
+  live.forEach(segment => segment.forEach(end => {
+    if (!used.has(segment) && byEnd.get(key(end)).length === 1) outlines.push(walk(segment, end));
+  }));
+  live.forEach(segment => {
+    if (!used.has(segment)) outlines.push(walk(segment, segment[0]));
+  });
+
+  return outlines.map(points => {
+    const closed = points.length > 3 && key(points[0]) === key(points[points.length - 1]);
+    return { type: "polyline", layer, points: simplifyOutline(closed ? points.slice(0, -1) : points, closed), closed };
+  });
+};
+
+// ====== WRITING ======
+// A Catmull-Rom curve (as sketch splines are) is a cubic Bezier from each
+// point to the next, which a B-spline with triple interior knots follows
+// exactly
+const splineToBezier = (points) => {
+  const last = points.length - 1;
+  const controlPoints = [points[0]];
+  for (let i = 0; i < last; i++) {
+    const [p0, p1, p2, p3] = [points[Math.max(i - 1, 0)], points[i], points[i + 1], points[Math.min(i + 2, last)]];
+    controlPoints.push(
+      [p1[0] + (p2[0] - p0[0]) / 6, p1[1] + (p2[1] - p0[1]) / 6],
+      [p2[0] - (p3[0] - p1[0]) / 6, p2[1] - (p3[1] - p1[1]) / 6],
+      p2
+    );
+  }
+  const knots = [0, 0, 0, 0, ...Array.from({ length: last - 1 }, (_, i) => [i + 1, i + 1, i + 1]).flat(), last, last, last, last];
+  return { controlPoints, knots };
+};
+
+// An R2000 (AC1015) file with a layer table and the entities, in `units`
+// (an $INSUNITS code)
+export const writeDXF = (entities, units = 6) => {
+  const { size } = DXF_UNITS[units];
+  const lines = [];
+  const format = (value) => (typeof value === "number" ? String(+value.toFixed(9)) : value);
+  const write = (...pairs) => pairs.forEach(([code, value]) => lines.push(String(code), format(value)));
+  const point = ([x, y], code = 10) => [[code, x / size], [code + 10, y / size], [code + 20, 0]];
+  let handle = 0x100;
+  const nextHandle = () => (handle++).toString(16).toUpperCase();
+
+  write([0, "SECTION"], [2, "HEADER"], [9, "$ACADVER"], [1, "AC1015"], [9, "$INSUNITS"], [70, units], [0, "ENDSEC"]);
+
+  const layers = [...new Set(["0", ...entities.map(entity => entity.layer ?? "0")])];
+  write([0, "SECTION"], [2, "TABLES"], [0, "TABLE"], [2, "LAYER"], [5, nextHandle()], [100, "AcDbSymbolTable"], [70, layers.length]);
+  layers.forEach(name => write(
+    [0, "LAYER"], [5, nextHandle()], [100, "AcDbSymbolTableRecord"], [100, "AcDbLayerTableRecord"],
+    [2, name], [70, 0], [62, 7]
+  ));
+  write([0, "ENDTAB"], [0, "ENDSEC"], [0, "SECTION"], [2, "ENTITIES"]);
+
+  entities.forEach(entity => {
+    const common = [[5, nextHandle()], [100, "AcDbEntity"], [8, entity.layer ?? "0"]];
+    if (entity.type === "line") {
+      write([0, "LINE"], ...common, [100, "AcDbLine"], ...point(entity.start), ...point(entity.end, 11));
+    } else if (entity.type === "circle") {
+      write([0, "CIRCLE"], ...common, [100, "AcDbCircle"], ...point(entity.center), [40, entity.radius / size]);
+    } else if (entity.type === "arc") {
+      const angle = (value) => ((value % 360) + 360) % 360;
+      write(
+        [0, "ARC"], ...common, [100, "AcDbCircle"], ...point(entity.center), [40, entity.radius / size],
+        [100, "AcDbArc"], [50, angle(entity.startAngle)], [51, angle(entity.endAngle)]
+      );
+    } else if (entity.type === "polyline") {
+      write([0, "LWPOLYLINE"], ...common, [100, "AcDbPolyline"], [90, entity.points.length], [70, entity.closed ? 1 : 0]);
+      entity.points.forEach(([x, y], i) => {
+        write([10, x / size], [20, y / size]);
+        if (entity.bulges?.[i]) write([42, entity.bulges[i]]);
+      });
+    } else if (entity.type === "spline" && entity.points.length >= 2) {
+      const { controlPoints, knots } = splineToBezier(entity.points);
+      write(
+        [0, "SPLINE"], ...common, [100, "AcDbSpline"], [210, 0], [220, 0], [230, 1],
+        [70, 8], [71, 3], [72, knots.length], [73, controlPoints.length], [74, entity.points.length],
+        ...knots.map(knot => [40, knot]),
+        ...controlPoints.flatMap(p => point(p)),
+        ...entity.points.flatMap(p => point(p, 11))
+      );
+    }
+  });
+  write([0, "ENDSEC"], [0, "EOF"]);
+  return `${lines.join("\n")}\n`;
+};
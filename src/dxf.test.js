@@ -0,0 +1,97 @@
+import { addDrawingToSketch, getSectionDrawing, parseDXF, sketchToDrawing, writeDXF } from './dxf';
+import { createGeometry, createMeshWithEdges } from './sceneFormat';
+import { addArc, addPolyline, addSpline, createSketch, getSketchLoops, getSketchRegions } from './sketchModel';
+import { getPresetPlane } from './sketchPlane';
+
+const dxf = (header, entities) => [
+  '0', 'SECTION', '2', 'HEADER', ...header, '0', 'ENDSEC',
+  '0', 'SECTION', '2', 'ENTITIES', ...entities.flat(), '0', 'ENDSEC', '0', 'EOF'
+].join('\r\n');
+
+const round = (values) => values.map(value => +value.toFixed(6));
+
+test('entities are read in metres from the units in the header, on their layers', () => {
+  const { units, entities, skipped } = parseDXF(dxf(['9', '$INSUNITS', '70', '4'], [
+    ['0', 'LINE', '8', 'Outline', '10', '0', '20', '0', '30', '0', '11', '100', '21', '0', '31', '0'],
+    ['0', 'ARC', '8', 'Outline', '10', '50', '20', '0', '40', '50', '50', '0', '51', '180'],
+    ['0', 'ARC', '10', '0', '20', '0', '40', '10', '50', '0', '51', '90', '210', '0', '220', '0', '230', '-1'],
+    ['0', 'CIRCLE', '8', 'Holes', '10', '20', '20', '10', '40', '5'],
+    ['0', 'LWPOLYLINE', '8', 'Slot', '90', '2', '70', '1', '10', '0', '20', '0', '42', '1', '10', '10', '20', '0', '42', '1'],
+    ['0', 'SPLINE', '70', '8', '71', '2', '72', '6', '73', '3', '74', '0',
+      '40', '0', '40', '0', '40', '0', '40', '1', '40', '1', '40', '1',
+      '10', '0', '20', '0', '10', '1', '20', '2', '10', '2', '20', '0'],
+    ['0', 'TEXT', '8', 'Notes', '1', 'Part 7']
+  ]));
+
+  expect(units).toBe(4);
+  expect(skipped).toEqual({ TEXT: 1 });
+  expect(entities.map(entity => [entity.type, entity.layer])).toEqual([
+    ['line', 'Outline'], ['arc', 'Outline'], ['arc', '0'], ['circle', 'Holes'], ['polyline', 'Slot'], ['spline', '0']
+  ]);
+  expect(entities[0].end).toEqual([0.1, 0]);
+  expect(entities[1]).toMatchObject({ center: [0.05, 0], radius: 0.05, startAngle: 0, endAngle: 180 });
+  // Drawn in a mirrored frame, the quarter arc ends up in the second quadrant
+  expect(entities[2]).toMatchObject({ startAngle: 90, endAngle: 180 });
+  expect(entities[4]).toMatchObject({ bulges: [1, 1], closed: true });
+  const spline = entities[5].points;
+  expect(round(spline[0])).toEqual([0, 0]);
+  expect(round(spline[spline.length / 2 | 0])).toEqual([0.001, 0.001]);
+  expect(round(spline[spline.length - 1])).toEqual([0.002, 0]);
+
+  expect(parseDXF(dxf([], [['0', 'CIRCLE', '10', '0', '20', '0', '40', '2']]), 1).entities[0].radius).toBeCloseTo(0.0508);
+  expect(() => parseDXF('0\nSECTION\n2\nHEADER\n0\nENDSEC\n0\nEOF')).toThrow('not a DXF file');
+  expect(() => parseDXF(dxf([], [['0', 'TEXT', '1', 'Hello']]))).toThrow('no lines');
+});
+
+test('outlines drawn in separate pieces join into loops an extrusion can use', () => {
+  const { entities } = parseDXF(dxf(['9', '$INSUNITS', '70', '6'], [
+    ['0', 'LINE', '8', 'Plate', '10', '0', '20', '0', '11', '4', '21', '0'],
+    ['0', 'LINE', '8', 'Plate', '10', '4', '20', '0', '11', '4', '21', '2'],
+    ['0', 'ARC', '8', 'Plate', '10', '2', '20', '2', '40', '2', '50', '0', '51', '180'],
+    ['0', 'LINE', '8', 'Plate', '10', '0', '20', '2', '11', '0', '21', '0'],
+    ['0', 'LWPOLYLINE', '8', 'Slot', '90', '2', '70', '1', '10', '1', '20', '1', '42', '1', '10', '3', '20', '1', '42', '1']
+  ]));
+  const sketch = addDrawingToSketch(createSketch(), entities);
+
+  expect(sketch.entities.map(entity => entity.layer)).toEqual(['Plate', 'Plate', 'Plate', 'Plate', 'Slot', 'Slot']);
+  const loops = getSketchLoops(sketch);
+  expect(loops).toHaveLength(2);
+  const [region] = getSketchRegions(sketch, loops);
+  expect(region.outer.curves.filter(Boolean)).toHaveLength(1);
+  expect(region.holes).toHaveLength(1);
+  expect(region.holes[0].curves.map(curve => curve.type)).toEqual(['arc', 'arc']);
+});
+
+test('sketches written to DXF read back as the same curves', () => {
+  let sketch = addPolyline(createSketch(), [[0, 0], [0.05, 0]]);
+  sketch = addArc(sketch, [0.05, 0.01], [0.05, 0], [0.06, 0.01]);
+  sketch = addSpline(sketch, [[0, 0.02], [0.01, 0.03], [0.02, 0.02]]);
+  sketch = { ...sketch, entities: sketch.entities.map((entity, i) => (i === 0 ? { ...entity, layer: 'Edges' } : entity)) };
+
+  const text = writeDXF(sketchToDrawing(sketch), 4);
+  expect(text).toContain('$INSUNITS\n70\n4\n');
+  expect(text).toContain('\n0\nLAYER\n');
+  expect(text.trimEnd().endsWith('EOF')).toBe(true);
+
+  const { units, entities } = parseDXF(text);
+  expect(units).toBe(4);
+  expect(entities.map(entity => [entity.type, entity.layer])).toEqual([['line', 'Edges'], ['arc', '0'], ['spline', '0']]);
+  expect(round(entities[0].end)).toEqual([0.05, 0]);
+  expect(entities[1].startAngle).toBeCloseTo(270);
+  expect(entities[1].endAngle).toBeCloseTo(0);
+  expect(entities[1].radius).toBeCloseTo(0.01);
+  expect(entities[2].points.map(round)).toEqual([[0, 0.02], [0.01, 0.03], [0.02, 0.02]]);
+});
+
+test('a section through a solid is one closed outline per cut', () => {
+  const box = createMeshWithEdges(createGeometry('box', { width: 2, height: 1, depth: 1 }), 0xff0000);
+  box.position.set(1, 0, 0);
+  const [outline] = getSectionDrawing([box], getPresetPlane('xz'));
+
+  expect(outline).toMatchObject({ type: 'polyline', layer: 'SECTION', closed: true });
+  expect(outline.points).toHaveLength(4);
+  const us = outline.points.map(([u]) => u);
+  const vs = outline.points.map(([, v]) => v);
+  expect([Math.min(...us), Math.max(...us), Math.min(...vs), Math.max(...vs)].map(c => +c.toFixed(6))).toEqual([0, 2, -0.5, 0.5]);
+  expect(parseDXF(writeDXF([outline], 4)).entities[0].points.map(round)).toEqual(outline.points.map(round));
+});
@@ -0,0 +1,109 @@
+// expression.js - evaluates what users type into numeric fields.
+//
+// Supports + - * / and parentheses, and unit suffixes on numbers, e.g.
+// "25mm", "1ft + 3in", "(90 - 15)deg", "2 * 0.5rad". Lengths resolve to
+// meters and angles to degrees; a bare number is taken in the field's own
+// unit. Throws an Error with a readable message on bad input.
+
+const UNITS = {
+  length: {
+    mm: 0.001,
+    cm: 0.01,
+    m: 1,
+    km: 1000,
+    in: 0.0254,
+    '"': 0.0254,
+    ft: 0.3048,
+    "'": 0.3048
+  },
+  angle: {
+    deg: 1,
+    '°': 1,
+    rad: 180 / Math.PI
+  },
+  number: {}
+};
+
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z]+|°|"|')|([-+*/()]))/iy;
+  let index = 0;
+
+  while (index < text.length) {
+    if (/^\s*$/.test(text.slice(index))) break;
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (!match) {
+      throw new Error(`Unexpected "${text.slice(index).trim()[0]}"`);
+    }
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'unit', value: match[2].toLowerCase() });
+    else tokens.push({ type: 'op', value: match[3] });
+    index = pattern.lastIndex;
+  }
+
+  return tokens;
+};
+
+export const evaluateExpression = (text, kind = 'number') => {
+  const units = UNITS[kind] || {};
+  const tokens = tokenize(String(text));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const parseUnit = (value) => {
+    const token = peek();
+    if (token?.type !== 'unit') return value;
+    next();
+    if (!(token.value in units)) {
+      throw new Error(`Unknown unit "${token.value}"`);
+    }
+    return value * units[token.value];
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) throw new Error('Unexpected end of expression');
+
+    if (token.type === 'number') return parseUnit(token.value);
+    if (token.type === 'op' && token.value === '-') return -parsePrimary();
+    if (token.type === 'op' && token.value === '+') return parsePrimary();
+    if (token.type === 'op' && token.value === '(') {
+      const value = parseSum();
+      if (next()?.value !== ')') throw new Error('Missing ")"');
+      return parseUnit(value);
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const parseProduct = () => {
+    let value = parsePrimary();
+    while (peek()?.value === '*' || peek()?.value === '/') {
+      const op = next().value;
+      const right = parsePrimary();
+      if (op === '/' && right === 0) throw new Error('Division by zero');
+      value = op === '*' ? value * right : value / right;
+    }
+    return value;
+  };
+
+  const parseSum = () => {
+    let value = parseProduct();
+    while (peek()?.value === '+' || peek()?.value === '-') {
+      const op = next().value;
+      const right = parseProduct();
+      value = op === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  if (tokens.length === 0) throw new Error('Enter a value');
+  const result = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}"`);
+  }
+  if (!Number.isFinite(result)) throw new Error('Result is not a finite number');
+  return result;
+};
@@ -0,0 +1,30 @@
+import { evaluateExpression } from './expression';
+
+test('plain arithmetic follows precedence and parentheses', () => {
+  expect(evaluateExpression('1 + 2 * 3')).toBe(7);
+  expect(evaluateExpression('(1 + 2) * 3')).toBe(9);
+  expect(evaluateExpression('-4 / 2 + .5')).toBe(-1.5);
+});
+
+test('length units resolve to meters', () => {
+  expect(evaluateExpression('25mm', 'length')).toBeCloseTo(0.025);
+  expect(evaluateExpression('1ft + 3in', 'length')).toBeCloseTo(0.381);
+  expect(evaluateExpression('2 * 50cm', 'length')).toBeCloseTo(1);
+  expect(evaluateExpression('1.5', 'length')).toBe(1.5);
+});
+
+test('angle units resolve to degrees', () => {
+  expect(evaluateExpression('90 - 15deg', 'angle')).toBe(75);
+  expect(evaluateExpression('0.5rad', 'angle')).toBeCloseTo(28.6479);
+  expect(evaluateExpression('45°', 'angle')).toBe(45);
+});
+
+test('bad input throws a readable error', () => {
+  expect(() => evaluateExpression('', 'length')).toThrow('Enter a value');
+  expect(() => evaluateExpression('2 +', 'length')).toThrow('Unexpected end');
+  expect(() => evaluateExpression('3 parsecs', 'length')).toThrow('Unknown unit "parsecs"');
+  expect(() => evaluateExpression('10deg', 'length')).toThrow('Unknown unit');
+  expect(() => evaluateExpression('(1 + 2', 'number')).toThrow('Missing ")"');
+  expect(() => evaluateExpression('1 / 0')).toThrow('Division by zero');
+  expect(() => evaluateExpression('4 $')).toThrow('Unexpected "$"');
+});
@@ -0,0 +1,516 @@
+// featureGeometry.js - solids made by moving a profile through space:
+// revolve, sweep and loft, and the fillets and chamfers cut along the
+// edges of prisms.
+//
+// Profiles are loops of THREE.Vector2 in sketch (u, v) coordinates, the
+// outer loop first and its holes after it. Solids are built in the
+// extrusion frame, where (u, v) at height h above the sketch plane is local
+// (u, h, -v) (see createExtrudeGeometry), so feature containers are placed
+// exactly like extrusions.
+import * as THREE from "three";
+import { isPolygonInside, isSimplePolygon, polygonsCross } from "./polygon";
+
+const EPSILON = 1e-9;
+const CREASE_ANGLE = THREE.MathUtils.degToRad(40);
+
+// Steps per full turn of a revolve
+export const REVOLVE_SEGMENTS = 64;
+// Points per outline when loft sections don't match
+export const LOFT_POINTS = 96;
+
+const toLocal = (u, v, h = 0) => new THREE.Vector3(u, h, -v);
+
+// Outer loops counter-clockwise and holes clockwise, so walls and caps
+// wind the same way
+export const orientLoops = (loops) => loops.map((loop, i) =>
+  THREE.ShapeUtils.isClockWise(loop) === (i === 0) ? [...loop].reverse() : loop);
+
+// ====== MESHING ======
+const triangleNormal = (a, b, c) =>
+  new THREE.Vector3().subVectors(b, a).cross(new THREE.Vector3().subVectors(c, a));
+
+// Each vertex averages the faces around it that meet its own at less than
+// CREASE_ANGLE, so curved walls shade smoothly and corners stay sharp.
+const creasedNormals = (positions) => {
+  const count = positions.length / 3;
+  const faceNormals = [];
+  const keys = [];
+  const facesAt = new Map();
+  for (let v = 0; v < count; v++) {
+    if (v % 3 === 0) {
+      const [a, b, c] = [0, 1, 2].map(k => new THREE.Vector3().fromArray(positions, (v + k) * 3));
+      faceNormals.push(triangleNormal(a, b, c).normalize());
+    }
+    const key = positions.slice(v * 3, v * 3 + 3).map(x => Math.round(x * 1e5)).join(",");
+    keys.push(key);
+    if (!facesAt.has(key)) facesAt.set(key, []);
+    facesAt.get(key).push(Math.floor(v / 3));
+  }
+
+  const threshold = Math.cos(CREASE_ANGLE);
+  const normals = [];
+  keys.forEach((key, v) => {
+    const own = faceNormals[Math.floor(v / 3)];
+    const normal = new THREE.Vector3();
+    facesAt.get(key).forEach(face => {
+      if (faceNormals[face].dot(own) >= threshold) normal.add(faceNormals[face]);
+    });
+    normal.normalize();
+    normals.push(normal.x, normal.y, normal.z);
+  });
+  return normals;
+};
+
+// `sections` are the rings the profile passes through: `loops` in 3D with
+// one point per profile point, and `flat`, the same loops in 2D for the
+// caps. An open run is capped at both ends; a closed one (a full turn)
+// wraps around instead.
+const buildSolid = (sections, { closed = false } = {}) => {
+  const triangles = [];
+  const pushTriangle = (a, b, c) => {
+    // Points on a revolve axis collapse their walls into slivers
+    if (triangleNormal(a, b, c).lengthSq() > EPSILON * EPSILON) triangles.push([a, b, c]);
+  };
+
+  const runs = closed ? sections.length : sections.length - 1;
+  for (let k = 0; k < runs; k++) {
+    const next = sections[(k + 1) % sections.length].loops;
+    sections[k].loops.forEach((loop, l) => loop.forEach((a, i) => {
+      const j = (i + 1) % loop.length;
+      pushTriangle(a, loop[j], next[l][j]);
+      pushTriangle(a, next[l][j], next[l][i]);
+    }));
+  }
+
+  const cap = ({ loops, flat }, reverse) => {
+    const [contour, ...holes] = flat.map(loop => [...loop]);
+    const points = loops.flat();
+    const flatPoints = flat.flat();
+    THREE.ShapeUtils.triangulateShape(contour, holes).forEach(indices => {
+      const ccw = THREE.ShapeUtils.area(indices.map(i => flatPoints[i])) > 0;
+      const [a, b, c] = ccw === reverse ? [indices[0], indices[2], indices[1]] : indices;
+      pushTriangle(points[a], points[b], points[c]);
+    });
+  };
+  if (!closed) {
+    cap(sections[0], true);
+    cap(sections[sections.length - 1], false);
+  }
+
+  // Mirrored frames turn the whole mesh inside out; a negative volume
+  // flips it back
+  const volume = triangles.reduce((sum, [a, b, c]) => sum + a.dot(new THREE.Vector3().crossVectors(b, c)), 0);
+  const positions = triangles.flatMap(([a, b, c]) => (volume < 0 ? [a, c, b] : [a, b, c]).flatMap(p => p.toArray()));
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute("normal", new THREE.Float32BufferAttribute(creasedNormals(positions), 3));
+  return geometry;
+};
+
+// ====== TAPER ======
+const leftOf = (from, to) => {
+  const direction = to.clone().sub(from).normalize();
+  return new THREE.Vector2(-direction.y, direction.x);
+};
+
+// Moves every edge of a loop `distance` to its left, keeping it parallel
+const offsetLoop = (loop, distance) => loop.map((point, i) => {
+  const before = leftOf(loop[(i - 1 + loop.length) % loop.length], point);
+  const after = leftOf(point, loop[(i + 1) % loop.length]);
+  const miter = before.clone().add(after);
+  if (miter.lengthSq() < EPSILON) return point.clone().addScaledVector(before, distance);
+  miter.normalize();
+  return point.clone().addScaledVector(miter, distance / miter.dot(before));
+});
+
+const toPairs = (loop) => loop.map(({ x, y }) => [x, y]);
+
+// Extrudes the profile from height `from` to `to`, drawing its walls in by
+// `taper` degrees as they leave the sketch plane (out for a negative
+// angle). Outer loops run counter-clockwise and holes clockwise, so moving
+// every loop to its left always takes material away.
+export const taperProfile = (loops, from, to, taper) => {
+  const flat = orientLoops(loops);
+  const slope = Math.tan(THREE.MathUtils.degToRad(taper));
+  const heights = from < 0 && to > 0 ? [from, 0, to] : [from, to];
+
+  return buildSolid(heights.map(height => {
+    const moved = flat.map(loop => offsetLoop(loop, Math.abs(height) * slope));
+    // An edge that turned around has been drawn in past the opposite side
+    const collapsed = moved.some((loop, l) => !isSimplePolygon(toPairs(loop)) || loop.some((point, i) => {
+      const j = (i + 1) % loop.length;
+      return loop[j].clone().sub(point).dot(flat[l][j].clone().sub(flat[l][i])) <= 0;
+    })) || moved.slice(1).some(hole =>
+      polygonsCross(toPairs(hole), toPairs(moved[0])) || !isPolygonInside(toPairs(hole), toPairs(moved[0])));
+    if (collapsed) throw new Error("The taper is too steep for this depth");
+    return { flat: moved, loops: moved.map(loop => loop.map(({ x, y }) => toLocal(x, y, height))) };
+  }));
+};
+
+// ====== REVOLVE ======
+// Spins the profile `angle` degrees about the line through `axis`,
+// [[u, v], [u, v]]. The profile may touch the axis but not cross it.
+export const revolveProfile = (loops, axis, angle) => {
+  const [[u1, v1], [u2, v2]] = axis;
+  const length = Math.hypot(u2 - u1, v2 - v1);
+  if (length < EPSILON) throw new Error("The revolve axis has no length");
+  if (!(angle > 0)) throw new Error("The revolve angle must be greater than 0");
+
+  const sides = new Set();
+  loops.flat().forEach(({ x, y }) => {
+    const side = ((u2 - u1) * (y - v1) - (v2 - v1) * (x - u1)) / length;
+    if (Math.abs(side) > 1e-6) sides.add(Math.sign(side));
+  });
+  if (sides.size > 1) throw new Error("The profile crosses the revolve axis");
+
+  const flat = orientLoops(loops);
+  const origin = toLocal(u1, v1);
+  const direction = toLocal(u2 - u1, v2 - v1).normalize();
+  const closed = angle >= 360;
+  const steps = Math.max(1, Math.ceil(REVOLVE_SEGMENTS * Math.min(angle, 360) / 360));
+  const sections = [];
+  for (let k = 0; k < (closed ? steps : steps + 1); k++) {
+    const rotation = new THREE.Matrix4().makeRotationAxis(direction, THREE.MathUtils.degToRad(angle) * k / steps);
+    sections.push({
+      flat,
+      loops: flat.map(loop => loop.map(({ x, y }) =>
+        toLocal(x, y).sub(origin).applyMatrix4(rotation).add(origin)))
+    });
+  }
+  return buildSolid(sections, { closed });
+};
+
+// ====== SWEEP ======
+// Moves the profile along `path`, [[u, v], ...] in the sketch plane from
+// its first point. The profile's u runs across the path (to its right)
+// and v up out of the plane. Corners are mitred so the walls keep their
+// thickness, and `twist` (degrees) turns the profile about the path over
+// its length.
+export const sweepProfile = (loops, path, twist = 0) => {
+  const points = path
+    .map(([u, v]) => new THREE.Vector2(u, v))
+    .filter((point, i, all) => i === 0 || point.distanceTo(all[i - 1]) > EPSILON);
+  if (points.length < 2) throw new Error("The path needs at least two points");
+
+  const rights = points.slice(1).map((point, i) => {
+    const direction = point.clone().sub(points[i]).normalize();
+    return new THREE.Vector2(direction.y, -direction.x);
+  });
+  const lengths = points.map((point, i) => (i === 0 ? 0 : point.distanceTo(points[i - 1])));
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+
+  const flat = orientLoops(loops);
+  let along = 0;
+  const sections = points.map((point, i) => {
+    along += lengths[i];
+    const before = rights[Math.max(0, i - 1)];
+    const after = rights[Math.min(rights.length - 1, i)];
+    const miter = before.clone().add(after);
+    if (miter.lengthSq() < EPSILON) throw new Error("The path turns back on itself");
+    miter.normalize().divideScalar(miter.dot(before));
+
+    const turn = THREE.MathUtils.degToRad(twist) * along / total;
+    return {
+      flat,
+      loops: flat.map(loop => loop.map(profilePoint => {
+        const { x, y } = profilePoint.clone().rotateAround(new THREE.Vector2(), turn);
+        return toLocal(point.x + miter.x * x, point.y + miter.y * x, y);
+      }))
+    };
+  });
+  return buildSolid(sections);
+};
+
+// ====== LOFT ======
+const resampleLoop = (loop, count) => {
+  const lengths = loop.map((point, i) => point.distanceTo(loop[(i + 1) % loop.length]));
+  const perimeter = lengths.reduce((sum, length) => sum + length, 0);
+  const samples = [];
+  let edge = 0;
+  let start = 0;
+  for (let k = 0; k < count; k++) {
+    const distance = perimeter * k / count;
+    while (start + lengths[edge] < distance && edge < loop.length - 1) start += lengths[edge++];
+    const t = lengths[edge] > 0 ? (distance - start) / lengths[edge] : 0;
+    samples.push(loop[edge].clone().lerp(loop[(edge + 1) % loop.length], t));
+  }
+  return samples;
+};
+
+const centroid = (loop) => loop.reduce((sum, point) => sum.add(point), new THREE.Vector2()).divideScalar(loop.length);
+
+// The rotation of `loop` whose points, about its centroid, lie closest to
+// those of `reference`, so the walls between them don't twist
+const alignLoop = (loop, reference) => {
+  const offset = centroid(reference).sub(centroid(loop));
+  let best = { cost: Infinity, shift: 0 };
+  for (let shift = 0; shift < loop.length; shift++) {
+    const cost = reference.reduce((sum, point, i) =>
+      sum + loop[(i + shift) % loop.length].clone().add(offset).distanceToSquared(point), 0);
+    if (cost < best.cost) best = { cost, shift };
+  }
+  return loop.map((point, i) => loop[(i + best.shift) % loop.length]);
+};
+
+// Blends between `sections`, [{ loop, height }] on parallel planes, in
+// order of height. Outlines with different point counts are resampled
+// evenly along their length.
+export const loftProfiles = (sections) => {
+  if (sections.length < 2) throw new Error("A loft needs at least two sections");
+  const sorted = [...sections].sort((a, b) => a.height - b.height);
+  if (sorted.some((section, i) => i > 0 && section.height - sorted[i - 1].height < 1e-6)) {
+    throw new Error("Loft sections must be on different planes");
+  }
+
+  const outlines = sorted.map(({ loop }) => orientLoops([loop])[0]);
+  const count = outlines.every(loop => loop.length === outlines[0].length) ? outlines[0].length : LOFT_POINTS;
+  const aligned = [];
+  outlines.forEach((loop, i) => {
+    const sampled = loop.length === count ? loop : resampleLoop(loop, count);
+    aligned.push(i === 0 ? sampled : alignLoop(sampled, aligned[i - 1]));
+  });
+
+  return buildSolid(aligned.map((loop, i) => ({
+    flat: [loop],
+    loops: [loop.map(({ x, y }) => toLocal(x, y, sorted[i].height))]
+  })));
+};
+
+// ====== FILLETS & CHAMFERS ======
+// A prism is a profile extruded straight, { loops, from, to }, with its
+// loops as orientLoops leaves them so the solid lies left of every edge.
+// Its edges are named by the profile, so they outlive edits of the shape:
+//   { loop, vertex }        the side edge standing on a profile vertex
+//   { loop, vertex, cap }   the edge of the "top" or "bottom" cap running
+//                           from that vertex to the next
+// A treatment is { mode: "fillet", radius } or { mode: "chamfer",
+// distance, angle? }. A chamfer's distance runs along the first face (the
+// cap, or the wall before the vertex) and `angle` (degrees) tilts it away
+// from that face; without an angle both faces lose `distance`.
+
+// Steps per quarter turn of a fillet
+export const FILLET_SEGMENTS = 8;
+// How far cutters reach past the faces they cut, so none of their faces
+// lies on one of the solid's
+const CUT_MARGIN = 1e-3;
+const EDGE_TOLERANCE = 1e-4;
+
+const cross2 = (a, b) => a.x * b.y - a.y * b.x;
+const leftNormal = (direction) => new THREE.Vector2(-direction.y, direction.x);
+
+// The edge a segment of the prism's mesh (two THREE.Vector3 in the
+// extrusion frame) lies on, or null when it is on none
+export const findPrismEdge = ({ loops, from, to }, start, end) => {
+  const [a, b] = [start, end].map(point => new THREE.Vector2(point.x, -point.z));
+  if (a.distanceTo(b) < EDGE_TOLERANCE) {
+    for (let loop = 0; loop < loops.length; loop++) {
+      const vertex = loops[loop].findIndex(point => point.distanceTo(a) < EDGE_TOLERANCE);
+      if (vertex >= 0) return { loop, vertex };
+    }
+    return null;
+  }
+
+  const onCap = (height) => Math.abs(start.y - height) < EDGE_TOLERANCE && Math.abs(end.y - height) < EDGE_TOLERANCE;
+  const cap = onCap(to) ? "top" : onCap(from) ? "bottom" : null;
+  if (!cap) return null;
+  const closest = new THREE.Vector2();
+  const onSegment = (point, p, q) => {
+    const t = THREE.MathUtils.clamp(point.clone().sub(p).dot(q.clone().sub(p)) / p.distanceToSquared(q), 0, 1);
+    return closest.copy(p).lerp(q, t).distanceTo(point) < EDGE_TOLERANCE;
+  };
+  for (let loop = 0; loop < loops.length; loop++) {
+    const points = loops[loop];
+    const vertex = points.findIndex((p, i) => {
+      const q = points[(i + 1) % points.length];
+      return onSegment(a, p, q) && onSegment(b, p, q);
+    });
+    if (vertex >= 0) return { loop, vertex, cap };
+  }
+  return null;
+};
+
+// The profile corner at a vertex: the directions and lengths of the edges
+// into and out of it, and how far it turns (positive where the solid's
+// corner is convex)
+const prismCorner = ({ loops }, loop, vertex) => {
+  const points = loops[loop];
+  const point = points[vertex];
+  const before = point.clone().sub(points[(vertex - 1 + points.length) % points.length]);
+  const after = points[(vertex + 1) % points.length].clone().sub(point);
+  const corner = {
+    point,
+    lengthBefore: before.length(),
+    lengthAfter: after.length(),
+    before: before.normalize(),
+    after: after.normalize()
+  };
+  corner.turn = Math.atan2(cross2(corner.before, corner.after), corner.before.dot(corner.after));
+  return corner;
+};
+
+// How far a treatment reaches along the faces before and after an edge
+// whose faces turn by `turn` radians
+const getSetbacks = (treatment, turn) => {
+  const bend = Math.abs(turn);
+  if (treatment.mode === "fillet") {
+    const reach = treatment.radius * Math.tan(bend / 2);
+    return [reach, reach];
+  }
+  const { distance, angle } = treatment;
+  if (angle === undefined) return [distance, distance];
+  const tilt = THREE.MathUtils.degToRad(angle);
+  if (tilt >= bend) throw new Error("The chamfer angle is too steep for this corner");
+  return [distance, distance * Math.sin(tilt) / Math.sin(bend - tilt)];
+};
+
+const tooLarge = (treatment) => new Error(treatment.mode === "fillet"
+  ? "The radius is too large for the adjacent faces"
+  : "The distance is too large for the adjacent faces");
+
+// Points along a fillet from `start`, turning `turn` radians about `center`
+const arcPoints = (start, center, turn) => {
+  const steps = Math.max(1, Math.ceil(FILLET_SEGMENTS * Math.abs(turn) / (Math.PI / 2)));
+  return Array.from({ length: steps + 1 }, (_, k) =>
+    start.clone().rotateAround(center, turn * k / steps));
+};
+
+// The outline a side edge treatment takes off a convex corner, or adds to
+// a reflex one: the fillet or chamfer, closed around the corner point a
+// little into the solid's outside (or its inside, for what is added)
+const cornerOutline = (corner, treatment, [back, ahead]) => {
+  const { point, before, after, turn } = corner;
+  const start = point.clone().addScaledVector(before, -back);
+  const end = point.clone().addScaledVector(after, ahead);
+  const outline = treatment.mode === "fillet"
+    ? arcPoints(start, start.clone().addScaledVector(leftNormal(before), treatment.radius * Math.sign(turn)), turn)
+    : [start, end];
+  const margin = turn > 0 ? -CUT_MARGIN : CUT_MARGIN;
+  return [
+    ...outline,
+    end.clone().addScaledVector(leftNormal(after), margin),
+    point.clone().addScaledVector(leftNormal(before).add(leftNormal(after)), margin),
+    start.clone().addScaledVector(leftNormal(before), margin)
+  ];
+};
+
+// A cap edge treatment across the edge: (in, down) points from the edge,
+// `in` across the cap and `down` the wall, reaching past both faces
+const capSection = (treatment, [across, down]) => {
+  const m = CUT_MARGIN;
+  if (treatment.mode === "chamfer") {
+    return [[-m, -m], [across + m * across / down, -m], [-m, down + m * down / across]];
+  }
+  const r = treatment.radius;
+  const arc = Array.from({ length: FILLET_SEGMENTS + 1 }, (_, k) => {
+    const angle = -Math.PI / 2 - (Math.PI / 2) * k / FILLET_SEGMENTS;
+    return [r + r * Math.cos(angle), r + r * Math.sin(angle)];
+  });
+  return [[-m, -m], [r, -m], ...arc, [-m, r]];
+};
+
+// How far the cap reaches in from the middle of an edge before it meets
+// another edge of the profile
+const capWidth = ({ loops }, loop, vertex) => {
+  const points = loops[loop];
+  const a = points[vertex];
+  const b = points[(vertex + 1) % points.length];
+  const middle = a.clone().lerp(b, 0.5);
+  const inward = leftNormal(b.clone().sub(a).normalize());
+  let width = Infinity;
+  loops.forEach((other, l) => other.forEach((p, i) => {
+    if (l === loop && i === vertex) return;
+    const q = other[(i + 1) % other.length];
+    const side = q.clone().sub(p);
+    const denominator = cross2(inward, side);
+    if (Math.abs(denominator) < EPSILON) return;
+    const offset = p.clone().sub(middle);
+    const t = cross2(offset, side) / denominator;
+    const u = cross2(offset, inward) / denominator;
+    if (t > EPSILON && u >= -EPSILON && u <= 1 + EPSILON) width = Math.min(width, t);
+  }));
+  return width;
+};
+
+// The solid a cap edge treatment takes away: its section swept along the
+// edge. At a convex end it runs on to the plane of the next wall; at a
+// reflex one it stops there, or on the bisector when the cap edge beyond
+// is treated too, so the two meet in a mitre.
+const capCutter = (prism, edge, treatment, isTreated) => {
+  const { loops, from, to } = prism;
+  const count = loops[edge.loop].length;
+  const next = (edge.vertex + 1) % count;
+  const section = capSection(treatment, getSetbacks(treatment, Math.PI / 2));
+
+  const ends = [[edge.vertex, -1], [next, 1]].map(([vertex, side]) => {
+    const corner = prismCorner(prism, edge.loop, vertex);
+    const along = side < 0 ? corner.after : corner.before;
+    const inward = leftNormal(along);
+    const neighbour = (vertex + (side < 0 ? count - 1 : 0)) % count;
+    const mitred = corner.turn <= 0 && isTreated({ loop: edge.loop, vertex: neighbour, cap: edge.cap });
+    const stop = mitred
+      ? leftNormal(corner.before).add(leftNormal(corner.after)).normalize()
+      : side < 0 ? corner.before : corner.after;
+    const extra = corner.turn > 0 ? side * CUT_MARGIN : 0;
+    return section.map(([across, down]) => {
+      const crossing = cross2(along, stop);
+      const shift = Math.abs(crossing) < EPSILON ? 0 : -across * cross2(inward, stop) / crossing;
+      const { x, y } = corner.point.clone().addScaledVector(inward, across).addScaledVector(along, shift + extra);
+      return toLocal(x, y, edge.cap === "top" ? to - down : from + down);
+    });
+  });
+
+  const flat = [section.map(([across, down]) => new THREE.Vector2(across, down))];
+  return buildSolid(ends.map(loop => ({ flat, loops: [loop] })));
+};
+
+const sameEdge = (a, b) => a.loop === b.loop && a.vertex === b.vertex && a.cap === b.cap;
+
+// The solids a treatment of `edges` takes away from a prism (`cuts`) and
+// adds to it (`fills`, at reflex side edges), checked against the faces
+// next to each edge
+export const createEdgeTreatment = (prism, treatment, edges) => {
+  const { loops, from, to } = prism;
+  edges.forEach((edge, i) => {
+    if (!loops[edge.loop] || !loops[edge.loop][edge.vertex]) throw new Error(`Edge ${i + 1} is no longer on the shape`);
+  });
+  const isTreated = (edge) => edges.some(other => sameEdge(other, edge));
+  const sides = edges.filter(edge => !edge.cap);
+  const caps = edges.filter(edge => edge.cap);
+
+  // Setbacks along each profile edge, from the side edges at its two ends
+  const reach = new Map();
+  const addReach = (loop, vertex, amount) => {
+    const key = `${loop}:${vertex}`;
+    reach.set(key, (reach.get(key) ?? 0) + amount);
+  };
+  const cuts = [];
+  const fills = [];
+  sides.forEach(edge => {
+    const corner = prismCorner(prism, edge.loop, edge.vertex);
+    if (Math.abs(corner.turn) < 1e-6) throw new Error("A side edge is not at a corner of the profile");
+    const setbacks = getSetbacks(treatment, corner.turn);
+    const count = loops[edge.loop].length;
+    addReach(edge.loop, (edge.vertex - 1 + count) % count, setbacks[0] / corner.lengthBefore);
+    addReach(edge.loop, edge.vertex, setbacks[1] / corner.lengthAfter);
+
+    const [outline] = orientLoops([cornerOutline(corner, treatment, setbacks)]);
+    const heights = corner.turn > 0 ? [from - CUT_MARGIN, to + CUT_MARGIN] : [from, to];
+    const solid = buildSolid(heights.map(height => ({
+      flat: [outline],
+      loops: [outline.map(({ x, y }) => toLocal(x, y, height))]
+    })));
+    (corner.turn > 0 ? cuts : fills).push(solid);
+  });
+  if ([...reach.values()].some(share => share > 1 + 1e-9)) throw tooLarge(treatment);
+
+  caps.forEach(edge => {
+    const [across, down] = getSetbacks(treatment, Math.PI / 2);
+    const walls = caps.filter(other => other.loop === edge.loop && other.vertex === edge.vertex).length;
+    if (down * walls > to - from + 1e-9 || across > capWidth(prism, edge.loop, edge.vertex) + 1e-9) {
+      throw tooLarge(treatment);
+    }
+    cuts.unshift(capCutter(prism, edge, treatment, isTreated));
+  });
+  return { cuts, fills };
+};
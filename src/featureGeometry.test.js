@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+import {
+  createEdgeTreatment,
+  findPrismEdge,
+  loftProfiles,
+  orientLoops,
+  revolveProfile,
+  sweepProfile,
+  taperProfile
+} from './featureGeometry';
+
+const loop = (points) => points.map(([x, y]) => new THREE.Vector2(x, y));
+const rectangle = (x1, y1, x2, y2) => loop([[x1, y1], [x2, y1], [x2, y2], [x1, y2]]);
+
+// Divergence theorem; positive when every face points outwards
+const volume = (geometry) => {
+  const position = geometry.attributes.position;
+  const [a, b, c] = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  let sum = 0;
+  for (let i = 0; i < position.count; i += 3) {
+    a.fromBufferAttribute(position, i);
+    b.fromBufferAttribute(position, i + 1);
+    c.fromBufferAttribute(position, i + 2);
+    sum += a.dot(b.clone().cross(c)) / 6;
+  }
+  return sum;
+};
+
+const size = (geometry) => {
+  geometry.computeBoundingBox();
+  return geometry.boundingBox.getSize(new THREE.Vector3()).toArray();
+};
+
+test('revolving a rectangle about an axis beside it makes a tube', () => {
+  // Clockwise on purpose: loops are reoriented before meshing
+  const profile = [rectangle(1, 0, 2, 1).reverse()];
+  const tube = revolveProfile(profile, [[0, 0], [0, 1]], 360);
+  expect(volume(tube)).toBeCloseTo(3 * Math.PI, 1);
+  expect(size(tube)).toEqual([4, 4, 1].map(value => expect.closeTo(value)));
+
+  const quarter = revolveProfile(profile, [[0, 0], [0, 1]], 90);
+  expect(volume(quarter)).toBeCloseTo(3 * Math.PI / 4, 1);
+});
+
+test('a profile touching the axis is filled in, one crossing it is rejected', () => {
+  const cylinder = revolveProfile([rectangle(0, 0, 1, 2)], [[0, 0], [0, 1]], 360);
+  expect(volume(cylinder)).toBeCloseTo(2 * Math.PI, 1);
+  expect(() => revolveProfile([rectangle(-1, 0, 1, 1)], [[0, 0], [0, 1]], 360))
+    .toThrow('The profile crosses the revolve axis');
+  expect(() => revolveProfile([rectangle(1, 0, 2, 1)], [[0, 0], [0, 0]], 360)).toThrow('no length');
+});
+
+test('sweeps follow the path with mitred corners', () => {
+  // A 1 x 1 profile centred across an L-shaped path 7 long
+  const swept = sweepProfile([rectangle(-0.5, 0, 0.5, 1)], [[0, 0], [4, 0], [4, 3]]);
+  expect(volume(swept)).toBeCloseTo(7);
+  expect(size(swept)).toEqual([4.5, 1, 3.5].map(value => expect.closeTo(value)));
+
+  // Holes are carried along, and twisting keeps the ends the same shape
+  const pipe = sweepProfile([rectangle(-1, -1, 1, 1), rectangle(-0.5, -0.5, 0.5, 0.5)], [[0, 0], [5, 0]], 90);
+  expect(volume(pipe)).toBeGreaterThan(0);
+  expect(() => sweepProfile([rectangle(0, 0, 1, 1)], [[0, 0], [2, 0], [0, 0]])).toThrow('turns back');
+});
+
+test('lofts blend between sections at their heights', () => {
+  const frustum = loftProfiles([
+    { loop: rectangle(-1, -1, 1, 1), height: 0 },
+    { loop: rectangle(-0.5, -0.5, 0.5, 0.5).reverse(), height: 3 }
+  ]);
+  expect(volume(frustum)).toBeCloseTo(7);
+
+  // A square into a circle is resampled to matching outlines
+  const circle = loop(Array.from({ length: 40 }, (_, i) => [Math.cos(i * Math.PI / 20), Math.sin(i * Math.PI / 20)]));
+  const blend = loftProfiles([{ loop: circle, height: 2 }, { loop: rectangle(-1, -1, 1, 1), height: 0 }]);
+  expect(volume(blend)).toBeGreaterThan(2 * Math.PI);
+  expect(volume(blend)).toBeLessThan(8);
+  expect(() => loftProfiles([{ loop: circle, height: 1 }, { loop: circle, height: 1 }])).toThrow('different planes');
+});
+
+test('tapered extrusions narrow away from the sketch plane on both sides', () => {
+  // 2 x 2 drawn in by 0.5 on each side over a height of 0.5: a frustum
+  const frustum = taperProfile([rectangle(-1, -1, 1, 1)], 0, 0.5, 45);
+  expect(volume(frustum)).toBeCloseTo(7 / 6);
+  expect(volume(taperProfile([rectangle(-1, -1, 1, 1)], -0.5, 0.5, 45))).toBeCloseTo(7 / 3);
+
+  // Holes widen, so a negative taper on a frame makes it thicker
+  const frame = [rectangle(-2, -2, 2, 2), rectangle(-1, -1, 1, 1)];
+  expect(volume(taperProfile(frame, 0, 1, -10))).toBeGreaterThan(12);
+  expect(() => taperProfile(frame, 0, 1, 45)).toThrow('too steep');
+});
+
+test('mesh edges of a prism are named by the profile', () => {
+  // A 2 x 2 plate 1 thick with a 1 x 1 hole, as local (u, h, -v) points
+  const prism = { loops: orientLoops([rectangle(-1, -1, 1, 1), rectangle(-0.5, -0.5, 0.5, 0.5)]), from: 0, to: 1 };
+  const at = (u, v, h) => new THREE.Vector3(u, h, -v);
+  expect(findPrismEdge(prism, at(1, 1, 0), at(1, 1, 1))).toEqual({ loop: 0, vertex: 2 });
+  expect(findPrismEdge(prism, at(1, 0, 1), at(1, 0.5, 1))).toEqual({ loop: 0, vertex: 1, cap: 'top' });
+  expect(findPrismEdge(prism, at(-0.5, 0.5, 0), at(0.5, 0.5, 0))).toMatchObject({ loop: 1, cap: 'bottom' });
+  expect(findPrismEdge(prism, at(0, 0, 0), at(1, 1, 1))).toBeNull();
+
+  // Rounding the hole's corners adds material (reaching a hair into the
+  // plate, so it joins cleanly); a fillet wider than the wall is refused
+  const hole = prism.loops[1];
+  const { cuts, fills } = createEdgeTreatment(prism, { mode: 'fillet', radius: 0.1 }, hole.map((_, vertex) => ({ loop: 1, vertex })));
+  expect(cuts).toHaveLength(0);
+  expect(fills.reduce((sum, fill) => sum + volume(fill), 0)).toBeCloseTo(4 * 0.01 * (1 - Math.PI / 4), 2);
+  expect(() => createEdgeTreatment(prism, { mode: 'fillet', radius: 0.6 }, [{ loop: 0, vertex: 0, cap: 'top' }]))
+    .toThrow('The radius is too large for the adjacent faces');
+  expect(() => createEdgeTreatment(prism, { mode: 'chamfer', distance: 0.1, angle: 95 }, [{ loop: 0, vertex: 0 }]))
+    .toThrow('too steep');
+  expect(() => createEdgeTreatment(prism, { mode: 'fillet', radius: 0.1 }, [{ loop: 3, vertex: 0 }]))
+    .toThrow('no longer on the shape');
+});
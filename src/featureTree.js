@@ -0,0 +1,222 @@
+// featureTree.js - the modeling history behind the scene's shapes.
+//
+// Every shape is a feature: primitives and sketch features carry their
+// parameters, booleans carry their operands as nested nodes (see
+// createBooleanParams), fillets the shape they were made on as `base` and
+// patterns the shapes they repeat as `sources`.
+// Shapes made from a sketch keep the sketch in their params, which makes
+// it a feature of its own:
+//
+//   userData.feature  { seq, suppressed? }
+//   params.sketch     { seq, model, region, center }
+//
+// `model` is the sketch (sketchModel.js), `region` the index of the profile
+// among getSketchRegions() and `center` the sketch point the profile was
+// made relative to. `seq` numbers features in the order they were made and
+// also identifies them: a cut copies its tools into every shape it cuts,
+// and editing one copy edits them all. Everything here works on serialized
+// nodes (sceneFormat.js), never mutates them, and hands back the very same
+// node when nothing in it changed.
+import * as THREE from "three";
+import { BOOLEAN_OPERATIONS, EDGE_TREATMENTS, PATTERN_TYPES, matrixToTransform, nodeMatrix } from "./sceneFormat";
+
+const FEATURE_LABELS = {
+  box: "Box",
+  sphere: "Sphere",
+  cylinder: "Cylinder",
+  extruded: "Extrude",
+  revolved: "Revolve",
+  swept: "Sweep",
+  lofted: "Loft",
+  mesh: "Mesh",
+  sketch: "Sketch",
+  transform: "Transform"
+};
+
+export const getFeatureSeq = (node) => node.userData?.feature?.seq ?? 0;
+
+export const isFeatureSuppressed = (node) => !!node.userData?.feature?.suppressed;
+
+const isShapeNode = (node) => node.type !== "group";
+
+const withFeature = (node, changes) => ({
+  ...node,
+  userData: { ...node.userData, feature: { ...node.userData?.feature, ...changes } }
+});
+
+// The shapes nested in a node: a boolean's operands, a fillet's base or a
+// pattern's sources
+const getInputNodes = (node) =>
+  node.params?.operands ?? node.params?.sources ?? (node.params?.base ? [node.params.base] : []);
+
+const withInputNodes = (node, inputs) => {
+  const key = ["operands", "sources"].find(name => node.params[name]);
+  return { ...node, params: { ...node.params, ...(key ? { [key]: inputs } : { base: inputs[0] }) } };
+};
+
+// Calls visit(node, consumer) for a shape and every shape nested in it;
+// `consumer` is the boolean, fillet or pattern the node is nested in
+const visitFeatureNodes = (node, visit, consumer = null) => {
+  visit(node, consumer);
+  getInputNodes(node).forEach(input => visitFeatureNodes(input, visit, node));
+};
+
+// Rebuilds a shape bottom-up through `update`
+const mapFeatureNode = (node, update) => {
+  const inputs = getInputNodes(node);
+  const mapped = inputs.map(input => mapFeatureNode(input, update));
+  const inner = mapped.some((input, i) => input !== inputs[i]) ? withInputNodes(node, mapped) : node;
+  return update(inner);
+};
+
+const mapFeatureNodes = (nodes, update) =>
+  nodes.map(node => (isShapeNode(node) ? mapFeatureNode(node, update) : node));
+
+export const getNextFeatureSeq = (nodes) => {
+  let last = 0;
+  nodes.filter(isShapeNode).forEach(root => visitFeatureNodes(root, node => {
+    last = Math.max(last, getFeatureSeq(node), node.params?.sketch?.seq ?? 0);
+  }));
+  return last + 1;
+};
+
+// Numbers the shapes of a scene saved before there was a feature tree, in
+// scene order with nested shapes before the shape made from them
+export const stampFeatures = (nodes) => {
+  let next = getNextFeatureSeq(nodes);
+  return mapFeatureNodes(nodes, node => (getFeatureSeq(node) > 0 ? node : withFeature(node, { seq: next++ })));
+};
+
+// ====== LISTING ======
+// The features of a scene in the order they were made:
+//   { key, seq, kind, label, detail?, suppressed, inputs, nodeId? }
+// `kind` is the shape type, "sketch", or "transform" for the placement of
+// a shape that isn't nested in another (it shares the shape's seq and
+// comes right after it; `nodeId` names that shape). `inputs` are the seqs
+// a feature is built from: a boolean's operands, a fillet's base, a
+// pattern's sources and a shape's sketch.
+export const listFeatures = (nodes) => {
+  const rows = new Map();
+  const labelOf = (node) => {
+    if (node.type === "boolean") return BOOLEAN_OPERATIONS[node.params.operation].label;
+    if (node.type === "filleted") return EDGE_TREATMENTS[node.params.mode].label;
+    if (node.type === "pattern") return PATTERN_TYPES[node.params.kind].label;
+    return FEATURE_LABELS[node.type] ?? node.type;
+  };
+
+  nodes.filter(isShapeNode).forEach(root => visitFeatureNodes(root, (node, consumer) => {
+    const seq = getFeatureSeq(node);
+    const sketch = node.params?.sketch;
+    if (sketch && !rows.has(`${sketch.seq}`)) {
+      rows.set(`${sketch.seq}`, {
+        key: `${sketch.seq}`, seq: sketch.seq, kind: "sketch", label: `Sketch ${sketch.seq}`, suppressed: false, inputs: []
+      });
+    }
+    if (!rows.has(`${seq}`)) {
+      const inputs = getInputNodes(node);
+      rows.set(`${seq}`, {
+        key: `${seq}`,
+        seq,
+        kind: node.type,
+        label: `${labelOf(node)} ${seq}`,
+        ...(inputs.length > 0 && {
+          detail: inputs.map(input => `${labelOf(input)} ${getFeatureSeq(input)}`).join(", ")
+        }),
+        suppressed: isFeatureSuppressed(node),
+        inputs: [...inputs.map(getFeatureSeq), ...(sketch ? [sketch.seq] : [])]
+      });
+    }
+    if (!consumer) {
+      rows.set(`${seq}:${node.id}`, {
+        key: `${seq}:${node.id}`, seq, kind: "transform", label: `${FEATURE_LABELS.transform} ${labelOf(node)} ${seq}`,
+        suppressed: false, inputs: [seq], nodeId: node.id
+      });
+    }
+  }));
+
+  const order = (row) => row.seq + (row.kind === "transform" ? 0.5 : 0);
+  return [...rows.values()].sort((a, b) => order(a) - order(b));
+};
+
+// ====== EDITING ======
+// Runs `update` on every node of the feature `seq`, or on every shape made
+// from it when it is a sketch
+export const updateFeature = (nodes, seq, update) =>
+  mapFeatureNodes(nodes, node =>
+    getFeatureSeq(node) === seq || node.params?.sketch?.seq === seq ? update(node) : node);
+
+export const setFeatureSuppressed = (nodes, seq, suppressed) =>
+  mapFeatureNodes(nodes, node =>
+    getFeatureSeq(node) === seq && isFeatureSuppressed(node) !== suppressed
+      ? withFeature(node, { suppressed })
+      : node);
+
+// The history row `row` can swap places with, `delta` (-1 or 1) rows
+// away, or null: nothing may come before what it is built from
+export const getFeatureSwap = (rows, row, delta) => {
+  const history = rows.filter(other => other.kind !== "transform");
+  const index = history.findIndex(other => other.key === row.key);
+  const other = history[index + delta];
+  if (index < 0 || !other) return null;
+  const [first, second] = delta < 0 ? [other, row] : [row, other];
+  return second.inputs.includes(first.seq) ? null : other;
+};
+
+// Swaps the places of two features in the history
+export const swapFeatures = (nodes, a, b) => {
+  const swap = (seq) => (seq === a ? b : seq === b ? a : seq);
+  return mapFeatureNodes(nodes, node => {
+    const seq = getFeatureSeq(node);
+    const sketch = node.params?.sketch;
+    let next = swap(seq) !== seq ? withFeature(node, { seq: swap(seq) }) : node;
+    if (sketch && swap(sketch.seq) !== sketch.seq) {
+      next = { ...next, params: { ...next.params, sketch: { ...sketch, seq: swap(sketch.seq) } } };
+    }
+    return next;
+  });
+};
+
+// ====== ROLLBACK ======
+// The scene as it stood once feature `seq` was made. Shapes made later are
+// left out, and booleans, fillets and patterns made later give back the
+// shapes they were made from, placed where they were. Groups stay, and
+// shapes keep their current placement.
+export const rollbackNodes = (nodes, seq) => {
+  const result = [];
+  const seen = new Set();
+  const restore = (node, parent, frame) => {
+    const nodeSeq = getFeatureSeq(node);
+    const matrix = frame ? frame.clone().multiply(nodeMatrix(node)) : null;
+    if (nodeSeq <= seq) {
+      // The tools of a cut are copied into every shape it cut
+      if (nodeSeq > 0 && seen.has(nodeSeq)) return;
+      seen.add(nodeSeq);
+      result.push(matrix ? { ...node, parent, ...matrixToTransform(matrix) } : node);
+    } else {
+      getInputNodes(node).forEach(input => restore(input, parent, matrix ?? nodeMatrix(node)));
+    }
+  };
+
+  nodes.forEach(node => {
+    if (isShapeNode(node)) {
+      restore(node, node.parent, null);
+    } else {
+      result.push(node);
+    }
+  });
+  return result;
+};
+
+// The node of feature `seq` inside a shape (for a sketch, the first shape
+// made from it) with its placement relative to that shape, or null when
+// the shape doesn't contain it
+export const findFeatureNode = (root, seq) => {
+  if (getFeatureSeq(root) === seq || root.params?.sketch?.seq === seq) {
+    return { node: root, matrix: new THREE.Matrix4() };
+  }
+  for (const input of getInputNodes(root)) {
+    const found = findFeatureNode(input, seq);
+    if (found) return { node: found.node, matrix: nodeMatrix(input).multiply(found.matrix) };
+  }
+  return null;
+};
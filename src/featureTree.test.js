@@ -0,0 +1,181 @@
+import * as THREE from 'three';
+import {
+  findFeatureNode,
+  getFeatureSwap,
+  getNextFeatureSeq,
+  listFeatures,
+  rollbackNodes,
+  setFeatureSuppressed,
+  stampFeatures,
+  swapFeatures,
+  updateFeature
+} from './featureTree';
+import { createGeometry } from './sceneFormat';
+
+const shape = (id, seq, overrides) => ({
+  id,
+  parent: null,
+  type: 'box',
+  position: [0, 0, 0],
+  rotation: [0, 0, 0],
+  scale: [1, 1, 1],
+  color: 0xff0000,
+  userData: { feature: { seq } },
+  ...overrides
+});
+
+const sketch = { seq: 2, model: { points: [], entities: [], constraints: [], nextId: 1 }, region: 0, center: [0, 0] };
+
+// Box 1 minus an extrusion (made from sketch 2) as subtract 4, and a
+// cylinder made in between
+const scene = () => [
+  shape('cut', 4, {
+    type: 'boolean',
+    position: [1, 0, 0],
+    params: {
+      operation: 'subtract',
+      operands: [
+        shape('box', 1),
+        shape('tool', 3, {
+          type: 'extruded',
+          position: [0, 0.5, 0],
+          params: { profile: [[-0.2, -0.2], [0.2, -0.2], [0.2, 0.2], [-0.2, 0.2]], depth: 2, direction: 'symmetric', sketch }
+        })
+      ]
+    }
+  }),
+  shape('cyl', 5, { type: 'cylinder', position: [3, 0, 0] })
+];
+
+test('features are listed in the order they were made', () => {
+  const rows = listFeatures(scene());
+  expect(rows.map(row => row.label)).toEqual([
+    'Box 1', 'Sketch 2', 'Extrude 3', 'Subtract 4', 'Transform Subtract 4', 'Cylinder 5', 'Transform Cylinder 5'
+  ]);
+  expect(rows[3].inputs).toEqual([1, 3]);
+  expect(rows[2].inputs).toEqual([2]);
+  expect(getNextFeatureSeq(scene())).toBe(6);
+});
+
+test('scenes saved without seqs get them, operands first', () => {
+  const plain = ({ userData, ...rest }) => ({ ...rest, userData: {} });
+  const [cut, cyl] = scene();
+  const nodes = stampFeatures([
+    { ...plain(cut), params: { ...cut.params, operands: cut.params.operands.map(plain) } },
+    plain(cyl)
+  ]);
+  expect(nodes[0].params.operands.map(node => node.userData.feature.seq)).toEqual([3, 4]);
+  expect(nodes[0].userData.feature.seq).toBe(5);
+  expect(nodes[1].userData.feature.seq).toBe(6);
+});
+
+test('editing an operand regenerates the boolean around it', () => {
+  const nodes = scene();
+  const edited = updateFeature(nodes, 3, node => ({ ...node, params: { ...node.params, depth: 4 } }));
+  expect(edited[1]).toBe(nodes[1]);
+  expect(edited[0].params.operands[0]).toBe(nodes[0].params.operands[0]);
+  expect(edited[0].params.operands[1].params.depth).toBe(4);
+  expect(nodes[0].params.operands[1].params.depth).toBe(2);
+
+  // Editing the sketch reaches every shape made from it
+  const resketched = updateFeature(nodes, 2, node => ({ ...node, params: { ...node.params, marked: true } }));
+  expect(resketched[0].params.operands[1].params.marked).toBe(true);
+});
+
+test('suppressed operands drop out of the boolean', () => {
+  const volume = (node) => {
+    const geometry = createGeometry(node.type, node.params);
+    const position = geometry.attributes.position;
+    let total = 0;
+    for (let i = 0; i < position.count; i += 3) {
+      const [a, b, c] = [i, i + 1, i + 2].map(k => new THREE.Vector3().fromBufferAttribute(position, k));
+      total += a.dot(b.cross(c)) / 6;
+    }
+    return total;
+  };
+
+  const [cut] = scene();
+  expect(volume(cut)).toBeCloseTo(1 - 0.16);
+  const [suppressed] = setFeatureSuppressed(scene(), 3, true);
+  expect(suppressed.params.operands[1].userData.feature).toEqual({ seq: 3, suppressed: true });
+  expect(volume(suppressed)).toBeCloseTo(1);
+  expect(listFeatures([suppressed])[2].suppressed).toBe(true);
+});
+
+test('features only move past what they are not built from', () => {
+  const rows = listFeatures(scene());
+  const byLabel = (label) => rows.find(row => row.label === label);
+  expect(getFeatureSwap(rows, byLabel('Extrude 3'), -1)).toBeNull();
+  expect(getFeatureSwap(rows, byLabel('Extrude 3'), 1)).toBeNull();
+  expect(getFeatureSwap(rows, byLabel('Sketch 2'), -1)).toBe(byLabel('Box 1'));
+  expect(getFeatureSwap(rows, byLabel('Cylinder 5'), -1)).toBe(byLabel('Subtract 4'));
+  expect(getFeatureSwap(rows, byLabel('Cylinder 5'), 1)).toBeNull();
+
+  const swapped = swapFeatures(scene(), 1, 2);
+  expect(swapped[0].params.operands[0].userData.feature.seq).toBe(2);
+  expect(swapped[0].params.operands[1].params.sketch.seq).toBe(1);
+  expect(listFeatures(swapped).slice(0, 2).map(row => row.label)).toEqual(['Sketch 1', 'Box 2']);
+});
+
+test('rolling back gives booleans made later back their operands', () => {
+  const nodes = scene();
+  expect(rollbackNodes(nodes, 5)).toEqual(nodes);
+
+  const beforeCut = rollbackNodes(nodes, 3);
+  expect(beforeCut.map(node => node.id)).toEqual(['box', 'tool']);
+  expect(beforeCut[1].position.map(c => +c.toFixed(6))).toEqual([1, 0.5, 0]);
+
+  expect(rollbackNodes(nodes, 1).map(node => node.id)).toEqual(['box']);
+});
+
+test('a fillet is listed after the shape it rounds, which rollback gives back', () => {
+  const box = shape('box', 1, { position: [0, 0.5, 0] });
+  const fillet = shape('round', 2, {
+    type: 'filleted',
+    position: [2, 0, 0],
+    params: { mode: 'fillet', radius: 0.1, edges: [{ loop: 0, vertex: 0 }], base: { ...box, position: [0, 0, 0] } }
+  });
+  const rows = listFeatures([fillet]);
+  expect(rows.map(row => row.label)).toEqual(['Box 1', 'Fillet 2', 'Transform Fillet 2']);
+  expect(rows[1]).toMatchObject({ detail: 'Box 1', inputs: [1] });
+
+  const resized = updateFeature([fillet], 1, node => ({ ...node, params: { width: 2 } }));
+  expect(resized[0].params.base.params.width).toBe(2);
+  expect(resized[0].params.radius).toBe(0.1);
+
+  const [restored] = rollbackNodes([fillet], 1);
+  expect(restored.id).toBe('box');
+  expect(restored.position).toEqual([2, 0, 0]);
+  expect(findFeatureNode(fillet, 1).node.id).toBe('box');
+});
+
+test('a pattern is listed after its sources, and editing a source reaches every copy', () => {
+  const pattern = shape('row', 3, {
+    type: 'pattern',
+    params: {
+      kind: 'linear',
+      direction: [1, 0, 0],
+      count: 3,
+      spacing: 2,
+      sources: [shape('box', 1), shape('cyl', 2, { type: 'cylinder', position: [0, 0, 1] })]
+    }
+  });
+  const rows = listFeatures([pattern]);
+  expect(rows.map(row => row.label)).toEqual(['Box 1', 'Cylinder 2', 'Linear Pattern 3', 'Transform Linear Pattern 3']);
+  expect(rows[2]).toMatchObject({ detail: 'Box 1, Cylinder 2', inputs: [1, 2] });
+
+  const [resized] = updateFeature([pattern], 1, node => ({ ...node, params: { width: 0.5 } }));
+  expect(resized.params.sources[0].params.width).toBe(0.5);
+  expect(resized.params.sources[1]).toBe(pattern.params.sources[1]);
+  expect(resized.params.count).toBe(3);
+
+  expect(rollbackNodes([pattern], 2).map(node => node.id)).toEqual(['box', 'cyl']);
+});
+
+test('features are found with their placement inside a shape', () => {
+  const [cut] = scene();
+  const { node, matrix } = findFeatureNode(cut, 2);
+  expect(node.id).toBe('tool');
+  expect(new THREE.Vector3().setFromMatrixPosition(matrix).toArray()).toEqual([0, 0.5, 0]);
+  expect(findFeatureNode(cut, 5)).toBeNull();
+});
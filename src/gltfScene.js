@@ -0,0 +1,111 @@
+// gltfScene.js - glTF 2.0 exchange of whole scenes.
+//
+// THREE's GLTFExporter and GLTFLoader read and write the files (see
+// App.js); this module converts between the editor's objects and the plain
+// THREE scenes they work on. Groups become glTF nodes with children and
+// shapes become nodes with a mesh, whose material carries the shape's
+// colour. Names go in node names, and the rest of a node (id, type,
+// params, userData) in its `extras`, so a file written here comes back
+// with its feature history. Meshes from anywhere else, or whose extras no
+// longer check out, come back as `mesh` shapes.
+import * as THREE from "three";
+import { SCENE_FORMAT_VERSION, createMeshParams, createObjectId, getSceneChildren, serializeObject } from "./sceneFormat";
+import { SHAPE_TYPES, validateScene } from "./sceneSchema";
+
+// ====== EXPORT ======
+// A scene for GLTFExporter; meshes share the editor's geometry, so it
+// must not be disposed
+export const createExportScene = (roots) => {
+  const scene = new THREE.Scene();
+  let count = 0;
+
+  const copy = (obj) => {
+    const { parent, position, rotation, scale, color, ...extras } = serializeObject(obj);
+    let node;
+    if (obj.userData.isGroup) {
+      node = new THREE.Group();
+      getSceneChildren(obj).forEach(child => node.add(copy(child)));
+    } else {
+      node = new THREE.Mesh(obj.children[0].geometry, new THREE.MeshStandardMaterial({ color }));
+    }
+    count += 1;
+    node.name = obj.userData.name ?? `${obj.userData.type}_${count}`;
+    node.position.copy(obj.position);
+    node.quaternion.copy(obj.quaternion);
+    node.scale.copy(obj.scale);
+    node.userData = extras;
+    return node;
+  };
+
+  roots.forEach(root => scene.add(copy(root)));
+  return scene;
+};
+
+// ====== IMPORT ======
+const hasMesh = (obj) => {
+  let found = false;
+  obj.traverse(child => {
+    if (child.isMesh) found = true;
+  });
+  return found;
+};
+
+const placementOf = (obj) => ({
+  position: obj.position.toArray(),
+  rotation: [obj.rotation.x, obj.rotation.y, obj.rotation.z],
+  scale: obj.scale.toArray()
+});
+
+const IDENTITY = { position: [0, 0, 0], rotation: [0, 0, 0], scale: [1, 1, 1] };
+
+// Scene nodes for the objects under `root` (a loaded glTF scene), parents
+// first, ready for buildScene. Objects without meshes are left out.
+export const gltfToNodes = (root) => {
+  const nodes = [];
+  const ids = new Set();
+  const takeId = (id) => {
+    const free = typeof id === "string" && id !== "" && !ids.has(id) ? id : createObjectId();
+    ids.add(free);
+    return free;
+  };
+  const named = (obj, userData = {}) => ({ ...userData, ...(obj.name && { name: obj.name }) });
+
+  const shapeNode = (mesh, parent, placement) => {
+    const extras = mesh.userData;
+    const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+    const color = material?.color?.getHex() ?? 0xcccccc;
+    const restored = { ...extras, parent, ...placement, color, userData: named(mesh, extras.userData) };
+    const valid = SHAPE_TYPES.includes(extras.type) && validateScene({
+      metadata: { version: SCENE_FORMAT_VERSION },
+      objects: [{ ...restored, parent: null }]
+    }).length === 0;
+    if (valid) return { ...restored, id: takeId(extras.id) };
+    return {
+      id: takeId(null),
+      parent,
+      type: "mesh",
+      ...placement,
+      color,
+      params: createMeshParams(mesh.geometry),
+      userData: named(mesh)
+    };
+  };
+
+  const visit = (obj, parent) => {
+    const children = obj.children.filter(hasMesh);
+    if (obj.isMesh && children.length === 0) {
+      nodes.push(shapeNode(obj, parent, placementOf(obj)));
+      return;
+    }
+    // Only groups have children in the editor, so a mesh with children
+    // becomes a group holding the mesh and them
+    const extras = obj.userData.type === "group" ? obj.userData : {};
+    const id = takeId(extras.id);
+    nodes.push({ id, parent, type: "group", ...placementOf(obj), userData: named(obj, extras.userData) });
+    if (obj.isMesh) nodes.push(shapeNode(obj, id, IDENTITY));
+    children.forEach(child => visit(child, id));
+  };
+
+  root.children.filter(hasMesh).forEach(child => visit(child, null));
+  return nodes;
+};
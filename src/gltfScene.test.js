@@ -0,0 +1,82 @@
+import * as THREE from 'three';
+import { createExportScene, gltfToNodes } from './gltfScene';
+import { buildScene, createGeometry, createGroup, createMeshWithEdges, serializeScene } from './sceneFormat';
+import { validateScene } from './sceneSchema';
+
+const shape = (type, params, color) => {
+  const container = createMeshWithEdges(createGeometry(type, params), color);
+  container.userData.type = type;
+  if (params) container.userData.params = params;
+  return container;
+};
+
+const editorScene = () => {
+  const group = createGroup();
+  group.userData.name = 'Bracket';
+  group.position.set(1, 0, 0);
+  const box = shape('box', { width: 2, height: 1, depth: 1 }, 0x336699);
+  box.userData.feature = { seq: 1 };
+  box.position.set(0, 0.5, 0);
+  group.add(box);
+  const sphere = shape('sphere', undefined, 0xff0000);
+  sphere.rotation.set(0, Math.PI / 2, 0);
+  return [group, sphere];
+};
+
+test('the export scene keeps hierarchy, names, colours and the rest in extras', () => {
+  const roots = editorScene();
+  const scene = createExportScene(roots);
+  const [group, sphere] = scene.children;
+
+  expect(group.name).toBe('Bracket');
+  expect(group.position.x).toBe(1);
+  const [box] = group.children;
+  expect(box.name).toBe('box_1');
+  expect(box.isMesh).toBe(true);
+  expect(box.children).toHaveLength(0);
+  expect(box.geometry).toBe(roots[0].children[0].children[0].geometry);
+  expect(box.material.color.getHex()).toBe(0x336699);
+  expect(box.userData).toMatchObject({ type: 'box', params: { width: 2 }, userData: { feature: { seq: 1 } } });
+  expect(JSON.parse(JSON.stringify(box.userData))).toEqual(box.userData);
+  expect(sphere.quaternion.y).toBeCloseTo(Math.SQRT1_2);
+});
+
+test('glTF written here comes back as the same shapes', () => {
+  const roots = editorScene();
+  const nodes = gltfToNodes(createExportScene(roots));
+  expect(validateScene({ metadata: { version: '2.0' }, objects: nodes })).toEqual([]);
+
+  const original = serializeScene(roots);
+  expect(nodes.map(node => [node.id, node.parent, node.type])).toEqual(original.map(node => [node.id, node.parent, node.type]));
+  expect(nodes[1].params).toEqual({ width: 2, height: 1, depth: 1 });
+  expect(nodes[1].color).toBe(0x336699);
+  expect(nodes[1].userData.feature).toEqual({ seq: 1 });
+  expect(nodes[0].userData.name).toBe('Bracket');
+  expect(nodes[2].rotation[1]).toBeCloseTo(Math.PI / 2);
+});
+
+test('other glTF meshes become mesh shapes, and meshes with children groups', () => {
+  const root = new THREE.Group();
+  const wheel = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), new THREE.MeshStandardMaterial({ color: 0x00ff00 }));
+  wheel.name = 'Wheel';
+  wheel.position.set(0, 2, 0);
+  wheel.userData = { type: 'box', params: { width: -1 } };
+  const hub = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.5, 0.5));
+  wheel.add(hub, new THREE.Object3D());
+  root.add(wheel, new THREE.PerspectiveCamera());
+
+  const nodes = gltfToNodes(root);
+  expect(nodes.map(node => node.type)).toEqual(['group', 'mesh', 'mesh']);
+  expect(nodes[0]).toMatchObject({ parent: null, position: [0, 2, 0], userData: { name: 'Wheel' } });
+  expect(nodes[1]).toMatchObject({ parent: nodes[0].id, position: [0, 0, 0], color: 0x00ff00 });
+  expect(nodes[1].params.positions).toHaveLength(24 * 3);
+  expect(nodes[1].params.indices).toHaveLength(36);
+  expect(nodes[2].parent).toBe(nodes[0].id);
+  expect(validateScene({ metadata: { version: '2.0' }, objects: nodes })).toEqual([]);
+
+  const [group] = buildScene(nodes);
+  const mesh = group.children[0].children[0];
+  mesh.geometry.computeBoundingBox();
+  expect(mesh.geometry.boundingBox.max.x).toBeCloseTo(0.5);
+  expect(mesh.children[0].userData.isEdgeVisual).toBe(true);
+});
@@ -0,0 +1,125 @@
+// meshExport.js - STL and OBJ files of the model, for printers and the
+// simulation tools that can't read our scene files.
+//
+// Only the meshes of shape containers are written, so the grid, the sketch
+// plane and line, handles, edge overlays and previews never get in. Each
+// shape's world transform, groups included, is baked into its vertices,
+// which are scaled by `unitScale` (the scene is in metres; most printers
+// read millimetres). Suppressed shapes are left out.
+import * as THREE from "three";
+import { getShapeContainers, isHiddenBySuppression } from "./sceneFormat";
+
+// ====== TRIANGLES ======
+// One { name, positions, normals } per shape, three world-space vertices per
+// triangle in counter-clockwise order seen from outside
+export const collectMeshes = (objects, unitScale = 1) => {
+  const containers = new Set(objects.flatMap(getShapeContainers));
+  const scale = new THREE.Matrix4().makeScale(unitScale, unitScale, unitScale);
+
+  const isShown = ({ userData }) => !isHiddenBySuppression({ type: userData.type, userData });
+
+  return [...containers]
+    .filter(container => isShown(container) && container.children[0]?.isMesh)
+    .map((container, i) => {
+      const mesh = container.children[0];
+      mesh.updateWorldMatrix(true, false);
+      const matrix = scale.clone().multiply(mesh.matrixWorld);
+      const normalMatrix = new THREE.Matrix3().getNormalMatrix(matrix);
+      // A mirroring transform turns triangles inside out unless they are reversed
+      const order = matrix.determinant() < 0 ? [0, 2, 1] : [0, 1, 2];
+
+      const source = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry;
+      const { position, normal } = source.attributes;
+      const positions = new Float32Array(position.count * 3);
+      const normals = new Float32Array(position.count * 3);
+      const vertex = new THREE.Vector3();
+      for (let t = 0; t + 2 < position.count; t += 3) {
+        order.forEach((k, j) => {
+          vertex.fromBufferAttribute(position, t + k).applyMatrix4(matrix).toArray(positions, (t + j) * 3);
+          if (normal) vertex.fromBufferAttribute(normal, t + k).applyMatrix3(normalMatrix).normalize().toArray(normals, (t + j) * 3);
+        });
+      }
+      if (source !== mesh.geometry) source.dispose();
+
+      return { name: `${container.userData.type ?? "shape"}_${i + 1}`, positions, normals };
+    });
+};
+
+const facetNormal = (positions, offset) => {
+  const [a, b, c] = [0, 1, 2].map(k => new THREE.Vector3().fromArray(positions, offset + k * 3));
+  return b.sub(a).cross(c.sub(a)).normalize();
+};
+
+const triangleCount = (meshes) => meshes.reduce((sum, mesh) => sum + mesh.positions.length / 9, 0);
+
+// ====== STL ======
+// Binary STL: an 80-byte header, the triangle count, then 50 bytes per
+// triangle (normal, three vertices, attribute count), little-endian
+export const toBinarySTL = (meshes) => {
+  const buffer = new ArrayBuffer(84 + triangleCount(meshes) * 50);
+  const view = new DataView(buffer);
+  const header = "Exported from the React + Three.js CAD Editor";
+  for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+  view.setUint32(80, triangleCount(meshes), true);
+
+  let offset = 84;
+  meshes.forEach(({ positions }) => {
+    for (let t = 0; t < positions.length; t += 9) {
+      for (const value of [...facetNormal(positions, t).toArray(), ...positions.subarray(t, t + 9)]) {
+        view.setFloat32(offset, value, true);
+        offset += 4;
+      }
+      view.setUint16(offset, 0, true);
+      offset += 2;
+    }
+  });
+  return buffer;
+};
+
+export const toAsciiSTL = (meshes, name = "model") => {
+  const format = (values) => Array.from(values, value => value.toExponential(6)).join(" ");
+  const lines = [`solid ${name}`];
+  meshes.forEach(({ positions }) => {
+    for (let t = 0; t < positions.length; t += 9) {
+      lines.push(`  facet normal ${format(facetNormal(positions, t).toArray())}`, "    outer loop");
+      for (let k = 0; k < 3; k++) lines.push(`      vertex ${format(positions.subarray(t + k * 3, t + k * 3 + 3))}`);
+      lines.push("    endloop", "  endfacet");
+    }
+  });
+  lines.push(`endsolid ${name}`);
+  return `${lines.join("\n")}\n`;
+};
+
+// ====== OBJ ======
+// One object per shape; vertices and normals shared between its faces are
+// written once. OBJ indices are 1-based and count across the whole file.
+export const toOBJ = (meshes) => {
+  const lines = ["# Exported from the React + Three.js CAD Editor"];
+  let vertexBase = 0;
+  let normalBase = 0;
+  const format = (values) => Array.from(values, value => +value.toFixed(6)).join(" ");
+
+  meshes.forEach(({ name, positions, normals }) => {
+    lines.push(`o ${name}`);
+    const index = (values, offset, seen, prefix) => {
+      const key = format(values.subarray(offset, offset + 3));
+      if (!seen.has(key)) {
+        seen.set(key, seen.size + 1);
+        lines.push(`${prefix} ${key}`);
+      }
+      return seen.get(key);
+    };
+    const vertices = new Map();
+    const vertexNormals = new Map();
+    const corner = (offset) =>
+      `${vertexBase + index(positions, offset, vertices, "v")}//${normalBase + index(normals, offset, vertexNormals, "vn")}`;
+    const faces = [];
+    for (let t = 0; t < positions.length; t += 9) {
+      faces.push(`f ${corner(t)} ${corner(t + 3)} ${corner(t + 6)}`);
+    }
+    lines.push(...faces);
+    vertexBase += vertices.size;
+    normalBase += vertexNormals.size;
+  });
+  return `${lines.join("\n")}\n`;
+};
@@ -0,0 +1,70 @@
+import * as THREE from 'three';
+import { collectMeshes, toAsciiSTL, toBinarySTL, toOBJ } from './meshExport';
+import { createGeometry, createGroup, createMeshWithEdges } from './sceneFormat';
+
+const box = (position) => {
+  const container = createMeshWithEdges(createGeometry('box'), 0xff0000);
+  container.userData.type = 'box';
+  container.position.set(...position);
+  return container;
+};
+
+const bounds = (meshes) => new THREE.Box3().setFromArray(meshes.flatMap(mesh => Array.from(mesh.positions)));
+
+test('meshes carry their group transforms and leave edge overlays out', () => {
+  const group = createGroup();
+  group.position.set(10, 0, 0);
+  group.add(box([1, 0, 0]));
+  const meshes = collectMeshes([group, box([0, 0, 0])], 1000);
+
+  expect(meshes.map(mesh => mesh.name)).toEqual(['box_1', 'box_2']);
+  expect(meshes[0].positions.length).toBe(12 * 9);
+  expect(bounds(meshes.slice(0, 1)).min.x).toBeCloseTo(10500);
+
+  // Suppressed shapes are not part of the model
+  const hidden = box([0, 0, 0]);
+  hidden.userData.feature = { seq: 1, suppressed: true };
+  expect(collectMeshes([hidden])).toEqual([]);
+});
+
+test('mirrored shapes keep their triangles facing out', () => {
+  const shape = box([0, 0, 0]);
+  shape.scale.set(-1, 1, 1);
+  const [{ positions }] = collectMeshes([shape]);
+  let volume = 0;
+  for (let t = 0; t < positions.length; t += 9) {
+    const [a, b, c] = [0, 3, 6].map(k => new THREE.Vector3().fromArray(positions, t + k));
+    volume += a.dot(b.cross(c)) / 6;
+  }
+  expect(volume).toBeCloseTo(1);
+});
+
+test('STL files hold every triangle, in binary or text', () => {
+  const meshes = collectMeshes([box([0, 0, 0]), box([2, 0, 0])]);
+  const buffer = toBinarySTL(meshes);
+  const view = new DataView(buffer);
+  expect(buffer.byteLength).toBe(84 + 24 * 50);
+  expect(view.getUint32(80, true)).toBe(24);
+  const normal = [0, 4, 8].map(k => view.getFloat32(84 + k, true));
+  expect(Math.hypot(...normal)).toBeCloseTo(1);
+
+  const text = toAsciiSTL(meshes, 'part');
+  expect(text.startsWith('solid part\n')).toBe(true);
+  expect(text.trim().endsWith('endsolid part')).toBe(true);
+  expect(text.match(/facet normal/g)).toHaveLength(24);
+  expect(text.match(/vertex/g)).toHaveLength(72);
+});
+
+test('OBJ files share vertices and count indices across objects', () => {
+  const text = toOBJ(collectMeshes([box([0, 0, 0]), box([2, 0, 0])]));
+  const lines = text.trim().split('\n');
+  expect(lines.filter(line => line.startsWith('o '))).toEqual(['o box_1', 'o box_2']);
+  expect(lines.filter(line => line.startsWith('v '))).toHaveLength(16);
+  expect(lines.filter(line => line.startsWith('vn '))).toHaveLength(12);
+
+  const faces = lines.filter(line => line.startsWith('f '));
+  expect(faces).toHaveLength(24);
+  const vertexIndices = faces.flatMap(face => face.slice(2).split(' ').map(corner => +corner.split('//')[0]));
+  expect(Math.min(...vertexIndices)).toBe(1);
+  expect(Math.max(...vertexIndices)).toBe(16);
+});
@@ -0,0 +1,86 @@
+// meshImport.js - reading STL (binary or ASCII) and OBJ files into the
+// triangles of a `mesh` shape (see createMeshParams).
+//
+// Files only hold coordinates, so `unitScale` converts them to the scene's
+// metres (0.001 for millimetres). Triangles are kept apart, not indexed,
+// so faces stay flat-shaded as they are in a CAD part.
+import * as THREE from "three";
+
+const toGeometry = (positions) => {
+  if (positions.length < 9) throw new Error("The file has no triangles");
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+};
+
+// Both formats are plain ASCII where they are text
+const decodeText = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let text = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return text;
+};
+
+// ====== STL ======
+// Binary files are 84 bytes plus 50 per triangle; anything else that starts
+// with "solid" is read as text
+const isBinarySTL = (buffer) =>
+  buffer.byteLength >= 84 && buffer.byteLength === 84 + new DataView(buffer).getUint32(80, true) * 50;
+
+export const parseSTL = (buffer, unitScale = 1) => {
+  const positions = [];
+  if (isBinarySTL(buffer)) {
+    const view = new DataView(buffer);
+    const count = view.getUint32(80, true);
+    for (let t = 0; t < count; t++) {
+      // Each triangle: a normal, which is recomputed, then three vertices
+      for (let k = 0; k < 9; k++) positions.push(view.getFloat32(84 + t * 50 + 12 + k * 4, true) * unitScale);
+    }
+    return toGeometry(positions);
+  }
+
+  const text = decodeText(buffer);
+  if (!/^\s*solid/.test(text)) throw new Error("This is not an STL file");
+  const number = "([-+]?[\\d.]+(?:[eE][-+]?\\d+)?)";
+  const vertex = new RegExp(`vertex\\s+${number}\\s+${number}\\s+${number}`, "g");
+  for (const match of text.matchAll(vertex)) {
+    positions.push(...match.slice(1, 4).map(value => parseFloat(value) * unitScale));
+  }
+  if (positions.length % 9 !== 0) throw new Error("The STL file has an incomplete facet");
+  return toGeometry(positions);
+};
+
+// ====== OBJ ======
+// Only vertices and faces are read; faces with more than three corners
+// are split into fans, and every object and group in the file goes into the
+// one mesh. Indices are 1-based, or negative to count back from the last
+// vertex read.
+export const parseOBJ = (text, unitScale = 1) => {
+  const vertices = [];
+  const positions = [];
+  text.split(/\r?\n/).forEach((raw, line) => {
+    const [keyword, ...values] = raw.trim().split(/\s+/);
+    if (keyword === "v") {
+      const point = values.slice(0, 3).map(Number);
+      if (point.length < 3 || !point.every(Number.isFinite)) throw new Error(`Line ${line + 1} has a bad vertex`);
+      vertices.push(point.map(c => c * unitScale));
+    } else if (keyword === "f") {
+      const corners = values.map(value => {
+        const index = parseInt(value.split("/")[0], 10);
+        const vertex = vertices[index < 0 ? vertices.length + index : index - 1];
+        if (!vertex) throw new Error(`Line ${line + 1} refers to a missing vertex`);
+        return vertex;
+      });
+      for (let i = 1; i + 1 < corners.length; i++) positions.push(...corners[0], ...corners[i], ...corners[i + 1]);
+    }
+  });
+  return toGeometry(positions);
+};
+
+// The geometry of an .stl or .obj file read into `buffer`
+export const readMeshFile = (name, buffer, unitScale = 1) => {
+  if (/\.stl$/i.test(name)) return parseSTL(buffer, unitScale);
+  if (/\.obj$/i.test(name)) return parseOBJ(decodeText(buffer), unitScale);
+  throw new Error("Only .stl and .obj meshes can be imported");
+};
@@ -0,0 +1,42 @@
+import { collectMeshes, toAsciiSTL, toBinarySTL, toOBJ } from './meshExport';
+import { parseOBJ, parseSTL, readMeshFile } from './meshImport';
+import { createGeometry, createMeshWithEdges } from './sceneFormat';
+
+const exported = () => {
+  const box = createMeshWithEdges(createGeometry('box', { width: 2, height: 1, depth: 1 }), 0xff0000);
+  box.position.set(0, 0.5, 0);
+  return collectMeshes([box], 1000);
+};
+
+const ascii = (text) => Uint8Array.from(text, c => c.charCodeAt(0)).buffer;
+
+const extent = (geometry) => {
+  geometry.computeBoundingBox();
+  return geometry.boundingBox;
+};
+
+test('binary and ASCII STL files read back in metres', () => {
+  const binary = parseSTL(toBinarySTL(exported()), 0.001);
+  expect(binary.attributes.position.count).toBe(36);
+  expect(extent(binary).max.toArray().map(c => +c.toFixed(6))).toEqual([1, 1, 0.5]);
+
+  const text = readMeshFile('part.STL', ascii(toAsciiSTL(exported())), 0.001);
+  expect(text.attributes.position.count).toBe(36);
+  expect(extent(text).min.x).toBeCloseTo(-1);
+  expect(text.attributes.normal).toBeDefined();
+
+  expect(() => parseSTL(ascii('not a mesh'))).toThrow('not an STL file');
+});
+
+test('OBJ faces are fanned into triangles, with negative indices counting back', () => {
+  const box = parseOBJ(toOBJ(exported()), 0.001);
+  expect(box.attributes.position.count).toBe(36);
+  expect(extent(box).min.y).toBeCloseTo(0);
+
+  const quad = parseOBJ(['o plate', 'v 0 0 0', 'v 1 0 0', 'v 1 0 1', 'v 0 0 1', 'vt 0 0', 'f -4/1 -3/1 -2/1 -1/1'].join('\n'));
+  expect(Array.from(quad.attributes.position.array)).toEqual([0, 0, 0, 1, 0, 0, 1, 0, 1, 0, 0, 0, 1, 0, 1, 0, 0, 1]);
+
+  expect(() => parseOBJ('v 0 0 0\nf 1 2 3')).toThrow('Line 2 refers to a missing vertex');
+  expect(() => parseOBJ('# empty')).toThrow('no triangles');
+  expect(() => readMeshFile('part.ply', new ArrayBuffer(0))).toThrow('.stl and .obj');
+});
@@ -0,0 +1,73 @@
+// polygon.js - tests on 2D polygons given as [[x, y], ...] without a
+// repeated closing point. Touching counts as neither crossing nor overlap;
+// only proper crossings (beyond EPSILON) do.
+const EPSILON = 1e-4;
+
+export const signedArea = (points) => points.reduce((sum, [x1, y1], i) => {
+  const [x2, y2] = points[(i + 1) % points.length];
+  return sum + (x1 * y2 - x2 * y1);
+}, 0) / 2;
+
+const segmentsCross = (a, b, c, d) => {
+  const cross = (o, p, q) => (p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]);
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return ((d1 > EPSILON && d2 < -EPSILON) || (d1 < -EPSILON && d2 > EPSILON)) &&
+         ((d3 > EPSILON && d4 < -EPSILON) || (d3 < -EPSILON && d4 > EPSILON));
+};
+
+export const isSimplePolygon = (points) => {
+  const n = points.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      // Adjacent segments share a vertex and can't properly cross
+      if (j === i + 1 || (i === 0 && j === n - 1)) continue;
+      if (segmentsCross(points[i], points[(i + 1) % n], points[j], points[(j + 1) % n])) {
+        return false;
+      }
+    }
+  }
+  return true;
+};
+
+// Even-odd ray casting
+export const isPointInPolygon = ([x, y], polygon) => {
+  let inside = false;
+  polygon.forEach(([x1, y1], i) => {
+    const [x2, y2] = polygon[(i + 1) % polygon.length];
+    if ((y1 > y) !== (y2 > y) && x < x1 + ((y - y1) / (y2 - y1)) * (x2 - x1)) {
+      inside = !inside;
+    }
+  });
+  return inside;
+};
+
+const isOnBoundary = (point, polygon) => polygon.some((p, i) => {
+  const q = polygon[(i + 1) % polygon.length];
+  const length = Math.hypot(q[0] - p[0], q[1] - p[1]);
+  if (length < EPSILON) return false;
+  const along = ((point[0] - p[0]) * (q[0] - p[0]) + (point[1] - p[1]) * (q[1] - p[1])) / (length * length);
+  const offset = Math.abs((q[0] - p[0]) * (point[1] - p[1]) - (q[1] - p[1]) * (point[0] - p[0])) / length;
+  return along >= 0 && along <= 1 && offset < EPSILON;
+});
+
+// Edges that cross, or points of `a` on both sides of `b` (a crossing
+// exactly through vertices)
+export const polygonsCross = (a, b) => {
+  const edgesCross = a.some((p, i) => {
+    const q = a[(i + 1) % a.length];
+    return b.some((r, j) => segmentsCross(p, q, r, b[(j + 1) % b.length]));
+  });
+  if (edgesCross) return true;
+  const sides = new Set(a.filter(point => !isOnBoundary(point, b)).map(point => isPointInPolygon(point, b)));
+  return sides.size === 2;
+};
+
+// For polygons that don't cross: one point of `inner` off the boundary of
+// `outer` decides whether it lies inside.
+export const isPolygonInside = (inner, outer) => {
+  const probe = inner.find(point => !isOnBoundary(point, outer));
+  return !!probe && isPointInPolygon(probe, outer);
+};
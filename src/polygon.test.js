@@ -0,0 +1,31 @@
+import { isPointInPolygon, isPolygonInside, isSimplePolygon, polygonsCross, signedArea } from './polygon';
+
+const square = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size]];
+
+test('area sign follows the winding and bow ties are not simple', () => {
+  expect(signedArea(square(0, 0, 2))).toBeCloseTo(4);
+  expect(signedArea([...square(0, 0, 2)].reverse())).toBeCloseTo(-4);
+  expect(isSimplePolygon(square(0, 0, 2))).toBe(true);
+  expect(isSimplePolygon([[0, 0], [2, 2], [2, 0], [0, 2]])).toBe(false);
+});
+
+test('nested, separate and overlapping polygons are told apart', () => {
+  const outer = square(0, 0, 10);
+  const inner = square(2, 2, 2);
+  expect(isPointInPolygon([1, 1], outer)).toBe(true);
+  expect(isPointInPolygon([11, 1], outer)).toBe(false);
+
+  expect(polygonsCross(outer, inner)).toBe(false);
+  expect(isPolygonInside(inner, outer)).toBe(true);
+  expect(isPolygonInside(outer, inner)).toBe(false);
+  expect(isPolygonInside(square(20, 0, 1), outer)).toBe(false);
+
+  // Sharing an edge is touching, not crossing; the probe skips the shared points
+  const touching = [[0, 0], [5, 0], [5, 5]];
+  expect(polygonsCross(outer, touching)).toBe(false);
+  expect(isPolygonInside(touching, outer)).toBe(true);
+
+  expect(polygonsCross(outer, square(8, 8, 4))).toBe(true);
+  // Crossing exactly through vertices on the edge x = 10
+  expect(polygonsCross([[9, 5], [10, 4], [11, 5], [10, 6]], outer)).toBe(true);
+});
@@ -0,0 +1,183 @@
+// pushPull.js - moving a planar face or a feature edge of a box or an
+// extrusion along its normal, by rewriting the shape's parameters.
+//
+// Faces are described in the geometry's local space as { normal, point }.
+// Pulling an edge moves its two adjacent faces, each by the drag distance
+// projected on its normal, so the edge travels along the bisector.
+import * as THREE from "three";
+import { isSimplePolygon, signedArea } from "./polygon";
+import { DEFAULT_PARAMS, getExtrudeExtent } from "./sceneFormat";
+import { findEdgeFaces } from "./subObjects";
+
+const MIN_SIZE = 0.01;
+const EPSILON = 1e-4;
+
+export const supportsPushPull = (type) => type === "box" || type === "extruded";
+
+// ====== EXTRUSION FRAME ======
+// Extrusions are built from a 2D profile extruded along local +Y (the
+// profile's y axis maps to local -Z, see createExtrudeGeometry).
+const EXTRUDE_AXIS = new THREE.Vector3(0, 1, 0);
+const toProfile = (v) => [v.x, -v.z];
+
+// ====== TARGETS ======
+// Returns { faces: [{ normal, point, weight }], axis, origin } in local
+// space for a picked face/edge, or null when the shape can't be pulled.
+export const getPushPullTarget = (type, geometry, subObject) => {
+  if (!supportsPushPull(type)) return null;
+
+  if (subObject.type === "face") {
+    const point = subObject.centroid.clone();
+    return {
+      faces: [{ normal: subObject.normal.clone(), point, weight: 1 }],
+      axis: subObject.normal.clone(),
+      origin: point
+    };
+  }
+
+  const faces = findEdgeFaces(geometry, subObject.start, subObject.end);
+  if (faces.length === 0) return null;
+
+  const axis = faces.reduce((sum, face) => sum.add(face.normal), new THREE.Vector3()).normalize();
+  if (axis.lengthSq() < EPSILON) return null;
+
+  return {
+    faces: faces.map(face => ({
+      normal: face.normal.clone(),
+      point: face.centroid.clone(),
+      weight: face.normal.dot(axis)
+    })),
+    axis,
+    origin: subObject.start.clone().add(subObject.end).multiplyScalar(0.5)
+  };
+};
+
+// ====== PARAMETER UPDATES ======
+const offsetBox = (params, faces) => {
+  const dims = { ...DEFAULT_PARAMS.box, ...params };
+  const shift = new THREE.Vector3();
+  const keys = { x: "width", y: "height", z: "depth" };
+
+  faces.forEach(({ normal, distance }) => {
+    const axis = ["x", "y", "z"].reduce((best, a) =>
+      Math.abs(normal[a]) > Math.abs(normal[best]) ? a : best, "x");
+    dims[keys[axis]] += distance;
+    // The opposite face stays put, so the center moves half as far
+    shift[axis] += Math.sign(normal[axis]) * distance / 2;
+  });
+
+  Object.values(keys).forEach(key => {
+    if (dims[key] < MIN_SIZE) throw new Error("The box would collapse");
+  });
+  return { params: dims, shift };
+};
+
+// Drops a closing point that repeats the first one.
+export const openProfile = (profile) => {
+  const [fx, fy] = profile[0];
+  const [lx, ly] = profile[profile.length - 1];
+  return Math.hypot(fx - lx, fy - ly) < EPSILON ? profile.slice(0, -1) : profile.slice();
+};
+
+const lineIntersection = (p1, d1, p2, d2) => {
+  const det = d1[0] * d2[1] - d1[1] * d2[0];
+  if (Math.abs(det) < EPSILON) return null;
+  const t = ((p2[0] - p1[0]) * d2[1] - (p2[1] - p1[1]) * d2[0]) / det;
+  return [p1[0] + d1[0] * t, p1[1] + d1[1] * t];
+};
+
+// Moves side segment `i` of the profile outward by `distance`, sliding its
+// end points along the neighbouring segments so their directions are kept.
+const offsetProfileSegment = (points, i, outward, distance) => {
+  const n = points.length;
+  const a = points[i];
+  const b = points[(i + 1) % n];
+  const prev = points[(i - 1 + n) % n];
+  const next = points[(i + 2) % n];
+  const direction = [b[0] - a[0], b[1] - a[1]];
+  const origin = [a[0] + outward[0] * distance, a[1] + outward[1] * distance];
+
+  const newA = lineIntersection(origin, direction, prev, [a[0] - prev[0], a[1] - prev[1]]) ||
+    [a[0] + outward[0] * distance, a[1] + outward[1] * distance];
+  const newB = lineIntersection(origin, direction, b, [next[0] - b[0], next[1] - b[1]]) ||
+    [b[0] + outward[0] * distance, b[1] + outward[1] * distance];
+
+  const result = points.slice();
+  result[i] = newA;
+  result[(i + 1) % n] = newB;
+  return result;
+};
+
+const findProfileSegment = (points, normal2D, point2D) => {
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    if (length < EPSILON) continue;
+
+    const perp = [(b[1] - a[1]) / length, -(b[0] - a[0]) / length];
+    const alignment = perp[0] * normal2D[0] + perp[1] * normal2D[1];
+    const offset = (point2D[0] - a[0]) * perp[0] + (point2D[1] - a[1]) * perp[1];
+    if (Math.abs(Math.abs(alignment) - 1) < 1e-3 && Math.abs(offset) < 1e-3) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+const offsetExtrusion = (params, faces) => {
+  // Curved profiles only change depth, so their vertices are left alone
+  const curved = !!params.curves?.some(Boolean);
+  let points = curved ? params.profile : openProfile(params.profile);
+  const lengths = { depth: params.depth, depth2: params.depth2 ?? 0 };
+  const shift = new THREE.Vector3();
+  const areaSign = Math.sign(signedArea(points));
+
+  faces.forEach(({ normal, point, distance }) => {
+    const along = normal.dot(EXTRUDE_AXIS);
+    if (Math.abs(along) > 1 - EPSILON) {
+      // The lower cap of a two-sided extrusion is its second distance
+      const [from, to] = getExtrudeExtent({ ...params, ...lengths });
+      lengths[params.direction === "two-sided" && along < 0 ? "depth2" : "depth"] += distance;
+      // The body moves so the opposite cap stays put
+      const [newFrom, newTo] = getExtrudeExtent({ ...params, ...lengths });
+      shift.addScaledVector(EXTRUDE_AXIS, along > 0 ? from - newFrom : to - newTo);
+      return;
+    }
+
+    // Offsetting a straight side would pull the arcs and splines next to it
+    // off their curves; tapered sides aren't upright
+    if (curved) throw new Error("Sides of curved profiles can't be pushed or pulled");
+    if (params.taper) throw new Error("Sides of tapered extrusions can't be pushed or pulled");
+    if (params.holes?.length) throw new Error("Sides of profiles with holes can't be pushed or pulled");
+
+    const normal2D = toProfile(normal);
+    const length = Math.hypot(normal2D[0], normal2D[1]);
+    const outward = [normal2D[0] / length, normal2D[1] / length];
+    const index = findProfileSegment(points, outward, toProfile(point));
+    if (index < 0) throw new Error("This face can't be pushed or pulled");
+    points = offsetProfileSegment(points, index, outward, distance);
+  });
+
+  const [from, to] = getExtrudeExtent({ ...params, ...lengths });
+  if (to - from < MIN_SIZE || lengths.depth < 0 || lengths.depth2 < 0) {
+    throw new Error("The extrusion would collapse");
+  }
+  if (!curved && (Math.sign(signedArea(points)) !== areaSign || !isSimplePolygon(points))) {
+    throw new Error("The profile would intersect itself");
+  }
+
+  return {
+    params: { ...params, profile: points, depth: lengths.depth, ...(params.depth2 !== undefined && { depth2: lengths.depth2 }) },
+    shift
+  };
+};
+
+// `faces` carry a local `distance` each. Returns the new params and the
+// local-space shift to apply to the container's position; throws when the
+// result would be degenerate.
+export const applyPushPull = (type, params, faces) => {
+  if (type === "box") return offsetBox(params, faces);
+  if (type === "extruded") return offsetExtrusion(params, faces);
+  throw new Error(`Push/pull is not supported for ${type}`);
+};
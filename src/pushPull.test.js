@@ -0,0 +1,86 @@
+import * as THREE from 'three';
+import { applyPushPull, getPushPullTarget } from './pushPull';
+import { createExtrudeGeometry } from './sceneFormat';
+import { findPlanarFace, getFeatureEdges } from './subObjects';
+
+const SQUARE = [[0, 0], [2, 0], [2, 2], [0, 2]];
+
+test('pulling a box face grows that side and keeps the opposite face', () => {
+  const geometry = new THREE.BoxGeometry(2, 1, 1);
+  const face = { type: 'face', ...findPlanarFace(geometry, 0) };
+  const target = getPushPullTarget('box', geometry, face);
+
+  const faces = target.faces.map(f => ({ ...f, distance: 0.5 }));
+  const { params, shift } = applyPushPull('box', { width: 2, height: 1, depth: 1 }, faces);
+  expect(params.width).toBeCloseTo(2.5);
+  expect(shift.x).toBeCloseTo(0.25);
+
+  const collapse = target.faces.map(f => ({ ...f, distance: -2 }));
+  expect(() => applyPushPull('box', { width: 2, height: 1, depth: 1 }, collapse)).toThrow('collapse');
+});
+
+test('pulling a box edge moves both adjacent faces along the bisector', () => {
+  const geometry = new THREE.BoxGeometry(1, 1, 1);
+  const edge = getFeatureEdges(geometry).find(e =>
+    e.start.x > 0 && e.end.x > 0 && e.start.y > 0 && e.end.y > 0);
+  const target = getPushPullTarget('box', geometry, { type: 'edge', ...edge });
+
+  expect(target.faces).toHaveLength(2);
+  expect(target.axis.x).toBeCloseTo(Math.SQRT1_2);
+  expect(target.axis.y).toBeCloseTo(Math.SQRT1_2);
+
+  const faces = target.faces.map(f => ({ ...f, distance: f.weight }));
+  const { params } = applyPushPull('box', { width: 1, height: 1, depth: 1 }, faces);
+  expect(params.width).toBeCloseTo(1 + Math.SQRT1_2);
+  expect(params.height).toBeCloseTo(1 + Math.SQRT1_2);
+  expect(params.depth).toBeCloseTo(1);
+});
+
+test('extrusion caps change depth and side faces offset the profile', () => {
+  const params = { profile: SQUARE, depth: 1, bevelEnabled: false, steps: 1 };
+  const up = new THREE.Vector3(0, 1, 0);
+  const top = applyPushPull('extruded', params, [{ normal: up, point: new THREE.Vector3(1, 1, -1), distance: 0.5 }]);
+  expect(top.params.depth).toBeCloseTo(1.5);
+  expect(top.shift.y).toBeCloseTo(0);
+
+  const base = applyPushPull('extruded', params, [{ normal: up.clone().negate(), point: new THREE.Vector3(1, 0, -1), distance: 0.5 }]);
+  expect(base.params.depth).toBeCloseTo(1.5);
+  expect(base.shift.y).toBeCloseTo(-0.5);
+
+  // The x = 2 side of the profile, picked on the built geometry
+  const geometry = createExtrudeGeometry(params);
+  const count = geometry.attributes.position.count / 3;
+  const side = [...Array(count).keys()]
+    .map(t => findPlanarFace(geometry, t))
+    .find(f => f.normal.x > 0.99);
+  const target = getPushPullTarget('extruded', geometry, { type: 'face', ...side });
+  const { params: wider } = applyPushPull('extruded', params,
+    target.faces.map(f => ({ ...f, distance: 1 })));
+  expect(wider.profile.map(([x]) => x).sort()).toEqual([0, 0, 3, 3]);
+});
+
+test('cap pulls keep the opposite cap put in every extrude direction', () => {
+  const up = new THREE.Vector3(0, 1, 0);
+  const pull = (params, normal) => applyPushPull('extruded', { profile: SQUARE, depth: 2, ...params },
+    [{ normal, point: new THREE.Vector3(1, 0, -1), distance: 0.5 }]);
+
+  const symmetric = pull({ direction: 'symmetric' }, up);
+  expect(symmetric.params.depth).toBeCloseTo(2.5);
+  expect(symmetric.shift.y).toBeCloseTo(0.25);
+
+  const reversed = pull({ reverse: true }, up);
+  expect(reversed.shift.y).toBeCloseTo(0.5);
+
+  const back = pull({ direction: 'two-sided', depth2: 1 }, up.clone().negate());
+  expect(back.params).toMatchObject({ depth: 2, depth2: 1.5 });
+  expect(back.shift.y).toBeCloseTo(0);
+
+  expect(() => pull({ taper: 5 }, new THREE.Vector3(1, 0, 0))).toThrow('tapered');
+});
+
+test('a push that folds the profile over is rejected', () => {
+  const params = { profile: SQUARE, depth: 1, bevelEnabled: false, steps: 1 };
+  const face = { normal: new THREE.Vector3(1, 0, 0), point: new THREE.Vector3(2, 0.5, -1) };
+  expect(() => applyPushPull('extruded', params, [{ ...face, distance: -3 }])).toThrow('intersect');
+  expect(() => applyPushPull('sphere', {}, [])).toThrow('not supported');
+});
@@ -0,0 +1,208 @@
+// sceneCommands.js - reversible scene edits for the command history.
+//
+// Commands work on live objects and only record what changed, so undo/redo
+// never rebuilds meshes. `doc` is the editor's scene bookkeeping:
+//   attachRoot(object)  add as a top-level object, keeping its world transform
+//   detachRoot(object)  remove a top-level object from the scene
+// `selection.undo` / `selection.redo` name the entity to select afterwards.
+import {
+  applyReferenceLook,
+  createNodeGeometry,
+  isHiddenBySuppression,
+  keepsInputsWhenSuppressed,
+  replaceGeometry
+} from "./sceneFormat";
+
+// ====== TRANSFORMS ======
+export const captureTransform = (object) => ({
+  position: object.position.clone(),
+  quaternion: object.quaternion.clone(),
+  scale: object.scale.clone()
+});
+
+export const applyTransform = (object, transform) => {
+  object.position.copy(transform.position);
+  object.quaternion.copy(transform.quaternion);
+  object.scale.copy(transform.scale);
+};
+
+const buildTransformCommand = (objects, before, after, options) => {
+  const { label = "Transform", mergeKey, selected } = options;
+  return {
+    label,
+    mergeKey,
+    after,
+    selection: { undo: selected, redo: selected },
+    undo: () => objects.forEach((object, i) => applyTransform(object, before[i])),
+    redo: () => objects.forEach((object, i) => applyTransform(object, after[i])),
+    // Keeps the first entry's starting point and the newest end state
+    merge: (next) => buildTransformCommand(objects, before, next.after, options)
+  };
+};
+
+// `before` holds captureTransform() results taken before the edit, in the
+// same order as `objects`; the current transforms are the "after" state.
+export const createTransformCommand = (objects, before, options = {}) =>
+  buildTransformCommand(objects, before, objects.map(captureTransform), options);
+
+// ====== ADD / DELETE ======
+export const createAddCommand = (doc, objects, { label = "Add" } = {}) => ({
+  label,
+  selection: { undo: null, redo: objects[objects.length - 1] ?? null },
+  undo: () => objects.forEach(object => doc.detachRoot(object)),
+  redo: () => objects.forEach(object => doc.attachRoot(object))
+});
+
+export const createDeleteCommand = (doc, objects, { label = "Delete" } = {}) => ({
+  label,
+  selection: { undo: objects[objects.length - 1] ?? null, redo: null },
+  undo: () => objects.forEach(object => doc.attachRoot(object)),
+  redo: () => objects.forEach(object => doc.detachRoot(object))
+});
+
+// Replaces top-level objects by others (booleans and splitting them); the
+// removed ones stay alive so undo puts back the very same objects.
+export const createReplaceCommand = (doc, removed, added, { label = "Replace" } = {}) => ({
+  label,
+  selection: { undo: removed[removed.length - 1] ?? null, redo: added[added.length - 1] ?? null },
+  undo: () => {
+    added.forEach(object => doc.detachRoot(object));
+    removed.forEach(object => doc.attachRoot(object));
+  },
+  redo: () => {
+    removed.forEach(object => doc.detachRoot(object));
+    added.forEach(object => doc.attachRoot(object));
+  }
+});
+
+// Swaps every top-level object at once (import, clear).
+export const createReplaceSceneCommand = (doc, oldRoots, newRoots, { label = "Replace Scene" } = {}) => ({
+  label,
+  selection: { undo: null, redo: null },
+  undo: () => {
+    newRoots.forEach(object => doc.detachRoot(object));
+    oldRoots.forEach(object => doc.attachRoot(object));
+  },
+  redo: () => {
+    oldRoots.forEach(object => doc.detachRoot(object));
+    newRoots.forEach(object => doc.attachRoot(object));
+  }
+});
+
+// ====== GROUPING ======
+// The group keeps its own transform; members are reparented with attach()
+// so their world transforms never change.
+const moveIntoGroup = (doc, group, members) => {
+  doc.attachRoot(group);
+  members.forEach(member => {
+    doc.detachRoot(member);
+    group.attach(member);
+  });
+};
+
+const moveOutOfGroup = (doc, group, members) => {
+  members.forEach(member => doc.attachRoot(member));
+  doc.detachRoot(group);
+};
+
+export const createGroupCommand = (doc, group, members) => ({
+  label: "Group",
+  selection: { undo: null, redo: group },
+  undo: () => moveOutOfGroup(doc, group, members),
+  redo: () => moveIntoGroup(doc, group, members)
+});
+
+export const createUngroupCommand = (doc, group, members) => ({
+  label: "Ungroup",
+  selection: { undo: group, redo: null },
+  undo: () => moveIntoGroup(doc, group, members),
+  redo: () => moveOutOfGroup(doc, group, members)
+});
+
+// ====== GEOMETRY ======
+export const setContainerParams = (container, params) => {
+  container.userData.params = params;
+  const { type, feature } = container.userData;
+  replaceGeometry(container, createNodeGeometry({ type, params, userData: { feature } }));
+};
+
+export const createParamsCommand = (container, before, after, { label = "Edit Dimensions", selected } = {}) => ({
+  label,
+  selection: { undo: selected, redo: selected },
+  undo: () => setContainerParams(container, before),
+  redo: () => setContainerParams(container, after)
+});
+
+// A geometry edit that also moves the container (push/pull). `before` and
+// `after` are { params, transform }.
+export const createReshapeCommand = (container, before, after, { label = "Push/Pull", selected } = {}) => ({
+  label,
+  selection: { undo: selected, redo: selected },
+  undo: () => {
+    setContainerParams(container, before.params);
+    applyTransform(container, before.transform);
+  },
+  redo: () => {
+    setContainerParams(container, after.params);
+    applyTransform(container, after.transform);
+  }
+});
+
+// ====== FEATURES ======
+// A shape's feature state is { params, feature }: its parameters and the
+// feature stamp from featureTree.js. Suppressed shapes are hidden, and
+// suppressed fillets and patterns rebuilt from their inputs alone.
+export const setContainerFeature = (container, { params, feature }) => {
+  const { type } = container.userData;
+  const resuppressed = keepsInputsWhenSuppressed(type) && !!feature?.suppressed !== !!container.userData.feature?.suppressed;
+  container.userData.feature = feature;
+  if (params !== container.userData.params || resuppressed) setContainerParams(container, params);
+  container.visible = !isHiddenBySuppression({ type, userData: { feature } });
+};
+
+// Feature tree edits; reordering can touch several shapes at once
+export const createFeatureCommand = (containers, before, after, { label = "Edit Feature", selected } = {}) => ({
+  label,
+  selection: { undo: selected, redo: selected },
+  undo: () => containers.forEach((container, i) => setContainerFeature(container, before[i])),
+  redo: () => containers.forEach((container, i) => setContainerFeature(container, after[i]))
+});
+
+// ====== APPEARANCE ======
+export const setContainerColor = (container, color) => {
+  container.userData.originalColor = color;
+  const mesh = container.children[0];
+  if (mesh) {
+    mesh.userData.originalColor = color;
+    mesh.material?.color?.setHex(color);
+  }
+};
+
+// `before` holds each container's previous color.
+export const createRecolorCommand = (containers, before, color, { selected } = {}) => ({
+  label: "Recolor",
+  mergeKey: `recolor:${containers.map(container => container.userData.id).join(',')}`,
+  color,
+  selection: { undo: selected, redo: selected },
+  undo: () => containers.forEach((container, i) => setContainerColor(container, before[i])),
+  redo: () => containers.forEach(container => setContainerColor(container, color)),
+  // Dragging through the color picker records a single entry
+  merge: (next) => createRecolorCommand(containers, before, next.color, { selected })
+});
+
+// Locks a shape as a see-through reference body, or unlocks it
+export const setContainerReference = (container, reference) => {
+  if (reference) {
+    container.userData.reference = true;
+  } else {
+    delete container.userData.reference;
+  }
+  applyReferenceLook(container);
+};
+
+export const createReferenceCommand = (container, reference, { selected } = {}) => ({
+  label: reference ? "Lock Reference" : "Unlock Reference",
+  selection: { undo: selected, redo: selected },
+  undo: () => setContainerReference(container, !reference),
+  redo: () => setContainerReference(container, reference)
+});
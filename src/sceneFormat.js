@@ -0,0 +1,629 @@
+// sceneFormat.js - geometry rebuilding and scene serialization shared by
+// export/import and the undo history.
+//
+// A scene is stored as a flat list of nodes in parent-before-child order.
+// Every node carries a stable `id`, the `parent` id (null for top-level
+// objects) and its transform relative to that parent, so groups and nested
+// groups are rebuilt exactly.
+import * as THREE from "three";
+import { geometryToPolygons, intersect, polygonsToGeometry, subtract, union } from "./csg";
+import {
+  createEdgeTreatment,
+  loftProfiles,
+  orientLoops,
+  revolveProfile,
+  sweepProfile,
+  taperProfile
+} from "./featureGeometry";
+
+export const SCENE_FORMAT_VERSION = '2.0';
+
+// ====== GEOMETRY ======
+// An extrusion profile is a list of [u, v] vertices. `curves[i]`, when set,
+// bends the edge from vertex i to the next one into an arc
+// ({ type: "arc", center, clockwise }) or a spline through extra points
+// ({ type: "spline", through: [[u, v], ...] }); curves stay curves in the
+// THREE.Shape rather than being tessellated up front.
+export const hasProfile = (params) =>
+  params?.profile?.length >= 3 || (params?.profile?.length >= 1 && !!params.curves?.some(Boolean));
+
+export const createProfileShape = (profile, curves = []) => {
+  const shape = new THREE.Shape();
+  shape.moveTo(profile[0][0], profile[0][1]);
+  profile.forEach((from, i) => {
+    const to = profile[(i + 1) % profile.length];
+    const curve = curves[i];
+    if (curve?.type === "arc") {
+      const [cx, cy] = curve.center;
+      shape.absarc(
+        cx, cy, Math.hypot(from[0] - cx, from[1] - cy),
+        Math.atan2(from[1] - cy, from[0] - cx), Math.atan2(to[1] - cy, to[0] - cx),
+        curve.clockwise
+      );
+    } else if (curve?.type === "spline") {
+      shape.splineThru([...curve.through, to].map(([u, v]) => new THREE.Vector2(u, v)));
+    } else if (i < profile.length - 1) {
+      shape.lineTo(to[0], to[1]);
+    }
+  });
+
+  // Straight closing edges are left to the shape, as before curves existed
+  const [fx, fy] = profile[0];
+  const [lx, ly] = profile[profile.length - 1];
+  if (!curves[profile.length - 1] && Math.hypot(fx - lx, fy - ly) > 0.1) {
+    shape.lineTo(fx, fy);
+  }
+  return shape;
+};
+
+// `move` maps an [u, v] point. It must not mirror the profile, or arcs
+// would turn the wrong way.
+export const transformProfile = (profile, curves, move) => ({
+  profile: profile.map(move),
+  ...(curves && {
+    curves: curves.map(curve => {
+      if (curve?.type === "arc") return { ...curve, center: move(curve.center) };
+      if (curve?.type === "spline") return { ...curve, through: curve.through.map(move) };
+      return curve;
+    })
+  })
+});
+
+export const translateProfile = (profile, curves, [du, dv]) =>
+  transformProfile(profile, curves, ([u, v]) => [u + du, v + dv]);
+
+// Where an extrusion starts and ends along its axis, as [from, to] heights
+// above the sketch plane. `direction` is "one-side" (default; `reverse`
+// grows it below the plane), "symmetric" (centred on the plane) or
+// "two-sided" (`depth` above and `depth2` below).
+export const getExtrudeExtent = ({ depth, direction = "one-side", reverse = false, depth2 = 0 }) => {
+  if (direction === "symmetric") return [-depth / 2, depth / 2];
+  if (direction === "two-sided") return [-depth2, depth];
+  return reverse ? [-depth, 0] : [0, depth];
+};
+
+export const DEFAULT_BEVEL_SIZE = 0.1;
+
+// Holes are { profile, curves? } loops inside the profile. `taper` (degrees)
+// draws the walls in away from the sketch plane. A bevel of `bevelSize`
+// (`bevelSegments` 1 is a chamfer, more round it off) is cut into the
+// edges of both caps, so the solid keeps its nominal size.
+export const createExtrudeGeometry = (params) => {
+  const { profile, curves, holes = [], taper = 0, bevelEnabled = false, bevelSize = DEFAULT_BEVEL_SIZE, bevelSegments = 1, steps = 1 } = params;
+  const [from, to] = getExtrudeExtent(params);
+  if (taper) {
+    if (bevelEnabled) throw new Error("A tapered extrusion can't be bevelled");
+    return taperProfile(getProfileLoops(params), from, to, taper);
+  }
+
+  const bevel = bevelEnabled ? bevelSize : 0;
+  if (bevel * 2 >= to - from) throw new Error("The bevel is too large for the extrusion depth");
+  const shape = createProfileShape(profile, curves);
+  shape.holes = holes.map(hole => createProfileShape(hole.profile, hole.curves));
+  const geometry = new THREE.ExtrudeGeometry(shape, {
+    depth: to - from - bevel * 2,
+    steps,
+    bevelEnabled,
+    ...(bevelEnabled && { bevelThickness: bevel, bevelSize: bevel, bevelOffset: -bevel, bevelSegments })
+  });
+  geometry.rotateX(-Math.PI / 2);
+  geometry.translate(0, from + bevel, 0);
+  return geometry;
+};
+
+// The outline and holes of a profile as THREE.Vector2 loops without a
+// repeated closing point, with curves divided as finely as an extrusion's
+const PROFILE_DIVISIONS = 12;
+
+export const getProfileLoops = ({ profile, curves, holes = [] }) => {
+  const shape = createProfileShape(profile, curves);
+  shape.holes = holes.map(hole => createProfileShape(hole.profile, hole.curves));
+  const { shape: outline, holes: inner } = shape.extractPoints(PROFILE_DIVISIONS);
+  return [outline, ...inner].map(loop => loop.filter((point, i) =>
+    point.distanceTo(loop[(i + 1) % loop.length]) > 1e-9));
+};
+
+// Revolved, swept and lofted solids (see featureGeometry.js):
+//   revolved: profile params + { axis: [[u, v], [u, v]], angle } (degrees)
+//   swept:    profile params + { path: [[u, v], ...], twist? } (degrees),
+//             the profile given across and up from the path's first point
+//   lofted:   { sections: [{ profile, height }, ...] }
+const createFeatureGeometry = (type, params) => {
+  switch (type) {
+    case "revolved":
+      return revolveProfile(getProfileLoops(params), params.axis, params.angle ?? 360);
+    case "swept":
+      return sweepProfile(getProfileLoops(params), params.path, params.twist ?? 0);
+    default:
+      return loftProfiles(params.sections.map(section => ({
+        loop: getProfileLoops(section)[0],
+        height: section.height
+      })));
+  }
+};
+
+export const FEATURE_TYPES = {
+  revolved: { isComplete: (params) => hasProfile(params) && params.axis?.length === 2 },
+  swept: { isComplete: (params) => hasProfile(params) && params.path?.length >= 2 },
+  lofted: { isComplete: (params) => params?.sections?.length >= 2 }
+};
+
+// Imported meshes keep their triangles as { positions: [x, y, z, ...],
+// indices?, edgeAngle? }, three positions or indices per triangle.
+// Coordinates are rounded to the micrometre to keep scene files small.
+// Edges are drawn where faces meet at more than `edgeAngle` degrees (the
+// feature angle), so a finely tessellated curve doesn't turn black.
+export const DEFAULT_EDGE_ANGLE = 1;
+
+export const createMeshParams = (geometry) => {
+  const { position } = geometry.attributes;
+  const positions = [];
+  for (let i = 0; i < position.count; i++) {
+    positions.push(...[position.getX(i), position.getY(i), position.getZ(i)].map(c => Math.round(c * 1e6) / 1e6));
+  }
+  return { positions, ...(geometry.index && { indices: Array.from(geometry.index.array) }) };
+};
+
+const createMeshGeometry = ({ positions, indices }) => {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  if (indices) geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  return geometry;
+};
+
+// Dimensions of the primitives; scale is applied on top by the container.
+export const DEFAULT_PARAMS = {
+  box: { width: 1, height: 1, depth: 1 },
+  sphere: { radius: 0.5 },
+  cylinder: { radius: 0.5, height: 1 }
+};
+
+export const createGeometry = (type, params) => {
+  const dims = { ...DEFAULT_PARAMS[type], ...params };
+  switch (type) {
+    case "box":
+      return new THREE.BoxGeometry(dims.width, dims.height, dims.depth);
+    case "sphere":
+      return new THREE.SphereGeometry(dims.radius, 32, 32);
+    case "cylinder":
+      return new THREE.CylinderGeometry(dims.radius, dims.radius, dims.height, 32);
+    case "extruded":
+      if (hasProfile(params)) return createExtrudeGeometry(params);
+      return new THREE.BoxGeometry(1, 1, 1);
+    case "boolean":
+      if (params?.operands?.length >= 2) return createBooleanGeometry(params);
+      return new THREE.BoxGeometry(1, 1, 1);
+    case "revolved":
+    case "swept":
+    case "lofted":
+      if (FEATURE_TYPES[type].isComplete(params)) return createFeatureGeometry(type, params);
+      return new THREE.BoxGeometry(1, 1, 1);
+    case "filleted":
+      if (params?.base && params.edges?.length > 0) return createFilletGeometry(params);
+      return new THREE.BoxGeometry(1, 1, 1);
+    case "mesh":
+      if (params?.positions?.length >= 9) return createMeshGeometry(params);
+      return new THREE.BoxGeometry(1, 1, 1);
+    case "pattern":
+      if (PATTERN_TYPES[params?.kind] && params.sources?.length > 0) return createPatternGeometry(params);
+      return new THREE.BoxGeometry(1, 1, 1);
+    default:
+      return new THREE.BoxGeometry(1, 1, 1);
+  }
+};
+
+// ====== BOOLEANS ======
+// A boolean keeps its operands in params as serialized nodes whose
+// transforms are relative to the result:
+//   { operation: "union" | "subtract" | "intersect", operands: [node, ...] }
+// Subtract takes every later operand away from the first. Suppressed
+// operands are left out (see isHiddenBySuppression).
+export const BOOLEAN_OPERATIONS = {
+  union: { label: "Union", combine: union },
+  subtract: { label: "Subtract", combine: subtract },
+  intersect: { label: "Intersect", combine: intersect }
+};
+
+export const nodeMatrix = (node) => new THREE.Matrix4().compose(
+  new THREE.Vector3(...node.position),
+  new THREE.Quaternion().setFromEuler(new THREE.Euler(...node.rotation)),
+  new THREE.Vector3(...node.scale)
+);
+
+// The node transform fields for a matrix
+export const matrixToTransform = (matrix) => {
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  matrix.decompose(position, quaternion, scale);
+  const rotation = new THREE.Euler().setFromQuaternion(quaternion);
+  return { position: position.toArray(), rotation: [rotation.x, rotation.y, rotation.z], scale: scale.toArray() };
+};
+
+export const createBooleanGeometry = ({ operation, operands }) => {
+  const active = operands.filter(node => !isHiddenBySuppression(node));
+  if (active.length === 0) return polygonsToGeometry([]);
+  const solids = active.map(node => {
+    const geometry = createNodeGeometry(node);
+    const polygons = geometryToPolygons(geometry, nodeMatrix(node));
+    geometry.dispose();
+    return polygons;
+  });
+  const result = solids.slice(1).reduce(BOOLEAN_OPERATIONS[operation].combine, solids[0]);
+  return polygonsToGeometry(result);
+};
+
+// ====== FILLETS ======
+// A fillet or chamfer keeps the shape it was made on as `base`, a node
+// placed relative to the result like a boolean operand:
+//   { mode: "fillet", radius, edges, base }
+//   { mode: "chamfer", distance, angle?, edges, base }
+// `edges` name edges of the base's prism (see the fillets in
+// featureGeometry.js). Boxes and straight extrusions are prisms, and so
+// are fillets of them, whose base may be moved and scaled but not turned.
+export const EDGE_TREATMENTS = {
+  fillet: { label: "Fillet", size: "radius" },
+  chamfer: { label: "Chamfer", size: "distance" }
+};
+
+export const getPrism = (node) => {
+  const params = { ...DEFAULT_PARAMS[node.type], ...node.params };
+  if (node.type === "box") {
+    const [u, v] = [params.width / 2, params.depth / 2];
+    return {
+      loops: orientLoops([[[-u, -v], [u, -v], [u, v], [-u, v]].map(([x, y]) => new THREE.Vector2(x, y))]),
+      from: -params.height / 2,
+      to: params.height / 2
+    };
+  }
+  if (node.type === "extruded") {
+    if (!hasProfile(params) || params.taper || params.bevelEnabled) return null;
+    const [from, to] = getExtrudeExtent(params);
+    return { loops: orientLoops(getProfileLoops(params)), from, to };
+  }
+  if (node.type !== "filleted" || node.params.base.rotation.some(Boolean)) return null;
+
+  const { base } = node.params;
+  const prism = getPrism(base);
+  if (!prism) return null;
+  const [px, py, pz] = base.position;
+  const [sx, sy, sz] = base.scale;
+  const heights = [prism.from * sy + py, prism.to * sy + py];
+  return {
+    loops: orientLoops(prism.loops.map(loop => loop.map(({ x, y }) => new THREE.Vector2(x * sx + px, y * sz - pz)))),
+    from: Math.min(...heights),
+    to: Math.max(...heights)
+  };
+};
+
+// Side edges treated by the live fillets a shape is made from
+const getTreatedCorners = (node) => {
+  if (node.type !== "filleted") return [];
+  const own = node.userData?.feature?.suppressed ? [] : node.params.edges.filter(edge => !edge.cap);
+  return [...own, ...getTreatedCorners(node.params.base)];
+};
+
+export const createFilletGeometry = (params) => {
+  const { base, edges } = params;
+  if (isHiddenBySuppression(base)) return polygonsToGeometry([]);
+  const prism = getPrism({ type: "filleted", params });
+  if (!prism) throw new Error("Fillets and chamfers work on boxes and straight extrusions");
+
+  // A cap edge running into a rounded corner would be cut straight
+  // through it
+  const corners = getTreatedCorners(base);
+  const meets = (edge, vertex) => corners.some(corner => corner.loop === edge.loop && corner.vertex === vertex);
+  if (edges.some(edge => edge.cap && prism.loops[edge.loop] &&
+    (meets(edge, edge.vertex) || meets(edge, (edge.vertex + 1) % prism.loops[edge.loop].length)))) {
+    throw new Error("Treat the cap edges before the side edges they meet");
+  }
+
+  const { cuts, fills } = createEdgeTreatment(prism, params, edges);
+  const toPolygons = (geometry, matrix) => {
+    const polygons = geometryToPolygons(geometry, matrix);
+    geometry.dispose();
+    return polygons;
+  };
+  let polygons = toPolygons(createNodeGeometry(base), nodeMatrix(base));
+  cuts.forEach(cut => {
+    polygons = subtract(polygons, toPolygons(cut));
+  });
+  fills.forEach(fill => {
+    polygons = union(polygons, toPolygons(fill));
+  });
+  return polygonsToGeometry(polygons);
+};
+
+// ====== PATTERNS ======
+// A pattern keeps the shapes it repeats as `sources`, nodes placed
+// relative to the result like boolean operands:
+//   { kind: "linear", sources, direction, count, spacing, direction2?, count2?, spacing2? }
+//   { kind: "circular", sources, axis, center, count, angle }
+//   { kind: "mirror", sources, normal, point }
+// Directions and points are [x, y, z] in the result's frame, and every
+// count includes the sources. A circular pattern spreads its instances
+// over `angle` degrees, evenly round a full turn; a mirror adds the
+// reflection of the sources across the plane through `point`.
+export const PATTERN_TYPES = {
+  linear: { label: "Linear Pattern" },
+  circular: { label: "Circular Pattern" },
+  mirror: { label: "Mirror" }
+};
+
+const reflection = (normal, point) => {
+  const n = new THREE.Vector3(...normal).normalize();
+  const d = 2 * n.dot(new THREE.Vector3(...point));
+  return new THREE.Matrix4().set(
+    1 - 2 * n.x * n.x, -2 * n.x * n.y, -2 * n.x * n.z, d * n.x,
+    -2 * n.y * n.x, 1 - 2 * n.y * n.y, -2 * n.y * n.z, d * n.y,
+    -2 * n.z * n.x, -2 * n.z * n.y, 1 - 2 * n.z * n.z, d * n.z,
+    0, 0, 0, 1
+  );
+};
+
+// The placement of every instance, the sources' own (identity) first
+export const getPatternMatrices = (params) => {
+  if (params.kind === "mirror") return [new THREE.Matrix4(), reflection(params.normal, params.point)];
+
+  if (params.kind === "circular") {
+    const { count, angle } = params;
+    const axis = new THREE.Vector3(...params.axis).normalize();
+    const center = new THREE.Vector3(...params.center);
+    const step = THREE.MathUtils.degToRad(angle >= 360 ? angle / count : angle / (count - 1));
+    return Array.from({ length: count }, (_, i) => new THREE.Matrix4()
+      .makeTranslation(center)
+      .multiply(new THREE.Matrix4().makeRotationAxis(axis, step * i))
+      .multiply(new THREE.Matrix4().makeTranslation(center.clone().negate())));
+  }
+
+  const first = new THREE.Vector3(...params.direction).normalize().multiplyScalar(params.spacing);
+  const second = params.count2 > 1
+    ? new THREE.Vector3(...params.direction2).normalize().multiplyScalar(params.spacing2)
+    : new THREE.Vector3();
+  const matrices = [];
+  for (let j = 0; j < (params.count2 ?? 1); j++) {
+    for (let i = 0; i < params.count; i++) {
+      matrices.push(new THREE.Matrix4().makeTranslation(first.clone().multiplyScalar(i).addScaledVector(second, j)));
+    }
+  }
+  return matrices;
+};
+
+// Instances that overlap are united; apart, they are simply kept together
+export const createPatternGeometry = (params, matrices = getPatternMatrices(params)) => {
+  const pieces = [];
+  params.sources.filter(node => !isHiddenBySuppression(node)).forEach(node => {
+    const geometry = createNodeGeometry(node);
+    const placement = nodeMatrix(node);
+    matrices.forEach(matrix => pieces.push(geometryToPolygons(geometry, matrix.clone().multiply(placement))));
+    geometry.dispose();
+  });
+  if (pieces.length === 0) return polygonsToGeometry([]);
+
+  // Boxes are shrunk a little so instances that only touch stay apart
+  const boxes = pieces.map(polygons => new THREE.Box3()
+    .setFromPoints(polygons.flatMap(polygon => polygon.vertices.map(vertex => vertex.position)))
+    .expandByScalar(-1e-6));
+  const overlaps = boxes.some((box, i) => boxes.slice(i + 1).some(other => box.intersectsBox(other)));
+  return polygonsToGeometry(overlaps ? pieces.slice(1).reduce(union, pieces[0]) : pieces.flat());
+};
+
+// ====== SUPPRESSION ======
+// A suppressed shape is hidden, except a fillet or a pattern, which gives
+// back the shapes it was made from (see featureTree.js)
+export const keepsInputsWhenSuppressed = (type) => type === "filleted" || type === "pattern";
+
+export const isHiddenBySuppression = (node) =>
+  !!node.userData?.feature?.suppressed && !keepsInputsWhenSuppressed(node.type);
+
+export const createNodeGeometry = (node) => {
+  if (node.type === "filleted" && node.userData?.feature?.suppressed) {
+    const { base } = node.params;
+    return createNodeGeometry(base).applyMatrix4(nodeMatrix(base));
+  }
+  if (node.type === "pattern" && node.userData?.feature?.suppressed) {
+    return createPatternGeometry(node.params, [new THREE.Matrix4()]);
+  }
+  return createGeometry(node.type, node.params);
+};
+
+// Swaps the mesh geometry of a container and regenerates its edge overlay.
+export const replaceGeometry = (container, geometry) => {
+  const mesh = container.children[0];
+  if (!mesh) return;
+
+  mesh.geometry.dispose();
+  mesh.geometry = geometry;
+
+  const wireframe = mesh.children.find(child => child.userData.isEdgeVisual);
+  if (wireframe) {
+    wireframe.geometry.dispose();
+    wireframe.geometry = new THREE.EdgesGeometry(geometry, container.userData.params?.edgeAngle ?? DEFAULT_EDGE_ANGLE);
+  }
+};
+
+// ====== OBJECT CREATION ======
+export const createObjectId = () => THREE.MathUtils.generateUUID();
+
+export const createMeshWithEdges = (geometry, color = Math.random() * 0xffffff, edgeAngle = DEFAULT_EDGE_ANGLE) => {
+  const material = new THREE.MeshStandardMaterial({
+    color: color,
+    transparent: true,
+    opacity: 0.9,
+  });
+
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.userData.originalColor = color;
+  mesh.userData.type = geometry.type.toLowerCase().replace('geometry', '');
+  mesh.userData.isSelectable = true;
+
+  // Container group
+  const container = new THREE.Group();
+  container.add(mesh);
+  container.userData.id = createObjectId();
+  container.userData.isMainObject = true;
+  container.userData.type = mesh.userData.type;
+  container.userData.originalColor = color;
+
+  // Wireframe edges
+  const edges = new THREE.EdgesGeometry(geometry, edgeAngle);
+  const edgeMaterial = new THREE.LineBasicMaterial({ 
+    color: 0x000000,
+    linewidth: 2
+  });
+  const wireframe = new THREE.LineSegments(edges, edgeMaterial);
+  wireframe.userData.isEdgeVisual = true;
+  mesh.add(wireframe);
+
+  return container;
+};
+
+export const createGroup = () => {
+  const group = new THREE.Group();
+  group.userData.id = createObjectId();
+  group.userData.isGroup = true;
+  group.userData.type = "group";
+  return group;
+};
+
+// Scene objects are containers built by createMeshWithEdges or groups;
+// everything else (meshes, edge overlays, handles) is internal to them.
+// Reference bodies (parts to design around) are see-through and locked:
+// their faces and edges can be picked, but nothing moves or changes them
+const REFERENCE_OPACITY = 0.35;
+
+export const getShapeOpacity = (container) => (container.userData.reference ? REFERENCE_OPACITY : 0.9);
+
+export const applyReferenceLook = (container) => {
+  const { material } = container.children[0];
+  material.opacity = getShapeOpacity(container);
+  material.depthWrite = !container.userData.reference;
+};
+
+export const isReferenceBody = (obj) => getShapeContainers(obj).some(container => container.userData.reference);
+
+export const isSceneObject = (obj) => !!(obj.userData.isMainObject || obj.userData.isGroup);
+
+export const getSceneChildren = (obj) => obj.children.filter(isSceneObject);
+
+// The shape containers making up an object: itself for a shape, every
+// nested member for a group.
+export const getShapeContainers = (obj) => {
+  const containers = [];
+  obj.traverse(child => {
+    if (child.userData.isMainObject) containers.push(child);
+  });
+  return containers;
+};
+
+// ====== SERIALIZATION ======
+const cleanUserData = (userData) => {
+  const clean = { ...userData };
+  delete clean.id;
+  delete clean.originalColor;
+  delete clean.params;
+  Object.keys(clean).forEach(key => {
+    if (typeof clean[key] === 'function' ||
+        clean[key] instanceof THREE.Object3D) {
+      delete clean[key];
+    }
+  });
+  return clean;
+};
+
+export const serializeObject = (obj, parent = null) => ({
+  id: obj.userData.id,
+  parent,
+  type: obj.userData?.type || 'unknown',
+  position: [obj.position.x, obj.position.y, obj.position.z],
+  rotation: [obj.rotation.x, obj.rotation.y, obj.rotation.z],
+  scale: [obj.scale.x, obj.scale.y, obj.scale.z],
+  ...(!obj.userData.isGroup && { color: obj.userData.originalColor || 0xffffff }),
+  ...(obj.userData.params && { params: obj.userData.params }),
+  userData: cleanUserData(obj.userData)
+});
+
+export const serializeScene = (roots) => {
+  const nodes = [];
+  const visit = (obj, parent) => {
+    nodes.push(serializeObject(obj, parent));
+    getSceneChildren(obj).forEach(child => visit(child, obj.userData.id));
+  };
+  roots.forEach(root => visit(root, null));
+  return nodes;
+};
+
+// Nodes for shape containers, placed relative to `frame`, a world matrix
+const serializeInFrame = (containers, frame) => {
+  const toFrame = frame.clone().invert();
+  return containers.map(container => {
+    container.updateMatrixWorld();
+    return {
+      ...serializeObject(container),
+      ...matrixToTransform(toFrame.clone().multiply(container.matrixWorld))
+    };
+  });
+};
+
+// Params for a boolean of `operands` (shape containers) whose result sits
+// at `frame`, a world matrix.
+export const createBooleanParams = (operation, operands, frame) => ({
+  operation,
+  operands: serializeInFrame(operands, frame)
+});
+
+// Params for a pattern of `sources` whose result sits at `frame`;
+// `settings` are the pattern's other params, in the frame's axes.
+export const createPatternParams = (settings, sources, frame) => ({
+  ...settings,
+  sources: serializeInFrame(sources, frame)
+});
+
+// ====== DESERIALIZATION ======
+export const buildObject = (objData) => {
+  let object;
+  if (objData.type === 'group') {
+    object = createGroup();
+    object.userData = { ...objData.userData, ...object.userData };
+  } else {
+    const geometry = createNodeGeometry(objData);
+    object = createMeshWithEdges(geometry, objData.color, objData.params?.edgeAngle);
+    object.userData = { 
+      ...objData.userData, 
+      isMainObject: true,
+      originalColor: objData.color,
+      type: objData.type,
+      ...(objData.params && { params: objData.params })
+    };
+    applyReferenceLook(object);
+  }
+
+  object.userData.id = objData.id || createObjectId();
+  object.position.set(...objData.position);
+  object.rotation.set(...objData.rotation);
+  object.scale.set(...objData.scale);
+  // Suppressed shapes stay in the scene, out of sight (see featureTree.js)
+  object.visible = !isHiddenBySuppression(objData);
+  return object;
+};
+
+// Returns the top-level objects; children are already attached to their
+// parents with the stored local transforms.
+export const buildScene = (nodes) => {
+  const byId = new Map();
+  const roots = [];
+
+  nodes.forEach(objData => {
+    const object = buildObject(objData);
+    const parent = objData.parent != null ? byId.get(objData.parent) : null;
+    if (parent) {
+      parent.add(object);
+    } else {
+      roots.push(object);
+    }
+    byId.set(object.userData.id, object);
+  });
+
+  return roots;
+};
@@ -0,0 +1,291 @@
+import * as THREE from 'three';
+import {
+  buildScene,
+  createBooleanParams,
+  createExtrudeGeometry,
+  createGeometry,
+  createGroup,
+  createMeshParams,
+  createMeshWithEdges,
+  createNodeGeometry,
+  createPatternParams,
+  getPatternMatrices,
+  getPrism,
+  isReferenceBody,
+  replaceGeometry,
+  serializeObject,
+  serializeScene
+} from './sceneFormat';
+
+const profile = [[0, 0], [2, 0], [2, 1], [0, 1], [0, 0]];
+
+test('extruded objects serialize their profile and extrusion settings', () => {
+  const params = { profile, depth: 1.5, bevelEnabled: false, steps: 1 };
+  const container = new THREE.Group();
+  container.userData = { type: 'extruded', originalColor: 0xff0000, isMainObject: true, params };
+
+  const data = serializeObject(container);
+  expect(data.type).toBe('extruded');
+  expect(data.params).toEqual(params);
+  expect(data.userData.params).toBeUndefined();
+  expect(data.userData.originalColor).toBeUndefined();
+});
+
+test('extruded geometry is rebuilt exactly from serialized params', () => {
+  const params = { profile, depth: 1.5, bevelEnabled: false, steps: 1 };
+  const original = createExtrudeGeometry(params);
+  const rebuilt = createGeometry('extruded', JSON.parse(JSON.stringify(params)));
+
+  expect(rebuilt.type).toBe('ExtrudeGeometry');
+  expect(Array.from(rebuilt.attributes.position.array))
+    .toEqual(Array.from(original.attributes.position.array));
+});
+
+test('arcs and splines in a profile stay curves in the extruded shape', () => {
+  // A circle as two half arcs, extruded into a disc
+  const arc = { type: 'arc', center: [0, 0], clockwise: false };
+  const disc = createExtrudeGeometry({ profile: [[1, 0], [-1, 0]], curves: [arc, arc], depth: 1 });
+  disc.computeBoundingBox();
+  expect(disc.boundingBox.min.x).toBeCloseTo(-1);
+  expect(disc.boundingBox.max.z).toBeCloseTo(1);
+  expect(disc.attributes.position.count).toBeGreaterThan(100);
+
+  // A straight edge closed by a spline bulging through (1, 1)
+  const params = {
+    profile: [[0, 0], [2, 0]],
+    curves: [null, { type: 'spline', through: [[1, 1]] }],
+    depth: 1
+  };
+  const rebuilt = createGeometry('extruded', JSON.parse(JSON.stringify(params)));
+  rebuilt.computeBoundingBox();
+  expect(rebuilt.boundingBox.min.z).toBeCloseTo(-1);
+});
+
+test('holes are cut out of the extruded profile', () => {
+  const outer = [[-2, -2], [2, -2], [2, 2], [-2, 2]];
+  const hole = { profile: [[-1, -1], [1, -1], [1, 1], [-1, 1]] };
+  const coversCenter = (geometry) => {
+    const position = geometry.attributes.position;
+    const triangle = new THREE.Triangle();
+    for (let i = 0; i < position.count; i += 3) {
+      triangle.setFromAttributeAndIndices(position, i, i + 1, i + 2);
+      // Only the top cap; containsPoint projects onto the triangle's plane
+      const onTop = [triangle.a, triangle.b, triangle.c].every(v => Math.abs(v.y - 1) < 1e-9);
+      if (onTop && triangle.containsPoint(new THREE.Vector3(0, 1, 0))) return true;
+    }
+    return false;
+  };
+
+  expect(coversCenter(createExtrudeGeometry({ profile: outer, depth: 1 }))).toBe(true);
+  expect(coversCenter(createExtrudeGeometry({ profile: outer, holes: [hole], depth: 1 }))).toBe(false);
+});
+
+test('extrusions can grow either way, taper and bevel within their size', () => {
+  const span = (options) => {
+    const geometry = createExtrudeGeometry({ profile, depth: 2, ...options });
+    geometry.computeBoundingBox();
+    const { min, max } = geometry.boundingBox;
+    return [min.x, max.x, min.y, max.y];
+  };
+
+  expect(span({})).toEqual([0, 2, 0, 2].map(value => expect.closeTo(value)));
+  expect(span({ reverse: true })).toEqual([0, 2, -2, 0].map(value => expect.closeTo(value)));
+  expect(span({ direction: 'symmetric' })).toEqual([0, 2, -1, 1].map(value => expect.closeTo(value)));
+  expect(span({ direction: 'two-sided', depth2: 0.5 })).toEqual([0, 2, -0.5, 2].map(value => expect.closeTo(value)));
+  expect(span({ bevelEnabled: true, bevelSize: 0.2, bevelSegments: 3 })).toEqual([0, 2, 0, 2].map(value => expect.closeTo(value)));
+  // A 45 degree taper takes the top in by its height on every side
+  expect(span({ depth: 0.25, taper: 45 })).toEqual([0, 2, 0, 0.25].map(value => expect.closeTo(value)));
+
+  expect(() => span({ bevelEnabled: true, bevelSize: 1 })).toThrow('bevel is too large');
+  expect(() => span({ taper: 45 })).toThrow('taper is too steep');
+});
+
+test('extruded objects without a profile fall back to a unit box', () => {
+  expect(createGeometry('extruded').type).toBe('BoxGeometry');
+});
+
+test('booleans are rebuilt from their operands, placed relative to the result', () => {
+  const a = createMeshWithEdges(createGeometry('box'), 0xff0000);
+  const b = createMeshWithEdges(createGeometry('box'), 0x00ff00);
+  a.position.set(4, 0, 0);
+  b.position.set(4.5, 0, 0);
+  const params = createBooleanParams('union', [a, b], new THREE.Matrix4().makeTranslation(4.25, 0, 0));
+  expect(params.operands[0].position[0]).toBeCloseTo(-0.25);
+
+  const geometry = createGeometry('boolean', JSON.parse(JSON.stringify(params)));
+  geometry.computeBoundingBox();
+  expect(geometry.boundingBox.min.x).toBeCloseTo(-0.75);
+  expect(geometry.boundingBox.max.x).toBeCloseTo(0.75);
+});
+
+const solidVolume = (geometry) => {
+  const { position } = (geometry.index ? geometry.toNonIndexed() : geometry).attributes;
+  let total = 0;
+  for (let i = 0; i < position.count; i += 3) {
+    const [a, b, c] = [i, i + 1, i + 2].map(k => new THREE.Vector3().fromBufferAttribute(position, k));
+    total += a.dot(b.cross(c)) / 6;
+  }
+  return total;
+};
+
+const shapeNode = (type, params) => ({
+  id: type, parent: null, type, position: [0, 0, 0], rotation: [0, 0, 0], scale: [1, 1, 1], color: 0xff0000, params
+});
+
+test('fillets and chamfers are cut along the edges of prisms', () => {
+  const box = shapeNode('box');
+  const treat = (treatment, edges, base = box) => createGeometry('filleted', { ...treatment, edges, base });
+  const corner = 0.04 * (1 - Math.PI / 4);
+
+  expect(solidVolume(treat({ mode: 'fillet', radius: 0.2 }, [{ loop: 0, vertex: 1 }]))).toBeCloseTo(1 - corner, 3);
+  expect(solidVolume(treat({ mode: 'fillet', radius: 0.2 }, [{ loop: 0, vertex: 0, cap: 'top' }]))).toBeCloseTo(1 - corner, 3);
+  expect(solidVolume(treat({ mode: 'chamfer', distance: 0.2 }, [{ loop: 0, vertex: 0 }, { loop: 0, vertex: 2, cap: 'bottom' }])))
+    .toBeCloseTo(0.96);
+  const angled = treat({ mode: 'chamfer', distance: 0.2, angle: 60 }, [{ loop: 0, vertex: 3, cap: 'top' }]);
+  expect(solidVolume(angled)).toBeCloseTo(1 - 0.02 * Math.sqrt(3));
+
+  // A fillet in the inside corner of an L adds material
+  const ell = shapeNode('extruded', { profile: [[0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2]], depth: 1 });
+  const inside = getPrism(ell).loops[0].findIndex(point => point.x === 1 && point.y === 1);
+  expect(solidVolume(treat({ mode: 'fillet', radius: 0.2 }, [{ loop: 0, vertex: inside }], ell))).toBeCloseTo(3 + corner, 3);
+
+  expect(() => treat({ mode: 'fillet', radius: 0.6 }, [{ loop: 0, vertex: 0 }, { loop: 0, vertex: 1 }]))
+    .toThrow('The radius is too large for the adjacent faces');
+  expect(() => treat({ mode: 'chamfer', distance: 1.5 }, [{ loop: 0, vertex: 0, cap: 'top' }]))
+    .toThrow('The distance is too large for the adjacent faces');
+  expect(() => treat({ mode: 'fillet', radius: 0.1 }, [{ loop: 0, vertex: 0 }], shapeNode('sphere')))
+    .toThrow('boxes and straight extrusions');
+});
+
+test('fillets stack, and a suppressed one gives back its base', () => {
+  const side = { ...shapeNode('filleted', { mode: 'fillet', radius: 0.2, edges: [{ loop: 0, vertex: 1 }], base: shapeNode('box') }), id: 'side' };
+  const capped = { mode: 'fillet', radius: 0.1, edges: [{ loop: 0, vertex: 3, cap: 'top' }], base: side };
+  expect(solidVolume(createGeometry('filleted', capped))).toBeLessThan(solidVolume(createGeometry('filleted', side.params)));
+  expect(() => createGeometry('filleted', { ...capped, edges: [{ loop: 0, vertex: 0, cap: 'top' }] }))
+    .toThrow('Treat the cap edges before the side edges they meet');
+
+  const suppressed = { ...side, userData: { feature: { seq: 2, suppressed: true } } };
+  expect(solidVolume(createNodeGeometry(suppressed))).toBeCloseTo(1);
+  expect(buildScene([suppressed])[0].visible).toBe(true);
+});
+
+test('patterns repeat their sources, united where the instances overlap', () => {
+  const box = shapeNode('box');
+  const bounds = (params) => {
+    const geometry = createGeometry('pattern', { sources: [box], ...params });
+    geometry.computeBoundingBox();
+    return { volume: solidVolume(geometry), box: geometry.boundingBox };
+  };
+
+  const grid = bounds({ kind: 'linear', direction: [1, 0, 0], count: 3, spacing: 2, direction2: [0, 0, -1], count2: 2, spacing2: 3 });
+  expect(grid.volume).toBeCloseTo(6);
+  expect(grid.box.max.x).toBeCloseTo(4.5);
+  expect(grid.box.min.z).toBeCloseTo(-3.5);
+
+  // Overlapping instances are united, not counted twice
+  expect(bounds({ kind: 'linear', direction: [1, 0, 0], count: 2, spacing: 0.5 }).volume).toBeCloseTo(1.5);
+
+  const ring = { kind: 'circular', axis: [0, 1, 0], center: [-3, 0, 0], count: 4 };
+  expect(getPatternMatrices({ ...ring, angle: 360 })).toHaveLength(4);
+  expect(bounds({ ...ring, angle: 360 }).box.min.x).toBeCloseTo(-6.5);
+  expect(bounds({ ...ring, angle: 90 }).box.min.z).toBeCloseTo(-3.5);
+
+  // The reflection keeps its faces pointing out
+  const mirrored = bounds({ kind: 'mirror', normal: [1, 0, 0], point: [2, 0, 0] });
+  expect(mirrored.volume).toBeCloseTo(2);
+  expect(mirrored.box.max.x).toBeCloseTo(4.5);
+});
+
+test('pattern sources are placed relative to the result and suppression keeps them', () => {
+  const source = createMeshWithEdges(createGeometry('box'), 0xff0000);
+  source.position.set(5, 0, 0);
+  const settings = { kind: 'linear', direction: [1, 0, 0], count: 2, spacing: 2 };
+  const params = createPatternParams(settings, [source], new THREE.Matrix4().makeTranslation(5, 0, 0));
+  expect(params.sources[0].position).toEqual([0, 0, 0]);
+  expect(params.count).toBe(2);
+
+  const pattern = { ...shapeNode('pattern', params), userData: { feature: { seq: 2, suppressed: true } } };
+  expect(solidVolume(createNodeGeometry(pattern))).toBeCloseTo(1);
+  expect(buildScene([pattern])[0].visible).toBe(true);
+});
+
+test('revolved, swept and lofted solids are rebuilt from their params', () => {
+  const arc = { type: 'arc', center: [0, 0], clockwise: false };
+  const size = (type, params) => {
+    const geometry = createGeometry(type, JSON.parse(JSON.stringify(params)));
+    geometry.computeBoundingBox();
+    return geometry.boundingBox.getSize(new THREE.Vector3()).toArray();
+  };
+
+  // A disc of radius 0.5 spun about a line 2 away makes a torus
+  const disc = { profile: [[0.5, 0], [-0.5, 0]], curves: [arc, arc] };
+  expect(size('revolved', { ...disc, axis: [[2, 0], [2, 1]], angle: 360 }))
+    .toEqual([5, 5, 1].map(value => expect.closeTo(value, 1)));
+  expect(size('swept', { ...disc, path: [[0, 0], [0, 3]] }))
+    .toEqual([1, 1, 3].map(value => expect.closeTo(value, 1)));
+  expect(size('lofted', { sections: [{ profile, height: 0 }, { ...disc, height: 2 }] }))
+    .toEqual([2.5, 2, 1.5].map(value => expect.closeTo(value, 1)));
+  expect(createGeometry('revolved', {}).type).toBe('BoxGeometry');
+});
+
+test('groups and nested groups round-trip with ids, parents and local transforms', () => {
+  const inner = createGroup();
+  const box = createMeshWithEdges(createGeometry('box'), 0x00ff00);
+  box.position.set(1, 0, 0);
+  inner.add(box);
+  inner.position.set(0, 2, 0);
+
+  const outer = createGroup();
+  const sphere = createMeshWithEdges(createGeometry('sphere'), 0x0000ff);
+  outer.add(inner, sphere);
+  outer.rotation.set(0, Math.PI / 2, 0);
+
+  const nodes = serializeScene([outer]);
+  expect(nodes.map(node => node.type)).toEqual(['group', 'group', 'box', 'sphere']);
+  expect(nodes[1].parent).toBe(outer.userData.id);
+  expect(nodes[2].parent).toBe(inner.userData.id);
+
+  const [rebuilt] = buildScene(JSON.parse(JSON.stringify(nodes)));
+  expect(rebuilt.userData.id).toBe(outer.userData.id);
+  expect(rebuilt.userData.isGroup).toBe(true);
+  expect(rebuilt.rotation.y).toBeCloseTo(Math.PI / 2);
+
+  const [rebuiltInner, rebuiltSphere] = rebuilt.children;
+  expect(rebuiltInner.userData.id).toBe(inner.userData.id);
+  expect(rebuiltInner.position.toArray()).toEqual([0, 2, 0]);
+  expect(rebuiltInner.children[0].position.toArray()).toEqual([1, 0, 0]);
+  expect(rebuiltSphere.userData.originalColor).toBe(0x0000ff);
+  expect(serializeScene([rebuilt])).toEqual(nodes);
+});
+
+test('primitive dimensions regenerate geometry and edges', () => {
+  const container = createMeshWithEdges(createGeometry('box'), 0xffffff);
+  const [mesh] = container.children;
+  replaceGeometry(container, createGeometry('box', { width: 2, height: 3, depth: 4 }));
+
+  mesh.geometry.computeBoundingBox();
+  expect(mesh.geometry.boundingBox.getSize(new THREE.Vector3()).toArray()).toEqual([2, 3, 4]);
+  expect(mesh.children[0].geometry.attributes.position.count).toBe(24);
+  expect(createGeometry('cylinder', { radius: 2 }).parameters).toMatchObject({ radiusTop: 2, height: 1 });
+});
+
+test('meshes draw edges at their feature angle and come back as locked references', () => {
+  const sphere = new THREE.SphereGeometry(1, 32, 16).toNonIndexed();
+  const params = { ...createMeshParams(sphere), edgeAngle: 20 };
+  const [group] = buildScene([
+    { id: 'g', parent: null, type: 'group', position: [0, 0, 0], rotation: [0, 0, 0], scale: [1, 1, 1] },
+    { id: 'm', parent: 'g', type: 'mesh', position: [0, 0, 0], rotation: [0, 0, 0], scale: [1, 1, 1],
+      color: 0xb0bec5, params, userData: { reference: true } }
+  ]);
+  const container = group.children[0];
+  const [mesh] = container.children;
+  expect(mesh.children[0].geometry.attributes.position.count).toBe(0);
+  expect(mesh.material.opacity).toBeLessThan(0.9);
+  expect(mesh.material.depthWrite).toBe(false);
+  expect(isReferenceBody(group)).toBe(true);
+  expect(serializeObject(container).userData.reference).toBe(true);
+
+  container.userData.params = { ...params, edgeAngle: 1 };
+  replaceGeometry(container, createGeometry('mesh', container.userData.params));
+  expect(mesh.children[0].geometry.attributes.position.count).toBeGreaterThan(0);
+});
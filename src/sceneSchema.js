@@ -0,0 +1,573 @@
+// sceneSchema.js - validation and version migration for scene files.
+//
+// Current format (see "Scene File Format" in README.md):
+//
+//   {
+//     metadata: { version: "2.0", exportDate, objectCount },
+//     objects: [
+//       {
+//         id: string,                  unique within the file
+//         parent: string | null,       id of an earlier group node
+//         type: "box" | "sphere" | "cylinder" | "extruded" | "boolean" |
+//               "revolved" | "swept" | "lofted" | "filleted" | "pattern" |
+//               "mesh" | "group",
+//         position: [x, y, z],         local to the parent
+//         rotation: [x, y, z],         Euler XYZ, radians
+//         scale: [x, y, z],
+//         color: number,               0x000000-0xffffff, shapes only
+//         params: object,              geometry parameters, see below
+//         userData: object             optional, free-form apart from
+//                                      feature: { seq, suppressed? }
+//       }
+//     ]
+//   }
+//
+// `extruded` nodes need params { profile: [[x, y], ...] (3+ points),
+// depth > 0, direction?: "one-side" | "symmetric" | "two-sided", reverse?:
+// boolean, depth2?: >= 0, taper?: degrees (-90, 90), bevelEnabled?:
+// boolean, bevelSize?: > 0, bevelSegments?: integer >= 1, steps?: integer
+// >= 1 }, plus optional curves: one entry per profile edge, null or
+// { type: "arc", center: [x, y], clockwise } or { type: "spline", through:
+// [[x, y], ...] }. A curved
+// profile may have fewer points (a circle is two half arcs). `holes` is an
+// optional list of { profile, curves? } cut out of the profile. `boolean`
+// nodes need params { operation: "union" | "subtract" | "intersect",
+// operands: [2+ shape nodes] } with transforms relative to the result and
+// no parent. `revolved` nodes take a profile with holes as extrusions do,
+// plus axis: [[x, y], [x, y]] and angle in degrees (0, 360]; `swept` nodes
+// a profile with holes, path: [[x, y], ...] (2+ points) and an optional
+// twist in degrees; `lofted` nodes sections: [{ profile, curves?, height }]
+// (2+). Primitives may carry dimensions, all > 0 and defaulting to
+// DEFAULT_PARAMS: box { width, height, depth }, sphere { radius }, cylinder
+// { radius, height }. Extruded and revolved nodes may keep the sketch they
+// were made from as params.sketch { seq, model: { points, entities,
+// constraints }, region, center: [x, y] } (see featureTree.js). `filleted`
+// nodes need params { mode: "fillet", radius > 0 } or { mode: "chamfer",
+// distance > 0, angle?: degrees (0, 90) }, plus edges: [{ loop, vertex,
+// cap?: "top" | "bottom" }] (1+, integers >= 0) and base: the shape node
+// they were made on, placed relative to the result. `pattern` nodes need
+// params { kind, sources: [1+ shape nodes] } placed like operands, plus
+// for "linear" direction: [x, y, z], count: integer >= 2, spacing > 0 and
+// optionally direction2, count2: integer >= 1 and spacing2 > 0; for
+// "circular" axis, center: [x, y, z], count: integer >= 2 and angle in
+// degrees (0, 360]; for "mirror" normal and point: [x, y, z]. Directions,
+// axes and normals must not be zero. `mesh` nodes (imported triangles)
+// need params { positions: [x, y, z, ...] } and optionally indices:
+// integers into positions, three per triangle (without indices every
+// three positions make a triangle), and edgeAngle: degrees [0, 180).
+// userData.reference marks a locked reference body.
+import { MathUtils } from "three";
+import {
+  BOOLEAN_OPERATIONS,
+  DEFAULT_BEVEL_SIZE,
+  DEFAULT_PARAMS,
+  EDGE_TREATMENTS,
+  FEATURE_TYPES,
+  PATTERN_TYPES,
+  SCENE_FORMAT_VERSION,
+  getExtrudeExtent
+} from "./sceneFormat";
+
+export const SHAPE_TYPES = ["box", "sphere", "cylinder", "extruded", "boolean", ...Object.keys(FEATURE_TYPES), "filleted", "pattern", "mesh"];
+const NODE_TYPES = [...SHAPE_TYPES, "group"];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// ====== MIGRATIONS ======
+// Each entry upgrades a file from its key version to the next one. Files
+// without a version predate the metadata block and are treated as 1.0.
+const MIGRATIONS = {
+  '1.0': (data) => ({
+    ...data,
+    metadata: { ...data.metadata, version: '2.0' },
+    objects: Array.isArray(data.objects)
+      ? data.objects.map(obj => (isPlainObject(obj) ? migrateNode1to2(obj) : obj))
+      : data.objects
+  })
+};
+
+// 1.0 scenes were flat, so every object becomes top-level with a fresh id.
+// The 1.0 importer rebuilt unknown types and extrusions saved without a
+// profile as unit boxes; the migration makes that explicit.
+const migrateNode1to2 = (obj) => {
+  const node = { ...obj, id: obj.id ?? MathUtils.generateUUID(), parent: obj.parent ?? null };
+  const hasProfile = node.type === 'extruded' && isPlainObject(node.params);
+  if (!NODE_TYPES.includes(node.type) || (node.type === 'extruded' && !hasProfile)) {
+    node.type = 'box';
+  }
+  return node;
+};
+
+export const getSceneVersion = (data) => data?.metadata?.version ?? '1.0';
+
+export const migrateScene = (data) => {
+  let migrated = data;
+  let version = getSceneVersion(migrated);
+
+  while (version !== SCENE_FORMAT_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`Unsupported scene version "${version}" (this editor reads up to ${SCENE_FORMAT_VERSION})`);
+    }
+    migrated = migrate(migrated);
+    version = getSceneVersion(migrated);
+  }
+
+  return migrated;
+};
+
+// ====== VALIDATION ======
+const checkVector = (value, path, errors) => {
+  if (!Array.isArray(value) || value.length !== 3) {
+    errors.push({ path, message: 'must be an array of 3 numbers' });
+    return;
+  }
+  value.forEach((component, i) => {
+    if (!isFiniteNumber(component)) {
+      errors.push({ path: `${path}[${i}]`, message: 'must be a finite number' });
+    }
+  });
+};
+
+const isPoint = (point) => Array.isArray(point) && point.length === 2 && point.every(isFiniteNumber);
+
+const checkProfileCurves = (curves, profile, path, errors) => {
+  if (!Array.isArray(curves) || (Array.isArray(profile) && curves.length !== profile.length)) {
+    errors.push({ path, message: 'must be an array with one entry per profile point' });
+    return;
+  }
+  curves.forEach((curve, i) => {
+    if (curve === null) return;
+    const valid = isPlainObject(curve) && (
+      (curve.type === 'arc' && isPoint(curve.center) && typeof curve.clockwise === 'boolean') ||
+      (curve.type === 'spline' && Array.isArray(curve.through) && curve.through.every(isPoint))
+    );
+    if (!valid) {
+      errors.push({ path: `${path}[${i}]`, message: 'must be null, an arc or a spline' });
+    }
+  });
+};
+
+// `profile` and `curves` of an extrusion or of one of its holes
+const checkProfile = ({ profile, curves }, path, errors) => {
+  const curved = Array.isArray(curves) && curves.some(Boolean);
+  if (!Array.isArray(profile) || profile.length < (curved ? 1 : 3)) {
+    errors.push({ path: `${path}.profile`, message: 'must be an array of at least 3 points' });
+  } else {
+    profile.forEach((point, i) => {
+      if (!isPoint(point)) {
+        errors.push({ path: `${path}.profile[${i}]`, message: 'must be an [x, y] pair of numbers' });
+      }
+    });
+  }
+  if (curves !== undefined) checkProfileCurves(curves, profile, `${path}.curves`, errors);
+};
+
+// A profile with optional holes, as extrusions, revolves and sweeps take
+const checkProfileWithHoles = (params, path, errors) => {
+  const { holes } = params;
+  checkProfile(params, path, errors);
+  if (holes !== undefined) {
+    if (!Array.isArray(holes)) {
+      errors.push({ path: `${path}.holes`, message: 'must be an array' });
+    } else {
+      holes.forEach((hole, i) => {
+        if (isPlainObject(hole)) {
+          checkProfile(hole, `${path}.holes[${i}]`, errors);
+        } else {
+          errors.push({ path: `${path}.holes[${i}]`, message: 'must be an object with a profile' });
+        }
+      });
+    }
+  }
+};
+
+const EXTRUDE_DIRECTIONS = ['one-side', 'symmetric', 'two-sided'];
+
+const checkSketchSource = (sketch, path, errors) => {
+  if (sketch === undefined) return;
+  if (!isPlainObject(sketch)) {
+    errors.push({ path, message: 'must be an object' });
+    return;
+  }
+  if (!Number.isInteger(sketch.seq) || sketch.seq < 1) {
+    errors.push({ path: `${path}.seq`, message: 'must be an integer of at least 1' });
+  }
+  const { model } = sketch;
+  if (!isPlainObject(model) || !['points', 'entities', 'constraints'].every(key => Array.isArray(model[key]))) {
+    errors.push({ path: `${path}.model`, message: 'must be a sketch with points, entities and constraints arrays' });
+  }
+  if (!Number.isInteger(sketch.region) || sketch.region < 0) {
+    errors.push({ path: `${path}.region`, message: 'must be an integer of at least 0' });
+  }
+  if (!isPoint(sketch.center)) {
+    errors.push({ path: `${path}.center`, message: 'must be an [x, y] point' });
+  }
+};
+
+const checkExtrudeParams = (params, path, errors) => {
+  if (!isPlainObject(params)) {
+    errors.push({ path, message: 'is required for extruded objects' });
+    return;
+  }
+
+  const { depth, direction, reverse, depth2, taper, bevelEnabled, bevelSize, bevelSegments, steps } = params;
+  checkProfileWithHoles(params, path, errors);
+  checkSketchSource(params.sketch, `${path}.sketch`, errors);
+  if (!isFiniteNumber(depth) || depth <= 0) {
+    errors.push({ path: `${path}.depth`, message: 'must be a positive number' });
+  }
+  if (direction !== undefined && !EXTRUDE_DIRECTIONS.includes(direction)) {
+    errors.push({ path: `${path}.direction`, message: `must be one of ${EXTRUDE_DIRECTIONS.join(', ')}` });
+  }
+  if (reverse !== undefined && typeof reverse !== 'boolean') {
+    errors.push({ path: `${path}.reverse`, message: 'must be a boolean' });
+  }
+  if (depth2 !== undefined && (!isFiniteNumber(depth2) || depth2 < 0)) {
+    errors.push({ path: `${path}.depth2`, message: 'must be a number of at least 0' });
+  }
+  if (taper !== undefined && (!isFiniteNumber(taper) || Math.abs(taper) >= 90)) {
+    errors.push({ path: `${path}.taper`, message: 'must be a number of degrees between -90 and 90' });
+  }
+  if (bevelEnabled !== undefined && typeof bevelEnabled !== 'boolean') {
+    errors.push({ path: `${path}.bevelEnabled`, message: 'must be a boolean' });
+  }
+  if (bevelSize !== undefined && (!isFiniteNumber(bevelSize) || bevelSize <= 0)) {
+    errors.push({ path: `${path}.bevelSize`, message: 'must be a positive number' });
+  }
+  if (bevelSegments !== undefined && (!Number.isInteger(bevelSegments) || bevelSegments < 1)) {
+    errors.push({ path: `${path}.bevelSegments`, message: 'must be an integer of at least 1' });
+  }
+  if (steps !== undefined && (!Number.isInteger(steps) || steps < 1)) {
+    errors.push({ path: `${path}.steps`, message: 'must be an integer of at least 1' });
+  }
+
+  // The combinations createExtrudeGeometry refuses
+  if (bevelEnabled === true && isFiniteNumber(taper) && taper !== 0) {
+    errors.push({ path: `${path}.bevelEnabled`, message: 'cannot be used with a taper' });
+  } else if (bevelEnabled === true && isFiniteNumber(depth) && depth > 0) {
+    const [from, to] = getExtrudeExtent({ ...params, depth2: isFiniteNumber(depth2) ? depth2 : 0 });
+    if ((bevelSize ?? DEFAULT_BEVEL_SIZE) * 2 >= to - from) {
+      errors.push({ path: `${path}.bevelSize`, message: 'must be less than half the extrusion depth' });
+    }
+  }
+};
+
+const checkFeatureParams = (type, params, path, errors) => {
+  if (!isPlainObject(params)) {
+    errors.push({ path, message: `is required for ${type} objects` });
+    return;
+  }
+
+  if (type === 'revolved') {
+    checkProfileWithHoles(params, path, errors);
+    checkSketchSource(params.sketch, `${path}.sketch`, errors);
+    const { axis, angle } = params;
+    if (!Array.isArray(axis) || axis.length !== 2 || !axis.every(isPoint) ||
+        (axis[0][0] === axis[1][0] && axis[0][1] === axis[1][1])) {
+      errors.push({ path: `${path}.axis`, message: 'must be two different [x, y] points' });
+    }
+    if (!isFiniteNumber(angle) || angle <= 0 || angle > 360) {
+      errors.push({ path: `${path}.angle`, message: 'must be a number of degrees above 0, up to 360' });
+    }
+  } else if (type === 'swept') {
+    checkProfileWithHoles(params, path, errors);
+    if (!Array.isArray(params.path) || params.path.length < 2 || !params.path.every(isPoint)) {
+      errors.push({ path: `${path}.path`, message: 'must be an array of at least 2 [x, y] points' });
+    }
+    if (params.twist !== undefined && !isFiniteNumber(params.twist)) {
+      errors.push({ path: `${path}.twist`, message: 'must be a finite number' });
+    }
+  } else if (!Array.isArray(params.sections) || params.sections.length < 2) {
+    errors.push({ path: `${path}.sections`, message: 'must be an array of at least 2 sections' });
+  } else {
+    params.sections.forEach((section, i) => {
+      const sectionPath = `${path}.sections[${i}]`;
+      if (!isPlainObject(section)) {
+        errors.push({ path: sectionPath, message: 'must be an object with a profile and height' });
+        return;
+      }
+      checkProfile(section, sectionPath, errors);
+      if (!isFiniteNumber(section.height)) {
+        errors.push({ path: `${sectionPath}.height`, message: 'must be a finite number' });
+      }
+    });
+  }
+};
+
+const checkPrimitiveParams = (type, params, path, errors) => {
+  if (!isPlainObject(params)) {
+    errors.push({ path, message: 'must be an object' });
+    return;
+  }
+
+  Object.keys(DEFAULT_PARAMS[type]).forEach(key => {
+    const value = params[key];
+    if (value !== undefined && (!isFiniteNumber(value) || value <= 0)) {
+      errors.push({ path: `${path}.${key}`, message: 'must be a positive number' });
+    }
+  });
+};
+
+const checkBooleanParams = (params, path, errors) => {
+  if (!isPlainObject(params)) {
+    errors.push({ path, message: 'is required for boolean objects' });
+    return;
+  }
+  if (!Object.keys(BOOLEAN_OPERATIONS).includes(params.operation)) {
+    errors.push({ path: `${path}.operation`, message: `must be one of ${Object.keys(BOOLEAN_OPERATIONS).join(', ')}` });
+  }
+  if (!Array.isArray(params.operands) || params.operands.length < 2) {
+    errors.push({ path: `${path}.operands`, message: 'must be an array of at least 2 shapes' });
+    return;
+  }
+
+  const seen = new Map();
+  params.operands.forEach((operand, i) => {
+    const operandPath = `${path}.operands[${i}]`;
+    checkNode(operand, operandPath, seen, errors);
+    if (isPlainObject(operand) && operand.type === 'group') {
+      errors.push({ path: `${operandPath}.type`, message: 'must be a shape, not a group' });
+    }
+  });
+};
+
+const checkFilletParams = (params, path, errors) => {
+  if (!isPlainObject(params)) {
+    errors.push({ path, message: 'is required for filleted objects' });
+    return;
+  }
+  const treatment = EDGE_TREATMENTS[params.mode];
+  if (!treatment) {
+    errors.push({ path: `${path}.mode`, message: `must be one of ${Object.keys(EDGE_TREATMENTS).join(', ')}` });
+  } else if (!isFiniteNumber(params[treatment.size]) || params[treatment.size] <= 0) {
+    errors.push({ path: `${path}.${treatment.size}`, message: 'must be a positive number' });
+  }
+  if (params.mode === 'chamfer' && params.angle !== undefined &&
+      (!isFiniteNumber(params.angle) || params.angle <= 0 || params.angle >= 90)) {
+    errors.push({ path: `${path}.angle`, message: 'must be a number of degrees between 0 and 90' });
+  }
+  const isIndex = (value) => Number.isInteger(value) && value >= 0;
+  if (!Array.isArray(params.edges) || params.edges.length === 0 || !params.edges.every(edge =>
+    isPlainObject(edge) && isIndex(edge.loop) && isIndex(edge.vertex) &&
+    [undefined, 'top', 'bottom'].includes(edge.cap))) {
+    errors.push({ path: `${path}.edges`, message: 'must be an array of at least 1 { loop, vertex, cap? } edge' });
+  }
+
+  checkNode(params.base, `${path}.base`, new Map(), errors);
+  if (isPlainObject(params.base) && params.base.type === 'group') {
+    errors.push({ path: `${path}.base.type`, message: 'must be a shape, not a group' });
+  }
+};
+
+const checkPatternParams = (params, path, errors) => {
+  if (!isPlainObject(params)) {
+    errors.push({ path, message: 'is required for pattern objects' });
+    return;
+  }
+  const checkDirection = (key) => {
+    const before = errors.length;
+    checkVector(params[key], `${path}.${key}`, errors);
+    if (errors.length === before && params[key].every(component => component === 0)) {
+      errors.push({ path: `${path}.${key}`, message: 'must not be zero' });
+    }
+  };
+  const checkCount = (key, min) => {
+    if (!Number.isInteger(params[key]) || params[key] < min) {
+      errors.push({ path: `${path}.${key}`, message: `must be an integer of at least ${min}` });
+    }
+  };
+  const checkPositive = (key) => {
+    if (!isFiniteNumber(params[key]) || params[key] <= 0) {
+      errors.push({ path: `${path}.${key}`, message: 'must be a positive number' });
+    }
+  };
+
+  if (params.kind === 'linear') {
+    checkDirection('direction');
+    checkCount('count', 2);
+    checkPositive('spacing');
+    if (params.count2 !== undefined) {
+      checkDirection('direction2');
+      checkCount('count2', 1);
+      checkPositive('spacing2');
+    }
+  } else if (params.kind === 'circular') {
+    checkDirection('axis');
+    checkVector(params.center, `${path}.center`, errors);
+    checkCount('count', 2);
+    if (!isFiniteNumber(params.angle) || params.angle <= 0 || params.angle > 360) {
+      errors.push({ path: `${path}.angle`, message: 'must be a number of degrees above 0 and up to 360' });
+    }
+  } else if (params.kind === 'mirror') {
+    checkDirection('normal');
+    checkVector(params.point, `${path}.point`, errors);
+  } else {
+    errors.push({ path: `${path}.kind`, message: `must be one of ${Object.keys(PATTERN_TYPES).join(', ')}` });
+  }
+
+  if (!Array.isArray(params.sources) || params.sources.length === 0) {
+    errors.push({ path: `${path}.sources`, message: 'must be an array of at least 1 shape' });
+    return;
+  }
+  const seen = new Map();
+  params.sources.forEach((source, i) => {
+    const sourcePath = `${path}.sources[${i}]`;
+    checkNode(source, sourcePath, seen, errors);
+    if (isPlainObject(source) && source.type === 'group') {
+      errors.push({ path: `${sourcePath}.type`, message: 'must be a shape, not a group' });
+    }
+  });
+};
+
+const checkMeshParams = (params, path, errors) => {
+  if (!isPlainObject(params)) {
+    errors.push({ path, message: 'is required for mesh objects' });
+    return;
+  }
+  const { positions, indices } = params;
+  const vertexCount = Array.isArray(positions) ? positions.length / 3 : 0;
+  if (!Array.isArray(positions) || positions.length % 3 !== 0 || !positions.every(isFiniteNumber) ||
+      (indices === undefined && (vertexCount < 3 || vertexCount % 3 !== 0))) {
+    errors.push({ path: `${path}.positions`, message: 'must be an array of [x, y, z] coordinates for whole triangles' });
+  }
+  if (indices !== undefined && (!Array.isArray(indices) || indices.length === 0 || indices.length % 3 !== 0 ||
+      !indices.every(index => Number.isInteger(index) && index >= 0 && index < vertexCount))) {
+    errors.push({ path: `${path}.indices`, message: 'must be an array of vertex indices, three per triangle' });
+  }
+  if (params.edgeAngle !== undefined && (!isFiniteNumber(params.edgeAngle) || params.edgeAngle < 0 || params.edgeAngle >= 180)) {
+    errors.push({ path: `${path}.edgeAngle`, message: 'must be a number of degrees from 0 up to 180' });
+  }
+};
+
+const checkNode = (node, path, seen, errors) => {
+  if (!isPlainObject(node)) {
+    errors.push({ path, message: 'must be an object' });
+    return;
+  }
+
+  if (typeof node.id !== 'string' || node.id === '') {
+    errors.push({ path: `${path}.id`, message: 'must be a non-empty string' });
+  } else if (seen.has(node.id)) {
+    errors.push({ path: `${path}.id`, message: `duplicates id "${node.id}"` });
+  }
+
+  if (node.parent !== null) {
+    if (typeof node.parent !== 'string') {
+      errors.push({ path: `${path}.parent`, message: 'must be null or the id of a group' });
+    } else if (!seen.has(node.parent)) {
+      errors.push({ path: `${path}.parent`, message: `refers to "${node.parent}", which is not an earlier node` });
+    } else if (seen.get(node.parent) !== 'group') {
+      errors.push({ path: `${path}.parent`, message: `refers to "${node.parent}", which is not a group` });
+    }
+  }
+
+  if (!NODE_TYPES.includes(node.type)) {
+    errors.push({ path: `${path}.type`, message: `must be one of ${NODE_TYPES.join(', ')}` });
+  }
+
+  checkVector(node.position, `${path}.position`, errors);
+  checkVector(node.rotation, `${path}.rotation`, errors);
+  checkVector(node.scale, `${path}.scale`, errors);
+
+  if (SHAPE_TYPES.includes(node.type) &&
+      (!isFiniteNumber(node.color) || node.color < 0 || node.color > 0xffffff)) {
+    errors.push({ path: `${path}.color`, message: 'must be a number between 0x000000 and 0xffffff' });
+  }
+
+  if (node.type === 'extruded') {
+    checkExtrudeParams(node.params, `${path}.params`, errors);
+  } else if (node.type === 'boolean') {
+    checkBooleanParams(node.params, `${path}.params`, errors);
+  } else if (node.type === 'filleted') {
+    checkFilletParams(node.params, `${path}.params`, errors);
+  } else if (node.type === 'pattern') {
+    checkPatternParams(node.params, `${path}.params`, errors);
+  } else if (node.type === 'mesh') {
+    checkMeshParams(node.params, `${path}.params`, errors);
+  } else if (FEATURE_TYPES[node.type]) {
+    checkFeatureParams(node.type, node.params, `${path}.params`, errors);
+  } else if (DEFAULT_PARAMS[node.type] && node.params !== undefined) {
+    checkPrimitiveParams(node.type, node.params, `${path}.params`, errors);
+  } else if (node.params !== undefined && !isPlainObject(node.params)) {
+    errors.push({ path: `${path}.params`, message: 'must be an object' });
+  }
+
+  if (node.userData !== undefined && !isPlainObject(node.userData)) {
+    errors.push({ path: `${path}.userData`, message: 'must be an object' });
+  } else if (node.userData?.feature !== undefined) {
+    const { feature } = node.userData;
+    if (!isPlainObject(feature) || !Number.isInteger(feature.seq) || feature.seq < 1) {
+      errors.push({ path: `${path}.userData.feature`, message: 'must be { seq } with an integer seq of at least 1' });
+    } else if (feature.suppressed !== undefined && typeof feature.suppressed !== 'boolean') {
+      errors.push({ path: `${path}.userData.feature.suppressed`, message: 'must be a boolean' });
+    }
+  }
+
+  if (typeof node.id === 'string' && !seen.has(node.id)) {
+    seen.set(node.id, node.type);
+  }
+};
+
+// Returns every problem found as { path, message }; an empty list means the
+// scene can be built without errors.
+export const validateScene = (data) => {
+  const errors = [];
+
+  if (!isPlainObject(data)) {
+    return [{ path: '', message: 'scene must be a JSON object' }];
+  }
+
+  if (!isPlainObject(data.metadata)) {
+    errors.push({ path: 'metadata', message: 'must be an object' });
+  } else if (data.metadata.version !== SCENE_FORMAT_VERSION) {
+    errors.push({ path: 'metadata.version', message: `must be "${SCENE_FORMAT_VERSION}"` });
+  }
+
+  if (!Array.isArray(data.objects)) {
+    errors.push({ path: 'objects', message: 'must be an array' });
+    return errors;
+  }
+
+  const seen = new Map();
+  data.objects.forEach((node, i) => checkNode(node, `objects[${i}]`, seen, errors));
+  return errors;
+};
+
+// Parses, upgrades and validates a scene file without touching the editor.
+// Returns { scene } on success or { errors } listing every problem.
+export const parseSceneFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { errors: [{ path: '', message: `invalid JSON: ${error.message}` }] };
+  }
+
+  if (!isPlainObject(data)) {
+    return { errors: [{ path: '', message: 'scene must be a JSON object' }] };
+  }
+
+  let scene;
+  try {
+    scene = migrateScene(data);
+  } catch (error) {
+    return { errors: [{ path: 'metadata.version', message: error.message }] };
+  }
+
+  const errors = validateScene(scene);
+  return errors.length > 0 ? { errors } : { scene };
+};
+
+export const formatSceneErrors = (errors, limit = 10) => {
+  const lines = errors.slice(0, limit).map(({ path, message }) =>
+    path ? `${path}: ${message}` : message
+  );
+  if (errors.length > limit) {
+    lines.push(`...and ${errors.length - limit} more`);
+  }
+  return lines.join('\n');
+};
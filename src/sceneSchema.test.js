@@ -0,0 +1,253 @@
+import { migrateScene, parseSceneFile, validateScene } from './sceneSchema';
+
+const node = (overrides) => ({
+  id: 'a',
+  parent: null,
+  type: 'box',
+  position: [0, 0.5, 0],
+  rotation: [0, 0, 0],
+  scale: [1, 1, 1],
+  color: 0xff0000,
+  ...overrides
+});
+
+const scene = (objects) => ({ metadata: { version: '2.0' }, objects });
+
+test('a well-formed scene has no errors', () => {
+  const objects = [
+    node({ id: 'g', type: 'group', color: undefined }),
+    node({ id: 'b', parent: 'g' }),
+    node({ id: 'e', type: 'extruded', params: { profile: [[0, 0], [1, 0], [1, 1]], depth: 1 } })
+  ];
+  expect(validateScene(scene(objects))).toEqual([]);
+});
+
+test('every problem is reported with its path', () => {
+  const errors = validateScene(scene([
+    node({ position: [0, 'x', 0] }),
+    node({ type: 'teapot', parent: 'missing' }),
+    node({ id: 'e', type: 'extruded', params: { profile: [[0, 0]], depth: -1 } }),
+    node({ id: 'c', parent: 'e', scale: [1, 1] })
+  ]));
+
+  expect(errors.map(error => error.path)).toEqual([
+    'objects[0].position[1]',
+    'objects[1].id',
+    'objects[1].parent',
+    'objects[1].type',
+    'objects[2].params.profile',
+    'objects[2].params.depth',
+    'objects[3].parent',
+    'objects[3].scale'
+  ]);
+});
+
+test('curved profiles and holes are checked like the outline', () => {
+  const arc = { type: 'arc', center: [0, 0], clockwise: false };
+  const errors = validateScene(scene([
+    node({ id: 'a', type: 'extruded', params: { profile: [[1, 0], [-1, 0]], curves: [arc, arc], depth: 1 } }),
+    node({
+      id: 'b',
+      type: 'extruded',
+      params: {
+        profile: [[0, 0], [4, 0], [4, 4]],
+        holes: [{ profile: [[1, 1], [2, 1]] }, { profile: [[1, 1]], curves: [{ type: 'circle' }] }],
+        depth: 1
+      }
+    })
+  ]));
+
+  expect(errors.map(error => error.path)).toEqual([
+    'objects[1].params.holes[0].profile',
+    'objects[1].params.holes[1].curves[0]'
+  ]);
+});
+
+test('boolean operands are checked as nested shapes', () => {
+  const operands = [node({ id: 'x' }), node({ id: 'y', type: 'sphere' })];
+  expect(validateScene(scene([node({ type: 'boolean', params: { operation: 'union', operands } })]))).toEqual([]);
+
+  const errors = validateScene(scene([
+    node({ type: 'boolean', params: { operation: 'xor', operands: [operands[0]] } }),
+    node({ id: 'b', type: 'boolean', params: { operation: 'subtract', operands: [operands[0], node({ id: 'g', type: 'group', scale: [1] })] } })
+  ]));
+  expect(errors.map(error => error.path)).toEqual([
+    'objects[0].params.operation',
+    'objects[0].params.operands',
+    'objects[1].params.operands[1].scale',
+    'objects[1].params.operands[1].type'
+  ]);
+});
+
+test('extrude options are checked', () => {
+  const profile = [[0, 0], [1, 0], [1, 1]];
+  const errors = validateScene(scene([
+    node({ id: 'a', type: 'extruded', params: { profile, depth: 1, direction: 'two-sided', depth2: 0.5, bevelEnabled: true, bevelSize: 0.1, bevelSegments: 2 } }),
+    node({ id: 'b', type: 'extruded', params: { profile, depth: 1, direction: 'both', reverse: 1, depth2: -1, taper: 90, bevelSize: 0, bevelSegments: 1.5 } })
+  ]));
+  expect(errors.map(error => error.path)).toEqual([
+    'objects[1].params.direction',
+    'objects[1].params.reverse',
+    'objects[1].params.depth2',
+    'objects[1].params.taper',
+    'objects[1].params.bevelSize',
+    'objects[1].params.bevelSegments'
+  ]);
+});
+
+test('extrude options the geometry cannot be built with are rejected', () => {
+  const profile = [[0, 0], [1, 0], [1, 1]];
+  const errors = validateScene(scene([
+    node({ id: 'a', type: 'extruded', params: { profile, depth: 1, taper: 5, bevelEnabled: true } }),
+    node({ id: 'b', type: 'extruded', params: { profile, depth: 0.4, bevelEnabled: true, bevelSize: 0.2 } }),
+    node({ id: 'c', type: 'extruded', params: { profile, depth: 0.15, bevelEnabled: true } }),
+    node({ id: 'd', type: 'extruded', params: { profile, depth: 0.3, direction: 'two-sided', depth2: 0.2, bevelEnabled: true, bevelSize: 0.2 } }),
+    node({ id: 'e', type: 'extruded', params: { profile, depth: 1, taper: 5, bevelEnabled: false, bevelSize: 2 } })
+  ]));
+  expect(errors.map(error => error.path)).toEqual([
+    'objects[0].params.bevelEnabled',
+    'objects[1].params.bevelSize',
+    'objects[2].params.bevelSize'
+  ]);
+});
+
+test('revolve, sweep and loft params are checked', () => {
+  const profile = [[0, 0], [1, 0], [1, 1]];
+  expect(validateScene(scene([
+    node({ id: 'r', type: 'revolved', params: { profile, axis: [[2, 0], [2, 1]], angle: 90 } }),
+    node({ id: 's', type: 'swept', params: { profile, path: [[0, 0], [0, 5]], twist: 45 } }),
+    node({ id: 'l', type: 'lofted', params: { sections: [{ profile, height: 0 }, { profile, height: 1 }] } })
+  ]))).toEqual([]);
+
+  const errors = validateScene(scene([
+    node({ id: 'r', type: 'revolved', params: { profile, axis: [[2, 0], [2, 0]], angle: 400 } }),
+    node({ id: 's', type: 'swept', params: { profile, path: [[0, 0]], twist: 'x' } }),
+    node({ id: 'l', type: 'lofted', params: { sections: [{ profile }, { profile: [[0, 0]], height: 1 }] } }),
+    node({ id: 'm', type: 'lofted' })
+  ]));
+  expect(errors.map(error => error.path)).toEqual([
+    'objects[0].params.axis',
+    'objects[0].params.angle',
+    'objects[1].params.path',
+    'objects[1].params.twist',
+    'objects[2].params.sections[0].height',
+    'objects[2].params.sections[1].profile',
+    'objects[3].params'
+  ]);
+});
+
+test('feature stamps and kept sketches are checked', () => {
+  const profile = [[0, 0], [1, 0], [1, 1]];
+  const sketch = { seq: 1, model: { points: [], entities: [], constraints: [], nextId: 1 }, region: 0, center: [0.5, 0.5] };
+  expect(validateScene(scene([
+    node({ id: 'e', type: 'extruded', params: { profile, depth: 1, sketch }, userData: { feature: { seq: 2 } } }),
+    node({ id: 'b', userData: { feature: { seq: 3, suppressed: true } } })
+  ]))).toEqual([]);
+
+  const errors = validateScene(scene([
+    node({ id: 'e', type: 'extruded', params: { profile, depth: 1, sketch: { seq: 0, model: {}, region: -1, center: [0] } } }),
+    node({ id: 'r', type: 'revolved', params: { profile, axis: [[2, 0], [2, 1]], angle: 90, sketch: 'x' } }),
+    node({ id: 'b', userData: { feature: { seq: 1.5 } } }),
+    node({ id: 'c', userData: { feature: { seq: 4, suppressed: 'yes' } } })
+  ]));
+  expect(errors.map(error => error.path)).toEqual([
+    'objects[0].params.sketch.seq',
+    'objects[0].params.sketch.model',
+    'objects[0].params.sketch.region',
+    'objects[0].params.sketch.center',
+    'objects[1].params.sketch',
+    'objects[2].userData.feature',
+    'objects[3].userData.feature.suppressed'
+  ]);
+});
+
+test('fillet and chamfer params are checked with their base', () => {
+  const edges = [{ loop: 0, vertex: 1 }, { loop: 0, vertex: 2, cap: 'top' }];
+  expect(validateScene(scene([
+    node({ type: 'filleted', params: { mode: 'fillet', radius: 0.1, edges, base: node({ id: 'base' }) } }),
+    node({ id: 'c', type: 'filleted', params: { mode: 'chamfer', distance: 0.1, angle: 30, edges, base: node({ id: 'base' }) } })
+  ]))).toEqual([]);
+
+  const errors = validateScene(scene([
+    node({ type: 'filleted', params: { mode: 'round', edges: [], base: node({ id: 'base', scale: [1] }) } }),
+    node({ id: 'c', type: 'filleted', params: { mode: 'chamfer', distance: 0, angle: 90, edges: [{ loop: 0, vertex: 1, cap: 'side' }], base: node({ id: 'g', type: 'group' }) } })
+  ]));
+  expect(errors.map(error => error.path)).toEqual([
+    'objects[0].params.mode',
+    'objects[0].params.edges',
+    'objects[0].params.base.scale',
+    'objects[1].params.distance',
+    'objects[1].params.angle',
+    'objects[1].params.edges',
+    'objects[1].params.base.type'
+  ]);
+});
+
+test('pattern params are checked with their sources', () => {
+  const sources = [node({ id: 's' })];
+  expect(validateScene(scene([
+    node({ type: 'pattern', params: { kind: 'linear', direction: [1, 0, 0], count: 3, spacing: 1, direction2: [0, 0, 1], count2: 2, spacing2: 1, sources } }),
+    node({ id: 'c', type: 'pattern', params: { kind: 'circular', axis: [0, 1, 0], center: [0, 0, 0], count: 6, angle: 360, sources } }),
+    node({ id: 'm', type: 'pattern', params: { kind: 'mirror', normal: [1, 0, 0], point: [0, 0, 0], sources } })
+  ]))).toEqual([]);
+
+  const errors = validateScene(scene([
+    node({ type: 'pattern', params: { kind: 'linear', direction: [0, 0, 0], count: 1, spacing: 1, count2: 2, spacing2: 1, sources } }),
+    node({ id: 'c', type: 'pattern', params: { kind: 'circular', axis: [0, 1, 0], center: [0, 0], count: 6, angle: 400, sources: [] } }),
+    node({ id: 'm', type: 'pattern', params: { kind: 'shear', sources: [node({ id: 'g', type: 'group' })] } })
+  ]));
+  expect(errors.map(error => error.path)).toEqual([
+    'objects[0].params.direction',
+    'objects[0].params.count',
+    'objects[0].params.direction2',
+    'objects[1].params.center',
+    'objects[1].params.angle',
+    'objects[1].params.sources',
+    'objects[2].params.kind',
+    'objects[2].params.sources[0].type'
+  ]);
+});
+
+test('mesh params are checked as whole triangles', () => {
+  const positions = [0, 0, 0, 1, 0, 0, 0, 1, 0];
+  expect(validateScene(scene([
+    node({ type: 'mesh', params: { positions } }),
+    node({ id: 'i', type: 'mesh', params: { positions, indices: [0, 1, 2, 2, 1, 0], edgeAngle: 30 }, userData: { reference: true } })
+  ]))).toEqual([]);
+
+  const errors = validateScene(scene([
+    node({ type: 'mesh', params: { positions: positions.slice(0, 6) } }),
+    node({ id: 'i', type: 'mesh', params: { positions, indices: [0, 1, 3], edgeAngle: 180 } }),
+    node({ id: 'm', type: 'mesh' })
+  ]));
+  expect(errors.map(error => error.path)).toEqual([
+    'objects[0].params.positions',
+    'objects[1].params.indices',
+    'objects[1].params.edgeAngle',
+    'objects[2].params'
+  ]);
+});
+
+test('1.0 files are migrated to the current version', () => {
+  const migrated = migrateScene({
+    metadata: { version: '1.0' },
+    objects: [
+      { type: 'sphere', position: [1, 2, 3], rotation: [0, 0, 0], scale: [1, 1, 1], color: 0x00ff00 },
+      { type: 'extruded', position: [0, 0, 0], rotation: [0, 0, 0], scale: [1, 1, 1], color: 0x00ff00 }
+    ]
+  });
+
+  expect(migrated.metadata.version).toBe('2.0');
+  expect(migrated.objects[0].parent).toBeNull();
+  expect(typeof migrated.objects[0].id).toBe('string');
+  expect(migrated.objects[1].type).toBe('box');
+  expect(validateScene(migrated)).toEqual([]);
+});
+
+test('parseSceneFile rejects bad input without throwing', () => {
+  expect(parseSceneFile('{ nope').errors[0].message).toMatch(/invalid JSON/);
+  expect(parseSceneFile('[]').errors[0].message).toMatch(/JSON object/);
+  expect(parseSceneFile(JSON.stringify({ metadata: { version: '9.0' }, objects: [] })).errors[0].path)
+    .toBe('metadata.version');
+  expect(parseSceneFile(JSON.stringify(scene([node()]))).scene.objects).toHaveLength(1);
+});
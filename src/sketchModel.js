@@ -0,0 +1,738 @@
+// sketchModel.js - the parametric 2D sketch: points, curves and constraints.
+//
+// Coordinates are sketch-plane (u, v) pairs (see sketchPlane.js). A sketch
+// is a plain object that is never mutated; every edit returns a new one so
+// React state and sketch undo can keep old versions around.
+//
+//   points:      [{ id, x, y }]
+//   entities:    [{ id, type: "line", p1, p2 }
+//                 { id, type: "circle", center, radius }
+//                 { id, type: "arc", center, start, end }    counter-clockwise
+//                 { id, type: "spline", points: [ids] }]     through the points
+//   constraints: [{ id, type, refs: [ids], value? }]
+//
+// Lines and arcs that share a point id (or whose end points are joined by a
+// coincident constraint) are connected; closed chains and circles are the
+// loops an extrusion can use. A spline whose last point is its first is
+// closed on its own.
+import { isPolygonInside, isSimplePolygon, polygonsCross } from "./polygon";
+
+export const createSketch = () => ({ points: [], entities: [], constraints: [], nextId: 1 });
+
+const cloneSketch = (sketch) => ({
+  points: sketch.points.map(point => ({ ...point })),
+  entities: sketch.entities.map(entity => ({ ...entity })),
+  constraints: sketch.constraints.map(constraint => ({ ...constraint, refs: [...constraint.refs] })),
+  nextId: sketch.nextId
+});
+
+const takeId = (draft) => draft.nextId++;
+
+const addPoint = (draft, [x, y]) => {
+  const id = takeId(draft);
+  draft.points.push({ id, x, y });
+  return id;
+};
+
+export const isSketchEmpty = (sketch) => sketch.points.length === 0;
+
+export const indexSketch = (sketch) => ({
+  points: new Map(sketch.points.map(point => [point.id, point])),
+  entities: new Map(sketch.entities.map(entity => [entity.id, entity]))
+});
+
+// ====== BUILDING ======
+// A chain of lines through `coords`. `axisAligned` adds horizontal and
+// vertical constraints to edges that are already axis-aligned (rectangles).
+export const addPolyline = (sketch, coords, { closed = false, axisAligned = false } = {}) => {
+  const draft = cloneSketch(sketch);
+  const ids = coords.map(coord => addPoint(draft, coord));
+  const count = closed ? ids.length : ids.length - 1;
+
+  for (let i = 0; i < count; i++) {
+    const p1 = ids[i];
+    const p2 = ids[(i + 1) % ids.length];
+    const line = { id: takeId(draft), type: "line", p1, p2 };
+    draft.entities.push(line);
+
+    if (axisAligned) {
+      const [x1, y1] = coords[i];
+      const [x2, y2] = coords[(i + 1) % coords.length];
+      const type = Math.abs(y1 - y2) < 1e-9 ? "horizontal" : Math.abs(x1 - x2) < 1e-9 ? "vertical" : null;
+      if (type) draft.constraints.push({ id: takeId(draft), type, refs: [line.id] });
+    }
+  }
+  return draft;
+};
+
+export const addCircle = (sketch, center, radius) => {
+  const draft = cloneSketch(sketch);
+  draft.entities.push({ id: takeId(draft), type: "circle", center: addPoint(draft, center), radius });
+  return draft;
+};
+
+// Counter-clockwise from `start` to `end`; `end` is moved onto the circle
+// through `start`.
+export const addArc = (sketch, center, start, end) => {
+  const draft = cloneSketch(sketch);
+  const radius = Math.hypot(start[0] - center[0], start[1] - center[1]);
+  const endAngle = Math.atan2(end[1] - center[1], end[0] - center[0]);
+  draft.entities.push({
+    id: takeId(draft),
+    type: "arc",
+    center: addPoint(draft, center),
+    start: addPoint(draft, start),
+    end: addPoint(draft, [center[0] + Math.cos(endAngle) * radius, center[1] + Math.sin(endAngle) * radius])
+  });
+  return draft;
+};
+
+const cross = (a, b) => a[0] * b[1] - a[1] * b[0];
+
+// Centre of the circle through three points, null when they are in a line
+export const circleThroughPoints = ([ax, ay], [bx, by], [cx, cy]) => {
+  const d = 2 * (ax * (by - cy) + bx * (cy - ay) + cx * (ay - by));
+  if (Math.abs(d) < 1e-12) return null;
+  const a2 = ax * ax + ay * ay;
+  const b2 = bx * bx + by * by;
+  const c2 = cx * cx + cy * cy;
+  return [
+    (a2 * (by - cy) + b2 * (cy - ay) + c2 * (ay - by)) / d,
+    (a2 * (cx - bx) + b2 * (ax - cx) + c2 * (bx - ax)) / d
+  ];
+};
+
+// From `start` to `end` through `through`. Arcs are stored counter-clockwise,
+// so a clockwise pick is saved with its ends swapped.
+export const addArcThroughPoints = (sketch, start, through, end) => {
+  const center = circleThroughPoints(start, through, end);
+  if (!center) throw new Error("The three points are in a line");
+  const counterClockwise = cross([through[0] - start[0], through[1] - start[1]], [end[0] - start[0], end[1] - start[1]]) > 0;
+  return counterClockwise ? addArc(sketch, center, start, end) : addArc(sketch, center, end, start);
+};
+
+// Unit direction in which a line or arc leaves its end point `pointId`
+export const getEndTangent = (sketch, entityId, pointId) => {
+  const index = indexSketch(sketch);
+  const entity = index.entities.get(entityId);
+  const point = index.points.get(pointId);
+  let direction;
+  if (entity.type === "line") {
+    const other = index.points.get(entity.p1 === pointId ? entity.p2 : entity.p1);
+    direction = [point.x - other.x, point.y - other.y];
+  } else {
+    const center = index.points.get(entity.center);
+    const sign = entity.end === pointId ? 1 : -1;
+    direction = [-(point.y - center.y) * sign, (point.x - center.x) * sign];
+  }
+  const length = Math.hypot(direction[0], direction[1]);
+  return [direction[0] / length, direction[1] / length];
+};
+
+// An arc continuing the line or arc `entityId` from its end point `pointId`
+// to `end`, sharing the point and held tangent by a constraint.
+export const addTangentArc = (sketch, entityId, pointId, end) => {
+  const start = indexSketch(sketch).points.get(pointId);
+  const [tx, ty] = getEndTangent(sketch, entityId, pointId);
+  const d = [end[0] - start.x, end[1] - start.y];
+  const normal = [-ty, tx];
+  const denominator = 2 * (d[0] * normal[0] + d[1] * normal[1]);
+  if (Math.abs(denominator) < 1e-9) throw new Error("The end point is straight ahead; draw a line instead");
+
+  // Positive offsets put the centre on the left: a counter-clockwise turn
+  const offset = (d[0] * d[0] + d[1] * d[1]) / denominator;
+  const draft = cloneSketch(sketch);
+  const center = addPoint(draft, [start.x + normal[0] * offset, start.y + normal[1] * offset]);
+  const endId = addPoint(draft, end);
+  const arc = offset > 0
+    ? { id: takeId(draft), type: "arc", center, start: pointId, end: endId }
+    : { id: takeId(draft), type: "arc", center, start: endId, end: pointId };
+  draft.entities.push(arc);
+  return buildConstraints(draft, "tangent", [entityId, arc.id]).reduce(addConstraint, draft);
+};
+
+// A smooth curve through `coords`; a closed spline ends on its first point.
+export const addSpline = (sketch, coords, { closed = false } = {}) => {
+  const draft = cloneSketch(sketch);
+  const ids = coords.map(coord => addPoint(draft, coord));
+  if (closed) ids.push(ids[0]);
+  draft.entities.push({ id: takeId(draft), type: "spline", points: ids });
+  return draft;
+};
+
+// A straight slot: two half circles of `radius` around `c1` and `c2`
+// joined by tangent lines, with the ends kept equal.
+export const addSlot = (sketch, c1, c2, radius) => {
+  const length = Math.hypot(c2[0] - c1[0], c2[1] - c1[1]);
+  if (length < 1e-9 || radius <= 0) throw new Error("The slot needs two centres and a width");
+  const n = [-(c2[1] - c1[1]) / length * radius, (c2[0] - c1[0]) / length * radius];
+
+  const draft = cloneSketch(sketch);
+  const [a1, a2, b1, b2] = [
+    [c1[0] + n[0], c1[1] + n[1]], [c1[0] - n[0], c1[1] - n[1]],
+    [c2[0] + n[0], c2[1] + n[1]], [c2[0] - n[0], c2[1] - n[1]]
+  ].map(coord => addPoint(draft, coord));
+  const [center1, center2] = [c1, c2].map(coord => addPoint(draft, coord));
+
+  // Counter-clockwise: along the right side, round c2, back, round c1
+  const right = { id: takeId(draft), type: "line", p1: a2, p2: b2 };
+  const end2 = { id: takeId(draft), type: "arc", center: center2, start: b2, end: b1 };
+  const left = { id: takeId(draft), type: "line", p1: b1, p2: a1 };
+  const end1 = { id: takeId(draft), type: "arc", center: center1, start: a1, end: a2 };
+  draft.entities.push(right, end2, left, end1);
+
+  return [
+    ...[[right, end2], [left, end2], [left, end1], [right, end1]].map(([line, arc]) => ({ type: "tangent", refs: [line.id, arc.id] })),
+    { type: "equal", refs: [end1.id, end2.id] }
+  ].reduce(addConstraint, draft);
+};
+
+// A regular polygon with `sides` corners, one of them at `corner`. Its
+// sides are constrained equal.
+export const addRegularPolygon = (sketch, center, corner, sides) => {
+  const radius = Math.hypot(corner[0] - center[0], corner[1] - center[1]);
+  if (radius < 1e-9) throw new Error("The polygon needs a size");
+  const start = Math.atan2(corner[1] - center[1], corner[0] - center[0]);
+  const coords = Array.from({ length: sides }, (_, i) => {
+    const angle = start + (i / sides) * Math.PI * 2;
+    return [center[0] + Math.cos(angle) * radius, center[1] + Math.sin(angle) * radius];
+  });
+
+  const draft = addPolyline(sketch, coords, { closed: true });
+  const lines = draft.entities.slice(-sides);
+  return lines.slice(1)
+    .map((line, i) => ({ type: "equal", refs: [lines[i].id, line.id] }))
+    .reduce(addConstraint, draft);
+};
+
+export const addConstraint = (sketch, constraint) => {
+  const draft = cloneSketch(sketch);
+  draft.constraints.push({ ...constraint, id: takeId(draft) });
+  return draft;
+};
+
+export const removeConstraint = (sketch, id) => ({
+  ...sketch,
+  constraints: sketch.constraints.filter(constraint => constraint.id !== id)
+});
+
+export const setConstraintValue = (sketch, id, value) => ({
+  ...sketch,
+  constraints: sketch.constraints.map(constraint =>
+    constraint.id === id ? { ...constraint, value } : constraint)
+});
+
+// ====== EDITING ======
+export const moveSketchPoint = (sketch, id, [x, y]) => ({
+  ...sketch,
+  points: sketch.points.map(point => (point.id === id ? { ...point, x, y } : point))
+});
+
+// Point ids an entity is built on; a closed spline lists its first point twice
+export const getEntityPoints = (entity) => entity.type === "line" ? [entity.p1, entity.p2]
+  : entity.type === "circle" ? [entity.center]
+  : entity.type === "spline" ? entity.points : [entity.center, entity.start, entity.end];
+
+const dropEntity = (draft, id) => {
+  draft.entities = draft.entities.filter(entity => entity.id !== id);
+  draft.constraints = draft.constraints.filter(constraint => !constraint.refs.includes(id));
+};
+
+// Splits a line at `coords`. Horizontal and vertical constraints carry over
+// to both halves; the line's other constraints no longer apply and go.
+export const insertPointOnLine = (sketch, lineId, coords) => {
+  const draft = cloneSketch(sketch);
+  const line = draft.entities.find(entity => entity.id === lineId);
+  if (!isLine(line)) return { sketch, pointId: null };
+
+  const pointId = addPoint(draft, coords);
+  const second = { ...line, id: takeId(draft), p1: pointId };
+  line.p2 = pointId;
+  draft.entities.splice(draft.entities.indexOf(line) + 1, 0, second);
+
+  draft.constraints = draft.constraints.flatMap(constraint => {
+    if (!constraint.refs.includes(lineId)) return [constraint];
+    if (constraint.type !== "horizontal" && constraint.type !== "vertical") return [];
+    return [constraint, { id: takeId(draft), type: constraint.type, refs: [second.id] }];
+  });
+  return { sketch: draft, pointId };
+};
+
+// Curve ends closer than `tolerance` become one point, so outlines drawn
+// in separate pieces (as imported drawings are) close into loops. Lines
+// left with no length go.
+export const joinCurveEnds = (sketch, tolerance) => {
+  const index = indexSketch(sketch);
+  const cell = ([x, y]) => [Math.round(x / tolerance), Math.round(y / tolerance)];
+  const grid = new Map();
+  const replaced = new Map();
+  const ends = new Set(sketch.entities.filter(entity => entity.type !== "circle").flatMap(chainEnds));
+  ends.forEach(id => {
+    const point = index.points.get(id);
+    const [cx, cy] = cell([point.x, point.y]);
+    const near = [-1, 0, 1].flatMap(dx => [-1, 0, 1].flatMap(dy => grid.get(`${cx + dx},${cy + dy}`) ?? []))
+      .find(other => Math.hypot(other.x - point.x, other.y - point.y) <= tolerance);
+    if (near) {
+      replaced.set(id, near.id);
+      return;
+    }
+    const key = `${cx},${cy}`;
+    grid.set(key, [...(grid.get(key) ?? []), point]);
+  });
+  if (replaced.size === 0) return sketch;
+
+  const draft = cloneSketch(sketch);
+  const join = (id) => replaced.get(id) ?? id;
+  draft.entities.forEach(entity => {
+    if (entity.type === "line") Object.assign(entity, { p1: join(entity.p1), p2: join(entity.p2) });
+    if (entity.type === "arc") Object.assign(entity, { start: join(entity.start), end: join(entity.end) });
+    if (entity.type === "spline") entity.points = entity.points.map(join);
+  });
+  draft.constraints.forEach(constraint => {
+    constraint.refs = constraint.refs.map(join);
+  });
+  draft.constraints = draft.constraints.filter(({ type, refs }) => type !== "coincident" || refs[0] !== refs[1]);
+  draft.entities.filter(entity => entity.type === "line" && entity.p1 === entity.p2).forEach(line => dropEntity(draft, line.id));
+  const used = new Set(draft.entities.flatMap(getEntityPoints));
+  draft.points = draft.points.filter(point => used.has(point.id));
+  draft.constraints = draft.constraints.filter(constraint =>
+    constraint.refs.every(ref => used.has(ref) || draft.entities.some(entity => entity.id === ref)));
+  return draft;
+};
+
+// A point joining two lines is removed by merging them, so a closed profile
+// stays closed. Deleting a line (or a point at the end of a chain) opens
+// the profile; circle and arc points take their curve with them.
+export const deleteSketchItems = (sketch, ids) => {
+  const draft = cloneSketch(sketch);
+  const pointIds = ids.filter(id => draft.points.some(point => point.id === id));
+  const entityIds = ids.filter(id => draft.entities.some(entity => entity.id === id));
+
+  pointIds.forEach(id => {
+    // Splines only lose the point while enough of them is left
+    draft.entities.filter(entity => entity.type === "spline").forEach(spline => {
+      const closed = spline.points.length > 2 && spline.points[0] === spline.points[spline.points.length - 1];
+      const own = closed ? spline.points.slice(0, -1) : spline.points;
+      const rest = own.filter(point => point !== id);
+      if (rest.length === own.length || rest.length < (closed ? 3 : 2)) return;
+      spline.points = closed ? [...rest, rest[0]] : rest;
+    });
+
+    const users = draft.entities.filter(entity => getEntityPoints(entity).includes(id));
+    if (users.length === 2 && users.every(isLine)) {
+      const [kept, merged] = users;
+      const far = merged.p1 === id ? merged.p2 : merged.p1;
+      if (kept.p1 === id) kept.p1 = far; else kept.p2 = far;
+      dropEntity(draft, merged.id);
+      // The kept line changed, so its own constraints are void
+      draft.constraints = draft.constraints.filter(constraint => !constraint.refs.includes(kept.id));
+      if (kept.p1 === kept.p2) dropEntity(draft, kept.id);
+    } else {
+      users.forEach(entity => dropEntity(draft, entity.id));
+    }
+    draft.constraints = draft.constraints.filter(constraint => !constraint.refs.includes(id));
+  });
+  entityIds.forEach(id => dropEntity(draft, id));
+
+  // Points that no curve uses any more go too
+  const used = new Set(draft.entities.flatMap(getEntityPoints));
+  draft.points = draft.points.filter(point => used.has(point.id));
+  draft.constraints = draft.constraints.filter(constraint =>
+    constraint.refs.every(ref => used.has(ref) || draft.entities.some(entity => entity.id === ref)));
+  return draft;
+};
+
+// ====== MEASUREMENTS ======
+export const getLineVector = (index, line) => {
+  const p1 = index.points.get(line.p1);
+  const p2 = index.points.get(line.p2);
+  return [p2.x - p1.x, p2.y - p1.y];
+};
+
+export const getRadius = (index, entity) => {
+  if (entity.type === "circle") return entity.radius;
+  const center = index.points.get(entity.center);
+  const start = index.points.get(entity.start);
+  return Math.hypot(start.x - center.x, start.y - center.y);
+};
+
+// Angle from the first line to the second, degrees in (-180, 180]
+export const getLineAngle = (index, line1, line2) => {
+  const [ax, ay] = getLineVector(index, line1);
+  const [bx, by] = getLineVector(index, line2);
+  return Math.atan2(ax * by - ay * bx, ax * bx + ay * by) * 180 / Math.PI;
+};
+
+// ====== CONSTRAINTS ======
+const isLine = (entity) => entity?.type === "line";
+const isRound = (entity) => entity?.type === "circle" || entity?.type === "arc";
+
+// `matches` receives the selected points and entities.
+export const CONSTRAINT_TYPES = {
+  horizontal: { label: "Horizontal", matches: (points, entities) => points.length === 0 && entities.length === 1 && isLine(entities[0]) },
+  vertical: { label: "Vertical", matches: (points, entities) => points.length === 0 && entities.length === 1 && isLine(entities[0]) },
+  coincident: { label: "Coincident", matches: (points, entities) => points.length === 2 && entities.length === 0 },
+  parallel: { label: "Parallel", matches: (points, entities) => points.length === 0 && entities.length === 2 && entities.every(isLine) },
+  perpendicular: { label: "Perpendicular", matches: (points, entities) => points.length === 0 && entities.length === 2 && entities.every(isLine) },
+  tangent: {
+    label: "Tangent",
+    matches: (points, entities) => points.length === 0 && entities.length === 2 &&
+      entities.some(isRound) && entities.every(entity => isLine(entity) || isRound(entity))
+  },
+  equal: {
+    label: "Equal",
+    matches: (points, entities) => points.length === 0 && entities.length === 2 &&
+      (entities.every(isLine) || entities.every(isRound))
+  },
+  fixed: { label: "Fix", matches: (points, entities) => points.length >= 1 && entities.length === 0 },
+  length: { label: "Length", dimension: "length", matches: (points, entities) => points.length === 0 && entities.length === 1 && isLine(entities[0]) },
+  radius: { label: "Radius", dimension: "length", matches: (points, entities) => points.length === 0 && entities.length === 1 && isRound(entities[0]) },
+  angle: { label: "Angle", dimension: "angle", matches: (points, entities) => points.length === 0 && entities.length === 2 && entities.every(isLine) }
+};
+
+const splitSelection = (sketch, selection) => {
+  const index = indexSketch(sketch);
+  return {
+    index,
+    points: selection.filter(id => index.points.has(id)).map(id => index.points.get(id)),
+    entities: selection.filter(id => index.entities.has(id)).map(id => index.entities.get(id))
+  };
+};
+
+export const getApplicableConstraints = (sketch, selection) => {
+  const { points, entities } = splitSelection(sketch, selection);
+  if (points.length + entities.length === 0) return [];
+  return Object.keys(CONSTRAINT_TYPES).filter(type => CONSTRAINT_TYPES[type].matches(points, entities));
+};
+
+// The constraints for `type` on the selection. Dimensions start at the
+// current measurement so adding one never moves anything.
+export const buildConstraints = (sketch, type, selection) => {
+  const { index, points, entities } = splitSelection(sketch, selection);
+  if (!CONSTRAINT_TYPES[type]?.matches(points, entities)) {
+    throw new Error(`${CONSTRAINT_TYPES[type]?.label || type} doesn't apply to the selection`);
+  }
+
+  switch (type) {
+    case "fixed":
+      return points.map(point => ({ type, refs: [point.id], value: [point.x, point.y] }));
+    case "coincident":
+      return [{ type, refs: points.map(point => point.id) }];
+    case "length": {
+      const [dx, dy] = getLineVector(index, entities[0]);
+      return [{ type, refs: [entities[0].id], value: Math.hypot(dx, dy) }];
+    }
+    case "radius":
+      return [{ type, refs: [entities[0].id], value: getRadius(index, entities[0]) }];
+    case "angle":
+      return [{ type, refs: entities.map(entity => entity.id), value: getLineAngle(index, entities[0], entities[1]) }];
+    case "tangent": {
+      // Lines go first; two round curves keep whichever contact is closer
+      const [a, b] = isLine(entities[1]) ? [entities[1], entities[0]] : entities;
+      if (isLine(a)) return [{ type, refs: [a.id, b.id] }];
+      const c1 = index.points.get(a.center);
+      const c2 = index.points.get(b.center);
+      const distance = Math.hypot(c2.x - c1.x, c2.y - c1.y);
+      const r1 = getRadius(index, a);
+      const r2 = getRadius(index, b);
+      return [{ type, refs: [a.id, b.id], internal: Math.abs(distance - Math.abs(r1 - r2)) < Math.abs(distance - (r1 + r2)) }];
+    }
+    default:
+      return [{ type, refs: entities.map(entity => entity.id) }];
+  }
+};
+
+export const describeSketchItem = (sketch, id) => {
+  const entity = sketch.entities.find(e => e.id === id);
+  if (!entity) return `P${id}`;
+  return { line: "L", circle: "C", arc: "A", spline: "S" }[entity.type] + id;
+};
+
+// ====== CURVES ======
+export const CURVE_SEGMENTS = 32;
+const SPLINE_DIVISIONS = 8;
+
+// Uniform Catmull-Rom through the points: the curve THREE.SplineCurve (and
+// so Shape.splineThru) draws, so the sketch matches the extruded solid.
+const catmullRom = (t, p0, p1, p2, p3) => {
+  const v0 = (p2 - p0) * 0.5;
+  const v1 = (p3 - p1) * 0.5;
+  const t2 = t * t;
+  const t3 = t * t2;
+  return (2 * p1 - 2 * p2 + v0 + v1) * t3 + (-3 * p1 + 3 * p2 - 2 * v0 - v1) * t2 + v0 * t + p1;
+};
+
+export const getSplinePoint = (coords, t) => {
+  const last = coords.length - 1;
+  const position = last * t;
+  const i = Math.min(Math.floor(position), last - 1);
+  const weight = position - i;
+  const [p0, p1, p2, p3] = [Math.max(i - 1, 0), i, i + 1, Math.min(i + 2, last)].map(k => coords[k]);
+  return [0, 1].map(axis => catmullRom(weight, p0[axis], p1[axis], p2[axis], p3[axis]));
+};
+
+// Points along an entity from its start to its end; circles come back to
+// where they started.
+export const tessellateEntity = (index, entity, segments = CURVE_SEGMENTS) => {
+  if (entity.type === "line") {
+    return [entity.p1, entity.p2].map(id => toCoords(index.points.get(id)));
+  }
+  if (entity.type === "spline") {
+    const coords = entity.points.map(id => toCoords(index.points.get(id)));
+    const count = (coords.length - 1) * SPLINE_DIVISIONS;
+    return Array.from({ length: count + 1 }, (_, i) => getSplinePoint(coords, i / count));
+  }
+
+  const center = index.points.get(entity.center);
+  const radius = getRadius(index, entity);
+  const { startAngle, sweep } = entity.type === "arc"
+    ? getArcAngles(index, entity)
+    : { startAngle: 0, sweep: Math.PI * 2 };
+  const count = entity.type === "arc" ? Math.max(4, Math.ceil(sweep / (Math.PI * 2) * segments)) : segments;
+  return Array.from({ length: count + 1 }, (_, i) => {
+    const angle = startAngle + sweep * (i / count);
+    return [center.x + Math.cos(angle) * radius, center.y + Math.sin(angle) * radius];
+  });
+};
+
+// ====== PICKING ======
+const distanceToSegment = ([px, py], [ax, ay], [bx, by]) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  return Math.hypot(px - (ax + dx * t), py - (ay + dy * t));
+};
+
+const normalizeAngle = (angle) => {
+  const full = Math.PI * 2;
+  return ((angle % full) + full) % full;
+};
+
+// Start angle and counter-clockwise sweep of an arc
+export const getArcAngles = (index, arc) => {
+  const center = index.points.get(arc.center);
+  const start = index.points.get(arc.start);
+  const end = index.points.get(arc.end);
+  const startAngle = Math.atan2(start.y - center.y, start.x - center.x);
+  const endAngle = Math.atan2(end.y - center.y, end.x - center.x);
+  const sweep = normalizeAngle(endAngle - startAngle) || Math.PI * 2;
+  return { startAngle, sweep };
+};
+
+const distanceToEntity = (index, entity, point) => {
+  if (entity.type === "line" || entity.type === "spline") {
+    const outline = tessellateEntity(index, entity);
+    return Math.min(...outline.slice(1).map((end, i) => distanceToSegment(point, outline[i], end)));
+  }
+
+  const center = index.points.get(entity.center);
+  const radius = getRadius(index, entity);
+  const toCircle = Math.abs(Math.hypot(point[0] - center.x, point[1] - center.y) - radius);
+  if (entity.type === "circle") return toCircle;
+
+  const { startAngle, sweep } = getArcAngles(index, entity);
+  const angle = normalizeAngle(Math.atan2(point[1] - center.y, point[0] - center.x) - startAngle);
+  if (angle <= sweep) return toCircle;
+  return Math.min(...[entity.start, entity.end].map(id => {
+    const end = index.points.get(id);
+    return Math.hypot(point[0] - end.x, point[1] - end.y);
+  }));
+};
+
+// Points win over curves so shared corners stay pickable.
+export const pickSketchItem = (sketch, point, tolerance) => {
+  const index = indexSketch(sketch);
+  let best = null;
+  sketch.points.forEach(p => {
+    const distance = Math.hypot(point[0] - p.x, point[1] - p.y);
+    if (distance <= tolerance && (!best || distance < best.distance)) best = { id: p.id, distance };
+  });
+  if (best) return best.id;
+
+  sketch.entities.forEach(entity => {
+    const distance = distanceToEntity(index, entity, point);
+    if (distance <= tolerance && (!best || distance < best.distance)) best = { id: entity.id, distance };
+  });
+  return best ? best.id : null;
+};
+
+// ====== LOOPS ======
+// Closed loops as { entities, points, profile, curves }. `points` is the
+// tessellated outline without a repeated closing point, for measuring;
+// `profile` holds the loop's vertices and `curves[i]` (null for a straight
+// edge) describes the edge leaving profile[i], in the format
+// createExtrudeGeometry takes. Open chains are left out (see
+// getSketchPaths).
+const toCoords = (point) => [point.x, point.y];
+
+const loopEdge = (index, entity, forward) => {
+  if (entity.type === "line") {
+    return { vertex: toCoords(index.points.get(forward ? entity.p1 : entity.p2)), curve: null };
+  }
+  if (entity.type === "arc") {
+    return {
+      vertex: toCoords(index.points.get(forward ? entity.start : entity.end)),
+      curve: { type: "arc", center: toCoords(index.points.get(entity.center)), clockwise: !forward }
+    };
+  }
+  const ids = forward ? entity.points : [...entity.points].reverse();
+  return {
+    vertex: toCoords(index.points.get(ids[0])),
+    curve: { type: "spline", through: ids.slice(1, -1).map(id => toCoords(index.points.get(id))) }
+  };
+};
+
+const chainEnds = (entity) => {
+  const ids = getEntityPoints(entity);
+  return entity.type === "arc" ? [entity.start, entity.end] : [ids[0], ids[ids.length - 1]];
+};
+
+// Chains of connected lines, arcs and splines as
+// { chain: [{ segment, forward }], start, end, nodes }, where `nodes` counts
+// the segment ends at every node the walk passed. Free ends are walked
+// from first, so an open chain comes out whole.
+const walkChains = (sketch) => {
+  // Coincident points count as one node
+  const parent = new Map(sketch.points.map(point => [point.id, point.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+  sketch.constraints
+    .filter(constraint => constraint.type === "coincident")
+    .forEach(({ refs: [a, b] }) => parent.set(find(a), find(b)));
+
+  const segments = sketch.entities
+    .filter(entity => entity.type !== "circle")
+    .map(entity => ({ entity, ends: chainEnds(entity).map(find) }));
+
+  const byNode = new Map();
+  segments.forEach(segment => segment.ends.forEach(node => {
+    if (!byNode.has(node)) byNode.set(node, []);
+    byNode.get(node).push(segment);
+  }));
+
+  const visited = new Set();
+  const walk = (first, start) => {
+    const chain = [];
+    const nodes = [];
+    let segment = first;
+    let node = start;
+    while (segment && !visited.has(segment)) {
+      visited.add(segment);
+      const forward = segment.ends[0] === node;
+      chain.push({ segment, forward });
+      node = forward ? segment.ends[1] : segment.ends[0];
+      const next = byNode.get(node);
+      nodes.push(next.length);
+      const current = segment;
+      segment = next.find(s => s !== current);
+    }
+    return { chain, start, end: node, nodes };
+  };
+
+  const freeEnds = segments.flatMap(segment => segment.ends
+    .filter(node => byNode.get(node).length === 1)
+    .map(node => [segment, node]));
+  const chains = [];
+  freeEnds.forEach(([segment, node]) => {
+    if (!visited.has(segment)) chains.push(walk(segment, node));
+  });
+  segments.forEach(segment => {
+    if (!visited.has(segment)) chains.push(walk(segment, segment.ends[0]));
+  });
+  return chains;
+};
+
+const chainPoints = (index, chain) => chain.flatMap(({ segment: { entity }, forward }) => {
+  const outline = tessellateEntity(index, entity);
+  return (forward ? outline : outline.reverse()).slice(0, -1);
+});
+
+export const getSketchLoops = (sketch) => {
+  const index = indexSketch(sketch);
+
+  const loops = [];
+  sketch.entities.filter(entity => entity.type === "circle").forEach(circle => {
+    const center = toCoords(index.points.get(circle.center));
+    const arc = { type: "arc", center, clockwise: false };
+    loops.push({
+      entities: [circle.id],
+      points: tessellateEntity(index, circle).slice(0, -1),
+      // Two half circles, so every edge has distinct ends
+      profile: [[center[0] + circle.radius, center[1]], [center[0] - circle.radius, center[1]]],
+      curves: [arc, arc]
+    });
+  });
+
+  // A chain is a loop only if it returns to its start with every node
+  // joining exactly two segment ends (a closed spline joins its own)
+  walkChains(sketch).forEach(({ chain, start, end, nodes }) => {
+    if (end !== start || nodes.some(count => count !== 2)) return;
+
+    const edges = chain.map(({ segment: { entity }, forward }) => loopEdge(index, entity, forward));
+    loops.push({
+      entities: chain.map(({ segment }) => segment.entity.id),
+      points: chainPoints(index, chain),
+      profile: edges.map(edge => edge.vertex),
+      curves: edges.map(edge => edge.curve)
+    });
+  });
+
+  return loops;
+};
+
+// Open chains without branches, as { entities, points } with `points` the
+// tessellated polyline from one free end to the other. These are the paths
+// a sweep can follow.
+export const getSketchPaths = (sketch) => {
+  const index = indexSketch(sketch);
+  return walkChains(sketch)
+    .filter(({ start, end, nodes }) => start !== end && nodes[nodes.length - 1] === 1 &&
+      nodes.slice(0, -1).every(count => count === 2))
+    .map(({ chain }) => {
+      const last = chain[chain.length - 1];
+      const outline = tessellateEntity(index, last.segment.entity);
+      return {
+        entities: chain.map(({ segment }) => segment.entity.id),
+        points: [...chainPoints(index, chain), (last.forward ? outline : outline.reverse()).pop()]
+      };
+    });
+};
+
+// ====== REGIONS ======
+// Groups closed loops into regions { outer, holes } for extrusion: a loop
+// inside an odd number of others is a hole in the smallest one around it,
+// and an island inside a hole is a region of its own. Loops that cross
+// themselves or each other throw, with the loops' entities on the error.
+const describeLoop = (sketch, loop) => {
+  if (loop.entities.length === 0) return "the polygon being drawn";
+  const labels = loop.entities.slice(0, 3).map(id => describeSketchItem(sketch, id)).join(", ");
+  return `the profile ${labels}${loop.entities.length > 3 ? ", …" : ""}`;
+};
+
+const regionError = (message, loops) => Object.assign(
+  new Error(message.charAt(0).toUpperCase() + message.slice(1)),
+  { entities: loops.flatMap(loop => loop.entities) }
+);
+
+export const getSketchRegions = (sketch, loops = getSketchLoops(sketch)) => {
+  loops.forEach(loop => {
+    if (!isSimplePolygon(loop.points)) throw regionError(`${describeLoop(sketch, loop)} crosses itself`, [loop]);
+  });
+  loops.forEach((a, i) => loops.slice(i + 1).forEach(b => {
+    if (polygonsCross(a.points, b.points)) {
+      throw regionError(`${describeLoop(sketch, a)} and ${describeLoop(sketch, b)} overlap`, [a, b]);
+    }
+  }));
+
+  const parents = loops.map(loop => loops.filter(other => other !== loop && isPolygonInside(loop.points, other.points)));
+  const depth = (loop) => parents[loops.indexOf(loop)].length;
+  return loops
+    .filter(loop => depth(loop) % 2 === 0)
+    .map(outer => ({
+      outer,
+      holes: loops.filter((loop, i) => depth(loop) === depth(outer) + 1 && parents[i].includes(outer))
+    }));
+};
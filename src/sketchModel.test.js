@@ -0,0 +1,212 @@
+import {
+  addArc,
+  addArcThroughPoints,
+  addCircle,
+  addConstraint,
+  addPolyline,
+  addRegularPolygon,
+  addSlot,
+  addSpline,
+  addTangentArc,
+  createSketch,
+  deleteSketchItems,
+  getApplicableConstraints,
+  getSketchLoops,
+  getSketchPaths,
+  getSketchRegions,
+  insertPointOnLine,
+  joinCurveEnds,
+  moveSketchPoint,
+  pickSketchItem
+} from './sketchModel';
+
+test('rectangles get horizontal and vertical constraints on their edges', () => {
+  const sketch = addPolyline(createSketch(), [[0, 0], [2, 0], [2, 1], [0, 1]], { closed: true, axisAligned: true });
+  expect(sketch.points).toHaveLength(4);
+  expect(sketch.entities).toHaveLength(4);
+  expect(sketch.constraints.map(c => c.type)).toEqual(['horizontal', 'vertical', 'horizontal', 'vertical']);
+});
+
+test('closed chains and circles are loops; open chains are not', () => {
+  let sketch = addPolyline(createSketch(), [[0, 0], [1, 0], [1, 1]], { closed: true });
+  sketch = addCircle(sketch, [5, 5], 1);
+  sketch = addPolyline(sketch, [[10, 0], [11, 0], [11, 1]]);
+
+  const loops = getSketchLoops(sketch);
+  expect(loops).toHaveLength(2);
+  expect(loops.find(loop => loop.points.length === 3).points).toEqual([[0, 0], [1, 0], [1, 1]]);
+
+  // Joining the open chain's ends with a coincident constraint closes it
+  let closing = addPolyline(sketch, [[11, 1], [10, 0]]);
+  const [a, b] = closing.points.slice(-2);
+  const [start, , end] = closing.points.slice(4, 7);
+  closing = addConstraint(closing, { type: 'coincident', refs: [end.id, a.id] });
+  closing = addConstraint(closing, { type: 'coincident', refs: [b.id, start.id] });
+  expect(getSketchLoops(closing)).toHaveLength(3);
+});
+
+test('open chains without branches are paths from one free end to the other', () => {
+  let sketch = addPolyline(createSketch(), [[0, 0], [1, 0], [1, 1]], { closed: true });
+  sketch = addPolyline(sketch, [[10, 0], [11, 0], [11, 1]]);
+  sketch = addTangentArc(sketch, sketch.entities[sketch.entities.length - 1].id, sketch.points[sketch.points.length - 1].id, [12, 2]);
+
+  const [path, ...others] = getSketchPaths(sketch);
+  expect(others).toHaveLength(0);
+  expect(path.entities).toHaveLength(3);
+  expect(path.points[0]).toEqual([10, 0]);
+  expect(path.points[path.points.length - 1]).toEqual([12, 2].map(value => expect.closeTo(value)));
+
+  // A third line at a corner makes a branch, which is not a path
+  const branched = addPolyline(sketch, [[11, 0], [11, -1]]);
+  const corner = sketch.points.find(point => point.x === 11 && point.y === 0);
+  const free = branched.points[branched.points.length - 2];
+  expect(getSketchPaths(addConstraint(branched, { type: 'coincident', refs: [free.id, corner.id] }))).toHaveLength(0);
+});
+
+test('an arc and a line close a D-shaped loop', () => {
+  let sketch = addArc(createSketch(), [0, 0], [1, 0], [-1, 0]);
+  const [, start, end] = sketch.points;
+  sketch = {
+    ...sketch,
+    entities: [...sketch.entities, { id: 99, type: 'line', p1: end.id, p2: start.id }]
+  };
+
+  const [loop] = getSketchLoops(sketch);
+  expect(loop.entities).toHaveLength(2);
+  expect(loop.points[0]).toEqual([1, 0]);
+  // Every arc point is on the upper half circle
+  loop.points.forEach(([x, y]) => {
+    expect(y).toBeGreaterThanOrEqual(-1e-9);
+    expect(Math.hypot(x, y)).toBeCloseTo(1);
+  });
+});
+
+test('picking prefers points and constraints follow the selection', () => {
+  const sketch = addPolyline(createSketch(), [[0, 0], [2, 0], [2, 1]]);
+  const [p1, p2] = sketch.points;
+  const [line1, line2] = sketch.entities;
+
+  expect(pickSketchItem(sketch, [2.02, 0.01], 0.05)).toBe(p2.id);
+  expect(pickSketchItem(sketch, [1, 0.03], 0.05)).toBe(line1.id);
+  expect(pickSketchItem(sketch, [1, 0.5], 0.05)).toBe(null);
+
+  expect(getApplicableConstraints(sketch, [line1.id])).toEqual(['horizontal', 'vertical', 'length']);
+  expect(getApplicableConstraints(sketch, [line1.id, line2.id])).toEqual(['parallel', 'perpendicular', 'equal', 'angle']);
+  expect(getApplicableConstraints(sketch, [p1.id, p2.id])).toEqual(['coincident', 'fixed']);
+});
+
+test('inserting a point splits a line and keeps its orientation constraints', () => {
+  const sketch = addPolyline(createSketch(), [[0, 0], [2, 0], [2, 1], [0, 1]], { closed: true, axisAligned: true });
+  const [bottom] = sketch.entities;
+  const { sketch: split, pointId } = insertPointOnLine(sketch, bottom.id, [1, 0]);
+
+  expect(split.points).toHaveLength(5);
+  expect(split.entities).toHaveLength(5);
+  const halves = split.entities.filter(entity => entity.p1 === pointId || entity.p2 === pointId);
+  expect(halves).toHaveLength(2);
+  halves.forEach(half => {
+    expect(split.constraints.some(c => c.type === 'horizontal' && c.refs[0] === half.id)).toBe(true);
+  });
+  expect(getSketchLoops(split)[0].points).toHaveLength(5);
+});
+
+test('deleting a vertex merges its lines; deleting a line opens the profile', () => {
+  let sketch = addPolyline(createSketch(), [[0, 0], [2, 0], [2, 1], [0, 1]], { closed: true });
+  sketch = moveSketchPoint(sketch, sketch.points[2].id, [3, 2]);
+  expect(sketch.points[2]).toMatchObject({ x: 3, y: 2 });
+
+  const triangle = deleteSketchItems(sketch, [sketch.points[2].id]);
+  expect(triangle.points).toHaveLength(3);
+  expect(triangle.entities).toHaveLength(3);
+  expect(getSketchLoops(triangle)).toHaveLength(1);
+
+  const open = deleteSketchItems(triangle, [triangle.entities[0].id]);
+  expect(open.entities).toHaveLength(2);
+  expect(open.points).toHaveLength(3);
+  expect(getSketchLoops(open)).toHaveLength(0);
+});
+
+test('three-point arcs are stored counter-clockwise and tangent arcs continue a line', () => {
+  // Picked clockwise over the top: saved from (2, 0) round to (0, 0)
+  let sketch = addArcThroughPoints(createSketch(), [0, 0], [1, 1], [2, 0]);
+  const expectAt = (point, [x, y]) => {
+    expect(point.x).toBeCloseTo(x);
+    expect(point.y).toBeCloseTo(y);
+  };
+  const [center, start, end] = sketch.points;
+  expectAt(center, [1, 0]);
+  expectAt(start, [2, 0]);
+  expectAt(end, [0, 0]);
+  expect(() => addArcThroughPoints(createSketch(), [0, 0], [1, 1], [2, 2])).toThrow('in a line');
+
+  // Left turn off the end of a line along +x: centre straight above it
+  sketch = addPolyline(createSketch(), [[0, 0], [2, 0]]);
+  const [line] = sketch.entities;
+  sketch = addTangentArc(sketch, line.id, line.p2, [3, 1]);
+  const arc = sketch.entities[1];
+  expect(arc.start).toBe(line.p2);
+  expectAt(sketch.points.find(point => point.id === arc.center), [2, 1]);
+  expect(sketch.constraints.map(c => c.type)).toEqual(['tangent']);
+});
+
+test('slots, splines and regular polygons make extrudable loops with curves', () => {
+  const slot = addSlot(createSketch(), [0, 0], [4, 0], 1);
+  const [slotLoop] = getSketchLoops(slot);
+  expect(slotLoop.profile).toEqual([[0, -1], [4, -1], [4, 1], [0, 1]]);
+  expect(slotLoop.curves.map(curve => curve && curve.type)).toEqual([null, 'arc', null, 'arc']);
+  slotLoop.points.forEach(([x, y]) => expect(Math.abs(y)).toBeLessThanOrEqual(1 + 1e-9));
+
+  const [splineLoop] = getSketchLoops(addSpline(createSketch(), [[0, 0], [2, 0], [1, 2]], { closed: true }));
+  expect(splineLoop.profile).toEqual([[0, 0]]);
+  expect(splineLoop.curves).toEqual([{ type: 'spline', through: [[2, 0], [1, 2]] }]);
+  expect(getSketchLoops(addSpline(createSketch(), [[0, 0], [2, 0], [1, 2]]))).toHaveLength(0);
+
+  const hexagon = addRegularPolygon(createSketch(), [0, 0], [1, 0], 6);
+  expect(hexagon.entities).toHaveLength(6);
+  expect(hexagon.constraints.filter(c => c.type === 'equal')).toHaveLength(5);
+  expect(hexagon.points[1].x).toBeCloseTo(0.5);
+  expect(hexagon.points[1].y).toBeCloseTo(Math.sqrt(3) / 2);
+});
+
+test('nested loops become holes and crossing loops are reported', () => {
+  let sketch = addPolyline(createSketch(), [[0, 0], [10, 0], [10, 10], [0, 10]], { closed: true });
+  sketch = addCircle(sketch, [3, 3], 1);
+  sketch = addPolyline(sketch, [[5, 5], [9, 5], [9, 9], [5, 9]], { closed: true });
+  sketch = addCircle(sketch, [7, 7], 1);
+  sketch = addCircle(sketch, [20, 0], 1);
+
+  // The circle in the square hole is an island of its own
+  const regions = getSketchRegions(sketch);
+  expect(regions.map(region => region.holes.length).sort()).toEqual([0, 0, 2]);
+  const plate = regions.find(region => region.holes.length === 2);
+  expect(plate.outer.entities).toHaveLength(4);
+
+  const crossing = addCircle(sketch, [10, 5], 1);
+  const circle = crossing.entities[crossing.entities.length - 1];
+  let error;
+  try {
+    getSketchRegions(crossing);
+  } catch (e) {
+    error = e;
+  }
+  expect(error.message).toMatch(/overlap/);
+  expect(error.entities).toContain(circle.id);
+
+  const bowTie = addPolyline(createSketch(), [[0, 0], [2, 2], [2, 0], [0, 2]], { closed: true });
+  expect(() => getSketchRegions(bowTie)).toThrow('crosses itself');
+});
+
+test('curve ends that meet are joined into one point', () => {
+  let sketch = addPolyline(createSketch(), [[0, 0], [2, 0]]);
+  sketch = addPolyline(sketch, [[2, 0], [2, 1]]);
+  sketch = addPolyline(sketch, [[2, 1], [0, 1]]);
+  sketch = addArc(sketch, [0, 0.5], [0, 1], [0, 0]);
+  sketch = addPolyline(sketch, [[5, 5], [5, 5 + 1e-9]]);
+  expect(getSketchLoops(sketch)).toHaveLength(0);
+
+  const joined = joinCurveEnds(sketch, 1e-6);
+  expect(joined.points).toHaveLength(5);
+  expect(joined.entities).toHaveLength(4);
+  expect(getSketchLoops(joined)).toHaveLength(1);
+  expect(joinCurveEnds(joined, 1e-6)).toBe(joined);
+});
@@ -0,0 +1,77 @@
+// sketchPlane.js - the plane sketches are drawn on and extruded from.
+//
+// A sketch plane is { origin, normal, xAxis, yAxis } in world space, with
+// yAxis = normal x xAxis. Sketch tools work in 2D (u, v) coordinates along
+// xAxis/yAxis, snapped to a grid centred on the origin, and extrusions grow
+// along the normal.
+import * as THREE from "three";
+
+export const SKETCH_PLANES = {
+  xz: { label: "XZ", normal: [0, 1, 0], xAxis: [1, 0, 0] },
+  xy: { label: "XY", normal: [0, 0, 1], xAxis: [1, 0, 0] },
+  yz: { label: "YZ", normal: [1, 0, 0], xAxis: [0, 0, -1] }
+};
+
+export const createSketchPlane = (origin, normal, xAxis) => {
+  const n = normal.clone().normalize();
+  // Keep xAxis in the plane even if the caller's hint isn't quite
+  const x = xAxis.clone().addScaledVector(n, -xAxis.dot(n)).normalize();
+  return {
+    origin: origin.clone(),
+    normal: n,
+    xAxis: x,
+    yAxis: new THREE.Vector3().crossVectors(n, x)
+  };
+};
+
+export const getPresetPlane = (name) => {
+  const preset = SKETCH_PLANES[name];
+  return createSketchPlane(
+    new THREE.Vector3(),
+    new THREE.Vector3(...preset.normal),
+    new THREE.Vector3(...preset.xAxis)
+  );
+};
+
+export const offsetSketchPlane = (plane, distance) => ({
+  ...plane,
+  origin: plane.origin.clone().addScaledVector(plane.normal, distance)
+});
+
+// Plane on a picked face. `axes` are candidate in-plane directions (the
+// body's own axes), so the sketch grid lines up with the body's edges.
+export const planeFromFace = (normal, centroid, axes) => {
+  const xAxis = axes.reduce((best, axis) =>
+    Math.abs(axis.dot(normal)) < Math.abs(best.dot(normal)) ? axis : best);
+  return createSketchPlane(centroid, normal, xAxis);
+};
+
+// ====== COORDINATES ======
+export const toSketchCoords = (plane, point) => {
+  const relative = point.clone().sub(plane.origin);
+  return new THREE.Vector2(relative.dot(plane.xAxis), relative.dot(plane.yAxis));
+};
+
+export const fromSketchCoords = (plane, u, v) =>
+  plane.origin.clone().addScaledVector(plane.xAxis, u).addScaledVector(plane.yAxis, v);
+
+export const snapToSketchGrid = (plane, point, step) => {
+  const { x, y } = toSketchCoords(plane, point);
+  return fromSketchCoords(plane, Math.round(x / step) * step, Math.round(y / step) * step);
+};
+
+export const toThreePlane = (plane) =>
+  new THREE.Plane().setFromNormalAndCoplanarPoint(plane.normal, plane.origin);
+
+// ====== ORIENTATION ======
+// For flat helpers built in their local XY plane (PlaneGeometry and the like).
+export const getPlaneQuaternion = (plane) => new THREE.Quaternion().setFromRotationMatrix(
+  new THREE.Matrix4().makeBasis(plane.xAxis, plane.yAxis, plane.normal)
+);
+
+// For extrusion containers. Extrusion geometry maps a profile point (u, v)
+// and height h to local (u, h, -v) (see createExtrudeGeometry), so the
+// local axes are xAxis, normal and -yAxis.
+export const getExtrusionQuaternion = (plane) => new THREE.Quaternion().setFromRotationMatrix(
+  new THREE.Matrix4().makeBasis(plane.xAxis, plane.normal, plane.yAxis.clone().negate())
+);
@@ -0,0 +1,50 @@
+import * as THREE from 'three';
+import { createExtrudeGeometry } from './sceneFormat';
+import {
+  fromSketchCoords,
+  getExtrusionQuaternion,
+  getPresetPlane,
+  offsetSketchPlane,
+  planeFromFace,
+  snapToSketchGrid,
+  toSketchCoords
+} from './sketchPlane';
+
+test('preset planes have right-handed axes and round-trip sketch coordinates', () => {
+  ['xz', 'xy', 'yz'].forEach(name => {
+    const plane = getPresetPlane(name);
+    expect(plane.xAxis.clone().cross(plane.yAxis).distanceTo(plane.normal)).toBeCloseTo(0);
+
+    const point = fromSketchCoords(plane, 1.5, -2);
+    const coords = toSketchCoords(plane, point);
+    expect(coords.x).toBeCloseTo(1.5);
+    expect(coords.y).toBeCloseTo(-2);
+  });
+});
+
+test('offset planes snap on their own grid', () => {
+  const plane = offsetSketchPlane(getPresetPlane('xy'), 2);
+  const snapped = snapToSketchGrid(plane, new THREE.Vector3(0.7, 1.2, 5), 0.5);
+  expect(snapped.toArray()).toEqual([0.5, 1, 2]);
+});
+
+test('extrusions grow along the plane normal from the sketch plane', () => {
+  const plane = offsetSketchPlane(getPresetPlane('xy'), 1);
+  const geometry = createExtrudeGeometry({ profile: [[0, 0], [1, 0], [1, 1]], depth: 2 });
+  geometry.applyQuaternion(getExtrusionQuaternion(plane));
+  geometry.translate(plane.origin.x, plane.origin.y, plane.origin.z);
+  geometry.computeBoundingBox();
+
+  const { min, max } = geometry.boundingBox;
+  expect(min.z).toBeCloseTo(1);
+  expect(max.z).toBeCloseTo(3);
+  // Profile (u, v) lands at origin + u * xAxis + v * yAxis
+  expect([min.x, max.x, min.y, max.y].map(v => Math.round(v * 1e6) / 1e6)).toEqual([0, 1, 0, 1]);
+});
+
+test('a face plane takes the body axis that lies in the face', () => {
+  const axes = [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)];
+  const plane = planeFromFace(new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0.5, 0), axes);
+  expect(plane.xAxis.x).toBeCloseTo(1);
+  expect(plane.origin.y).toBeCloseTo(0.5);
+});
@@ -0,0 +1,325 @@
+// sketchSolver.js - numeric solver for sketch constraints (sketchModel.js).
+//
+// Every point contributes its x and y as unknowns and every circle its
+// radius; arcs take their radius from the centre and start point. Each
+// constraint is a set of residuals that are zero when it holds. The solver
+// runs damped Gauss-Newton (Levenberg-Marquardt) from the current geometry,
+// so an edit moves the sketch as little as it can.
+//
+// analyzeSketch() looks at the constraint Jacobian at the solution: an
+// unknown is fixed when no remaining degree of freedom can move it, and an
+// entity is fully constrained when all of its unknowns are.
+import { getEntityPoints, indexSketch } from "./sketchModel";
+
+const TOLERANCE = 1e-10;
+const MAX_ITERATIONS = 200;
+const STEP = 1e-6;
+const RANK_TOLERANCE = 1e-6;
+
+// ====== UNKNOWNS ======
+const buildLayout = (sketch) => {
+  const values = [];
+  const pointSlots = new Map();
+  const radiusSlots = new Map();
+  sketch.points.forEach(point => {
+    pointSlots.set(point.id, values.length);
+    values.push(point.x, point.y);
+  });
+  sketch.entities.filter(entity => entity.type === "circle").forEach(circle => {
+    radiusSlots.set(circle.id, values.length);
+    values.push(circle.radius);
+  });
+  return { values, pointSlots, radiusSlots };
+};
+
+// Unknowns an entity (or point) depends on
+const entitySlots = (layout, index, id) => {
+  if (layout.pointSlots.has(id)) {
+    const slot = layout.pointSlots.get(id);
+    return [slot, slot + 1];
+  }
+  const entity = index.entities.get(id);
+  if (!entity) return [];
+  const slots = [...new Set(getEntityPoints(entity))].flatMap(pointId => entitySlots(layout, index, pointId));
+  if (entity.type === "circle") slots.push(layout.radiusSlots.get(entity.id));
+  return slots;
+};
+
+// Readers over the unknowns vector
+const createReader = (layout, index) => {
+  const point = (v, id) => {
+    const slot = layout.pointSlots.get(id);
+    return [v[slot], v[slot + 1]];
+  };
+  const line = (v, id) => {
+    const entity = index.entities.get(id);
+    return [point(v, entity.p1), point(v, entity.p2)];
+  };
+  const direction = (v, id) => {
+    const [a, b] = line(v, id);
+    return [b[0] - a[0], b[1] - a[1]];
+  };
+  const center = (v, id) => point(v, index.entities.get(id).center);
+  const radius = (v, id) => {
+    const entity = index.entities.get(id);
+    if (entity.type === "circle") return v[layout.radiusSlots.get(id)];
+    const [cx, cy] = point(v, entity.center);
+    const [sx, sy] = point(v, entity.start);
+    return Math.hypot(sx - cx, sy - cy);
+  };
+  return { point, line, direction, center, radius, isLine: (id) => index.entities.get(id).type === "line" };
+};
+
+const length = ([x, y]) => Math.hypot(x, y);
+const cross = (a, b) => a[0] * b[1] - a[1] * b[0];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1];
+const wrapAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+// ====== RESIDUALS ======
+const RESIDUALS = {
+  coincident: (v, r, [a, b]) => {
+    const p = r.point(v, a);
+    const q = r.point(v, b);
+    return [p[0] - q[0], p[1] - q[1]];
+  },
+  horizontal: (v, r, [l]) => {
+    const [p, q] = r.line(v, l);
+    return [p[1] - q[1]];
+  },
+  vertical: (v, r, [l]) => {
+    const [p, q] = r.line(v, l);
+    return [p[0] - q[0]];
+  },
+  // Normalized so the residual doesn't depend on the line lengths
+  parallel: (v, r, [l1, l2]) => {
+    const a = r.direction(v, l1);
+    const b = r.direction(v, l2);
+    return [cross(a, b) / (length(a) * length(b))];
+  },
+  perpendicular: (v, r, [l1, l2]) => {
+    const a = r.direction(v, l1);
+    const b = r.direction(v, l2);
+    return [dot(a, b) / (length(a) * length(b))];
+  },
+  equal: (v, r, [a, b]) => r.isLine(a)
+    ? [length(r.direction(v, a)) - length(r.direction(v, b))]
+    : [r.radius(v, a) - r.radius(v, b)],
+  tangent: (v, r, [a, b], constraint) => {
+    const c2 = r.center(v, b);
+    if (r.isLine(a)) {
+      const [p] = r.line(v, a);
+      const d = r.direction(v, a);
+      return [Math.abs(cross(d, [c2[0] - p[0], c2[1] - p[1]])) / length(d) - r.radius(v, b)];
+    }
+    const c1 = r.center(v, a);
+    const distance = length([c2[0] - c1[0], c2[1] - c1[1]]);
+    const r1 = r.radius(v, a);
+    const r2 = r.radius(v, b);
+    return [distance - (constraint.internal ? Math.abs(r1 - r2) : r1 + r2)];
+  },
+  fixed: (v, r, [p], constraint) => {
+    const [x, y] = r.point(v, p);
+    return [x - constraint.value[0], y - constraint.value[1]];
+  },
+  length: (v, r, [l], constraint) => [length(r.direction(v, l)) - constraint.value],
+  radius: (v, r, [e], constraint) => [r.radius(v, e) - constraint.value],
+  angle: (v, r, [l1, l2], constraint) => {
+    const a = r.direction(v, l1);
+    const b = r.direction(v, l2);
+    return [wrapAngle(Math.atan2(cross(a, b), dot(a, b)) - constraint.value * Math.PI / 180)];
+  }
+};
+
+// Residual blocks, each with the unknowns it reads. Arcs add an implicit
+// block keeping the end point on the circle through the start point.
+const buildBlocks = (sketch, layout, index) => {
+  const reader = createReader(layout, index);
+  const blocks = sketch.constraints.map(constraint => ({
+    slots: [...new Set(constraint.refs.flatMap(id => entitySlots(layout, index, id)))],
+    evaluate: (v) => RESIDUALS[constraint.type](v, reader, constraint.refs, constraint)
+  }));
+
+  sketch.entities.filter(entity => entity.type === "arc").forEach(arc => {
+    blocks.push({
+      slots: entitySlots(layout, index, arc.id),
+      evaluate: (v) => {
+        const [cx, cy] = reader.point(v, arc.center);
+        const [ex, ey] = reader.point(v, arc.end);
+        return [Math.hypot(ex - cx, ey - cy) - reader.radius(v, arc.id)];
+      }
+    });
+  });
+  return blocks;
+};
+
+const evaluateBlocks = (blocks, v) => blocks.flatMap(block => block.evaluate(v));
+
+// Central-difference Jacobian, one block at a time
+const computeJacobian = (blocks, v) => {
+  const rows = [];
+  blocks.forEach(block => {
+    const blockRows = block.evaluate(v).map(() => new Array(v.length).fill(0));
+    block.slots.forEach(slot => {
+      const saved = v[slot];
+      v[slot] = saved + STEP;
+      const ahead = block.evaluate(v);
+      v[slot] = saved - STEP;
+      const behind = block.evaluate(v);
+      v[slot] = saved;
+      ahead.forEach((value, i) => { blockRows[i][slot] = (value - behind[i]) / (2 * STEP); });
+    });
+    rows.push(...blockRows);
+  });
+  return rows;
+};
+
+const sumOfSquares = (values) => values.reduce((sum, value) => sum + value * value, 0);
+
+// Solves A x = b in place by Gaussian elimination with partial pivoting
+const solveLinear = (A, b) => {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+    }
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+    if (Math.abs(A[col][col]) < 1e-300) continue;
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = A[row][col] / A[col][col];
+      if (factor === 0) continue;
+      for (let k = col; k < n; k++) A[row][k] -= factor * A[col][k];
+      b[row] -= factor * b[col];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+    x[row] = Math.abs(A[row][row]) < 1e-300 ? 0 : sum / A[row][row];
+  }
+  return x;
+};
+
+const writeBack = (sketch, layout, v) => ({
+  ...sketch,
+  points: sketch.points.map(point => {
+    const slot = layout.pointSlots.get(point.id);
+    return { ...point, x: v[slot], y: v[slot + 1] };
+  }),
+  entities: sketch.entities.map(entity => entity.type === "circle"
+    ? { ...entity, radius: v[layout.radiusSlots.get(entity.id)] }
+    : entity)
+});
+
+// ====== SOLVING ======
+// Returns { sketch, converged }. When the constraints can't all be met the
+// returned sketch is the closest the solver got; callers usually keep the
+// previous one instead.
+export const solveSketch = (sketch) => {
+  const index = indexSketch(sketch);
+  const layout = buildLayout(sketch);
+  const blocks = buildBlocks(sketch, layout, index);
+  let v = layout.values.slice();
+  let residuals = evaluateBlocks(blocks, v);
+  let error = sumOfSquares(residuals);
+  let damping = 1e-3;
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS && error > TOLERANCE; iteration++) {
+    const J = computeJacobian(blocks, v);
+    const r = residuals;
+    const n = v.length;
+    const A = Array.from({ length: n }, () => new Array(n).fill(0));
+    const g = new Array(n).fill(0);
+    J.forEach((row, i) => {
+      const nonZero = [];
+      row.forEach((value, k) => { if (value !== 0) nonZero.push(k); });
+      nonZero.forEach(j => {
+        g[j] += row[j] * r[i];
+        nonZero.forEach(k => { A[j][k] += row[j] * row[k]; });
+      });
+    });
+
+    let improved = false;
+    while (!improved && damping < 1e12) {
+      const lambda = damping;
+      const system = A.map((row, j) => row.map((value, k) => (j === k ? value + lambda : value)));
+      const step = solveLinear(system, g.map(value => -value));
+      const candidate = v.map((value, k) => value + step[k]);
+      const candidateResiduals = evaluateBlocks(blocks, candidate);
+      const candidateError = sumOfSquares(candidateResiduals);
+      if (Number.isFinite(candidateError) && candidateError < error) {
+        v = candidate;
+        residuals = candidateResiduals;
+        error = candidateError;
+        damping = Math.max(damping / 10, 1e-12);
+        improved = true;
+      } else {
+        damping *= 10;
+      }
+    }
+    if (!improved) break;
+  }
+
+  return { sketch: writeBack(sketch, layout, v), converged: error <= TOLERANCE };
+};
+
+// ====== DEGREES OF FREEDOM ======
+// Row-reduces the Jacobian; an unknown is free if some null-space direction
+// moves it.
+const findFixedSlots = (J, n) => {
+  const rows = J.map(row => row.slice());
+  const pivotOfColumn = new Map();
+  let rank = 0;
+
+  for (let col = 0; col < n && rank < rows.length; col++) {
+    let pivot = rank;
+    for (let row = rank + 1; row < rows.length; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][col]) < RANK_TOLERANCE) continue;
+    [rows[rank], rows[pivot]] = [rows[pivot], rows[rank]];
+
+    const scale = rows[rank][col];
+    for (let k = 0; k < n; k++) rows[rank][k] /= scale;
+    for (let row = 0; row < rows.length; row++) {
+      if (row === rank || rows[row][col] === 0) continue;
+      const factor = rows[row][col];
+      for (let k = 0; k < n; k++) rows[row][k] -= factor * rows[rank][k];
+    }
+    pivotOfColumn.set(col, rank);
+    rank++;
+  }
+
+  const freeColumns = [];
+  for (let col = 0; col < n; col++) {
+    if (!pivotOfColumn.has(col)) freeColumns.push(col);
+  }
+
+  const fixed = new Set();
+  pivotOfColumn.forEach((row, col) => {
+    if (freeColumns.every(free => Math.abs(rows[row][free]) < RANK_TOLERANCE)) fixed.add(col);
+  });
+  return { fixed, rank };
+};
+
+// Returns { dof, constrained } where `constrained` holds the ids of fully
+// constrained points and entities.
+export const analyzeSketch = (sketch) => {
+  const index = indexSketch(sketch);
+  const layout = buildLayout(sketch);
+  const blocks = buildBlocks(sketch, layout, index);
+  const n = layout.values.length;
+  const J = computeJacobian(blocks, layout.values.slice());
+  const { fixed, rank } = findFixedSlots(J, n);
+
+  const constrained = new Set();
+  [...sketch.points, ...sketch.entities].forEach(item => {
+    const slots = entitySlots(layout, index, item.id);
+    if (slots.length > 0 && slots.every(slot => fixed.has(slot))) constrained.add(item.id);
+  });
+  return { dof: n - rank, constrained };
+};
@@ -0,0 +1,100 @@
+import {
+  addCircle,
+  addSlot,
+  addConstraint,
+  addPolyline,
+  buildConstraints,
+  createSketch,
+  indexSketch,
+  setConstraintValue
+} from './sketchModel';
+import { analyzeSketch, solveSketch } from './sketchSolver';
+
+const constrain = (sketch, type, selection) =>
+  buildConstraints(sketch, type, selection).reduce(addConstraint, sketch);
+
+const rectangle = () => addPolyline(createSketch(), [[0, 0], [2, 0], [2, 1], [0, 1]], { closed: true, axisAligned: true });
+
+test('editing a driving dimension moves the geometry and keeps the other constraints', () => {
+  let sketch = rectangle();
+  const [bottom] = sketch.entities;
+  sketch = constrain(sketch, 'length', [bottom.id]);
+  const lengthId = sketch.constraints[sketch.constraints.length - 1].id;
+
+  const { sketch: solved, converged } = solveSketch(setConstraintValue(sketch, lengthId, 3));
+  expect(converged).toBe(true);
+
+  const index = indexSketch(solved);
+  const [p1, p2, p3, p4] = solved.points;
+  expect(Math.hypot(p2.x - p1.x, p2.y - p1.y)).toBeCloseTo(3);
+  expect(index.points.get(p3.id).y).toBeCloseTo(index.points.get(p4.id).y);
+  expect(p2.x).toBeCloseTo(p3.x);
+});
+
+test('a rectangle is fully constrained once anchored and dimensioned', () => {
+  let sketch = rectangle();
+  const [bottom, right] = sketch.entities;
+  expect(analyzeSketch(sketch).dof).toBe(4);
+
+  sketch = constrain(sketch, 'fixed', [sketch.points[0].id]);
+  sketch = constrain(sketch, 'length', [bottom.id]);
+  const partial = analyzeSketch(sketch);
+  expect(partial.dof).toBe(1);
+  expect(partial.constrained.has(bottom.id)).toBe(true);
+  expect(partial.constrained.has(right.id)).toBe(false);
+
+  sketch = constrain(sketch, 'length', [right.id]);
+  const full = analyzeSketch(sketch);
+  expect(full.dof).toBe(0);
+  sketch.entities.forEach(entity => expect(full.constrained.has(entity.id)).toBe(true));
+});
+
+test('tangent, equal and angle constraints are solved together', () => {
+  let sketch = addPolyline(createSketch(), [[0, 0], [4, 0]]);
+  sketch = addCircle(sketch, [1, 1.5], 1);
+  sketch = addCircle(sketch, [3, 1.2], 0.5);
+  const [line, c1, c2] = sketch.entities;
+  sketch = constrain(sketch, 'tangent', [line.id, c1.id]);
+  sketch = constrain(sketch, 'equal', [c1.id, c2.id]);
+  sketch = constrain(sketch, 'tangent', [c1.id, c2.id]);
+
+  const { sketch: solved, converged } = solveSketch(sketch);
+  expect(converged).toBe(true);
+
+  const index = indexSketch(solved);
+  const [a, b] = [c1, c2].map(c => index.entities.get(c.id));
+  const ca = index.points.get(a.center);
+  const cb = index.points.get(b.center);
+  const [p, q] = solved.points;
+  const toLine = Math.abs((q.x - p.x) * (ca.y - p.y) - (q.y - p.y) * (ca.x - p.x)) / Math.hypot(q.x - p.x, q.y - p.y);
+  expect(a.radius).toBeCloseTo(b.radius);
+  expect(toLine).toBeCloseTo(a.radius);
+  expect(Math.hypot(cb.x - ca.x, cb.y - ca.y)).toBeCloseTo(a.radius + b.radius);
+});
+
+test('conflicting constraints are reported instead of solved', () => {
+  let sketch = rectangle();
+  const [bottom] = sketch.entities;
+  sketch = constrain(sketch, 'length', [bottom.id]);
+  expect(solveSketch(sketch).converged).toBe(true);
+
+  // Horizontal and vertical at once leaves no room for a non-zero length
+  sketch = constrain(sketch, 'vertical', [bottom.id]);
+  expect(solveSketch(sketch).converged).toBe(false);
+});
+
+test('a slot keeps its shape when one end is resized', () => {
+  let sketch = addSlot(createSketch(), [0, 0], [4, 0], 1);
+  const end = sketch.entities[3];
+  sketch = constrain(sketch, 'radius', [end.id]);
+  const radiusId = sketch.constraints[sketch.constraints.length - 1].id;
+
+  const { sketch: solved, converged } = solveSketch(setConstraintValue(sketch, radiusId, 1.5));
+  expect(converged).toBe(true);
+  const index = indexSketch(solved);
+  const [a1, a2, b1, b2] = solved.points;
+  // Both ends grow, so the sides stay parallel at the new width
+  expect(Math.hypot(a1.x - a2.x, a1.y - a2.y)).toBeCloseTo(3);
+  expect(Math.hypot(b1.x - b2.x, b1.y - b2.y)).toBeCloseTo(3);
+  expect(index.entities.get(end.id).type).toBe('arc');
+});
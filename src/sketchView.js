@@ -0,0 +1,55 @@
+// sketchView.js - draws a sketch (sketchModel.js) in its plane's local XY.
+//
+// Fully constrained items are green, the rest blue, selected ones magenta.
+// Everything is drawn on top of the scene so sketches on faces stay visible.
+import * as THREE from "three";
+import { indexSketch, tessellateEntity } from "./sketchModel";
+
+export const SKETCH_COLORS = {
+  under: 0x2196f3,
+  full: 0x2e7d32,
+  selected: 0xff00ff
+};
+
+const CIRCLE_SEGMENTS = 64;
+
+const curvePoints = (index, entity) =>
+  tessellateEntity(index, entity, CIRCLE_SEGMENTS).map(([x, y]) => new THREE.Vector3(x, y, 0));
+
+const clearSketchView = (group) => {
+  group.children.forEach(child => {
+    child.geometry.dispose();
+    child.material.dispose();
+  });
+  group.clear();
+};
+
+// Replaces the contents of `group` with the sketch's curves and points.
+// `handles` draws the points larger, as drag handles.
+export const drawSketch = (group, sketch, { constrained = new Set(), selection = [], handles = false } = {}) => {
+  clearSketchView(group);
+  const index = indexSketch(sketch);
+  const colorOf = (id) => selection.includes(id)
+    ? SKETCH_COLORS.selected
+    : constrained.has(id) ? SKETCH_COLORS.full : SKETCH_COLORS.under;
+
+  sketch.entities.forEach(entity => {
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(curvePoints(index, entity)),
+      new THREE.LineBasicMaterial({ color: colorOf(entity.id), depthTest: false })
+    );
+    line.renderOrder = 3;
+    line.userData.sketchId = entity.id;
+    group.add(line);
+  });
+
+  sketch.points.forEach(point => {
+    const marker = new THREE.Points(
+      new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(point.x, point.y, 0)]),
+      new THREE.PointsMaterial({ color: colorOf(point.id), size: handles ? 11 : 7, sizeAttenuation: false, depthTest: false })
+    );
+    marker.renderOrder = 4;
+    marker.userData.sketchId = point.id;
+    group.add(marker);
+  });
+};
@@ -0,0 +1,199 @@
+// subObjects.js - planar faces and feature edges of a mesh geometry.
+//
+// A "face" is the set of coplanar triangles connected to the picked one
+// (both triangles of a box side, every cap triangle of an extrusion). A
+// "feature edge" is a segment of THREE.EdgesGeometry, i.e. where adjacent
+// triangles meet at more than the threshold angle. All results are in the
+// geometry's local space; toWorldFace/toWorldEdge apply a matrixWorld.
+import * as THREE from "three";
+
+export const EDGE_THRESHOLD_ANGLE = 1;
+
+const NORMAL_TOLERANCE = 1e-4;
+const PLANE_TOLERANCE = 1e-4;
+
+const readTriangle = (geometry, triangleIndex) => {
+  const position = geometry.attributes.position;
+  const index = geometry.index;
+  return [0, 1, 2].map(corner => {
+    const i = index ? index.getX(triangleIndex * 3 + corner) : triangleIndex * 3 + corner;
+    return new THREE.Vector3().fromBufferAttribute(position, i);
+  });
+};
+
+export const getTriangleCount = (geometry) =>
+  (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+
+const vertexKey = (v) =>
+  `${Math.round(v.x * 1e4)},${Math.round(v.y * 1e4)},${Math.round(v.z * 1e4)}`;
+
+// Triangles keyed by shared edges (positions, not vertex indices, since
+// most geometries duplicate vertices along hard edges).
+const buildEdgeMap = (geometry) => {
+  const edgeMap = new Map();
+  const triangles = [];
+  const count = getTriangleCount(geometry);
+
+  for (let t = 0; t < count; t++) {
+    const corners = readTriangle(geometry, t);
+    const normal = new THREE.Triangle(...corners).getNormal(new THREE.Vector3());
+    triangles.push({ corners, normal });
+
+    const keys = corners.map(vertexKey);
+    for (let i = 0; i < 3; i++) {
+      const a = keys[i];
+      const b = keys[(i + 1) % 3];
+      const edgeKey = a < b ? `${a}|${b}` : `${b}|${a}`;
+      if (!edgeMap.has(edgeKey)) edgeMap.set(edgeKey, []);
+      edgeMap.get(edgeKey).push(t);
+    }
+  }
+
+  return { edgeMap, triangles };
+};
+
+// Returns { triangles, normal, area, centroid } for the planar face that
+// contains `triangleIndex`.
+export const findPlanarFace = (geometry, triangleIndex) => {
+  const { edgeMap, triangles } = buildEdgeMap(geometry);
+  const seed = triangles[triangleIndex];
+  if (!seed) return null;
+
+  const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(seed.normal, seed.corners[0]);
+  const isCoplanar = ({ normal, corners }) =>
+    normal.dot(plane.normal) > 1 - NORMAL_TOLERANCE &&
+    corners.every(corner => Math.abs(plane.distanceToPoint(corner)) < PLANE_TOLERANCE);
+
+  const visited = new Set([triangleIndex]);
+  const queue = [triangleIndex];
+  while (queue.length > 0) {
+    const t = queue.pop();
+    const keys = triangles[t].corners.map(vertexKey);
+    for (let i = 0; i < 3; i++) {
+      const a = keys[i];
+      const b = keys[(i + 1) % 3];
+      const neighbours = edgeMap.get(a < b ? `${a}|${b}` : `${b}|${a}`) || [];
+      neighbours.forEach(n => {
+        if (!visited.has(n) && isCoplanar(triangles[n])) {
+          visited.add(n);
+          queue.push(n);
+        }
+      });
+    }
+  }
+
+  const faceTriangles = [...visited].sort((a, b) => a - b);
+  let area = 0;
+  const centroid = new THREE.Vector3();
+  faceTriangles.forEach(t => {
+    const triangle = new THREE.Triangle(...triangles[t].corners);
+    const triangleArea = triangle.getArea();
+    area += triangleArea;
+    centroid.addScaledVector(triangle.getMidpoint(new THREE.Vector3()), triangleArea);
+  });
+  if (area > 0) centroid.divideScalar(area);
+
+  return {
+    triangles: faceTriangles,
+    normal: plane.normal.clone(),
+    area,
+    centroid
+  };
+};
+
+// The planar face facing `normal` that lies closest to `point`, e.g. to
+// find a face again after the geometry was rebuilt.
+export const findFaceAtPoint = (geometry, point, normal) => {
+  const { triangles } = buildEdgeMap(geometry);
+  const closest = new THREE.Vector3();
+  let best = null;
+  triangles.forEach(({ corners, normal: triangleNormal }, t) => {
+    if (triangleNormal.dot(normal) < 1 - NORMAL_TOLERANCE) return;
+    const distance = new THREE.Triangle(...corners).closestPointToPoint(point, closest).distanceTo(point);
+    if (!best || distance < best.distance) best = { t, distance };
+  });
+  return best && best.distance < PLANE_TOLERANCE * 10 ? findPlanarFace(geometry, best.t) : null;
+};
+
+// The planar faces on either side of a feature edge (usually two).
+export const findEdgeFaces = (geometry, start, end) => {
+  const { triangles } = buildEdgeMap(geometry);
+  const startKey = vertexKey(start);
+  const endKey = vertexKey(end);
+  const faces = [];
+
+  triangles.forEach(({ corners, normal }, t) => {
+    const keys = corners.map(vertexKey);
+    if (!keys.includes(startKey) || !keys.includes(endKey)) return;
+    if (faces.some(face => face.normal.dot(normal) > 1 - NORMAL_TOLERANCE)) return;
+    faces.push(findPlanarFace(geometry, t));
+  });
+
+  return faces;
+};
+
+// Flat, non-indexed copy of the face's triangles, for highlighting.
+export const createFaceGeometry = (geometry, faceTriangles) => {
+  const positions = [];
+  faceTriangles.forEach(t => {
+    readTriangle(geometry, t).forEach(corner => positions.push(corner.x, corner.y, corner.z));
+  });
+  const faceGeometry = new THREE.BufferGeometry();
+  faceGeometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  return faceGeometry;
+};
+
+export const getFeatureEdges = (geometry, thresholdAngle = EDGE_THRESHOLD_ANGLE) => {
+  const edges = new THREE.EdgesGeometry(geometry, thresholdAngle);
+  const position = edges.attributes.position;
+  const segments = [];
+  for (let i = 0; i < position.count; i += 2) {
+    segments.push({
+      index: i / 2,
+      start: new THREE.Vector3().fromBufferAttribute(position, i),
+      end: new THREE.Vector3().fromBufferAttribute(position, i + 1)
+    });
+  }
+  edges.dispose();
+  return segments;
+};
+
+// Closest feature edge to a local-space point, with its distance.
+export const findClosestEdge = (segments, point) => {
+  let best = null;
+  const closest = new THREE.Vector3();
+  segments.forEach(segment => {
+    new THREE.Line3(segment.start, segment.end).closestPointToPoint(point, true, closest);
+    const distance = closest.distanceTo(point);
+    if (!best || distance < best.distance) {
+      best = { ...segment, distance };
+    }
+  });
+  return best;
+};
+
+// ====== WORLD-SPACE MEASUREMENTS ======
+export const toWorldFace = (geometry, face, matrixWorld) => {
+  let area = 0;
+  face.triangles.forEach(t => {
+    const corners = readTriangle(geometry, t).map(corner => corner.applyMatrix4(matrixWorld));
+    area += new THREE.Triangle(...corners).getArea();
+  });
+  const normalMatrix = new THREE.Matrix3().getNormalMatrix(matrixWorld);
+  return {
+    normal: face.normal.clone().applyMatrix3(normalMatrix).normalize(),
+    centroid: face.centroid.clone().applyMatrix4(matrixWorld),
+    area
+  };
+};
+
+export const toWorldEdge = (edge, matrixWorld) => {
+  const start = edge.start.clone().applyMatrix4(matrixWorld);
+  const end = edge.end.clone().applyMatrix4(matrixWorld);
+  return {
+    start,
+    end,
+    length: start.distanceTo(end),
+    direction: end.clone().sub(start).normalize()
+  };
+};
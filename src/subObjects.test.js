@@ -0,0 +1,38 @@
+import * as THREE from 'three';
+import { findClosestEdge, findPlanarFace, getFeatureEdges, toWorldEdge, toWorldFace } from './subObjects';
+
+test('a box side is picked as one two-triangle face', () => {
+  const geometry = new THREE.BoxGeometry(2, 1, 1);
+  const face = findPlanarFace(geometry, 0);
+
+  expect(face.triangles).toEqual([0, 1]);
+  expect(face.normal.x).toBeCloseTo(1);
+  expect(face.area).toBeCloseTo(1);
+  expect(face.centroid.x).toBeCloseTo(1);
+});
+
+test('an extrusion cap gathers every coplanar triangle', () => {
+  const shape = new THREE.Shape([
+    new THREE.Vector2(0, 0), new THREE.Vector2(2, 0), new THREE.Vector2(2, 2),
+    new THREE.Vector2(1, 1), new THREE.Vector2(0, 2)
+  ]);
+  const geometry = new THREE.ExtrudeGeometry(shape, { depth: 1, bevelEnabled: false });
+  const face = findPlanarFace(geometry, 0);
+
+  expect(face.triangles).toHaveLength(3);
+  expect(face.area).toBeCloseTo(3);
+  expect(Math.abs(face.normal.z)).toBeCloseTo(1);
+});
+
+test('the closest feature edge is found and measured in world space', () => {
+  const geometry = new THREE.BoxGeometry(1, 1, 1);
+  const edges = getFeatureEdges(geometry);
+  expect(edges).toHaveLength(12);
+
+  const edge = findClosestEdge(edges, new THREE.Vector3(0.5, 0.5, 0.1));
+  expect(edge.distance).toBeCloseTo(0);
+
+  const matrix = new THREE.Matrix4().makeScale(3, 3, 3);
+  expect(toWorldEdge(edge, matrix).length).toBeCloseTo(3);
+  expect(toWorldFace(geometry, findPlanarFace(geometry, 0), matrix).area).toBeCloseTo(9);
+});